@@ -16,6 +16,8 @@ import * as Sentry from "sentry-expo";
 import { Ionicons } from "@expo/vector-icons";
 import Modal from "./components/modals/Modal";
 import InfoModal from "./components/modals/InfoModal";
+import OutboxSync from "./components/OutboxSync";
+import ReminderSync from "./components/ReminderSync";
 import { createStore, applyMiddleware } from "redux";
 import { Provider } from "react-redux";
 import thunk from "redux-thunk";
@@ -39,6 +41,7 @@ Sentry.init({
 LogBox?.ignoreLogs(
   [
     "Require cycle: components/modals/InputModal.js -> components/userFields/UserInputsList.js -> constants/DataActions.js -> components/modals/InputModal.js",
+    "Require cycle: redux/Actions.js -> constants/DataActions.js -> components/modals/InputModal.js -> components/userFields/UserInputsList.js -> redux/Actions.js",
     "Setting a timer for a long period of time, i.e. multiple minutes, is a performance and correctness issue on Android as it keeps the timer module awake, and timers can only be called when the app is in the foreground. See https://github.com/facebook/react-native/issues/12981 for more info."
   ]
 );
@@ -105,6 +108,8 @@ const App = ({ skipLoadingScreen }) => {
             <StackNavigator containerRef={containerRef} initialState={initialNavigationState} />
             <InfoModal />
             <Modal />
+            <OutboxSync />
+            <ReminderSync />
           </View>
         </Provider>
       </SafeAreaProvider>
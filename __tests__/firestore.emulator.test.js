@@ -0,0 +1,210 @@
+/**
+ * @file Tests the Firestore security rules against the Firestore emulator (run with `yarn test:emulators`).
+ * @author Emily Sturman <emily@sturman.org>
+ * @jest-environment node
+ */
+import fs from "fs";
+import path from "path";
+import {
+  initializeTestApp,
+  initializeAdminApp,
+  loadFirestoreRules,
+  clearFirestoreData,
+  assertSucceeds,
+  assertFails,
+  apps
+} from "@firebase/rules-unit-testing";
+
+// Separate from the app's project so that these tests don't clear the data of the Actions tests
+const PROJECT_ID = "simple-subs-rules";
+const DOMAIN = "demo";
+// Users in the domain, by role (see constants/Roles.js)
+const USERS = {
+  student: { uid: "student", email: "student@simplesubs.app", email_verified: true },
+  staff: { uid: "staff", email: "staff@simplesubs.app", email_verified: true },
+  kitchen: { uid: "kitchen", email: "kitchen@simplesubs.app", email_verified: true },
+  admin: { uid: "admin", email: "admin@simplesubs.app", email_verified: true }
+};
+
+const adminDb = initializeAdminApp({ projectId: PROJECT_ID }).firestore();
+
+/**
+ * Gets Firestore as seen by a user (or by someone who is signed out).
+ * @param {Object|null} auth User's auth token (null if signed out).
+ * @return {Firestore} Firestore object for user.
+ */
+const dbAs = (auth) => initializeTestApp({ projectId: PROJECT_ID, auth }).firestore();
+
+const domainDoc = (db) => db.collection("domains").doc(DOMAIN);
+const userDataDoc = (db, uid) => domainDoc(db).collection("userData").doc(uid);
+
+beforeAll(() => loadFirestoreRules({
+  projectId: PROJECT_ID,
+  rules: fs.readFileSync(path.join(__dirname, "..", "firestore.rules"), "utf8")
+}));
+
+beforeEach(async () => {
+  await domainDoc(adminDb).set({ name: "Demo", code: "DEMO", admins: [] });
+  await Promise.all(Object.keys(USERS).map(async (role) => {
+    await adminDb.collection("userDomains").doc(role).set({ domain: DOMAIN });
+    await userDataDoc(adminDb, role).set({ name: role, role });
+  }));
+  await domainDoc(adminDb).collection("orders").doc("studentOrder").set({ uid: "student", date: "2021-01-04", price: 500 });
+  await userDataDoc(adminDb, "student").collection("ledger").doc("entry").set({ amount: -500, type: "ORDER" });
+});
+
+afterEach(() => clearFirestoreData({ projectId: PROJECT_ID }));
+
+afterAll(() => Promise.all(apps().map((app) => app.delete())));
+
+describe("roles", () => {
+  it("lets staff, kitchen staff, and admins read every order and profile (kitchen report)", async () => {
+    for (const role of ["staff", "kitchen", "admin"]) {
+      const db = dbAs(USERS[role]);
+      await assertSucceeds(domainDoc(db).collection("orders").doc("studentOrder").get());
+      await assertSucceeds(userDataDoc(db, "student").get());
+    }
+  });
+
+  it("doesn't let students read other users' orders or profiles", async () => {
+    const db = dbAs(USERS.student);
+    await adminDb.doc(`domains/${DOMAIN}/orders/staffOrder`).set({ uid: "staff", date: "2021-01-04", price: 500 });
+    await assertFails(domainDoc(db).collection("orders").doc("staffOrder").get());
+    await assertFails(userDataDoc(db, "staff").get());
+  });
+
+  it("only lets kitchen staff and admins read other users' ledgers (payments)", async () => {
+    await assertFails(userDataDoc(dbAs(USERS.staff), "student").collection("ledger").doc("entry").get());
+    await assertSucceeds(userDataDoc(dbAs(USERS.kitchen), "student").collection("ledger").doc("entry").get());
+    await assertSucceeds(userDataDoc(dbAs(USERS.admin), "student").collection("ledger").doc("entry").get());
+  });
+
+  it("only lets admins change the menu", async () => {
+    for (const role of ["student", "staff", "kitchen"]) {
+      await assertFails(domainDoc(dbAs(USERS[role])).collection("appData").doc("orderOptions").set({}));
+    }
+    await assertSucceeds(domainDoc(dbAs(USERS.admin)).collection("appData").doc("orderOptions").set({}));
+  });
+
+  it("only lets admins change other users' roles", async () => {
+    for (const role of ["student", "staff", "kitchen"]) {
+      await assertFails(userDataDoc(dbAs(USERS[role]), "student").update({ role: "admin" }));
+    }
+    await assertSucceeds(userDataDoc(dbAs(USERS.admin), "student").update({ role: "staff" }));
+    await assertFails(userDataDoc(dbAs(USERS.admin), "student").update({ role: "owner" }));
+  });
+
+  it("doesn't let users change their own role", async () => {
+    await assertFails(userDataDoc(dbAs(USERS.student), "student").update({ role: "admin" }));
+    await assertSucceeds(userDataDoc(dbAs(USERS.student), "student").update({ name: "Student" }));
+  });
+
+  it("treats the domain's owners as admins", async () => {
+    await domainDoc(adminDb).update({ admins: ["student"] });
+    await assertSucceeds(domainDoc(dbAs(USERS.student)).collection("appData").doc("orderOptions").set({}));
+  });
+});
+
+describe("users' data", () => {
+  it("doesn't let users read or write other users' data", async () => {
+    const db = dbAs(USERS.student);
+    await adminDb.doc(`domains/${DOMAIN}/userData/staff/myPresets/preset`).set({ name: "Preset" });
+    await assertFails(userDataDoc(db, "staff").collection("myPresets").doc("preset").get());
+    await assertFails(userDataDoc(db, "staff").collection("myPresets").doc("preset").set({ name: "Mine" }));
+    await assertFails(userDataDoc(db, "staff").collection("ledger").get());
+    await assertFails(userDataDoc(db, "staff").update({ name: "Staff" }));
+    await assertSucceeds(userDataDoc(db, "student").collection("myPresets").doc("preset").set({ name: "Preset" }));
+  });
+
+  it("doesn't let users leave their domain or move to another", async () => {
+    await domainDoc(adminDb).parent.doc("other").set({ name: "Other", code: "OTHER", admins: [] });
+    const userDomain = dbAs(USERS.student).collection("userDomains").doc("student");
+    await assertSucceeds(userDomain.get());
+    await assertFails(userDomain.delete());
+    await assertFails(userDomain.update({ domain: "other" }));
+    await assertFails(userDomain.set({ domain: "other" }));
+  });
+
+  it("doesn't let signed out users read users' data", async () => {
+    const db = dbAs(null);
+    await assertFails(domainDoc(db).collection("orders").doc("studentOrder").get());
+    await assertFails(userDataDoc(db, "student").get());
+  });
+});
+
+describe("orders", () => {
+  it("lets users read their own orders", async () => {
+    await assertSucceeds(domainDoc(dbAs(USERS.student)).collection("orders").doc("studentOrder").get());
+  });
+
+  it("doesn't let users write orders (so that they can't set their own prices)", async () => {
+    const orders = domainDoc(dbAs(USERS.student)).collection("orders");
+    await assertFails(orders.doc("newOrder").set({ uid: "student", date: "2021-01-05", price: 0 }));
+    await assertFails(orders.doc("studentOrder").update({ price: 0 }));
+    await assertFails(orders.doc("studentOrder").delete());
+  });
+
+  it("doesn't let anyone write inventory counts", async () => {
+    await adminDb.doc(`domains/${DOMAIN}/inventoryCounts/2021-01-04`).set({ bread: { "Dutch crunch": 1 } });
+    for (const role of Object.keys(USERS)) {
+      const counts = domainDoc(dbAs(USERS[role])).collection("inventoryCounts").doc("2021-01-04");
+      await assertSucceeds(counts.get());
+      await assertFails(counts.set({ bread: { "Dutch crunch": 0 } }));
+    }
+  });
+});
+
+describe("ledger", () => {
+  const TOP_UP = { amount: 1000, type: "TOP_UP", description: "Payment", createdAt: "2021-01-04T12:00:00.000Z" };
+  const ledger = (role) => userDataDoc(dbAs(USERS[role]), "student").collection("ledger");
+
+  it("lets kitchen staff and admins record payments", async () => {
+    await assertSucceeds(ledger("kitchen").add({ ...TOP_UP, recordedBy: "kitchen" }));
+    await assertSucceeds(ledger("admin").add({ ...TOP_UP, recordedBy: "admin" }));
+  });
+
+  it("doesn't let students or staff add to any ledger (including their own)", async () => {
+    await assertFails(ledger("student").add({ ...TOP_UP, recordedBy: "student" }));
+    await assertFails(ledger("student").add({ ...TOP_UP, type: "REFUND", recordedBy: "student" }));
+    await assertFails(ledger("staff").add({ ...TOP_UP, recordedBy: "staff" }));
+  });
+
+  it("only lets payments be recorded as top-ups by the user recording them", async () => {
+    await assertFails(ledger("kitchen").add({ ...TOP_UP, type: "REFUND", recordedBy: "kitchen" }));
+    await assertFails(ledger("kitchen").add({ ...TOP_UP, recordedBy: "admin" }));
+    await assertFails(ledger("kitchen").add({ ...TOP_UP, amount: 10.5, recordedBy: "kitchen" }));
+    await assertFails(ledger("kitchen").add({ ...TOP_UP, order: "studentOrder", recordedBy: "kitchen" }));
+  });
+
+  it("doesn't let anyone edit or remove entries", async () => {
+    for (const role of Object.keys(USERS)) {
+      await assertFails(ledger(role).doc("entry").update({ amount: 0 }));
+      await assertFails(ledger(role).doc("entry").delete());
+    }
+  });
+});
+
+describe("standing orders", () => {
+  const STANDING_ORDER = { days: [1], bread: "Dutch crunch", paused: false, createdDates: [] };
+  const standingOrder = (auth) => userDataDoc(dbAs(auth), auth.uid).collection("standingOrders").doc("standingOrder");
+
+  it("only lets users create standing orders if their email address ends with one of the domain's suffixes", async () => {
+    await domainDoc(adminDb).update({ orderEmailSuffixes: ["@lwhs.org", "@staff.lwhs.org"] });
+    await assertFails(standingOrder(USERS.student).set(STANDING_ORDER));
+    await assertSucceeds(standingOrder({ ...USERS.student, email: "Student@Staff.LWHS.org" }).set(STANDING_ORDER));
+  });
+
+  it("only lets users create standing orders if they have verified their email (when required)", async () => {
+    await domainDoc(adminDb).update({ requireVerifiedEmail: true });
+    await assertFails(standingOrder({ ...USERS.student, email_verified: false }).set(STANDING_ORDER));
+    await assertSucceeds(standingOrder(USERS.student).set(STANDING_ORDER));
+  });
+
+  it("lets users pause (but not resume) standing orders when they may not order", async () => {
+    await userDataDoc(adminDb, "student").collection("standingOrders").doc("standingOrder").set(STANDING_ORDER);
+    await domainDoc(adminDb).update({ orderEmailSuffixes: ["@lwhs.org"] });
+    await assertSucceeds(standingOrder(USERS.student).update({ paused: true, createdDates: [] }));
+    await assertFails(standingOrder(USERS.student).update({ paused: false }));
+    await assertSucceeds(standingOrder(USERS.student).delete());
+  });
+});
\ No newline at end of file
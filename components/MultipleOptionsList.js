@@ -20,15 +20,17 @@ import Layout from "../constants/Layout";
  *
  * @param {{ key: string, title: string, page: string }[]} pages Data on options for pages to navigate to.
  * @param {Object} navigation Navigation prop (from React navigation).
+ * @param {React.ReactElement} [ListFooterComponent] Element to render after options.
  *
  * @return {React.ReactElement} List of buttons that navigate to provided screens.
  * @constructor
  */
-const MultipleOptionsList = ({ pages, navigation }) => (
+const MultipleOptionsList = ({ pages, navigation, ListFooterComponent }) => (
   <FlatList
     alwaysBounceVertical={false}
     style={styles.container}
     data={pages}
+    ListFooterComponent={ListFooterComponent}
     renderItem={({ item }) => (
       <TouchableOpacity activeOpacity={0.5} style={styles.navigateTouchable} onPress={() => navigation.navigate(item.page)}>
         <Text style={styles.navigateTouchableText}>{item.title}</Text>
@@ -0,0 +1,95 @@
+/**
+ * @file Creates component that syncs offline order/preset changes once device reconnects.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { useEffect, useRef, useState } from "react";
+import NetInfo from "@react-native-community/netinfo";
+import { connect } from "react-redux";
+import { loadOutbox, syncOutbox } from "../redux/Actions";
+import { getOutbox, storeOutbox } from "../constants/Outbox";
+
+// Delay before retrying a sync that couldn't reach Firestore (doubles with each failed retry, up to MAX_RETRY_DELAY)
+const RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/**
+ * Keeps outbox in sync with device storage and Firebase (renders nothing).
+ *
+ * Loads outbox from device storage on mount and stores it whenever it
+ * changes; pushes queued changes to Firebase whenever device comes back
+ * online, user logs in with changes still queued, or a change is queued
+ * while device is online (i.e. Firestore couldn't be reached). Syncs that
+ * can't reach Firestore are retried with exponential backoff.
+ *
+ * @param {Object[]}           outbox     Queued order and preset changes.
+ * @param {Object}             [schedule] School schedule for user's domain (undefined until app constants have loaded).
+ * @param {string}             [uid]      ID unique to authenticated user (undefined if not logged in).
+ * @param {string}             [domain]   Domain key for user's domain (undefined if not logged in).
+ * @param {function(Object[])} loadOutbox Adds mutations loaded from device storage to outbox.
+ * @param {function}           syncOutbox Pushes queued mutations to Firebase.
+ *
+ * @return {null} Nothing to render.
+ * @constructor
+ */
+const OutboxSync = ({ outbox, schedule, uid, domain, loadOutbox, syncOutbox }) => {
+  const [loaded, setLoaded] = useState(false);
+  const [isConnected, setConnected] = useState(false);
+  // Number of finished syncs (so that changes queued during a sync, or left by a failed one, are pushed afterwards)
+  const [syncCount, setSyncCount] = useState(0);
+  const syncing = useRef(false);
+  const failedSyncs = useRef(0);
+  const retryTimeout = useRef(null);
+
+  useEffect(() => {
+    getOutbox().then((savedOutbox) => {
+      loadOutbox(savedOutbox);
+      setLoaded(true);
+    });
+    const unsubscribe = NetInfo.addEventListener((state) => setConnected(state.isConnected));
+    return () => {
+      unsubscribe();
+      clearTimeout(retryTimeout.current);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (loaded) {
+      storeOutbox(outbox);
+    }
+  }, [outbox]);
+
+  useEffect(() => {
+    const hasQueued = outbox.some((mutation) => mutation.uid === uid && mutation.domain === domain);
+    if (loaded && isConnected && uid && domain && schedule && hasQueued && !syncing.current) {
+      syncing.current = true;
+      clearTimeout(retryTimeout.current);
+      syncOutbox(outbox, uid, domain).then((reachable) => {
+        syncing.current = false;
+        if (reachable) {
+          failedSyncs.current = 0;
+          setSyncCount((count) => count + 1);
+        } else {
+          const delay = Math.min(RETRY_DELAY * 2 ** failedSyncs.current, MAX_RETRY_DELAY);
+          failedSyncs.current++;
+          retryTimeout.current = setTimeout(() => setSyncCount((count) => count + 1), delay);
+        }
+      });
+    }
+  }, [loaded, isConnected, uid, domain, schedule, outbox, syncCount]);
+
+  return null;
+};
+
+const mapStateToProps = ({ outbox, stateConstants, user, domain }) => ({
+  outbox,
+  schedule: stateConstants.schedule,
+  uid: user?.uid,
+  domain: domain?.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  loadOutbox: (outbox) => dispatch(loadOutbox(outbox)),
+  syncOutbox: (outbox, uid, domain) => dispatch(syncOutbox(outbox, uid, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(OutboxSync);
\ No newline at end of file
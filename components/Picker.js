@@ -24,13 +24,14 @@ import Colors from "../constants/Colors";
  * @param {function(string)} changeValue   Sets selected value of picker and closes modal.
  * @param {string}           selectedValue Value that is currently selected in picker.
  * @param {string[]}         options       Array of options to display in picker.
+ * @param {function(string)} getLabel      Gets label to display for an option.
  *
  * @return {React.ReactElement} Picker element to render.
  * @constructor
  */
-const PickerIOS = ({ changeValue, selectedValue, options }) => (
+const PickerIOS = ({ changeValue, selectedValue, options, getLabel }) => (
   <Picker selectedValue={selectedValue} onValueChange={changeValue} itemStyle={styles.itemTextStyle}>
-    {options.map((value) => <Picker.Item key={value} label={value} value={value}/>)}
+    {options.map((value) => <Picker.Item key={value} label={getLabel(value)} value={value}/>)}
   </Picker>
 );
 
@@ -41,14 +42,16 @@ const PickerIOS = ({ changeValue, selectedValue, options }) => (
  * opacity for each option), providing more flexibility than
  * the native Picker element.
  *
- * @param {function(string)} changeValue   Sets selected value of picker and closes modal.
- * @param {string}           selectedValue Value that is currently selected in picker.
- * @param {string[]}         options       Array of options to display in picker.
+ * @param {function(string)} changeValue     Sets selected value of picker and closes modal.
+ * @param {string}           selectedValue   Value that is currently selected in picker.
+ * @param {string[]}         options         Array of options to display in picker.
+ * @param {function(string)} getLabel        Gets label to display for an option.
+ * @param {string[]}         disabledOptions Options that may not be selected.
  *
  * @return {React.ReactElement} Picker element to render.
  * @constructor
  */
-const PickerAndroid = ({ changeValue, selectedValue, options }) => (
+const PickerAndroid = ({ changeValue, selectedValue, options, getLabel, disabledOptions }) => (
   <View style={styles.androidPickerContainer}>
     <FlatList
       alwaysBounceVertical={false}
@@ -59,8 +62,20 @@ const PickerAndroid = ({ changeValue, selectedValue, options }) => (
       keyExtractor={(item) => item}
       ListEmptyComponent={<Text style={styles.noOptionsText}>There are no available options</Text>}
       renderItem={({item}) => (
-        <TouchableOpacity style={styles.androidItemStyle} onPress={() => changeValue(item)}>
-          <Text style={[styles.itemTextStyle, item === selectedValue ? styles.selectedItemTextStyle : {}]}>{item}</Text>
+        <TouchableOpacity
+          style={styles.androidItemStyle}
+          disabled={disabledOptions.includes(item)}
+          onPress={() => changeValue(item)}
+        >
+          <Text
+            style={[
+              styles.itemTextStyle,
+              item === selectedValue ? styles.selectedItemTextStyle : {},
+              disabledOptions.includes(item) ? styles.disabledItemTextStyle : {}
+            ]}
+          >
+            {getLabel(item)}
+          </Text>
         </TouchableOpacity>
       )}
     />
@@ -74,15 +89,17 @@ const PickerAndroid = ({ changeValue, selectedValue, options }) => (
  * modal; returns a native picker element for iOS, custom
  * picker for Android.
  *
- * @param {function()}       closeModal    Closes picker's modal.
- * @param {string}           selectedValue Value that is currently selected in picker.
- * @param {function(string)} onValueChange Function to execute when value is changed/selected in picker.
- * @param {string[]}         options       Array of options to display in picker.
+ * @param {function()}       closeModal           Closes picker's modal.
+ * @param {string}           selectedValue        Value that is currently selected in picker.
+ * @param {function(string)} onValueChange        Function to execute when value is changed/selected in picker.
+ * @param {string[]}         options              Array of options to display in picker.
+ * @param {function(string)} [getLabel]           Gets label to display for an option (defaults to option itself).
+ * @param {string[]}         [disabledOptions=[]] Options that may not be selected (Android only).
  *
  * @return {React.ReactElement} Picker element to render.
  * @constructor
  */
-const PickerCrossPlatform = ({ closeModal, selectedValue, onValueChange, options }) => {
+const PickerCrossPlatform = ({ closeModal, selectedValue, onValueChange, options, getLabel = (option) => option, disabledOptions = [] }) => {
   const changeValue = (newValue) => {
     onValueChange(newValue);
     if (newValue !== selectedValue) { closeModal(); }
@@ -94,6 +111,7 @@ const PickerCrossPlatform = ({ closeModal, selectedValue, onValueChange, options
       selectedValue={selectedValue}
       onValueChange={onValueChange}
       options={options}
+      getLabel={getLabel}
     />
   ) : (
     <PickerAndroid
@@ -102,6 +120,8 @@ const PickerCrossPlatform = ({ closeModal, selectedValue, onValueChange, options
       selectedValue={selectedValue}
       onValueChange={onValueChange}
       options={options}
+      getLabel={getLabel}
+      disabledOptions={disabledOptions}
     />
   );
 }
@@ -146,6 +166,9 @@ const styles = StyleSheet.create({
     fontFamily: "josefin-sans-bold",
     backgroundColor: Colors.accentColor
   },
+  disabledItemTextStyle: {
+    color: Colors.secondaryText
+  },
   noOptionsText: {
     fontFamily: "josefin-sans",
     color: Colors.primaryText,
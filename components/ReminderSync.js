@@ -0,0 +1,51 @@
+/**
+ * @file Creates component that keeps reminders to order before the cutoff up to date.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { useEffect } from "react";
+import { connect } from "react-redux";
+import { selectOrders } from "../constants/Outbox";
+import { ISO_FORMAT } from "../constants/Date";
+import { scheduleReminders, cancelReminders } from "../constants/Reminders";
+import reportToSentry from "../constants/Sentry";
+
+/**
+ * Schedules reminders to order before the cutoff (renders nothing).
+ *
+ * Re-schedules reminders whenever user's orders or domain's cutoff rules
+ * change (so that ordering for a day cancels its reminder); cancels them if
+ * user turns reminders off or logs out.
+ *
+ * @param {boolean}                enabled    Whether user has turned on reminders.
+ * @param {Object<string, Object>} orders     Object containing all of user's orders (including offline changes).
+ * @param {string}                 orderDates ISO dates of user's orders (so reminders are only re-scheduled when they change).
+ * @param {Object}                 cutoffTime Order cutoff rules for user's domain.
+ * @param {Object}                 schedule   School schedule for user's domain.
+ *
+ * @return {null} Nothing to render.
+ * @constructor
+ */
+const ReminderSync = ({ enabled, orders, orderDates, cutoffTime, schedule }) => {
+  useEffect(() => {
+    if (enabled && cutoffTime && schedule) {
+      scheduleReminders(orders, cutoffTime, schedule).catch(reportToSentry);
+    } else {
+      cancelReminders().catch(reportToSentry);
+    }
+  }, [enabled, orderDates, cutoffTime, schedule]);
+
+  return null;
+};
+
+const mapStateToProps = (state) => {
+  const orders = selectOrders(state);
+  return {
+    enabled: !!state.user?.cutoffReminders,
+    orders,
+    orderDates: Object.values(orders).map(({ date }) => date.format(ISO_FORMAT)).sort().join(","),
+    cutoffTime: state.stateConstants.cutoffTime,
+    schedule: state.stateConstants.schedule
+  };
+};
+
+export default connect(mapStateToProps, null)(ReminderSync);
\ No newline at end of file
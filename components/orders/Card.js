@@ -12,8 +12,12 @@ import {
 import Swipeable from "react-native-gesture-handler/Swipeable";
 import { Ionicons } from "@expo/vector-icons";
 import AnimatedTouchable from "../AnimatedTouchable";
+import OperationStatusLine from "./OperationStatusLine";
+import ValidationIssues from "./ValidationIssues";
+import { OperationStatus } from "../../constants/Operations";
 import Layout from "../../constants/Layout";
 import Colors from "../../constants/Colors";
+import { formatPrice } from "../../constants/Pricing";
 
 const AnimatedIonicons = Animated.createAnimatedComponent(Ionicons);
 
@@ -29,15 +33,18 @@ const isString = (val) => typeof val === "string";
  * Combines all ingredients into one string.
  *
  * Combines string and array ingredient values into one comma-separated
- * string with a capital first character.
+ * string with a capital first character. If order options are provided,
+ * only their categories are included (in their order).
  *
  * @param {Object<string, string|string[]>} ingredients Ingredient category mapped to selected value(s).
+ * @param {Object[]}                        [schema]    Order options to display ingredients with (ex: those an order was placed with).
  *
  * @return {string} Comma-separated string containing all ingredients in order.
  */
-export const getIngredientStr = (ingredients) => {
+export const getIngredientStr = (ingredients, schema) => {
   let allIngredients = []
-  for (let category in ingredients) {
+  const categories = schema ? schema.map(({ key }) => key) : Object.keys(ingredients);
+  for (let category of categories) {
     if (ingredients.hasOwnProperty(category)) {
       let ingredient = ingredients[category];
       if (ingredient.length > 0) {
@@ -87,19 +94,28 @@ const SwipeAction = ({ progress, icon, alignRight }) => {
 /**
  * Renders card to display orders.
  *
- * Renders a card displaying the title (for named orders), date, and ingredients of an
- * order. Card may be swiped right to delete or swiped left/clicked to edit.
+ * Renders a card displaying the title (for named orders), date, price (if the order
+ * has one), and ingredients of an order. Card may be swiped right to delete or swiped
+ * left/clicked to edit.
  *
- * @param {string}                          [title]     Title of order (for preset orders only).
- * @param {string}                          date        Date of order (formatted as "dddd, MMMM Do").
- * @param {Function}                        onPress     Function to execute when card is pressed (usually focuses order).
- * @param {Function}                        onDelete    Function to delete order.
- * @param {Object<string, string|string[]>} ingredients All order ingredients.
+ * @param {string}                          [title]         Title of order (for preset orders only).
+ * @param {string}                          date            Date of order (formatted as "dddd, MMMM Do").
+ * @param {string}                          [standingOrder] ID of standing order that created this order (if any).
+ * @param {boolean}                         [pending=false] Whether order was changed offline and has not yet been saved.
+ * @param {number}                          [price]         Price of order in cents (set once order is saved).
+ * @param {Object|null}                     [operation]     Save or deletion in progress or failed (see constants/Operations.js).
+ * @param {function()}                      [onDismiss]     Function to dismiss a failed operation.
+ * @param {Object[]}                        [issues]        Issues with order after order options changed (see constants/OrderValidation.js).
+ * @param {function()}                      [onFix]         Function to apply every available fix to order.
+ * @param {Object[]}                        [schema]        Order options order was placed with (see constants/OrderOptionVersions.js).
+ * @param {Function}                        onPress         Function to execute when card is pressed (usually focuses order).
+ * @param {Function}                        onDelete        Function to delete order.
+ * @param {Object<string, string|string[]>} ingredients     All order ingredients.
  *
  * @return {React.ReactElement} Card displaying sandwich order.
  * @constructor
  */
-const Card = ({ title, date, onPress, onDelete, ...ingredients }) => {
+const Card = ({ title, date, standingOrder, pending = false, price, operation, onDismiss, issues, onFix, schema, onPress, onDelete, ...ingredients }) => {
   const swipeableRef = useRef();
 
   const focusAndClose = () => {
@@ -121,9 +137,18 @@ const Card = ({ title, date, onPress, onDelete, ...ingredients }) => {
     >
       <AnimatedTouchable onPress={onPress}>
         <View style={styles.cardContainer}>
-          <Text style={styles.date}>{date}</Text>
+          <View style={styles.dateContainer}>
+            <Text style={styles.date}>{date}</Text>
+            <View style={styles.dateContainerRight}>
+              {price > 0 && <Text style={styles.price}>{formatPrice(price)}</Text>}
+              {standingOrder && <Ionicons name={"md-repeat"} size={Layout.fonts.title} color={Colors.secondaryText} />}
+            </View>
+          </View>
+          {pending && <Text style={styles.pending}>Pending (will be saved when you reconnect)</Text>}
+          <OperationStatusLine operation={operation} onDismiss={onDismiss} />
+          <ValidationIssues issues={issues} onFix={onFix} disabled={operation?.status === OperationStatus.PENDING} />
           {title && <Text style={styles.title}>{title}</Text>}
-          <Text style={styles.ingredients} numberOfLines={title ? 1 : 2}>{getIngredientStr(ingredients)}</Text>
+          <Text style={styles.ingredients} numberOfLines={title ? 1 : 2}>{getIngredientStr(ingredients, schema)}</Text>
         </View>
       </AnimatedTouchable>
     </Swipeable>
@@ -148,17 +173,38 @@ const styles = StyleSheet.create({
     marginBottom: 5,
     color: Colors.primaryText
   },
+  dateContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 5
+  },
+  dateContainerRight: {
+    flexDirection: "row",
+    alignItems: "center"
+  },
+  price: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText,
+    marginHorizontal: 5
+  },
   date: {
     fontFamily: "josefin-sans-bold",
     fontSize: Layout.fonts.title,
-    color: Colors.primaryText,
-    marginBottom: 5
+    color: Colors.primaryText
   },
   ingredients: {
     fontFamily: "josefin-sans",
     fontSize: Layout.fonts.body,
     color: Colors.primaryText
   },
+  pending: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    marginBottom: 5,
+    color: Colors.secondaryText
+  },
   swipeAction: {
     backgroundColor: "transparent",
     marginVertical: 10,
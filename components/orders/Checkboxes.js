@@ -12,6 +12,7 @@ import {
 import { Checkbox } from "react-native-paper";
 import Colors from "../../constants/Colors";
 import Layout from "../../constants/Layout";
+import { getOptionLabel, isSoldOut } from "../../constants/Inventory";
 
 /**
  * Responds to check action by user.
@@ -64,15 +65,22 @@ const getColumnArr = (items, numColumns) => {
  * Renders a checkbox that instantaneously updates (rather than re-processing state
  * each time) for faster UI reaction.
  *
- * @param {string[]}           selectedItems Array containing all currently selectedItems.
- * @param {string}             item          Title value for this checkbox.
- * @param {function(string[])} setItems      Function to set value of selectedItems.
+ * Sold-out items are disabled unless they are already checked (so that they
+ * may still be unchecked). Items that conflict with the user's dietary
+ * restrictions are labelled with the restrictions they conflict with.
+ *
+ * @param {string[]}                 selectedItems Array containing all currently selectedItems.
+ * @param {string}                   item          Title value for this checkbox.
+ * @param {function(string[])}       setItems      Function to set value of selectedItems.
+ * @param {Object<string, number>}   remaining     Remaining quantity of each capped item.
+ * @param {Object<string, string[]>} conflicts     Dietary restrictions each conflicting item conflicts with.
  *
  * @return {React.ReactElement} Checkbox to render.
  * @constructor
  */
-const CheckBoxWithState = ({ selectedItems, item, setItems }) => {
+const CheckBoxWithState = ({ selectedItems, item, setItems, remaining, conflicts }) => {
   const [checked, setChecked] = useState(selectedItems.includes(item));
+  const disabled = !checked && isSoldOut(item, remaining);
 
   // Toggles checkbox within component and in higher state
   const toggleCheckbox = () => {
@@ -81,14 +89,18 @@ const CheckBoxWithState = ({ selectedItems, item, setItems }) => {
   };
 
   return (
-    <TouchableOpacity style={styles.checkboxContainer} onPress={toggleCheckbox}>
+    <TouchableOpacity style={styles.checkboxContainer} disabled={disabled} onPress={toggleCheckbox}>
       <Checkbox.Android
         status={checked ? "checked" : "unchecked"}
+        disabled={disabled}
         onPress={toggleCheckbox}
         uncheckedColor={Colors.uncheckedCheckbox}
         color={Colors.accentColor}
       />
-      <Text style={styles.checkboxText}>{item}</Text>
+      <Text style={[styles.checkboxText, disabled && styles.disabledText]}>
+        {getOptionLabel(item, remaining)}
+        {conflicts[item] && <Text style={styles.conflictText}>{` ⚠ ${conflicts[item].join(", ")}`}</Text>}
+      </Text>
     </TouchableOpacity>
   );
 };
@@ -106,18 +118,28 @@ const ColumnLayout = ({ numColumns, items, ...props }) => {
  * Renders a list of checkboxes.
  *
  * Returns a two column list of checkboxes; selected items are checked,
- * unselected items are not.
+ * unselected items are not. Capped items display their remaining quantity,
+ * and items that conflict with the user's dietary restrictions are flagged.
  *
- * @param {string[]}           [selectedItems=[]] Array containing all currently selected items.
- * @param {string[]}           [itemsArr=[]]      Array containing all checkbox items.
- * @param {function(string[])} setItems           Function to set value of selectedItems.
+ * @param {string[]}                 [selectedItems=[]] Array containing all currently selected items.
+ * @param {string[]}                 [itemsArr=[]]      Array containing all checkbox items.
+ * @param {function(string[])}       setItems           Function to set value of selectedItems.
+ * @param {Object<string, number>}   [remaining={}]     Remaining quantity of each capped item.
+ * @param {Object<string, string[]>} [conflicts={}]     Dietary restrictions each conflicting item conflicts with.
  *
  * @return {React.ReactElement} List of checkboxes.
  * @constructor
  */
-const Checkboxes = ({ selectedItems, itemsArr = [], setItems }) => (
+const Checkboxes = ({ selectedItems, itemsArr = [], setItems, remaining = {}, conflicts = {} }) => (
   <View style={styles.container}>
-    <ColumnLayout items={itemsArr} numColumns={2} selectedItems={selectedItems} setItems={setItems} />
+    <ColumnLayout
+      items={itemsArr}
+      numColumns={2}
+      selectedItems={selectedItems}
+      setItems={setItems}
+      remaining={remaining}
+      conflicts={conflicts}
+    />
   </View>
 )
 
@@ -144,5 +166,11 @@ const styles = StyleSheet.create({
     fontFamily: "josefin-sans",
     fontSize: Layout.fonts.body,
     color: Colors.checkboxText
+  },
+  disabledText: {
+    color: Colors.secondaryText
+  },
+  conflictText: {
+    color: Colors.errorText
   }
 });
\ No newline at end of file
@@ -16,6 +16,7 @@ import { openModal, closeModal } from "../../redux/Actions";
 import Colors from "../../constants/Colors";
 import Layout from "../../constants/Layout";
 import { InputTypes } from "../../constants/Inputs";
+import { getOptionLabel, isSoldOut } from "../../constants/Inventory";
 
 /**
  * Renders a dropdown containing a picker; for iOS only.
@@ -23,15 +24,17 @@ import { InputTypes } from "../../constants/Inputs";
  * Returns an animated dropdown containing an iOS picker. If there are no
  * available options, it instead returns a "no options" message. The dropdown
  * touchable contains secondary text with the current value of the picker.
+ * Sold-out options are labeled as such and can't be selected.
  *
- * @param {string}   title         Title to be displayed in touchable.
- * @param {string[]} [options=[]]  Array containing all picker options.
- * @param {string}   selectedValue Currently selected value in picker.
- * @param {Function} changeValue   Sets selectedValue.
+ * @param {string}                 title          Title to be displayed in touchable.
+ * @param {string[]}               [options=[]]   Array containing all picker options.
+ * @param {string}                 selectedValue  Currently selected value in picker.
+ * @param {Function}               changeValue    Sets selectedValue.
+ * @param {Object<string, number>} [remaining={}] Remaining quantity of each capped option.
  *
  * @return {React.ReactElement} Touchable and dropdown containing a picker.
  */
-const iOSPickerTouchable = ({ title, options = [], selectedValue, changeValue }) => (
+const iOSPickerTouchable = ({ title, options = [], selectedValue, changeValue, remaining = {} }) => (
   <AnimatedDropdown
     title={title}
     type={InputTypes.PICKER}
@@ -43,9 +46,9 @@ const iOSPickerTouchable = ({ title, options = [], selectedValue, changeValue })
       <Picker
         itemStyle={styles.pickerItem}
         selectedValue={selectedValue}
-        onValueChange={(itemValue) => changeValue(itemValue)}
+        onValueChange={(itemValue) => !isSoldOut(itemValue, remaining) && changeValue(itemValue)}
       >
-        {options.map((item) => <Picker.Item label={item} value={item} key={item}/>)}
+        {options.map((item) => <Picker.Item label={getOptionLabel(item, remaining)} value={item} key={item}/>)}
       </Picker>
     ) : <Text style={styles.noOptionsText}>There are no available options</Text>}
   </AnimatedDropdown>
@@ -56,25 +59,29 @@ const iOSPickerTouchable = ({ title, options = [], selectedValue, changeValue })
  *
  * Returns a touchable opacity that opens a center spring modal containing
  * a custom picker (FlatList with selectable options). The dropdown touchable
- * contains secondary text with the current value of the picker.
+ * contains secondary text with the current value of the picker. Sold-out
+ * options are labeled as such and disabled.
  *
- * @param {Function} openModal     Function to open the modal.
- * @param {Function} closeModal    Function to close the modal.
- * @param {string}   title         Title to be displayed in touchable.
- * @param {string[]} [options=[]]  Array containing all picker options.
- * @param {string}   selectedValue Currently selected value in picker.
- * @param {Function} changeValue   Sets selectedValue.
+ * @param {Function}               openModal      Function to open the modal.
+ * @param {Function}               closeModal     Function to close the modal.
+ * @param {string}                 title          Title to be displayed in touchable.
+ * @param {string[]}               [options=[]]   Array containing all picker options.
+ * @param {string}                 selectedValue  Currently selected value in picker.
+ * @param {Function}               changeValue    Sets selectedValue.
+ * @param {Object<string, number>} [remaining={}] Remaining quantity of each capped option.
  *
  * @return {React.ReactElement} Touchable that opens a picker modal.
  * @constructor
  */
-const AndroidPickerTouchable = ({ openModal, closeModal, title, options = [], selectedValue, changeValue }) => {
+const AndroidPickerTouchable = ({ openModal, closeModal, title, options = [], selectedValue, changeValue, remaining = {} }) => {
   const myPicker = (
     <AndroidPicker
       closeModal={closeModal}
       selectedValue={selectedValue}
       onValueChange={changeValue}
       options={options}
+      getLabel={(option) => getOptionLabel(option, remaining)}
+      disabledOptions={options.filter((option) => isSoldOut(option, remaining))}
     />
   );
   return (
@@ -0,0 +1,73 @@
+/**
+ * @file Creates line displaying the status of a save to an order or preset.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator
+} from "react-native";
+import { OperationStatus, isDeletion } from "../../constants/Operations";
+import Layout from "../../constants/Layout";
+import Colors from "../../constants/Colors";
+
+/**
+ * Renders a spinner while an operation is pending, or its error once it has failed.
+ *
+ * Renders nothing for other operations. Failed operations may be
+ * pressed to dismiss their error.
+ *
+ * @param {Object|null} operation Operation to display (see constants/Operations.js).
+ * @param {string}      [noun]    What is being saved (ex: "new order"), to include in messages.
+ * @param {function()}  onDismiss Function to dismiss a failed operation.
+ * @param {Object}      [style]   Style for container.
+ *
+ * @return {React.ReactElement|null} Line displaying operation status.
+ * @constructor
+ */
+const OperationStatusLine = ({ operation, noun, onDismiss, style }) => {
+  if (operation?.status === OperationStatus.PENDING) {
+    const verb = isDeletion(operation) ? "Deleting" : "Saving";
+    return (
+      <View style={[styles.container, style]}>
+        <ActivityIndicator size={"small"} color={Colors.loadingIndicator} />
+        <Text style={styles.pending}>{noun ? `${verb} ${noun}...` : `${verb}...`}</Text>
+      </View>
+    );
+  } else if (operation?.status === OperationStatus.FAILED) {
+    const { title, message } = operation.error;
+    return (
+      <TouchableOpacity style={[styles.container, style]} onPress={onDismiss}>
+        <Text style={styles.error}>
+          {`${noun ? `Couldn't save ${noun}. ` : ""}${title}: ${message} (tap to dismiss)`}
+        </Text>
+      </TouchableOpacity>
+    );
+  }
+  return null;
+};
+
+export default OperationStatusLine;
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 5
+  },
+  pending: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText,
+    marginLeft: 10
+  },
+  error: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.errorText,
+    flexShrink: 1
+  }
+});
\ No newline at end of file
@@ -11,7 +11,11 @@ import { connect } from "react-redux";
 import Colors from "../../constants/Colors";
 import Layout from "../../constants/Layout";
 import { InputTypes } from "../../constants/Inputs";
-import { DynamicOrderOptions, getDateOptions } from "../../constants/DataActions";
+import { DynamicOrderOptions, getDateOptions, getSchoolWeekdays } from "../../constants/DataActions";
+import { getOrderableDates } from "../../constants/OrderDates";
+import { selectOrders, selectOrderPresets } from "../../constants/Outbox";
+import { getPresetChoices } from "../../constants/Specials";
+import { ISO_FORMAT, toReadable } from "../../constants/Date";
 
 /**
  * Computes options if they are dynamic.
@@ -22,17 +26,24 @@ import { DynamicOrderOptions, getDateOptions } from "../../constants/DataActions
  * @param {string|string[]}        options      Either a key representing dynamic order options or an array of options.
  * @param {Object<string, Object>} orders       All of the user's orders.
  * @param {Object|null}            focusedOrder Object representing currently focused order (null if no object is focused).
- * @param {moment.Moment}          cutoffTime   Time after which orders may not be placed for that day.
+ * @param {Object}                 cutoffTime   Order cutoff rules for user's domain.
+ * @param {Object}                 schedule     School schedule for user's domain.
  * @param {Object}                 orderPresets Object containing all of the user's preset orders.
+ * @param {Object<string, Object>} specials     Object containing the domain's menu specials.
+ * @param {string|null}            isoDate      Date selected for order in ISO format (null if order has no date).
  *
  * @return {string[]} Options to render in picker/checkboxes.
  */
-const getDynamicOptions = (options, orders, focusedOrder, cutoffTime, orderPresets) => {
+const getDynamicOptions = (options, orders, focusedOrder, cutoffTime, schedule, orderPresets, specials, isoDate) => {
   switch (options) {
     case DynamicOrderOptions.DATE_OPTIONS:
-      return getDateOptions(orders, focusedOrder, cutoffTime);
+      return getDateOptions(orders, focusedOrder, cutoffTime, schedule);
     case DynamicOrderOptions.PRESET_OPTIONS:
-      return Object.keys(orderPresets).map((id) => orderPresets[id].title);
+      return Object.keys(getPresetChoices(orderPresets, specials, isoDate));
+    case DynamicOrderOptions.WEEKDAY_OPTIONS:
+      return getSchoolWeekdays(schedule);
+    case DynamicOrderOptions.SPECIAL_DATE_OPTIONS:
+      return getOrderableDates(cutoffTime, schedule).map((date) => toReadable(date.format(ISO_FORMAT)));
     default:
       return options;
   }
@@ -43,23 +54,28 @@ const getDynamicOptions = (options, orders, focusedOrder, cutoffTime, orderPrese
  *
  * Returns an animated touchable with a corresponding form of input (usually a dropdown).
  *
- * @param {string}                 title             Title to be displayed in touchable.
- * @param {string}                 type              Input type (e.g. "PICKER").
- * @param {string|string[]}        options           Either a key representing dynamic order options or an array of options.
- * @param {string|string[]}        value             Current value of input; either a string (for pickers and text inputs) or an array of strings (for checkboxes).
- * @param {string}                 [placeholder]     Placeholder value for text input.
- * @param {Function}               setValue          Sets currently selected value(s).
- * @param {Object|null}            focusedOrder      Currently focused order (null if no object is focused).
- * @param {Object<string, Object>} orders            All of the user's orders.
- * @param {Object}                 orderPresets      Object containing all of the user's preset orders.
- * @param {moment.Moment}          cutoffTime        Time after which orders may not be placed for that day.
- * @param {boolean}                [multiline=false] Whether input is multiline (for text input).
+ * @param {string}                   title             Title to be displayed in touchable.
+ * @param {string}                   type              Input type (e.g. "PICKER").
+ * @param {string|string[]}          options           Either a key representing dynamic order options or an array of options.
+ * @param {string|string[]}          value             Current value of input; either a string (for pickers and text inputs) or an array of strings (for checkboxes).
+ * @param {string}                   [placeholder]     Placeholder value for text input.
+ * @param {Function}                 setValue          Sets currently selected value(s).
+ * @param {Object|null}              focusedOrder      Currently focused order (null if no object is focused).
+ * @param {Object<string, Object>}   orders            All of the user's orders.
+ * @param {Object}                   orderPresets      Object containing all of the user's preset orders.
+ * @param {Object<string, Object>}   specials          Object containing the domain's menu specials.
+ * @param {string|null}              isoDate           Date selected for order in ISO format (null if order has no date).
+ * @param {Object}                   cutoffTime        Order cutoff rules for user's domain.
+ * @param {Object}                   schedule          School schedule for user's domain.
+ * @param {boolean}                  [multiline=false] Whether input is multiline (for text input).
+ * @param {Object<string, number>}   [remaining]       Remaining quantity of each capped option (if order has a date).
+ * @param {Object<string, string[]>} [conflicts]       Dietary restrictions each conflicting option conflicts with.
  *
  * @return {React.ReactElement|null} Order field (animated touchable with form of input).
  * @constructor
  */
-const OrderField = ({ title, type, options, value, placeholder, setValue, focusedOrder, orders, orderPresets, cutoffTime, multiline = false }) => {
-  const myOptions = getDynamicOptions(options, orders, focusedOrder, cutoffTime, orderPresets);
+const OrderField = ({ title, type, options, value, placeholder, setValue, focusedOrder, orders, orderPresets, specials, isoDate, cutoffTime, schedule, multiline = false, remaining, conflicts }) => {
+  const myOptions = getDynamicOptions(options, orders, focusedOrder, cutoffTime, schedule, orderPresets, specials, isoDate);
   switch (type) {
     case InputTypes.PICKER:
       return (
@@ -68,12 +84,19 @@ const OrderField = ({ title, type, options, value, placeholder, setValue, focuse
           options={myOptions}
           selectedValue={value}
           changeValue={setValue}
+          remaining={remaining}
         />
       );
     case InputTypes.CHECKBOX:
       return (
         <AnimatedDropdown title={title} type={type} selectedValue={value} options={myOptions}>
-          <Checkboxes selectedItems={value} itemsArr={myOptions} setItems={setValue} />
+          <Checkboxes
+            selectedItems={value}
+            itemsArr={myOptions}
+            setItems={setValue}
+            remaining={remaining}
+            conflicts={conflicts}
+          />
         </AnimatedDropdown>
       );
     case InputTypes.TEXT_INPUT:
@@ -94,10 +117,12 @@ const OrderField = ({ title, type, options, value, placeholder, setValue, focuse
   }
 };
 
-const mapStateToProps = ({ orders, orderPresets, stateConstants }) => ({
-  orders,
-  orderPresets,
-  cutoffTime: stateConstants.cutoffTime
+const mapStateToProps = (state) => ({
+  orders: selectOrders(state),
+  orderPresets: selectOrderPresets(state),
+  specials: state.stateConstants.specials,
+  cutoffTime: state.stateConstants.cutoffTime,
+  schedule: state.stateConstants.schedule
 });
 
 export default connect(mapStateToProps, null)(OrderField);
@@ -2,7 +2,7 @@
  * @file Creates full page for order/preset screens.
  * @author Emily Sturman <emily@sturman.org>
  */
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import {
   View,
   StyleSheet,
@@ -14,32 +14,39 @@ import { useSafeAreaInsets } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
 import AnimatedTouchable from "../AnimatedTouchable";
 import OrderField from "./OrderField";
-import moment from "moment";
 import Colors from "../../constants/Colors";
 import Layout from "../../constants/Layout";
-import { READABLE_FORMAT } from "../../constants/Date";
+import { fromISO, toISO } from "../../constants/Date";
+import { selectOrderPresets } from "../../constants/Outbox";
 import { InputTypes } from "../../constants/Inputs";
+import { getRemaining } from "../../constants/Inventory";
+import { getPresetChoices } from "../../constants/Specials";
+import { formatPrice, getOrderPrice, hasPrices } from "../../constants/Pricing";
+import { getConflictsByOption, getOrderConflicts, formatConflicts } from "../../constants/Dietary";
+import { watchInventoryCounts } from "../../redux/Actions";
+import { isPastCutoff } from "../../constants/OrderDates";
 import { connect } from "react-redux";
-import alert from "../../constants/Alert";
+import alert, { confirmAlert } from "../../constants/Alert";
 
 /**
  * Gets default state.
  *
- * Returns focused order if an order is focused, otherwise returns default values
- * for all order options.
+ * Returns focused order if an order is focused, otherwise returns prefilled
+ * values (if any) or default values for all order options. Categories the
+ * focused order has no value for (such as categories added since it was
+ * placed) are filled in with their default values.
  *
- * @param {Object|null} focusedOrder Order currently being edited (null if it is a new order).
- * @param {Object[]}    orderOptions Array of order options.
+ * @param {Object|null} focusedOrder    Order currently being edited (null if it is a new order).
+ * @param {Object[]}    orderOptions    Array of order options.
+ * @param {Object|null} [prefilledData] Values to fill in for a new order (ex: from a past order).
  *
  * @return {Object} Initial, pre-edited order state.
  */
-const getDefault = (focusedOrder, orderOptions) => {
-  if (focusedOrder) {
-    return focusedOrder;
-  }
-  let newState = {};
+const getDefault = (focusedOrder, orderOptions, prefilledData = null) => {
+  let newState = { ...focusedOrder };
+  const fillData = focusedOrder || prefilledData;
   for (let option of orderOptions) {
-    newState[option.key] = option.defaultValue;
+    newState[option.key] = fillData?.[option.key] ?? option.defaultValue;
   }
   return newState;
 };
@@ -86,21 +93,19 @@ const validateState = (state, orderOptions) => {
 };
 
 /**
- * Checks if order is placed today after cutoff time.
+ * Checks if order is placed after its date's cutoff.
  *
  * Important for the specific edge case where a user starts an order before
- * the cutoff time, places the order for today, and finishes the order after
- * the cutoff time.
+ * the cutoff, selects a date, and finishes the order after the cutoff.
  *
  * @param {string}        readableDate String version of order date in readable format ("dddd, MMMM Do")
- * @param {moment.Moment} cutoffTime   Time after which orders may not be placed for that day.
+ * @param {Object}        cutoffTime   Order cutoff rules for user's domain.
  *
  * @return {boolean} Whether order is placed after cutoff time (true if invalid).
  */
 const isAfterCutoff = (readableDate, cutoffTime) => {
-  const date = moment(readableDate, READABLE_FORMAT);
-  const now = moment();
-  if (now.isAfter(cutoffTime) && date.isSameOrBefore(now)) {
+  const isoDate = toISO(readableDate, cutoffTime.timezone);
+  if (!isoDate || isPastCutoff(fromISO(isoDate, cutoffTime.timezone), cutoffTime)) {
     alert(
       "Invalid date",
       "The date you have selected is no longer valid. This could mean that the order cutoff has passed " +
@@ -157,6 +162,29 @@ const resetPickerVals = (state, orderOptions) => {
   return newState;
 }
 
+/**
+ * Fills state with the fields of its selected preset (if any).
+ *
+ * Fields other than preset (such as date) are kept.
+ *
+ * @param {Object}                 state         Current state of order.
+ * @param {Object<string, Object>} presetChoices Presets that may be picked, by name (see getPresetChoices).
+ *
+ * @return {Object} State with preset fields.
+ */
+const fillPreset = (state, presetChoices) => {
+  const { preset, ...otherFields } = state;
+  return { ...presetChoices[preset], ...otherFields };
+};
+
+/**
+ * Gets order date in ISO format.
+ * @param {string|undefined} readableDate Order date in readable format (undefined if data has no date).
+ * @param {string|null}      [timezone]   IANA timezone name of user's domain (see toISO).
+ * @return {string|null} Order date in ISO format (null if data has no valid date).
+ */
+const getISODate = (readableDate, timezone) => readableDate ? toISO(readableDate, timezone) : null;
+
 /**
  * Renders cancel/done buttons in top right of screen.
  *
@@ -204,27 +232,66 @@ const DeleteButton = ({ onPress, message }) => (
 /**
  * Renders a screen that displays order-type fields.
  *
- * Can be used either for orders or user presets.
+ * Can be used either for orders or user presets. If data has a date and the
+ * domain has inventory caps, fields display how many of each capped option
+ * remain for that date. If showTotal is set and the domain charges for
+ * orders, the order's total is displayed below the header. If checkDietary
+ * is set, options that conflict with the user's dietary restrictions are
+ * flagged, and the user must confirm before saving conflicting data (orders
+ * are blocked outright if the domain doesn't allow them).
  *
- * @param {string}              title          String to display in header.
- * @param {Object|null}         focusedData    Data that user is editing (null if order/preset is being created).
- * @param {Object[]}            orderOptions   Order/preset fields.
- * @param {function}            cancel         Function to cancel order.
- * @param {function}            createNew      Function to create order/preset.
- * @param {function}            editExisting   Function to push edits to order/preset.
- * @param {function}            deleteExisting Function to delete order/preset.
- * @param {string}              uid            Unique user ID (from Firebase Auth).
- * @param {moment.Moment}       cutoffTime     Time after which orders may not be placed for that day.
- * @param {string}              domain         Domain key for user's domain.
- * @param {string}              deleteMessage  Message to be displayed on delete button.
- * @param {Object<key, Object>} orderPresets   All of the user's order presets.
+ * @param {string}              title                String to display in header.
+ * @param {Object|null}         focusedData          Data that user is editing (null if order/preset is being created).
+ * @param {Object|null}         [prefilledData]      Values to fill in if order/preset is being created.
+ * @param {Object[]}            orderOptions         Order/preset fields.
+ * @param {function}            cancel               Function to cancel order.
+ * @param {function}            createNew            Function to create order/preset.
+ * @param {function}            editExisting         Function to push edits to order/preset.
+ * @param {function}            deleteExisting       Function to delete order/preset.
+ * @param {string}              uid                  Unique user ID (from Firebase Auth).
+ * @param {Object}              cutoffTime           Order cutoff rules for user's domain.
+ * @param {string}              domain               Domain key for user's domain.
+ * @param {string}              deleteMessage        Message to be displayed on delete button.
+ * @param {Object<key, Object>} orderPresets         All of the user's order presets.
+ * @param {Object<key, Object>} specials             Domain's menu specials (may be picked as presets).
+ * @param {Object<key, Object>} [titledData]         Data whose titles a new title must not match (defaults to orderPresets).
+ * @param {Object}              inventory            Daily cap for each option.
+ * @param {Object}              inventoryCounts      Number of each option ordered, by date.
+ * @param {function}            watchInventoryCounts Creates listener for inventory counts for a date.
+ * @param {boolean}             [showTotal=false]    Whether to display the order's total price.
+ * @param {boolean}             [checkDietary=false] Whether to check selections against the user's dietary restrictions.
+ * @param {boolean}             [isOrder=false]      Whether data is an order (may be blocked for dietary conflicts).
+ * @param {Object[]}            pricedOptions        Domain's order options (with prices and dietary tags).
+ * @param {number}              basePrice            Price of every order before options (in cents).
+ * @param {string[]}            restrictions         User's dietary restrictions.
+ * @param {boolean}             blockConflicts       Whether the domain blocks orders that conflict with dietary restrictions.
  *
  * @return {React.ReactElement} Screen element displaying order or preset fields.
  * @constructor
  */
-const OrderInputsList = ({ title, focusedData, orderOptions, cancel, createNew, editExisting, deleteExisting, uid, cutoffTime, domain, deleteMessage, orderPresets }) => {
-  const [state, setFullState] = useState(getDefault(focusedData, orderOptions));
+const OrderInputsList = ({ title, focusedData, prefilledData, orderOptions, cancel, createNew, editExisting, deleteExisting, uid, cutoffTime, domain, deleteMessage, orderPresets, specials, titledData, inventory, inventoryCounts, watchInventoryCounts, showTotal = false, checkDietary = false, isOrder = false, pricedOptions, basePrice, restrictions, blockConflicts }) => {
+  const [state, setFullState] = useState(getDefault(focusedData, orderOptions, prefilledData));
   const inset = useSafeAreaInsets();
+  const isoDate = getISODate(state.date, cutoffTime.timezone);
+  const hasCaps = Object.keys(inventory).length > 0;
+  const presetChoices = getPresetChoices(orderPresets, specials, isoDate);
+
+  // Watches inventory counts for selected date
+  useEffect(() => {
+    if (isoDate && hasCaps) {
+      return watchInventoryCounts(isoDate, domain);
+    }
+  }, [isoDate, hasCaps]);
+
+  // The order being edited doesn't count against itself if its date hasn't changed
+  const ownOrder = focusedData && getISODate(focusedData.date, cutoffTime.timezone) === isoDate ? focusedData : null;
+  const remaining = isoDate && hasCaps ? getRemaining(inventory, inventoryCounts[isoDate], ownOrder) : {};
+  const filledState = state.preset ? fillPreset(state, presetChoices) : state;
+  const total = showTotal && hasPrices(pricedOptions, basePrice)
+    ? getOrderPrice(filledState, pricedOptions, basePrice)
+    : null;
+  const conflictsByOption = checkDietary ? getConflictsByOption(pricedOptions, restrictions) : {};
+  const conflicts = checkDietary ? getOrderConflicts(filledState, pricedOptions, restrictions) : [];
 
   const submit = () => {
     // Ensure all required fields are filled out
@@ -236,30 +303,57 @@ const OrderInputsList = ({ title, focusedData, orderOptions, cancel, createNew,
       );
       return;
     }
+    // Ensure selected preset may still be ordered (specials may be limited to certain dates)
+    if (state.preset && !presetChoices[state.preset]) {
+      alert(
+        "Preset unavailable",
+        "The selected preset can't be ordered on the selected date. Please choose another preset or date."
+      );
+      return;
+    }
     // Ensure date isn't set before cutoff
     if (state.date && isAfterCutoff(state.date, cutoffTime)) {
       cancel();
       return;
     }
     // Ensure title of preset isn't already taken
-    if (state.title && !isUniqueTitle(state.title, focusedData?.title, orderPresets)) {
+    if (state.title && !isUniqueTitle(state.title, focusedData?.title, titledData || orderPresets)) {
       return;
     }
-    let newState;
-    if (state.preset) {
-      // Fills state with preset fields
-      let presetKey = Object.keys(orderPresets).filter((id) => orderPresets[id].title === state.preset);
-      newState = { ...orderPresets[presetKey], date: state.date };
-    } else {
-      newState = resetPickerVals(state, orderOptions);
-    }
-    // Pushes to existing doc if editing, otherwise creates new doc
-    if (focusedData) {
-      editExisting(newState, focusedData.key, uid, domain);
-    } else {
-      createNew(newState, uid, domain);
+    const save = () => {
+      let newState;
+      if (state.preset) {
+        newState = fillPreset(state, presetChoices);
+      } else {
+        newState = resetPickerVals(state, orderOptions);
+      }
+      // Pushes to existing doc if editing, otherwise creates new doc
+      if (focusedData) {
+        editExisting(newState, focusedData.key, uid, domain);
+      } else {
+        createNew(newState, uid, domain);
+      }
+      cancel();
+    };
+    // Ensure user knows selections conflict with their dietary restrictions (or block order if domain requires)
+    if (conflicts.length > 0) {
+      if (isOrder && blockConflicts) {
+        alert(
+          "Dietary restriction conflict",
+          "Your organization doesn't allow orders that conflict with your dietary restrictions: " +
+          `${formatConflicts(conflicts)}. Please choose something else.`
+        );
+      } else {
+        confirmAlert(
+          "Dietary restriction warning",
+          `The following selections conflict with your dietary restrictions: ${formatConflicts(conflicts)}.`,
+          "Save anyway",
+          save
+        );
+      }
+      return;
     }
-    cancel();
+    save();
   };
 
   const deleteAndNavigate = () => {
@@ -279,6 +373,18 @@ const OrderInputsList = ({ title, focusedData, orderOptions, cancel, createNew,
         <Text style={styles.headerText}>{title}</Text>
         <CancelDoneButtons cancelOnPress={cancel} doneOnPress={submit} />
       </View>
+      {total !== null && (
+        <View style={styles.totalContainer}>
+          <Text style={styles.totalText}>Total: {formatPrice(total)}</Text>
+        </View>
+      )}
+      {conflicts.length > 0 && (
+        <View style={styles.conflictContainer}>
+          <Text style={styles.conflictText}>
+            Conflicts with your dietary restrictions: {formatConflicts(conflicts)}
+          </Text>
+        </View>
+      )}
       <KeyboardAwareFlatList
         keyboardOpeningTime={0}
         extraScrollHeight={50}
@@ -291,7 +397,10 @@ const OrderInputsList = ({ title, focusedData, orderOptions, cancel, createNew,
           <OrderField
             {...item}
             focusedOrder={focusedData}
+            isoDate={isoDate}
             value={state[item.key]}
+            remaining={remaining[item.key]}
+            conflicts={conflictsByOption[item.key]}
             setValue={(value) => setState({ [item.key]: value })}
           />
         )}
@@ -300,14 +409,25 @@ const OrderInputsList = ({ title, focusedData, orderOptions, cancel, createNew,
   )
 };
 
-const mapStateToProps = ({ stateConstants, orderPresets, user, domain }) => ({
-  cutoffTime: stateConstants.cutoffTime,
-  orderPresets,
-  uid: user.uid,
-  domain: domain.id
+const mapStateToProps = (state) => ({
+  cutoffTime: state.stateConstants.cutoffTime,
+  orderPresets: selectOrderPresets(state),
+  specials: state.stateConstants.specials,
+  inventory: state.stateConstants.inventory || {},
+  inventoryCounts: state.inventoryCounts,
+  pricedOptions: state.stateConstants.orderOptions,
+  basePrice: state.stateConstants.basePrice || 0,
+  restrictions: state.user.dietaryRestrictions || [],
+  blockConflicts: !!state.stateConstants.blockDietaryConflicts,
+  uid: state.user.uid,
+  domain: state.domain.id
 });
 
-export default connect(mapStateToProps, null)(OrderInputsList);
+const mapDispatchToProps = (dispatch) => ({
+  watchInventoryCounts: (isoDate, domain) => dispatch(watchInventoryCounts(isoDate, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(OrderInputsList);
 
 const styles = StyleSheet.create({
   container: {
@@ -361,6 +481,31 @@ const styles = StyleSheet.create({
     textAlign: "center",
     color: Colors.textOnBackground
   },
+  totalContainer: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: Colors.scrollViewBackground,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  totalText: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    textAlign: "right",
+    color: Colors.primaryText
+  },
+  conflictContainer: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: Colors.scrollViewBackground,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  conflictText: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.errorText
+  },
   cancelDoneButtonsContainer: {
     flexDirection: "row"
   },
@@ -9,6 +9,9 @@ import {
 import Swipeable from "react-native-gesture-handler/Swipeable";
 import { Ionicons } from "@expo/vector-icons";
 import { getIngredientStr } from "./Card";
+import OperationStatusLine from "./OperationStatusLine";
+import ValidationIssues from "./ValidationIssues";
+import { OperationStatus } from "../../constants/Operations";
 import Layout from "../../constants/Layout";
 import Colors from "../../constants/Colors";
 
@@ -88,15 +91,20 @@ const SwipeActionLeft = (progress, dragX) => {
  * Renders a card displaying the title and ingredients of a preset.
  * Card may be swiped right to delete or swiped left/clicked to edit.
  *
- * @param {string}                          title       Title of the preset.
- * @param {Function}                        onPress     Function to execute when card is pressed (usually focuses preset).
- * @param {Function}                        onDelete    Function to delete preset.
- * @param {Object<string, string|string[]>} ingredients All order ingredients.
+ * @param {string}                          title           Title of the preset.
+ * @param {boolean}                         [pending=false] Whether preset was changed offline and has not yet been saved.
+ * @param {Object|null}                     [operation]     Save or deletion in progress or failed (see constants/Operations.js).
+ * @param {function()}                      [onDismiss]     Function to dismiss a failed operation.
+ * @param {Object[]}                        [issues]        Issues with preset after order options changed (see constants/OrderValidation.js).
+ * @param {function()}                      [onFix]         Function to apply every available fix to preset.
+ * @param {Function}                        onPress         Function to execute when card is pressed (usually focuses preset).
+ * @param {Function}                        onDelete        Function to delete preset.
+ * @param {Object<string, string|string[]>} ingredients     All order ingredients.
  *
  * @return {React.Element} Card displaying sandwich preset.
  * @constructor
  */
-const PresetCard = ({ title, onPress, onDelete, ...ingredients }) => {
+const PresetCard = ({ title, pending = false, operation, onDismiss, issues, onFix, onPress, onDelete, ...ingredients }) => {
   const swipeableRef = useRef();
   const focusAndClose = () => {
     if (swipeableRef.current) {
@@ -115,6 +123,9 @@ const PresetCard = ({ title, onPress, onDelete, ...ingredients }) => {
       <TouchableOpacity onPress={onPress}>
         <View style={styles.cardContainer}>
           {title && <Text style={styles.title}>{title}</Text>}
+          {pending && <Text style={styles.pending}>Pending (will be saved when you reconnect)</Text>}
+          <OperationStatusLine operation={operation} onDismiss={onDismiss} style={styles.operation} />
+          <ValidationIssues issues={issues} onFix={onFix} disabled={operation?.status === OperationStatus.PENDING} style={styles.operation} />
           <Text style={styles.ingredients} numberOfLines={2}>{getIngredientStr(ingredients)}</Text>
         </View>
       </TouchableOpacity>
@@ -145,6 +156,15 @@ const styles = StyleSheet.create({
     fontSize: Layout.fonts.body,
     color: Colors.primaryText
   },
+  pending: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    marginBottom: 10,
+    color: Colors.secondaryText
+  },
+  operation: {
+    marginBottom: 10
+  },
   swipeActionRight: {
     backgroundColor: Colors.errorText,
     flex: 1,
@@ -0,0 +1,159 @@
+/**
+ * @file Creates card to display a standing order on home screen.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  Animated,
+  TouchableOpacity
+} from "react-native";
+import Swipeable from "react-native-gesture-handler/Swipeable";
+import { Ionicons } from "@expo/vector-icons";
+import AnimatedTouchable from "../AnimatedTouchable";
+import { getIngredientStr } from "./Card";
+import Layout from "../../constants/Layout";
+import Colors from "../../constants/Colors";
+import { getRepeatDescription } from "../../constants/DataActions";
+
+const AnimatedIonicons = Animated.createAnimatedComponent(Ionicons);
+
+/**
+ * Returns icon rendered on card swipe.
+ *
+ * Renders icon that scales based on drag position; may either be trash icon (swipe right)
+ * or create icon (swipe left).
+ *
+ * @param {Animated.AnimatedInterpolation} progress   How far the card has been dragged.
+ * @param {string}                         icon       Name of icon to be rendered.
+ * @param {boolean}                        alignRight Whether icon should be rendered on right (true for swipe right).
+ *
+ * @return {React.ReactElement} Icon to be rendered on card swipe.
+ * @constructor
+ */
+const SwipeAction = ({ progress, icon, alignRight }) => {
+  const scaleInterpolation = progress.interpolate({
+    inputRange: [0, 0.15],
+    outputRange: [0.5, 1],
+    extrapolate: "clamp"
+  })
+  return (
+    <View style={[styles.swipeAction, alignRight && styles.swipeActionRight]}>
+      <AnimatedIonicons
+        name={`md-${icon}`}
+        size={Layout.fonts.icon}
+        color={Colors.primaryText}
+        style={{ transform: [{ scale: scaleInterpolation }]}}
+      />
+    </View>
+  );
+}
+
+/**
+ * Renders card to display standing orders.
+ *
+ * Renders a card displaying the title, repeat days, and ingredients of a standing
+ * order, plus a button to pause/resume it. Card may be swiped right to cancel or
+ * swiped left/clicked to edit.
+ *
+ * @param {string}                          title          Title of standing order (title of the preset it was created from).
+ * @param {string[]}                        days           Weekdays on which the standing order repeats.
+ * @param {boolean}                         [paused=false] Whether standing order is paused.
+ * @param {string[]}                        [createdDates] ISO dates for which the standing order has created orders (not rendered).
+ * @param {Object}                          schedule       School schedule for user's domain.
+ * @param {Function}                        onPress        Function to execute when card is pressed (usually focuses standing order).
+ * @param {Function}                        onDelete       Function to cancel standing order.
+ * @param {Function}                        onTogglePaused Function to pause/resume standing order.
+ * @param {Object<string, string|string[]>} ingredients    All order ingredients.
+ *
+ * @return {React.ReactElement} Card displaying standing order.
+ * @constructor
+ */
+const StandingOrderCard = ({ title, days, paused = false, createdDates, schedule, onPress, onDelete, onTogglePaused, ...ingredients }) => {
+  const swipeableRef = useRef();
+
+  const focusAndClose = () => {
+    if (swipeableRef.current) {
+      swipeableRef.current.close();
+    }
+    onPress();
+  }
+
+  return (
+    <Swipeable
+      ref={(ref) => swipeableRef.current = ref}
+      leftThreshold={50}
+      rightThreshold={50}
+      renderLeftActions={(progress) => <SwipeAction progress={progress} icon={"create"}/>}
+      renderRightActions={(progress) => <SwipeAction progress={progress} icon={"trash"} alignRight />}
+      onSwipeableLeftOpen={focusAndClose}
+      onSwipeableRightOpen={onDelete}
+    >
+      <AnimatedTouchable onPress={onPress}>
+        <View style={[styles.cardContainer, paused && styles.pausedCardContainer]}>
+          <View style={styles.titleContainer}>
+            <Text style={styles.title}>{title}</Text>
+            <TouchableOpacity onPress={onTogglePaused}>
+              <Ionicons name={paused ? "md-play" : "md-pause"} size={Layout.fonts.icon} color={Colors.primaryText} />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.repeat}>{paused ? "Paused" : getRepeatDescription(days, schedule)}</Text>
+          <Text style={styles.ingredients} numberOfLines={1}>{getIngredientStr(ingredients)}</Text>
+        </View>
+      </AnimatedTouchable>
+    </Swipeable>
+  );
+}
+
+export default StandingOrderCard;
+
+const styles = StyleSheet.create({
+  cardContainer: {
+    borderRadius: 5,
+    backgroundColor: Colors.backgroundColor,
+    padding: 15,
+    margin: 10,
+    shadowColor: "#000",
+    shadowOpacity: 0.05,
+    shadowRadius: 5
+  },
+  pausedCardContainer: {
+    opacity: 0.5
+  },
+  titleContainer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center"
+  },
+  title: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText,
+    flex: 1
+  },
+  repeat: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    marginBottom: 5,
+    color: Colors.secondaryText
+  },
+  ingredients: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText
+  },
+  swipeAction: {
+    backgroundColor: "transparent",
+    marginVertical: 10,
+    marginHorizontal: 10,
+    borderRadius: 5,
+    flex: 1,
+    alignItems: "flex-start",
+    justifyContent: "center"
+  },
+  swipeActionRight: {
+    alignItems: "flex-end"
+  }
+});
\ No newline at end of file
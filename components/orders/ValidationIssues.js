@@ -0,0 +1,74 @@
+/**
+ * @file Creates list of issues with an order or preset (after order options have changed).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity
+} from "react-native";
+import { hasFixes } from "../../constants/OrderValidation";
+import Layout from "../../constants/Layout";
+import Colors from "../../constants/Colors";
+
+/**
+ * Renders the issues found with an order or preset, with a button to fix them.
+ *
+ * Renders nothing if there are no issues. The fix button applies every
+ * available fix at once (so that fixes do not overwrite each other), and is
+ * hidden if no issue has a fix or while a save is in progress.
+ *
+ * @param {Object[]}   [issues=[]]      Issues found by validateOrderData.
+ * @param {function()} onFix            Function to apply every available fix.
+ * @param {boolean}    [disabled=false] Whether fixes may not be applied yet (ex: while saving).
+ * @param {Object}     [style]          Style for container.
+ *
+ * @return {React.ReactElement|null} List of issues.
+ * @constructor
+ */
+const ValidationIssues = ({ issues = [], onFix, disabled = false, style }) => {
+  if (issues.length === 0) {
+    return null;
+  }
+  const fixLabels = issues.filter((issue) => !!issue.fix).map((issue) => issue.fixLabel);
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.heading}>Needs attention (the menu has changed)</Text>
+      {issues.map((issue) => <Text key={issue.key} style={styles.issue}>{`• ${issue.message}`}</Text>)}
+      {hasFixes(issues) && !disabled && (
+        <TouchableOpacity style={styles.fixButton} onPress={onFix}>
+          <Text style={styles.fixButtonText}>{`Tap to fix: ${fixLabels.join("; ")}`}</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+export default ValidationIssues;
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 5
+  },
+  heading: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.errorText,
+    marginBottom: 5
+  },
+  issue: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.errorText
+  },
+  fixButton: {
+    paddingVertical: 5
+  },
+  fixButtonText: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText
+  }
+});
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * @file Creates button for signing in with a school Google account.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect } from "react";
+import { ResponseType } from "expo-auth-session";
+import * as Google from "expo-auth-session/providers/google";
+import * as WebBrowser from "expo-web-browser";
+import { connect } from "react-redux";
+import SubmitButton from "./SubmitButton";
+import { logInWithGoogle } from "../../redux/Actions";
+import { GoogleClientIds } from "../../constants/SingleSignOn";
+
+// Closes the sign-in popup once Google redirects back to the app (on web)
+WebBrowser.maybeCompleteAuthSession();
+
+/**
+ * Renders a button that signs user in with their school Google account.
+ *
+ * Opens Google's sign-in page, then signs user in to Firebase Auth with the
+ * ID token Google returns. Only render if Google sign-in is set up (see
+ * hasGoogleSignIn in constants/SingleSignOn.js).
+ *
+ * @param {Object}           [style]         Style to apply to button.
+ * @param {function(string)} logInWithGoogle Signs user in with a Google ID token.
+ *
+ * @return {React.ReactElement} Button to sign in with Google.
+ * @constructor
+ */
+const GoogleSignInButton = ({ style, logInWithGoogle }) => {
+  const [request, response, promptAsync] = Google.useAuthRequest({
+    ...GoogleClientIds,
+    responseType: ResponseType.IdToken
+  });
+
+  // Signs in once user has chosen their account
+  useEffect(() => {
+    if (response?.type === "success") {
+      logInWithGoogle(response.params.id_token);
+    }
+  }, [response]);
+
+  return (
+    <SubmitButton
+      title={"Sign in with school Google account"}
+      style={style}
+      onPress={() => request && promptAsync()}
+    />
+  );
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  logInWithGoogle: (idToken) => dispatch(logInWithGoogle(idToken))
+});
+
+export default connect(null, mapDispatchToProps)(GoogleSignInButton);
\ No newline at end of file
@@ -365,7 +365,7 @@ const mapDispatchToProps = (dispatch) => ({
   openModal: (props) => dispatch(openModal(props)),
   closeModal: () => dispatch(closeModal()),
   setModalProps: (props) => dispatch(setModalProps(props)),
-  changePassword: (oldPassword, newPassword) => changePassword(dispatch, oldPassword, newPassword)
+  changePassword: (oldPassword, newPassword) => dispatch(changePassword(oldPassword, newPassword))
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(UserInputsList);
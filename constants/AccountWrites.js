@@ -0,0 +1,67 @@
+/**
+ * @file Manages deleting a user's account and data (run by Cloud Functions; see functions/).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { deleteOrderTransaction } from "./OrderWrites";
+import { getStoredOrderableDates } from "./OrderDates";
+
+// Most writes Firestore allows in one batch
+const BATCH_LIMIT = 500;
+// How recently users must have signed in (or re-authenticated) to delete their account (in ms)
+export const RECENT_SIGN_IN = 5 * 60 * 1000;
+
+/**
+ * Deletes docs in batches (Firestore limits the number of writes in each batch).
+ * @param {Firestore}           db   Firestore object to delete docs with.
+ * @param {DocumentReference[]} refs Docs to delete.
+ * @return {Promise<void>} Promise for deletes.
+ */
+const deleteDocs = async (db, refs) => {
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    refs.slice(i, i + BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+};
+
+/**
+ * Deletes a user's data and account.
+ *
+ * Cancels the user's orders that may still be changed first (so that
+ * inventory is released; orders past cutoff are already being made),
+ * then deletes their orders, presets, standing orders, ledger, shared presets,
+ * and profile. Their account is deleted next, and their userDomains doc last,
+ * so that if deleting their data fails the user can still sign in and try
+ * again (each step can be repeated).
+ *
+ * @param {Firestore}                    db         Firestore object to delete data with.
+ * @param {string}                       uid        ID of user.
+ * @param {string}                       domain     Domain key for user's domain.
+ * @param {function(string): Promise<*>} deleteUser Function that deletes user's account (given their ID).
+ *
+ * @return {Promise<void>} Promise for deletes.
+ */
+export const deleteAccountData = async (db, uid, domain, deleteUser) => {
+  const domainDoc = db.collection("domains").doc(domain);
+  const userDataDoc = domainDoc.collection("userData").doc(uid);
+  const orders = domainDoc.collection("orders").where("uid", "==", uid);
+  const [cutoffDoc, scheduleDoc, ordersSnapshot] = await Promise.all([
+    domainDoc.collection("appData").doc("cutoffTime").get(),
+    domainDoc.collection("appData").doc("schedule").get(),
+    orders.get()
+  ]);
+  const orderableDates = getStoredOrderableDates(cutoffDoc.data(), scheduleDoc.data());
+  for (let doc of ordersSnapshot.docs.filter((doc) => orderableDates.includes(doc.data().date))) {
+    await deleteOrderTransaction(db, doc.id, uid, domain);
+  }
+  const snapshots = await Promise.all([
+    orders.get(),
+    userDataDoc.collection("myPresets").get(),
+    userDataDoc.collection("standingOrders").get(),
+    userDataDoc.collection("ledger").get(),
+    domainDoc.collection("sharedPresets").where("sharedBy", "==", uid).get()
+  ]);
+  await deleteDocs(db, [...snapshots.flatMap((snapshot) => snapshot.docs.map((doc) => doc.ref)), userDataDoc]);
+  await deleteUser(uid);
+  await db.collection("userDomains").doc(uid).delete();
+};
\ No newline at end of file
@@ -9,4 +9,25 @@ const crossPlatformAlert = (title, message) => {
   }
 }
 
+/**
+ * Asks user to confirm an action (with cancel and confirm buttons).
+ *
+ * @param {string}     title       Title of alert.
+ * @param {string}     message     Message of alert.
+ * @param {string}     confirmText Text of confirm button.
+ * @param {function()} onConfirm   Function to execute if user confirms.
+ */
+export const confirmAlert = (title, message, confirmText, onConfirm) => {
+  if (Layout.web) {
+    if (confirm(title.toUpperCase() + "\n" + message)) {
+      onConfirm();
+    }
+  } else {
+    Alert.alert(title, message, [
+      { text: "Cancel", style: "cancel" },
+      { text: confirmText, onPress: onConfirm }
+    ]);
+  }
+};
+
 export default crossPlatformAlert;
\ No newline at end of file
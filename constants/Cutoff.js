@@ -0,0 +1,11 @@
+// Default order cutoff (used by any domain without its own cutoff in appData)
+const Cutoff = {
+  hours: 0, // Time (on the order's cutoff day) after which an order may not be placed or changed
+  minutes: 0,
+  weekdays: {}, // Times for orders on specific weekdays, overriding hours/minutes (ex: { Monday: { hours: 9, minutes: 30 } })
+  daysInAdvance: 0, // Number of days before an order's date that its cutoff falls on (0 for the same day)
+  horizon: 14, // Number of days (starting today) within which orders may be placed
+  timezone: null // IANA timezone name (ex: "America/New_York") that dates and cutoffs are in; null for device's timezone
+}
+
+export default Cutoff;
\ No newline at end of file
@@ -3,15 +3,17 @@
  * @author Emily Sturman <emily@sturman.org>
  */
 import { ISO_FORMAT, toReadable, toISO } from "./Date";
+import { getOrderableDates } from "./OrderDates";
 import inputModalProps from "../components/modals/InputModal";
 import { InputTypes, TextTypes } from "./Inputs";
 import moment from "moment";
-import Schedule from "./Schedule";
 
 // Options for dynamic order actions (on order screen)
 export const DynamicOrderOptions = {
   DATE_OPTIONS: "DATE_OPTIONS", // see getDateOptions (below)
-  PRESET_OPTIONS: "PRESET_OPTIONS" // gets user's order presets
+  PRESET_OPTIONS: "PRESET_OPTIONS", // gets user's order presets
+  WEEKDAY_OPTIONS: "WEEKDAY_OPTIONS", // see getSchoolWeekdays (below)
+  SPECIAL_DATE_OPTIONS: "SPECIAL_DATE_OPTIONS" // see getOrderableDates (below)
 }
 
 // Options for custom editing actions (on settings screen)
@@ -20,66 +22,89 @@ export const EditActions = {
 }
 
 /**
- * Gets the index of a given date on the provided school schedule.
+ * Gets the days of the week on which there is school at least once in the schedule.
  *
- * Calculates the difference between the schedule start date and
- * the provided date, then calculates the remainder when that is
- * divided by the schedule length (schedule repeats).
+ * @param {Object} schedule An object representing a repeating school schedule.
  *
- * @param {moment.Moment} date           Date to get the index of.
- * @param {string}        startDate      Start date of schedule.
- * @param {number}        scheduleLength Length of provided schedule.
- *
- * @return {number} The index of the date on the schedule.
+ * @return {string[]} Names of school weekdays, sorted from Sunday to Saturday (ex: ["Monday", "Tuesday"]).
  */
-const getScheduleIndex = (date, startDate, scheduleLength) => date.diff(startDate, "days") % scheduleLength;
+export const getSchoolWeekdays = (schedule) => {
+  const startDate = moment(schedule.startDate, ISO_FORMAT);
+  let schoolWeekdays = [];
+  schedule.values.forEach((isSchool, index) => {
+    if (isSchool) {
+      schoolWeekdays.push(startDate.clone().add(index, "days").format("dddd"));
+    }
+  });
+  return moment.weekdays().filter((weekday) => schoolWeekdays.includes(weekday));
+};
 
 /**
- * Whether a given date is a school day (determined by given school schedule).
+ * Gets all days on which user may place an order.
  *
- * @param {moment.Moment} date     The date in question.
- * @param {Object}        schedule An object representing a repeating school schedule.
+ * Filters out non-school days (weekends, holidays, closures), days whose
+ * cutoff has passed, and days on which user has already placed an order;
+ * searches within the cutoff's horizon (including weekends).
  *
- * @return {boolean} Whether date is a school day.
+ * @param {Object<string, Object>} orders         Object containing all of user's orders.
+ * @param {Object}                 [focusedOrder] Order that is currently being edited.
+ * @param {Object}                 cutoffTime     Order cutoff rules for user's domain.
+ * @param {Object}                 schedule       School schedule for user's domain.
+ *
+ * @return {string[]} Options for dates for orders in readable format.
  */
-const isSchoolDay = (date, schedule) => {
-  let scheduleIndex = getScheduleIndex(date, schedule.startDate, schedule.values.length);
-  return schedule.values[scheduleIndex];
+export const getDateOptions = (orders, focusedOrder, cutoffTime, schedule) => {
+  const orderDates = Object.keys(orders).map((id) => orders[id].date.format(ISO_FORMAT));
+  return getOrderableDates(cutoffTime, schedule)
+    .map((date) => date.format(ISO_FORMAT))
+    // there must be no other order on that date (unless it is the order being edited)
+    .filter((isoDate) => !orderDates.includes(isoDate) || (focusedOrder && toISO(focusedOrder.date, cutoffTime.timezone) === isoDate))
+    .map((isoDate) => toReadable(isoDate));
 }
 
 /**
- * Gets all days on which user may place an order.
+ * Gets the dates on which a standing order still needs to create an order.
  *
- * Filters out non-school days (weekends) and days on which user
- * has already placed an order; searches within 14 days (including
- * weekends).
+ * Includes orderable dates that fall on one of the standing order's weekdays,
+ * have not already been ordered by the standing order (even if that order was
+ * since deleted or moved), and have no other order placed on them.
  *
- * @param {Object<string, Object>} orders         Object containing all of user's orders.
- * @param {Object}                 [focusedOrder] Order that is currently being edited.
- * @param {moment.Moment}          cutoffTime     Time after which user may not place an order for today.
+ * @param {Object}                 standingOrder                Standing order to get dates for.
+ * @param {string[]}               standingOrder.days           Weekdays on which the standing order repeats (ex: "Tuesday").
+ * @param {string[]}               [standingOrder.createdDates] ISO dates for which the standing order has already created orders.
+ * @param {boolean}                [standingOrder.paused]       Whether standing order is paused.
+ * @param {Object<string, Object>} orders                       Object containing all of user's orders.
+ * @param {Object}                 cutoffTime                   Order cutoff rules for user's domain.
+ * @param {Object}                 schedule                     School schedule for user's domain.
  *
- * @return {string[]} Options for dates for orders in readable format.
+ * @return {string[]} Dates on which an order should be created, in ISO format.
  */
-export const getDateOptions = (orders, focusedOrder, cutoffTime) => {
-  const orderDates = Object.keys(orders).map((id) => orders[id].date.format(ISO_FORMAT));
-  let dateOptions = [];
-  let date = moment();
-  if (date.isAfter(cutoffTime)) {
-    date.add(1, "days");
+export const getStandingOrderDates = ({ days, createdDates = [], paused }, orders, cutoffTime, schedule) => {
+  if (paused) {
+    return [];
   }
-  for (let i = 0; i < 14; i++) {
-    let isoDate = date.format(ISO_FORMAT);
-    // date must be a school day as determined by given schedule and there must be no other order on that date
-    if (
-      isSchoolDay(date, Schedule) &&
-      (!orderDates.includes(isoDate) || (focusedOrder && toISO(focusedOrder.date) === isoDate))
-    ) {
-      dateOptions.push(toReadable(isoDate));
-    }
-    date.add(1, "days");
+  const orderDates = Object.keys(orders).map((id) => orders[id].date.format(ISO_FORMAT));
+  return getOrderableDates(cutoffTime, schedule)
+    .filter((date) => days.includes(date.format("dddd")))
+    .map((date) => date.format(ISO_FORMAT))
+    .filter((isoDate) => !createdDates.includes(isoDate) && !orderDates.includes(isoDate));
+};
+
+/**
+ * Describes when a standing order repeats.
+ *
+ * @param {string[]} days     Weekdays on which the standing order repeats.
+ * @param {Object}   schedule School schedule for user's domain.
+ *
+ * @return {string} Readable description of repetition (ex: "Every Tuesday, Thursday").
+ */
+export const getRepeatDescription = (days, schedule) => {
+  const schoolWeekdays = getSchoolWeekdays(schedule);
+  if (schoolWeekdays.every((weekday) => days.includes(weekday))) {
+    return "Every school day";
   }
-  return dateOptions;
-}
+  return "Every " + moment.weekdays().filter((weekday) => days.includes(weekday)).join(", ");
+};
 
 /**
  * Opens a modal to change user's password.
@@ -112,4 +137,31 @@ export const openChangePasswordModal = (openModal, setModalProps, changePassword
     changePassword,
     setModalProps
   ));
-};
\ No newline at end of file
+};
+
+/**
+ * Opens a modal to confirm deleting user's account.
+ *
+ * Uses input modal for user input; takes user's current password (so that
+ * they can be re-authenticated) and executes delete account action.
+ *
+ * @param {function}         openModal     Opens modal with given props.
+ * @param {function(Object)} setModalProps Sets top-level modal props.
+ * @param {function}         deleteAccount Deletes user's account.
+ */
+export const openDeleteAccountModal = (openModal, setModalProps, deleteAccount) => {
+  openModal(inputModalProps(
+    "Delete Account",
+    [
+      {
+        key: "password",
+        inputType: InputTypes.TEXT_INPUT,
+        textType: TextTypes.PASSWORD,
+        placeholder: "Current password"
+      }
+    ],
+    "Delete my account",
+    deleteAccount,
+    setModalProps
+  ));
+};
@@ -2,19 +2,60 @@
  * @file Manages formatting/parsing dates using Moment.js.
  * @author Emily Sturman <emily@sturman.org>
  */
-import moment from "moment";
+import moment from "moment-timezone";
 
 // Format that date is stored in Firestore; ex: 2020-07-04
 export const ISO_FORMAT = "YYYY-MM-DD";
 // Format that date is displayed in; ex: Saturday, July 4th
 export const READABLE_FORMAT = "dddd, MMMM Do";
+// Format used to parse a date and time; ex: 2020-07-04 9:30
+const DATE_TIME_FORMAT = "YYYY-MM-DD H:m";
+
+/**
+ * Gets the current time in a given timezone.
+ * @param {string|null} [timezone] IANA timezone name (ex: America/New_York); defaults to device's timezone.
+ * @return {moment.Moment} Current time.
+ */
+export const now = (timezone) => timezone ? moment.tz(timezone) : moment();
+
+/**
+ * Gets a time on a date in a given timezone.
+ *
+ * Times that don't exist on the date (because clocks skip forward for DST)
+ * are moved forward by the length of the skip.
+ *
+ * @param {string}      isoDate     Date in ISO format (ex: 2020-07-04).
+ * @param {string|null} [timezone]  IANA timezone name (ex: America/New_York); defaults to device's timezone.
+ * @param {number}      [hours=0]   Hour of time.
+ * @param {number}      [minutes=0] Minute of time.
+ *
+ * @return {moment.Moment} Time on date in timezone (midnight by default).
+ */
+export const fromISO = (isoDate, timezone, hours = 0, minutes = 0) => {
+  const dateTime = `${isoDate} ${hours}:${minutes}`;
+  return timezone ? moment.tz(dateTime, DATE_TIME_FORMAT, timezone) : moment(dateTime, DATE_TIME_FORMAT);
+};
 
 /**
  * Converts readable date to ISO date.
- * @param {string} date Date in readable format (ex: Saturday, July 4th).
- * @return {string} Date in ISO format (ex: 2020-07-04).
+ *
+ * Readable dates have no year, so the year is chosen to put the date as close
+ * as possible to today in the given timezone (ex: "Friday, January 1st" in
+ * late December is next year); the date's weekday must match that year.
+ *
+ * @param {string}      date       Date in readable format (ex: Saturday, July 4th).
+ * @param {string|null} [timezone] IANA timezone name (ex: America/New_York) to get today in; defaults to device's timezone.
+ *
+ * @return {string|null} Date in ISO format (ex: 2020-07-04; null if date isn't valid in the years around today).
  */
-export const toISO = (date) => moment(date, READABLE_FORMAT).format(ISO_FORMAT);
+export const toISO = (date, timezone) => {
+  const today = moment.utc(now(timezone).format(ISO_FORMAT), ISO_FORMAT);
+  const [closest] = [-1, 0, 1]
+    .map((offset) => moment.utc(`${date} ${today.year() + offset}`, `${READABLE_FORMAT} YYYY`, true))
+    .filter((parsed) => parsed.isValid())
+    .sort((parsedA, parsedB) => Math.abs(parsedA.diff(today)) - Math.abs(parsedB.diff(today)));
+  return closest ? closest.format(ISO_FORMAT) : null;
+};
 
 /**
  * Converts ISO date to readable date.
@@ -0,0 +1,111 @@
+/**
+ * @file Manages allergen and dietary tags on options, and conflicts with users' dietary restrictions.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+
+// Error code for orders that conflict with their user's dietary restrictions (if the domain blocks them)
+export const DIETARY_CONFLICT = "dietary-conflict";
+
+// Tags that options may carry (each describes something the option contains)
+export const DietaryTags = ["gluten", "dairy", "egg", "nuts", "peanuts", "soy", "sesame", "fish", "shellfish", "meat"];
+
+// Restrictions that users may choose, with the tags that each one rules out
+export const Restrictions = {
+  "Gluten-free": ["gluten"],
+  "Dairy-free": ["dairy"],
+  "Egg allergy": ["egg"],
+  "Tree nut allergy": ["nuts"],
+  "Peanut allergy": ["peanuts"],
+  "Soy allergy": ["soy"],
+  "Sesame allergy": ["sesame"],
+  "Fish allergy": ["fish"],
+  "Shellfish allergy": ["shellfish"],
+  "Vegetarian": ["meat", "fish", "shellfish"],
+  "Vegan": ["meat", "fish", "shellfish", "dairy", "egg"]
+};
+
+/**
+ * Gets the restrictions that an option's tags conflict with.
+ *
+ * @param {string[]} [tags=[]]         Tags of option.
+ * @param {string[]} [restrictions=[]] User's dietary restrictions.
+ *
+ * @return {string[]} Conflicting restrictions (empty if option is safe to order).
+ */
+export const getTagConflicts = (tags = [], restrictions = []) => (
+  restrictions.filter((restriction) => (Restrictions[restriction] || []).some((tag) => tags.includes(tag)))
+);
+
+/**
+ * Gets every option that conflicts with a user's dietary restrictions.
+ *
+ * Conflicts are stored by order option key, then by option
+ * (ex: { bread: { Sourdough: ["Gluten-free"] } }); only order options with
+ * conflicting options are included.
+ *
+ * @param {Object[]} orderOptions      Domain's order options (with tags).
+ * @param {string[]} [restrictions=[]] User's dietary restrictions.
+ *
+ * @return {Object<string, Object<string, string[]>>} Conflicting restrictions of each option.
+ */
+export const getConflictsByOption = (orderOptions, restrictions = []) => {
+  let conflicts = {};
+  if (restrictions.length === 0) {
+    return conflicts;
+  }
+  for (let { key, tags = {} } of orderOptions) {
+    for (let option of Object.keys(tags)) {
+      const optionConflicts = getTagConflicts(tags[option], restrictions);
+      if (optionConflicts.length > 0) {
+        conflicts[key] = { ...conflicts[key], [option]: optionConflicts };
+      }
+    }
+  }
+  return conflicts;
+};
+
+/**
+ * Gets the options selected in an order that conflict with a user's dietary restrictions.
+ *
+ * @param {Object}   order             Order (or preset) to check.
+ * @param {Object[]} orderOptions      Domain's order options (with tags).
+ * @param {string[]} [restrictions=[]] User's dietary restrictions.
+ *
+ * @return {{option: string, restrictions: string[]}[]} Conflicting selections (empty if order is safe).
+ */
+export const getOrderConflicts = (order, orderOptions, restrictions = []) => {
+  const conflicts = getConflictsByOption(orderOptions, restrictions);
+  let orderConflicts = [];
+  for (let key of Object.keys(conflicts)) {
+    const values = (Array.isArray(order[key]) ? order[key] : [order[key]]).filter((value) => value);
+    for (let option of values) {
+      if (conflicts[key][option]) {
+        orderConflicts.push({ option, restrictions: conflicts[key][option] });
+      }
+    }
+  }
+  return orderConflicts;
+};
+
+/**
+ * Describes conflicting selections for a message.
+ * @param {{option: string, restrictions: string[]}[]} conflicts Conflicting selections (see getOrderConflicts).
+ * @return {string} Readable list of conflicts (ex: "Sourdough (Gluten-free), Cheddar (Vegan)").
+ */
+export const formatConflicts = (conflicts) => (
+  conflicts.map(({ option, restrictions }) => `${option} (${restrictions.join(", ")})`).join(", ")
+);
+
+/**
+ * Creates an error for an order that conflicts with its user's dietary restrictions.
+ * @param {{option: string, restrictions: string[]}[]} conflicts Conflicting selections (see getOrderConflicts).
+ * @return {Error} Error with DIETARY_CONFLICT code.
+ */
+export const dietaryConflictError = (conflicts) => {
+  let error = new Error(
+    "Sorry, your organization doesn't allow orders that conflict with your dietary restrictions: " +
+    `${formatConflicts(conflicts)}. Please choose something else.`
+  );
+  error.code = DIETARY_CONFLICT;
+  return error;
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+/**
+ * @file Manages which users may place orders, based on their domain's email verification settings.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+
+/**
+ * Gets why a user may not place orders in their domain.
+ *
+ * Domains may require users to verify their email address
+ * (requireVerifiedEmail), and may limit ordering to email addresses that end
+ * with one of a list of suffixes (orderEmailSuffixes, ex: "@lwhs.org").
+ *
+ * @param {Object} user   Current user (with email and emailVerified).
+ * @param {Object} domain Domain data for user's domain.
+ *
+ * @return {string|null} Reason user may not order (displayed to user; null if user may order).
+ */
+export const getOrderingRestriction = (user, domain) => {
+  const suffixes = (domain?.orderEmailSuffixes || []).map((suffix) => suffix.toLowerCase());
+  if (domain?.requireVerifiedEmail && !user?.emailVerified) {
+    return "Your organization requires you to verify your email address before ordering. Please check your inbox " +
+      "for a verification email.";
+  }
+  if (suffixes.length > 0 && !suffixes.some((suffix) => (user?.email || "").toLowerCase().endsWith(suffix))) {
+    return `Your organization only allows orders from email addresses ending in ${suffixes.join(" or ")}.`;
+  }
+  return null;
+};
\ No newline at end of file
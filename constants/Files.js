@@ -0,0 +1,33 @@
+/**
+ * @file Manages saving files generated by the app (such as reports and data exports).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import Layout from "./Layout";
+
+/**
+ * Saves a text file for the user.
+ *
+ * Downloads file on web; otherwise, saves file to cache and opens share sheet.
+ *
+ * @param {string} filename Name of file (ex: "orders-2020-09-01.csv").
+ * @param {string} contents Contents of file.
+ * @param {string} mimeType MIME type of file (ex: "text/csv").
+ * @param {string} UTI      Uniform type identifier of file (for iOS share sheet).
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const saveFile = async (filename, contents, mimeType, UTI) => {
+  if (Layout.web) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    return;
+  }
+  const uri = FileSystem.cacheDirectory + filename;
+  await FileSystem.writeAsStringAsync(uri, contents);
+  await Sharing.shareAsync(uri, { mimeType, UTI });
+};
\ No newline at end of file
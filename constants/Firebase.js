@@ -2,19 +2,63 @@
  * @file Initializes and manages functions using Firebase API.
  * @author Emily Sturman <emily@sturman.org>
  */
-import * as firebase from "firebase/app";
+import firebase from "firebase/app";
 import firebaseConfig from "../firebase-config.json";
 import "firebase/firestore";
 import "firebase/auth";
 import reportToSentry from "./Sentry";
+import { SOLD_OUT } from "./Inventory";
+import { DIETARY_CONFLICT } from "./Dietary";
+
+// Hosts (ex: "localhost:8080") of local emulators to use instead of live Firebase (ex: for integration tests); unset
+// in production. FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST are set automatically by
+// `firebase emulators:exec`.
+const FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+const AUTH_EMULATOR_HOST = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+const FUNCTIONS_EMULATOR_HOST = process.env.FUNCTIONS_EMULATOR_HOST;
+// Base URL for Cloud Functions (emulated functions are namespaced by project and region)
+const FUNCTIONS_URL = FUNCTIONS_EMULATOR_HOST ?
+  `http://${FUNCTIONS_EMULATOR_HOST}/${firebaseConfig.projectId}/us-central1/` :
+  "https://us-central1-sandwich-orders.cloudfunctions.net/";
 
 firebase.initializeApp(firebaseConfig);
 
 // Firestore object (database)
 export const firestore = firebase.firestore();
+if (FIRESTORE_EMULATOR_HOST) {
+  const [host, port] = FIRESTORE_EMULATOR_HOST.split(":");
+  firestore.useEmulator(host, parseInt(port));
+}
+if (AUTH_EMULATOR_HOST) {
+  firebase.auth().useEmulator(`http://${AUTH_EMULATOR_HOST}`);
+}
 // Firebase auth object; notice firebaseAuth is not executed (will often need to execute when using)
 export const auth = firebase.auth;
 
+/**
+ * Creates an error with a code (so that errors from Cloud Functions are handled like errors from Firestore).
+ * @param {string} code    Error code (ex: "unavailable"; see firestoreErrorMessage).
+ * @param {string} message Error message.
+ * @return {Error} Error object.
+ */
+const functionError = (code, message) => {
+  let error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Calls a callable Cloud Function (see functions/src/index.js) as the current user.
+ *
+ * Rejects with an "unavailable" error if the function can't be reached, and
+ * otherwise with the error code the function gave (ex: SOLD_OUT or
+ * "permission-denied").
+ *
+ * @param {string} name   Name of function.
+ * @param {Object} [data] Data to pass to function.
+ *
+ * @return {Promise<*>} Promise for result of function.
+ */
 const executeFunction = async (name, data = {}) => {
   let authorization = firebase.auth().currentUser ?
     { "Authorization": "Bearer " + await firebase.auth().currentUser.getIdToken(true) } :
@@ -27,16 +71,33 @@ const executeFunction = async (name, data = {}) => {
     },
     body: JSON.stringify({ data })
   };
+  let response;
   try {
-    let response = await fetch("https://us-central1-sandwich-orders.cloudfunctions.net/" + name, requestOptions);
-    return (await response.json()).result;
+    response = await fetch(FUNCTIONS_URL + name, requestOptions);
   } catch (e) {
-    throw new Error(e.message);
+    throw functionError("unavailable", e.message);
+  }
+  let body;
+  try {
+    body = await response.json();
+  } catch (e) {
+    throw functionError(response.status >= 500 ? "unavailable" : "internal", e.message);
+  }
+  if (body.error) {
+    const { status = "INTERNAL", message, details } = body.error;
+    throw functionError(details?.code || status.toLowerCase().replace(/_/g, "-"), message);
   }
+  return body.result;
 };
 
 export const deleteFailedUser = (uid) => executeFunction("deleteFailedUser", { uid });
 
+export const setOrder = (key, data, domain) => executeFunction("setOrder", { key, data, domain });
+
+export const deleteOrder = (key, uid, domain) => executeFunction("deleteOrder", { key, uid, domain });
+
+export const deleteAccount = (uid, domain) => executeFunction("deleteAccount", { uid, domain });
+
 /**
  * Gets an error message for Firebase authentication.
  *
@@ -74,6 +135,21 @@ export const authErrorMessage = (error) => {
         title: "Email Already In Use",
         message: "The email you have chosen is already in use. Please choose a different email or contact an app admin."
       }
+    case "auth/account-exists-with-different-credential":
+      return {
+        title: "Account Already Exists",
+        message: "There is already an account with your email address. Please sign in with your email and password."
+      };
+    case "auth/requires-recent-login":
+      return {
+        title: "Please Sign In Again",
+        message: "For your security, please sign out and sign in again before making this change."
+      };
+    case "auth/operation-not-allowed":
+      return {
+        title: "Sign-in Unavailable",
+        message: "This way of signing in isn't available. Please sign in with your email and password."
+      };
     default:
       reportToSentry(error);
       return {
@@ -130,6 +206,16 @@ export const firestoreErrorMessage = (error) => {
         title: "Invalid Authentication",
         message: "Your authentication credentials are invalid. Try logging out and back in again."
       };
+    case SOLD_OUT:
+      return {
+        title: "Sold Out",
+        message: error.message
+      };
+    case DIETARY_CONFLICT:
+      return {
+        title: "Dietary Restrictions",
+        message: error.message
+      };
     default:
       reportToSentry(error);
       return {
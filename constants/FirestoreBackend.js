@@ -0,0 +1,19 @@
+/**
+ * @file Manages backend that stores data in Firestore and authenticates users with Firebase Auth.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { firestore, auth, setOrder, deleteOrder, deleteAccount, deleteFailedUser } from "./Firebase";
+
+// Backend using Firebase (see constants/Repositories.js)
+const FirestoreBackend = {
+  db: firestore,
+  auth: auth(),
+  emailCredential: (email, password) => auth.EmailAuthProvider.credential(email, password),
+  googleCredential: (idToken) => auth.GoogleAuthProvider.credential(idToken),
+  saveOrder: setOrder,
+  removeOrder: deleteOrder,
+  removeAccount: deleteAccount,
+  deleteFailedUser
+};
+
+export default FirestoreBackend;
\ No newline at end of file
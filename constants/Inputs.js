@@ -2,6 +2,8 @@
  * @file Manages data for user inputs.
  * @author Emily Sturman <emily@sturman.org>
  */
+import { parsePrice } from "./Pricing";
+
 // Regular expression to detect if a given string is a valid email address
 const EMAIL_REGEX = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
 // String to signal to validated inputs that input contents are valid
@@ -117,6 +119,12 @@ export const InputPresets = {
     fixValue: (value) => value.trim(),
     validate: (value) => NO_ERROR
   },
+  PRICE: {
+    autoCorrect: false,
+    keyboardType: "decimal-pad",
+    fixValue: (value) => value.trim(),
+    validate: (value) => isNaN(parsePrice(value)) ? "Please enter a valid amount (ex: 5.00)" : NO_ERROR
+  },
   MULTILINE: {
     multiline: true,
     fixValue: (value) => value.trim(),
@@ -137,6 +145,7 @@ export const TextTypes = {
   PIN: "PIN",
   CODE: "CODE",
   NAME: "NAME",
+  PRICE: "PRICE",
   MULTILINE: "MULTILINE",
   PLAIN: "PLAIN"
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * @file Manages daily ingredient limits (inventory caps) and sold-out options.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { InputTypes } from "./Inputs";
+
+// Error code for orders that would exceed an inventory cap
+export const SOLD_OUT = "sold-out";
+
+/**
+ * Gets the values an order has selected for an order option.
+ * @param {string|string[]|undefined} value Order's value for an order option.
+ * @return {string[]} Selected values.
+ */
+const toValues = (value) => (Array.isArray(value) ? value : [value]).filter((item) => item);
+
+/**
+ * Adds (or removes) an order's selections to inventory counts.
+ *
+ * Counts are stored by order option key, then by option (ex: { meat: { Turkey: 3 } }).
+ * Every picker and checkbox order option is counted, whether or not it is
+ * capped, so that a cap set after orders were placed for a date includes them.
+ *
+ * @param {Object<string, Object<string, number>>} counts       Inventory counts for a date.
+ * @param {Object}                                 order        Order to count.
+ * @param {number}                                 delta        1 to add order, -1 to remove it.
+ * @param {Object[]}                               orderOptions Domain's order options.
+ *
+ * @return {Object<string, Object<string, number>>} New inventory counts.
+ */
+export const countOrder = (counts, order, delta, orderOptions) => {
+  let newCounts = {};
+  Object.keys(counts).forEach((key) => newCounts[key] = { ...counts[key] });
+  const keys = orderOptions
+    .filter(({ type, dynamic }) => type !== InputTypes.TEXT_INPUT && !dynamic)
+    .map(({ key }) => key);
+  for (let key of keys) {
+    for (let value of toValues(order[key])) {
+      newCounts[key] = newCounts[key] || {};
+      newCounts[key][value] = Math.max(0, (newCounts[key][value] || 0) + delta);
+    }
+  }
+  return newCounts;
+};
+
+/**
+ * Gets options that a change to inventory counts would oversell.
+ *
+ * An option is oversold if its new count exceeds its cap and the count went
+ * up (so lowering a cap doesn't block orders that didn't change).
+ *
+ * @param {Object<string, Object<string, number>>} caps      Daily cap for each option.
+ * @param {Object<string, Object<string, number>>} oldCounts Inventory counts before change.
+ * @param {Object<string, Object<string, number>>} newCounts Inventory counts after change.
+ *
+ * @return {string[]} Oversold options.
+ */
+export const getOversoldOptions = (caps, oldCounts, newCounts) => {
+  let oversold = [];
+  for (let key of Object.keys(caps)) {
+    for (let option of Object.keys(caps[key])) {
+      const newCount = newCounts[key]?.[option] || 0;
+      if (newCount > caps[key][option] && newCount > (oldCounts[key]?.[option] || 0)) {
+        oversold.push(option);
+      }
+    }
+  }
+  return oversold;
+};
+
+/**
+ * Creates an error for an order that would exceed an inventory cap.
+ * @param {string[]} options Oversold options.
+ * @return {Error} Error with SOLD_OUT code.
+ */
+export const soldOutError = (options) => {
+  let error = new Error(
+    `Sorry, ${options.join(", ")} ${options.length === 1 ? "is" : "are"} sold out for that day. ` +
+    "Please choose something else."
+  );
+  error.code = SOLD_OUT;
+  return error;
+};
+
+/**
+ * Gets the number of each capped option that may still be ordered for a date.
+ *
+ * The order being edited (if any) doesn't count against its own options, so
+ * that users can keep options they have already ordered.
+ *
+ * @param {Object<string, Object<string, number>>} caps        Daily cap for each option.
+ * @param {Object<string, Object<string, number>>} [counts={}] Inventory counts for the date.
+ * @param {Object|null}                            [ownOrder]  Order being edited, if it is for the same date.
+ *
+ * @return {Object<string, Object<string, number>>} Remaining quantity of each capped option.
+ */
+export const getRemaining = (caps, counts = {}, ownOrder = null) => {
+  let remaining = {};
+  for (let key of Object.keys(caps)) {
+    remaining[key] = {};
+    for (let option of Object.keys(caps[key])) {
+      const ownCount = ownOrder && toValues(ownOrder[key]).includes(option) ? 1 : 0;
+      remaining[key][option] = Math.max(0, caps[key][option] - (counts[key]?.[option] || 0) + ownCount);
+    }
+  }
+  return remaining;
+};
+
+/**
+ * Whether an option is sold out.
+ *
+ * @param {string}                 option         Option to check.
+ * @param {Object<string, number>} [remaining={}] Remaining quantity of each capped option in the order option.
+ *
+ * @return {boolean} Whether option is sold out (false if option is not capped).
+ */
+export const isSoldOut = (option, remaining = {}) => remaining[option] === 0;
+
+/**
+ * Gets label for an option, including its remaining quantity (if capped).
+ *
+ * @param {string}                 option         Option to label.
+ * @param {Object<string, number>} [remaining={}] Remaining quantity of each capped option in the order option.
+ *
+ * @return {string} Label (ex: "Turkey (3 left)" or "Turkey (sold out)").
+ */
+export const getOptionLabel = (option, remaining = {}) => {
+  if (remaining[option] === undefined) {
+    return option;
+  }
+  return isSoldOut(option, remaining) ? `${option} (sold out)` : `${option} (${remaining[option]} left)`;
+};
\ No newline at end of file
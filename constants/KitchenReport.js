@@ -0,0 +1,242 @@
+/**
+ * @file Manages building and exporting the kitchen's daily order report.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import * as Print from "expo-print";
+import { InputTypes } from "./Inputs";
+import { toReadable } from "./Date";
+import { saveFile } from "./Files";
+import Alert from "./Alert";
+import Layout from "./Layout";
+
+// Column for the preset an order was made from
+const PRESET_COLUMN = { key: "title", title: "Preset" };
+
+/**
+ * Formats an order or profile value for display.
+ * @param {string|string[]|undefined} value Value to format.
+ * @return {string} Formatted value (arrays are comma-separated).
+ */
+const formatValue = (value) => Array.isArray(value) ? value.join(", ") : (value ?? "").toString();
+
+/**
+ * Compares two report rows by their user's profile values (in order of user fields).
+ *
+ * @param {Object}   rowA       First row.
+ * @param {Object}   rowB       Second row.
+ * @param {Object[]} userFields Profile fields.
+ *
+ * @return {number} Negative if rowA comes first, positive if rowB comes first, 0 if equal.
+ */
+const compareRows = (rowA, rowB, userFields) => {
+  for (let { key } of userFields) {
+    const diff = formatValue(rowA.user[key]).localeCompare(formatValue(rowB.user[key]));
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Counts how many of each option were ordered for each picker/checkbox order option.
+ *
+ * Every option is listed (even if nobody ordered it); values that are no
+ * longer options are listed after them. A picker's placeholder (its default
+ * value, if it isn't one of its options) isn't counted, since it means
+ * nothing was selected.
+ *
+ * @param {Object[]} orders       Orders to count.
+ * @param {Object[]} orderOptions Fields for ordering.
+ *
+ * @return {{key: string, title: string, counts: {option: string, count: number}[]}[]} Totals for each order option.
+ */
+const getTotals = (orders, orderOptions) => (
+  orderOptions
+    .filter(({ type, dynamic }) => type !== InputTypes.TEXT_INPUT && !dynamic)
+    .map(({ key, title, options, defaultValue }) => {
+      let counts = {};
+      options.forEach((option) => counts[option] = 0);
+      const isPlaceholder = (value) => value === defaultValue && !options.includes(value);
+      for (let order of orders) {
+        const values = Array.isArray(order[key]) ? order[key] : [order[key]];
+        values
+          .filter((value) => value && !isPlaceholder(value))
+          .forEach((value) => counts[value] = (counts[value] || 0) + 1);
+      }
+      return { key, title, counts: Object.keys(counts).map((option) => ({ option, count: counts[option] })) };
+    })
+);
+
+/**
+ * Builds the kitchen's report of every order placed for a given date.
+ *
+ * Joins each order with its user's profile, groups rows by the first picker
+ * profile field (ex: grade), and sorts each group by profile values.
+ *
+ * @param {string}                 isoDate      Date of report (ISO format).
+ * @param {Object[]}               orders       All orders for the date (including uid).
+ * @param {Object<string, Object>} users        Profile data of each user who ordered (uids as keys).
+ * @param {Object[]}               userFields   Profile fields.
+ * @param {Object[]}               orderOptions Fields for ordering.
+ *
+ * @return {Object} Report with date, columns, groups of rows, and ingredient totals.
+ */
+export const buildKitchenReport = (isoDate, orders, users, userFields, orderOptions) => {
+  const groupField = userFields.find(({ inputType }) => inputType === InputTypes.PICKER);
+  const rows = orders
+    .map((order) => ({ user: users[order.uid] || {}, order }))
+    .sort((rowA, rowB) => compareRows(rowA, rowB, userFields));
+  let groups = {};
+  for (let row of rows) {
+    const groupTitle = groupField ? formatValue(row.user[groupField.key]) : "";
+    groups[groupTitle] = [...(groups[groupTitle] || []), row];
+  }
+  return {
+    date: isoDate,
+    groupTitle: groupField?.title,
+    userColumns: userFields.filter(({ key }) => key !== groupField?.key).map(({ key, title }) => ({ key, title })),
+    orderColumns: [PRESET_COLUMN, ...orderOptions.map(({ key, title }) => ({ key, title }))],
+    groups: Object.keys(groups).sort().map((title) => ({ title, rows: groups[title] })),
+    totals: getTotals(orders, orderOptions),
+    orderCount: orders.length
+  };
+};
+
+/**
+ * Escapes a value for a CSV cell.
+ *
+ * Values that spreadsheet apps would run as formulas (starting with "=",
+ * "+", "-", "@", a tab, or a carriage return) are prefixed with "'", so
+ * that a value entered by a user can't run a formula when the report is opened.
+ *
+ * @param {string} value Value to escape.
+ *
+ * @return {string} Escaped value (quoted if it contains commas, quotes, or new lines).
+ */
+const escapeCSV = (value) => {
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+};
+
+/**
+ * Converts kitchen report to CSV.
+ *
+ * Contains one row per order, followed (after a blank row) by the
+ * ingredient totals, with one row per option.
+ *
+ * @param {Object} report Report built by buildKitchenReport.
+ *
+ * @return {string} CSV contents.
+ */
+export const toCSV = (report) => {
+  const header = [
+    ...(report.groupTitle ? [report.groupTitle] : []),
+    ...report.userColumns.map(({ title }) => title),
+    ...report.orderColumns.map(({ title }) => title)
+  ];
+  const rows = report.groups.flatMap(({ title, rows }) => rows.map(({ user, order }) => [
+    ...(report.groupTitle ? [title] : []),
+    ...report.userColumns.map(({ key }) => formatValue(user[key])),
+    ...report.orderColumns.map(({ key }) => formatValue(order[key]))
+  ]));
+  const totals = report.totals.flatMap(({ title, counts }) => (
+    counts.map(({ option, count }) => [title, option, count.toString()])
+  ));
+  return [header, ...rows, [], ["Totals", "Option", "Count"], ...totals]
+    .map((row) => row.map(escapeCSV).join(","))
+    .join("\n");
+};
+
+/**
+ * Escapes a value for HTML.
+ * @param {string} value Value to escape.
+ * @return {string} Escaped value.
+ */
+const escapeHTML = (value) => (
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+);
+
+/**
+ * Converts kitchen report to a print-friendly HTML page.
+ *
+ * Page contains ingredient totals followed by a table of orders for each group.
+ *
+ * @param {Object} report Report built by buildKitchenReport.
+ *
+ * @return {string} HTML page.
+ */
+export const toHTML = (report) => {
+  const columns = [...report.userColumns, ...report.orderColumns];
+  const headerRow = `<tr>${columns.map(({ title }) => `<th>${escapeHTML(title)}</th>`).join("")}</tr>`;
+  const totals = report.totals.map(({ title, counts }) => (
+    `<h3>${escapeHTML(title)}</h3><ul>` +
+    counts.map(({ option, count }) => `<li>${escapeHTML(option)}: <b>${count}</b></li>`).join("") +
+    "</ul>"
+  )).join("");
+  const groups = report.groups.map(({ title, rows }) => (
+    (report.groupTitle ? `<h2>${escapeHTML(`${report.groupTitle}: ${title || "None"}`)} (${rows.length})</h2>` : "") +
+    `<table>${headerRow}` +
+    rows.map(({ user, order }) => (
+      "<tr>" +
+      report.userColumns.map(({ key }) => `<td>${escapeHTML(formatValue(user[key]))}</td>`).join("") +
+      report.orderColumns.map(({ key }) => `<td>${escapeHTML(formatValue(order[key]))}</td>`).join("") +
+      "</tr>"
+    )).join("") +
+    "</table>"
+  )).join("");
+  return (
+    "<!DOCTYPE html><html><head><meta charset=\"utf-8\">" +
+    `<title>Orders for ${escapeHTML(toReadable(report.date))}</title>` +
+    "<style>" +
+    "body { font-family: sans-serif; font-size: 12px; } " +
+    "table { border-collapse: collapse; width: 100%; margin-bottom: 16px; page-break-inside: auto; } " +
+    "tr { page-break-inside: avoid; } " +
+    "th, td { border: 1px solid #999; padding: 4px; text-align: left; } " +
+    "ul { columns: 3; } " +
+    "h2 { page-break-after: avoid; }" +
+    "</style></head><body>" +
+    `<h1>Orders for ${escapeHTML(toReadable(report.date))} (${report.orderCount})</h1>` +
+    `<h2>Totals</h2>${totals}${groups}` +
+    "</body></html>"
+  );
+};
+
+/**
+ * Exports kitchen report as a CSV file.
+ *
+ * Downloads file on web; otherwise, saves file to cache and opens share sheet.
+ *
+ * @param {Object} report Report built by buildKitchenReport.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const exportCSV = (report) => (
+  saveFile(`orders-${report.date}.csv`, toCSV(report), "text/csv", "public.comma-separated-values-text")
+);
+
+/**
+ * Opens print dialog for kitchen report (as a print-friendly HTML page).
+ *
+ * On web, the page is opened in a new window; if the browser blocks it, user
+ * is asked to allow pop-ups instead.
+ *
+ * @param {Object} report Report built by buildKitchenReport.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const printReport = async (report) => {
+  const html = toHTML(report);
+  if (Layout.web) {
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      Alert("Pop-up blocked", "Please allow pop-ups for this site to print the report.");
+      return;
+    }
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.print();
+    return;
+  }
+  await Print.printAsync({ html });
+};
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * @file Manages an in-memory stand-in for Firestore and Firebase Auth (for demos, screenshots, and tests).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { setOrderTransaction, deleteOrderTransaction } from "./OrderWrites";
+import { deleteAccountData } from "./AccountWrites";
+
+// Characters and length of generated IDs (same as Firestore's auto-generated IDs)
+const ID_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+const ID_LENGTH = 20;
+
+/**
+ * Generates a random ID for a doc or user.
+ * @return {string} Random ID.
+ */
+const makeId = () => {
+  let id = "";
+  for (let i = 0; i < ID_LENGTH; i++) {
+    id += ID_CHARS.charAt(Math.floor(Math.random() * ID_CHARS.length));
+  }
+  return id;
+};
+
+/**
+ * Creates an error with a code (so that it is handled like errors from Firebase).
+ *
+ * @param {string} code    Firebase error code (ex: "not-found"; see authErrorMessage and firestoreErrorMessage).
+ * @param {string} message Error message.
+ *
+ * @return {Error} Error object.
+ */
+const backendError = (code, message) => {
+  let error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Copies data so that stored docs can't be changed by callers.
+ * @param {*} data Data to copy (must be JSON serializable).
+ * @return {*} Copy of data.
+ */
+const copy = (data) => data === undefined ? undefined : JSON.parse(JSON.stringify(data));
+
+const isMap = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Applies data from a write to a doc's existing data.
+ *
+ * Skips undefined values and (when deep is true) merges nested objects
+ * instead of replacing them, as Firestore does for sets with { merge: true }.
+ *
+ * @param {Object}  base Existing data to write on top of.
+ * @param {Object}  data Data to write.
+ * @param {boolean} deep Whether nested objects are merged.
+ *
+ * @return {Object} New doc data.
+ */
+const applyData = (base, data, deep) => {
+  let result = { ...base };
+  Object.keys(data).filter((key) => data[key] !== undefined).forEach((key) => {
+    const value = data[key];
+    if (deep && isMap(value)) {
+      result[key] = applyData(isMap(result[key]) ? result[key] : {}, value, true);
+    } else {
+      result[key] = copy(value);
+    }
+  });
+  return result;
+};
+
+/**
+ * Gets a (possibly nested) field from doc data.
+ * @param {Object} data  Doc data.
+ * @param {string} field Field path (ex: "bread" or "prices.Sourdough").
+ * @return {*} Value of field (undefined if field doesn't exist).
+ */
+const getField = (data, field) => field.split(".").reduce((value, key) => isMap(value) ? value[key] : undefined, data);
+
+const compareValues = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+
+// Functions for each query operator supported by where()
+const Operators = {
+  "==": (value, target) => value === target,
+  "!=": (value, target) => value !== undefined && value !== target,
+  "<": (value, target) => value !== undefined && value < target,
+  "<=": (value, target) => value !== undefined && value <= target,
+  ">": (value, target) => value !== undefined && value > target,
+  ">=": (value, target) => value !== undefined && value >= target,
+  "in": (value, target) => target.includes(value),
+  "array-contains": (value, target) => Array.isArray(value) && value.includes(target)
+};
+
+/**
+ * Creates an in-memory backend with the same interface as the Firestore backend.
+ *
+ * Supports the parts of Firestore (docs, collections, simple queries,
+ * listeners, transactions, and batches) and Firebase Auth
+ * (email/password accounts; Google sign-in always fails) that the app uses.
+ * Data is lost when the app closes.
+ *
+ * @param {{users: Object<string, {email: string, password: string, emailVerified: boolean}>, docs: Object<string, Object>}} seed Accounts (uids as keys) and docs (paths as keys) to start with.
+ *
+ * @return {Object} Backend (see constants/Repositories.js).
+ */
+const createMemoryBackend = (seed) => {
+  let docs = new Map(Object.entries(copy(seed.docs)));
+  let users = copy(seed.users);
+  let listeners = new Set();
+  let authListeners = new Set();
+  let currentUser = null;
+
+  const notifyListeners = () => setTimeout(() => listeners.forEach((listener) => listener()), 0);
+
+  /**
+   * Creates a listener that is called with a snapshot whenever its data changes.
+   *
+   * @param {function(): Object} getSnapshot Gets a snapshot of the listened data.
+   * @param {function(Object)}   onNext      Function called with each new snapshot.
+   *
+   * @return {function} Function to unsubscribe listener.
+   */
+  const listen = (getSnapshot, onNext) => {
+    let lastData = null;
+    const listener = () => {
+      if (!listeners.has(listener)) {
+        return;
+      }
+      const snapshot = getSnapshot();
+      const data = JSON.stringify(snapshot.docs ? snapshot.docs.map((doc) => [doc.id, doc.data()]) : [snapshot.exists, snapshot.data()]);
+      if (data !== lastData) {
+        lastData = data;
+        onNext(snapshot);
+      }
+    };
+    listeners.add(listener);
+    setTimeout(listener, 0);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Applies writes all at once (none are applied if any fail).
+   * @param {{type: string, path: string, data: Object, merge: boolean}[]} writes Writes to apply.
+   * @return {Promise<void>} Promise for function.
+   */
+  const commit = async (writes) => {
+    let newDocs = new Map(docs);
+    writes.forEach(({ type, path, data, merge }) => {
+      switch (type) {
+        case "set":
+          newDocs.set(path, applyData(merge ? newDocs.get(path) || {} : {}, data, merge));
+          break;
+        case "update":
+          if (!newDocs.has(path)) {
+            throw backendError("not-found", `No document to update: ${path}`);
+          }
+          newDocs.set(path, applyData(newDocs.get(path), data, false));
+          break;
+        case "delete":
+          newDocs.delete(path);
+          break;
+      }
+    });
+    docs = newDocs;
+    notifyListeners();
+  };
+
+  // Creates functions for writing to refs (used by transactions and batches)
+  const makeWriter = (writes) => {
+    const writer = {
+      set: (ref, data, options = {}) => {
+        writes.push({ type: "set", path: ref.path, data, merge: !!options.merge });
+        return writer;
+      },
+      update: (ref, data) => {
+        writes.push({ type: "update", path: ref.path, data });
+        return writer;
+      },
+      delete: (ref) => {
+        writes.push({ type: "delete", path: ref.path });
+        return writer;
+      }
+    };
+    return writer;
+  };
+
+  const docSnapshot = (path) => ({
+    id: path.split("/").pop(),
+    ref: docRef(path),
+    exists: docs.has(path),
+    data: () => copy(docs.get(path))
+  });
+
+  const querySnapshot = (path, { filters, orders, limit, startAfter }) => {
+    let results = [...docs.keys()]
+      .filter((docPath) => docPath.startsWith(path + "/") && !docPath.slice(path.length + 1).includes("/"))
+      .map(docSnapshot)
+      .filter((doc) => filters.every(({ field, op, value }) => Operators[op](getField(doc.data(), field), value)))
+      .filter((doc) => orders.every(({ field }) => getField(doc.data(), field) !== undefined))
+      .sort((docA, docB) => {
+        for (let { field, direction } of orders) {
+          const comparison = compareValues(getField(docA.data(), field), getField(docB.data(), field));
+          if (comparison !== 0) {
+            return direction === "desc" ? -comparison : comparison;
+          }
+        }
+        return compareValues(docA.id, docB.id);
+      });
+    if (startAfter) {
+      results = results.slice(results.findIndex((doc) => doc.id === startAfter.id) + 1);
+    }
+    if (limit !== null) {
+      results = results.slice(0, limit);
+    }
+    return {
+      docs: results,
+      size: results.length,
+      empty: results.length === 0,
+      forEach: (callback) => results.forEach(callback)
+    };
+  };
+
+  const query = (path, constraints) => ({
+    where: (field, op, value) => query(path, { ...constraints, filters: [...constraints.filters, { field, op, value }] }),
+    orderBy: (field, direction = "asc") => query(path, { ...constraints, orders: [...constraints.orders, { field, direction }] }),
+    limit: (limit) => query(path, { ...constraints, limit }),
+    startAfter: (startAfter) => query(path, { ...constraints, startAfter }),
+    get: async () => querySnapshot(path, constraints),
+    onSnapshot: (onNext) => listen(() => querySnapshot(path, constraints), onNext)
+  });
+
+  const collectionRef = (path) => ({
+    ...query(path, { filters: [], orders: [], limit: null, startAfter: null }),
+    id: path.split("/").pop(),
+    path,
+    doc: (id = makeId()) => docRef(`${path}/${id}`),
+    add: async (data) => {
+      const ref = docRef(`${path}/${makeId()}`);
+      await ref.set(data);
+      return ref;
+    }
+  });
+
+  const docRef = (path) => ({
+    id: path.split("/").pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+    get: async () => docSnapshot(path),
+    set: (data, options = {}) => commit([{ type: "set", path, data, merge: !!options.merge }]),
+    update: (data) => commit([{ type: "update", path, data }]),
+    delete: () => commit([{ type: "delete", path }]),
+    onSnapshot: (onNext) => listen(() => docSnapshot(path), onNext)
+  });
+
+  const db = {
+    collection: collectionRef,
+    runTransaction: async (updateFunction) => {
+      let writes = [];
+      const transaction = {
+        ...makeWriter(writes),
+        get: (ref) => ref.get()
+      };
+      const result = await updateFunction(transaction);
+      await commit(writes);
+      return result;
+    },
+    batch: () => {
+      let writes = [];
+      return {
+        ...makeWriter(writes),
+        commit: () => commit(writes)
+      };
+    }
+  };
+
+  const findUid = (email) => Object.keys(users).find((uid) => users[uid].email.toLowerCase() === email.trim().toLowerCase());
+
+  const setCurrentUser = (uid) => {
+    currentUser = uid ? {
+      uid,
+      email: users[uid].email,
+      get emailVerified() {
+        return !!users[uid].emailVerified;
+      },
+      providerData: [],
+      // Users are only set when they sign in (or sign up), so this is when they last signed in
+      metadata: { lastSignInTime: new Date(Date.now()).toUTCString() },
+      // No emails are sent, so addresses count as verified once a verification email is requested
+      sendEmailVerification: async () => {
+        users[uid].emailVerified = true;
+      },
+      reload: async () => {},
+      getIdToken: async () => uid,
+      reauthenticateWithCredential: async ({ password }) => {
+        if (users[uid].password !== password) {
+          throw backendError("auth/wrong-password", "The password is invalid.");
+        }
+      },
+      updatePassword: async (password) => {
+        users[uid].password = password;
+      }
+    } : null;
+    authListeners.forEach((listener) => listener(currentUser));
+  };
+
+  // Deletes a user's account (as Cloud Functions do), signing them out if they are signed in
+  const deleteUser = (uid) => {
+    delete users[uid];
+    if (currentUser?.uid === uid) {
+      setCurrentUser(null);
+    }
+  };
+
+  const auth = {
+    get currentUser() {
+      return currentUser;
+    },
+    signInWithEmailAndPassword: async (email, password) => {
+      const uid = findUid(email);
+      if (!uid) {
+        throw backendError("auth/user-not-found", "There is no user with this email.");
+      } else if (users[uid].password !== password) {
+        throw backendError("auth/wrong-password", "The password is invalid.");
+      }
+      setCurrentUser(uid);
+      return { user: currentUser };
+    },
+    createUserWithEmailAndPassword: async (email, password) => {
+      if (findUid(email)) {
+        throw backendError("auth/email-already-in-use", "The email address is already in use.");
+      }
+      const uid = makeId();
+      users[uid] = { email: email.trim(), password };
+      setCurrentUser(uid);
+      return { user: currentUser };
+    },
+    signInWithCredential: async () => {
+      throw backendError("auth/operation-not-allowed", "Google sign-in is not available without Firebase.");
+    },
+    signOut: async () => setCurrentUser(null),
+    sendPasswordResetEmail: async (email) => {
+      if (!findUid(email)) {
+        throw backendError("auth/user-not-found", "There is no user with this email.");
+      }
+    },
+    onAuthStateChanged: (listener) => {
+      authListeners.add(listener);
+      setTimeout(() => authListeners.has(listener) && listener(currentUser), 0);
+      return () => authListeners.delete(listener);
+    }
+  };
+
+  return {
+    db,
+    auth,
+    emailCredential: (email, password) => ({ email, password }),
+    googleCredential: (idToken) => ({ idToken }),
+    saveOrder: (key, data, domain) => setOrderTransaction(db, key, data, domain),
+    removeOrder: (key, uid, domain) => deleteOrderTransaction(db, key, uid, domain),
+    removeAccount: (uid, domain) => deleteAccountData(db, uid, domain, async (uid) => deleteUser(uid)),
+    deleteFailedUser: async (uid) => deleteUser(uid)
+  };
+};
+
+export default createMemoryBackend;
\ No newline at end of file
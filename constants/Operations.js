@@ -0,0 +1,82 @@
+/**
+ * @file Manages the status of saves to individual orders and presets (so screens can show them inline).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { MutationTypes } from "./Outbox";
+
+// Status of an operation on an order or preset
+export const OperationStatus = {
+  PENDING: "PENDING",
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED"
+};
+
+// Kinds of docs that operations are tracked for
+export const OperationTargets = {
+  ORDER: "order",
+  PRESET: "preset"
+};
+
+/**
+ * Gets the key that an operation is stored under in operations state.
+ *
+ * @param {string} target Kind of doc being changed (see OperationTargets).
+ * @param {string} id     ID of order or preset being changed.
+ *
+ * @return {string} Operation key (ex: "order/abc123").
+ */
+export const operationKey = (target, id) => `${target}/${id}`;
+
+/**
+ * Gets the key of the operation that pushes a mutation.
+ * @param {Object} mutation Mutation being pushed (see constants/Outbox.js).
+ * @return {string} Operation key.
+ */
+export const getMutationOperationKey = ({ type, key }) => operationKey(
+  type === MutationTypes.SET_ORDER || type === MutationTypes.DELETE_ORDER ? OperationTargets.ORDER : OperationTargets.PRESET,
+  key
+);
+
+/**
+ * Creates an operation object.
+ *
+ * @param {string}                           status   Status of operation (see OperationStatus).
+ * @param {Object}                           mutation Mutation being pushed.
+ * @param {boolean}                          isNew    Whether the mutation creates a new order or preset.
+ * @param {{title: string, message: string}} [error]  Error to display (for failed operations only).
+ *
+ * @return {Object} Operation object.
+ */
+export const makeOperation = (status, mutation, isNew, error = null) => ({
+  status,
+  type: mutation.type,
+  isNew,
+  error
+});
+
+/**
+ * Determines whether an operation deletes its order or preset.
+ * @param {Object} operation Operation object.
+ * @return {boolean} Whether operation is a deletion.
+ */
+export const isDeletion = ({ type }) => type === MutationTypes.DELETE_ORDER || type === MutationTypes.DELETE_PRESET;
+
+/**
+ * Gets unfinished operations that create orders or presets not yet in the user's list.
+ *
+ * New orders and presets have no card to display their status on until
+ * they are saved, so their pending and failed operations are displayed
+ * separately.
+ *
+ * @param {Object<string, Object>} operations   Operations state.
+ * @param {string}                 target       Kind of doc (see OperationTargets).
+ * @param {Object<string, Object>} existingDocs Orders or presets in user's list (IDs as keys).
+ *
+ * @return {Object[]} Operations (with their keys).
+ */
+export const getNewOperations = (operations, target, existingDocs) => Object.keys(operations)
+  .filter((key) => key.startsWith(`${target}/`))
+  .map((key) => ({ ...operations[key], key }))
+  .filter(({ key, isNew, status }) => (
+    isNew && status !== OperationStatus.SUCCEEDED && !existingDocs[key.slice(target.length + 1)]
+  ));
\ No newline at end of file
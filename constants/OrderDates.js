@@ -0,0 +1,136 @@
+/**
+ * @file Manages which dates orders may be placed for (school days within the booking horizon whose cutoff hasn't passed).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import moment from "moment";
+import { ISO_FORMAT, now, fromISO } from "./Date";
+import Cutoff from "./Cutoff";
+import Schedule from "./Schedule";
+
+/**
+ * Gets the index of a given date on the provided school schedule.
+ *
+ * Calculates the difference between the schedule start date and
+ * the provided date, then calculates the remainder when that is
+ * divided by the schedule length (schedule repeats). Dates before
+ * the start date wrap around to the end of the schedule. Dates are
+ * compared as calendar dates (in UTC), so the result doesn't depend
+ * on the date's timezone or on DST changes.
+ *
+ * @param {moment.Moment} date           Date to get the index of.
+ * @param {string}        startDate      Start date of schedule.
+ * @param {number}        scheduleLength Length of provided schedule.
+ *
+ * @return {number} The index of the date on the schedule.
+ */
+const getScheduleIndex = (date, startDate, scheduleLength) => (
+  (moment.utc(date.format(ISO_FORMAT)).diff(moment.utc(startDate), "days") % scheduleLength + scheduleLength)
+  % scheduleLength
+);
+
+/**
+ * Whether a given date falls within any of the schedule's closures.
+ *
+ * @param {string}                         isoDate               Date in ISO format.
+ * @param {Object}                         schedule              An object representing a school schedule.
+ * @param {string[]}                       schedule.closedDates  Dates on which the kitchen is closed (ISO format).
+ * @param {{start: string, end: string}[]} schedule.closedRanges Inclusive date ranges during which the kitchen is closed (ISO format).
+ *
+ * @return {boolean} Whether date is closed.
+ */
+const isClosed = (isoDate, { closedDates, closedRanges }) => (
+  closedDates.includes(isoDate) || closedRanges.some(({ start, end }) => isoDate >= start && isoDate <= end)
+);
+
+/**
+ * Whether a given date is a school day (determined by given school schedule).
+ *
+ * Dates in the schedule's open dates are always school days; otherwise, dates
+ * within a closure are not school days, and all other dates follow the
+ * repeating schedule.
+ *
+ * @param {moment.Moment} date     The date in question.
+ * @param {Object}        schedule An object representing a repeating school schedule (with exceptions).
+ *
+ * @return {boolean} Whether date is a school day.
+ */
+const isSchoolDay = (date, schedule) => {
+  const isoDate = date.format(ISO_FORMAT);
+  if (schedule.openDates.includes(isoDate)) {
+    return true;
+  } else if (isClosed(isoDate, schedule)) {
+    return false;
+  }
+  let scheduleIndex = getScheduleIndex(date, schedule.startDate, schedule.values.length);
+  return schedule.values[scheduleIndex];
+}
+
+/**
+ * Gets the time after which an order may no longer be placed (or changed) for a given date.
+ *
+ * Uses the cutoff time for the date's weekday (or the default cutoff time if
+ * that weekday has none), on the day that is daysInAdvance days before the date,
+ * in the domain's timezone.
+ *
+ * @param {moment.Moment} date       Date of order.
+ * @param {Object}        cutoffTime Order cutoff rules for user's domain.
+ *
+ * @return {moment.Moment} Cutoff for date.
+ */
+export const getCutoff = (date, cutoffTime) => {
+  const { hours, minutes } = cutoffTime.weekdays[date.format("dddd")] || cutoffTime;
+  const cutoffDate = moment.utc(date.format(ISO_FORMAT)).subtract(cutoffTime.daysInAdvance, "days");
+  return fromISO(cutoffDate.format(ISO_FORMAT), cutoffTime.timezone, hours, minutes);
+};
+
+/**
+ * Whether the cutoff for a given date has passed.
+ *
+ * @param {moment.Moment} date                 Date of order.
+ * @param {Object}        cutoffTime           Order cutoff rules for user's domain.
+ * @param {moment.Moment} [currentTime=moment] Current time.
+ *
+ * @return {boolean} Whether orders may no longer be placed (or changed) for date.
+ */
+export const isPastCutoff = (date, cutoffTime, currentTime = moment()) => (
+  currentTime.isAfter(getCutoff(date, cutoffTime))
+);
+
+/**
+ * Gets all school days on which an order may currently be placed.
+ *
+ * Searches within the cutoff's horizon (starting today in the domain's
+ * timezone, including weekends) for school days whose cutoff has not passed.
+ *
+ * @param {Object}        cutoffTime Order cutoff rules for user's domain.
+ * @param {Object}        schedule   School schedule for user's domain.
+ *
+ * @return {moment.Moment[]} Dates on which an order may be placed.
+ */
+export const getOrderableDates = (cutoffTime, schedule) => {
+  let orderableDates = [];
+  let date = now(cutoffTime.timezone).startOf("day");
+  for (let i = 0; i < cutoffTime.horizon; i++) {
+    if (isSchoolDay(date, schedule) && !isPastCutoff(date, cutoffTime)) {
+      orderableDates.push(date.clone());
+    }
+    date.add(1, "days");
+  }
+  return orderableDates;
+};
+
+/**
+ * Gets the dates on which an order may currently be placed, from a domain's stored cutoff rules and schedule.
+ *
+ * Fields the domain doesn't define fall back to the defaults (see
+ * constants/Cutoff.js and constants/Schedule.js), as in the app's state.
+ *
+ * @param {Object|undefined} cutoffTime Domain's appData/cutoffTime doc.
+ * @param {Object|undefined} schedule   Domain's appData/schedule doc.
+ *
+ * @return {string[]} Dates on which an order may be placed (ISO format).
+ */
+export const getStoredOrderableDates = (cutoffTime, schedule) => (
+  getOrderableDates({ ...Cutoff, ...(cutoffTime || {}) }, { ...Schedule, ...(schedule || {}) })
+    .map((date) => date.format(ISO_FORMAT))
+);
\ No newline at end of file
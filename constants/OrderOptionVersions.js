@@ -0,0 +1,72 @@
+/**
+ * @file Manages looking up the version of the domain's order options that each order was placed with.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+
+/**
+ * Gets the version of the order options an order was placed with.
+ * @param {Object} order Order to check.
+ * @return {number} Version of order options (0 for orders placed before order options were versioned).
+ */
+export const getOrderVersion = ({ optionsVersion }) => optionsVersion || 0;
+
+/**
+ * Gets the order options an order was placed with.
+ *
+ * Falls back to the current order options if the order's version hasn't
+ * been fetched yet or isn't in the domain's history (order options that
+ * were never replaced are only stored as the current version). Orders that
+ * haven't been saved yet are placed with the current order options.
+ *
+ * @param {Object}                        order          Order to get order options for.
+ * @param {Object[]}                      orderOptions   Domain's current order options.
+ * @param {number}                        currentVersion Version of current order options.
+ * @param {Object<number, Object[]|null>} versions       Previous versions of order options that have been fetched.
+ *
+ * @return {Object[]} Order options order was placed with.
+ */
+export const getSchema = (order, orderOptions, currentVersion, versions) => {
+  const version = getOrderVersion(order);
+  if (order.pending || version === currentVersion) {
+    return orderOptions;
+  }
+  return versions[version] || orderOptions;
+};
+
+/**
+ * Gets the versions of order options that orders were placed with that haven't been fetched yet.
+ *
+ * @param {Object[]}                      orders         Orders to check.
+ * @param {number}                        currentVersion Version of current order options.
+ * @param {Object<number, Object[]|null>} versions       Previous versions of order options that have been fetched.
+ *
+ * @return {number[]} Versions to fetch.
+ */
+export const getMissingVersions = (orders, currentVersion, versions) => (
+  [...new Set(orders.filter((order) => !order.pending).map(getOrderVersion))]
+    .filter((version) => version !== currentVersion && !versions.hasOwnProperty(version))
+);
+
+/**
+ * Combines several versions of order options into one list.
+ *
+ * Starts with the current order options, then adds categories that have
+ * since been removed (as they were defined in the first schema they appear
+ * in), so that every value orders were placed with has a category.
+ *
+ * @param {Object[]}   orderOptions Domain's current order options.
+ * @param {Object[][]} schemas      Order options that orders were placed with.
+ *
+ * @return {Object[]} Combined order options.
+ */
+export const mergeSchemas = (orderOptions, schemas) => {
+  let merged = [...orderOptions];
+  for (let schema of schemas) {
+    for (let orderOption of schema) {
+      if (!merged.some(({ key }) => key === orderOption.key)) {
+        merged.push(orderOption);
+      }
+    }
+  }
+  return merged;
+};
\ No newline at end of file
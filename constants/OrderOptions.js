@@ -0,0 +1,330 @@
+/**
+ * @file Manages editing order options (categories on the order page) from the admin console.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { InputTypes, NO_ERROR } from "./Inputs";
+import { parsePrice } from "./Pricing";
+import { DietaryTags } from "./Dietary";
+
+// Keys used by orders for other data (order options may not use these)
+export const RESERVED_KEYS = ["key", "uid", "title", "date", "preset", "days", "standingOrder", "pending", "price", "operation", "onDismiss", "issues", "onFix", "optionsVersion", "schema"];
+// Default value for pickers with no default selection
+const PICKER_PLACEHOLDER = "Please select";
+
+// Readable names for each input type (displayed to admins)
+export const TypeLabels = {
+  [InputTypes.PICKER]: "Pick one",
+  [InputTypes.CHECKBOX]: "Pick any",
+  [InputTypes.TEXT_INPUT]: "Text"
+};
+
+// Fields for editing an order option (rendered by OrderInputsList)
+export const OrderOptionFields = [
+  {
+    key: "label",
+    title: "Category name",
+    type: InputTypes.TEXT_INPUT,
+    defaultValue: "",
+    placeholder: "Ex: Bread",
+    required: true,
+    dynamic: false
+  },
+  {
+    key: "type",
+    title: "Selection type",
+    type: InputTypes.PICKER,
+    options: Object.values(TypeLabels),
+    defaultValue: TypeLabels[InputTypes.PICKER],
+    required: true,
+    dynamic: false
+  },
+  {
+    key: "options",
+    title: "Options (one per line)",
+    type: InputTypes.TEXT_INPUT,
+    defaultValue: "",
+    placeholder: "Ex: White\nWheat\nSourdough",
+    multiline: true,
+    required: false,
+    dynamic: false
+  },
+  {
+    key: "defaultValue",
+    title: "Default selection",
+    type: InputTypes.TEXT_INPUT,
+    defaultValue: "",
+    placeholder: "Leave blank for no default (one per line for \"Pick any\")",
+    multiline: true,
+    required: false,
+    dynamic: false
+  },
+  {
+    key: "prices",
+    title: "Prices (one per line)",
+    type: InputTypes.TEXT_INPUT,
+    defaultValue: "",
+    placeholder: "Ex: Sourdough: 0.50 (leave out free options)",
+    multiline: true,
+    required: false,
+    dynamic: false
+  },
+  {
+    key: "tags",
+    title: "Allergen & dietary tags (one per line)",
+    type: InputTypes.TEXT_INPUT,
+    defaultValue: "",
+    placeholder: `Ex: Sourdough: gluten, sesame (tags: ${DietaryTags.join(", ")})`,
+    multiline: true,
+    required: false,
+    dynamic: false
+  },
+  {
+    key: "required",
+    title: "Required",
+    type: InputTypes.PICKER,
+    options: ["Yes", "No"],
+    defaultValue: "No",
+    required: true,
+    dynamic: false
+  }
+];
+
+/**
+ * Splits multiline text into trimmed, non-empty lines.
+ * @param {string} [text=""] Text to split.
+ * @return {string[]} Lines of text.
+ */
+const splitLines = (text = "") => text.split("\n").map((line) => line.trim()).filter((line) => line.length > 0);
+
+/**
+ * Parses prices entered in the order option editor.
+ *
+ * Each line contains an option and its price, separated by the last colon
+ * (ex: "Sourdough: 0.50"); lines that can't be parsed are kept with a price
+ * of NaN so that validation can reject them.
+ *
+ * @param {string} [text=""] Prices entered in the editor.
+ *
+ * @return {Object<string, number>} Price of each option (in cents).
+ */
+const parsePrices = (text = "") => {
+  let prices = {};
+  for (let line of splitLines(text)) {
+    const separator = line.lastIndexOf(":");
+    if (separator < 0) {
+      prices[line] = NaN;
+    } else {
+      prices[line.slice(0, separator).trim()] = parsePrice(line.slice(separator + 1));
+    }
+  }
+  return prices;
+};
+
+/**
+ * Parses allergen and dietary tags entered in the order option editor.
+ *
+ * Each line contains an option and its comma-separated tags, separated by
+ * the last colon (ex: "Sourdough: gluten, sesame"); tags are lowercased so
+ * that validation can match them against DietaryTags.
+ *
+ * @param {string} [text=""] Tags entered in the editor.
+ *
+ * @return {Object<string, string[]>} Tags of each option.
+ */
+const parseTags = (text = "") => {
+  let tags = {};
+  for (let line of splitLines(text)) {
+    const separator = line.lastIndexOf(":");
+    const option = separator < 0 ? line : line.slice(0, separator).trim();
+    const optionTags = separator < 0 ? "" : line.slice(separator + 1);
+    tags[option] = optionTags.split(",").map((tag) => tag.trim().toLowerCase()).filter((tag) => tag.length > 0);
+  }
+  return tags;
+};
+
+/**
+ * Generates a unique key for a new order option from its title.
+ *
+ * Keys are stored on every order, so they are never changed once created
+ * (renaming an option only changes its title).
+ *
+ * @param {string}   title        Title of new order option.
+ * @param {Object[]} orderOptions Existing order options.
+ *
+ * @return {string} Key for new order option (ex: "bread" or "bread2").
+ */
+export const makeOrderOptionKey = (title, orderOptions) => {
+  const words = title.trim().toLowerCase().split(/[^a-z0-9]+/).filter((word) => word.length > 0);
+  const baseKey = words.map((word, i) => i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)).join("")
+    || "option";
+  const takenKeys = [...RESERVED_KEYS, ...orderOptions.map((option) => option.key)];
+  let key = baseKey;
+  for (let i = 2; takenKeys.includes(key); i++) {
+    key = baseKey + i;
+  }
+  return key;
+};
+
+/**
+ * Converts values entered in the order option editor to an order option.
+ *
+ * @param {Object} fields         Values of OrderOptionFields.
+ * @param {string} key            Key of order option.
+ * @param {Object} [existing={}]  Order option being edited (fields not in the editor, such as placeholder, are kept).
+ *
+ * @return {Object} Order option.
+ */
+export const toOrderOption = (fields, key, existing = {}) => {
+  const type = Object.keys(TypeLabels).find((inputType) => TypeLabels[inputType] === fields.type);
+  let orderOption = {
+    ...existing,
+    key,
+    title: fields.label.trim(),
+    type,
+    required: fields.required === "Yes",
+    dynamic: false
+  };
+  switch (type) {
+    case InputTypes.PICKER:
+      orderOption.options = splitLines(fields.options);
+      orderOption.defaultValue = fields.defaultValue.trim() || PICKER_PLACEHOLDER;
+      orderOption.prices = parsePrices(fields.prices);
+      orderOption.tags = parseTags(fields.tags);
+      break;
+    case InputTypes.CHECKBOX:
+      orderOption.options = splitLines(fields.options);
+      orderOption.defaultValue = splitLines(fields.defaultValue);
+      orderOption.prices = parsePrices(fields.prices);
+      orderOption.tags = parseTags(fields.tags);
+      break;
+    default:
+      delete orderOption.options;
+      delete orderOption.prices;
+      delete orderOption.tags;
+      orderOption.defaultValue = fields.defaultValue;
+      break;
+  }
+  return orderOption;
+};
+
+/**
+ * Converts an order option to values for the order option editor.
+ * @param {Object} orderOption Order option being edited.
+ * @return {Object} Values of OrderOptionFields (plus key of order option).
+ */
+export const toOrderOptionFields = ({ key, title, type, options = [], defaultValue, prices = {}, tags = {}, required }) => ({
+  key,
+  label: title,
+  type: TypeLabels[type],
+  options: type === InputTypes.TEXT_INPUT ? "" : options.join("\n"),
+  defaultValue: Array.isArray(defaultValue)
+    ? defaultValue.join("\n")
+    : defaultValue === PICKER_PLACEHOLDER ? "" : defaultValue || "",
+  prices: Object.keys(prices).map((option) => `${option}: ${(prices[option] / 100).toFixed(2)}`).join("\n"),
+  tags: Object.keys(tags).map((option) => `${option}: ${tags[option].join(", ")}`).join("\n"),
+  required: required ? "Yes" : "No"
+});
+
+/**
+ * Checks that a single order option can be rendered by OrderInputsList.
+ * @param {Object} orderOption Order option to check.
+ * @return {string} Error message (NO_ERROR if order option is valid).
+ */
+const validateOrderOption = ({ key, title, type, options, defaultValue, prices = {}, tags = {}, required, dynamic }) => {
+  if (typeof key !== "string" || key.length === 0) {
+    return "Every category must have a key.";
+  }
+  if (RESERVED_KEYS.includes(key)) {
+    return `"${key}" may not be used as a category key.`;
+  }
+  if (typeof title !== "string" || title.trim().length === 0) {
+    return "Every category must have a name.";
+  }
+  if (!Object.keys(TypeLabels).includes(type)) {
+    return `"${title}" must have a valid selection type.`;
+  }
+  if (typeof required !== "boolean" || dynamic) {
+    return `"${title}" is not a valid category.`;
+  }
+  if (type === InputTypes.TEXT_INPUT) {
+    return typeof defaultValue === "string" ? NO_ERROR : `"${title}" must have text as its default.`;
+  }
+  if (!Array.isArray(options) || options.length === 0) {
+    return `"${title}" must have at least one option.`;
+  }
+  if (new Set(options).size !== options.length) {
+    return `"${title}" has duplicate options.`;
+  }
+  if (type === InputTypes.PICKER && typeof defaultValue !== "string") {
+    return `"${title}" must have a single default selection.`;
+  }
+  if (type === InputTypes.CHECKBOX) {
+    if (!Array.isArray(defaultValue) || defaultValue.some((value) => !options.includes(value))) {
+      return `The default selections for "${title}" must all be options.`;
+    }
+  }
+  for (let option of Object.keys(prices)) {
+    if (!options.includes(option)) {
+      return `"${option}" has a price but is not an option of "${title}".`;
+    }
+    if (!Number.isInteger(prices[option]) || prices[option] < 0) {
+      return `The price of "${option}" must be an amount (ex: "${option}: 0.50").`;
+    }
+  }
+  for (let option of Object.keys(tags)) {
+    if (!options.includes(option)) {
+      return `"${option}" has tags but is not an option of "${title}".`;
+    }
+    if (!Array.isArray(tags[option]) || tags[option].length === 0) {
+      return `"${option}" must have at least one tag (ex: "${option}: gluten").`;
+    }
+    const unknownTag = tags[option].find((tag) => !DietaryTags.includes(tag));
+    if (unknownTag) {
+      return `"${unknownTag}" is not a tag (tags are: ${DietaryTags.join(", ")}).`;
+    }
+  }
+  return NO_ERROR;
+};
+
+/**
+ * Checks that order options can be rendered by OrderInputsList.
+ *
+ * Each order option must be valid (see validateOrderOption), and no two
+ * order options may share a key or name.
+ *
+ * @param {Object[]} orderOptions Order options to check.
+ *
+ * @return {string} Error message (NO_ERROR if order options are valid).
+ */
+export const validateOrderOptions = (orderOptions) => {
+  for (let orderOption of orderOptions) {
+    const error = validateOrderOption(orderOption);
+    if (error !== NO_ERROR) {
+      return error;
+    }
+  }
+  const keys = orderOptions.map(({ key }) => key);
+  if (new Set(keys).size !== keys.length) {
+    return "Every category must have a unique key.";
+  }
+  const titles = orderOptions.map(({ title }) => title.trim().toLowerCase());
+  if (new Set(titles).size !== titles.length) {
+    return "Every category must have a unique name.";
+  }
+  return NO_ERROR;
+};
+
+/**
+ * Reads order options, base price, and version from the domain's order options doc.
+ *
+ * Order options are stored with their index as key; the base price (in
+ * cents) and version are stored alongside them.
+ *
+ * @param {Object|undefined} data Data of order options doc.
+ *
+ * @return {{orderOptions: Object[], basePrice: number, version: number}} Order options, base price, and version.
+ */
+export const parseOrderOptions = (data) => {
+  const { basePrice, version, ...orderOptions } = data || {};
+  return { orderOptions: Object.values(orderOptions), basePrice: basePrice || 0, version: version || 0 };
+};
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * @file Checks orders and presets against the domain's current order options (which admins may change at any time).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { InputTypes } from "./Inputs";
+import { RESERVED_KEYS } from "./OrderOptions";
+
+/**
+ * Formats a value for an issue message.
+ * @param {string|string[]} value Value of a category.
+ * @return {string} Quoted value(s) (ex: "Swiss", "Lettuce").
+ */
+const quote = (value) => (Array.isArray(value) ? value : [value]).map((val) => `"${val}"`).join(", ");
+
+/**
+ * Determines whether a value fills out a required category.
+ *
+ * @param {Object}          orderOption Order option to check value against.
+ * @param {string|string[]} value       Value to check.
+ *
+ * @return {boolean} Whether value is valid for a required category.
+ */
+const fillsRequired = ({ type, options }, value) => (
+  type === InputTypes.PICKER ? options.includes(value) : value.length > 0
+);
+
+/**
+ * Creates an issue that may be fixed by setting a category to a new value.
+ *
+ * @param {string}          key      Key of category.
+ * @param {string}          message  Description of issue (displayed to user).
+ * @param {string}          fixLabel Description of fix (displayed to user).
+ * @param {string|string[]} value    Value to set category to.
+ *
+ * @return {Object} Issue (see validateOrderData).
+ */
+const setValueIssue = (key, message, fixLabel, value) => ({
+  key,
+  message,
+  fixLabel,
+  fix: (data) => ({ ...data, [key]: value })
+});
+
+/**
+ * Creates an issue for a required category that has no valid value.
+ *
+ * The category is filled in with its default value if the default fills it
+ * out; otherwise the user must choose a value themselves.
+ *
+ * @param {Object} orderOption Required order option.
+ * @param {string} message     Description of issue (displayed to user).
+ *
+ * @return {Object} Issue (see validateOrderData).
+ */
+const missingRequiredIssue = (orderOption, message) => {
+  const { key, title, defaultValue } = orderOption;
+  if (fillsRequired(orderOption, defaultValue)) {
+    return setValueIssue(key, message, `Use ${quote(defaultValue)} for ${title}`, defaultValue);
+  }
+  return { key, message: `${message} (edit to choose one)`, fixLabel: null, fix: null };
+};
+
+/**
+ * Checks a single category of an order or preset.
+ *
+ * @param {Object}                    orderOption Order option for category.
+ * @param {string|string[]|undefined} value       Value of category in order or preset (undefined if not set).
+ *
+ * @return {Object|null} Issue with value (null if value is valid).
+ */
+const validateValue = (orderOption, value) => {
+  const { key, title, type, options, required } = orderOption;
+  const isSet = type === InputTypes.CHECKBOX ? Array.isArray(value) : typeof value === "string";
+  if (!isSet) {
+    return required ? missingRequiredIssue(orderOption, `${title} is a new required category`) : null;
+  }
+  if (type === InputTypes.PICKER && value !== "" && !options.includes(value)) {
+    if (required) {
+      return missingRequiredIssue(orderOption, `${quote(value)} is no longer offered for ${title}`);
+    }
+    return setValueIssue(key, `${quote(value)} is no longer offered for ${title}`, `Remove ${quote(value)}`, "");
+  }
+  if (type === InputTypes.CHECKBOX) {
+    const discontinued = value.filter((option) => !options.includes(option));
+    if (discontinued.length > 0) {
+      const message = `${quote(discontinued)} ${discontinued.length === 1 ? "is" : "are"} no longer offered for ${title}`;
+      const remaining = value.filter((option) => options.includes(option));
+      if (required && remaining.length === 0) {
+        return missingRequiredIssue(orderOption, message);
+      }
+      return setValueIssue(key, message, `Remove ${quote(discontinued)}`, remaining);
+    }
+  }
+  if (required && !fillsRequired(orderOption, value)) {
+    return missingRequiredIssue(orderOption, `${title} is now required`);
+  }
+  return null;
+};
+
+/**
+ * Checks an order or preset against the domain's current order options.
+ *
+ * Finds selections that are no longer options, required categories that
+ * have no value (such as new categories), and values for categories that
+ * have been removed. Each issue comes with a fix when one is obvious
+ * (removing a discontinued selection, or filling in a category's default
+ * value); otherwise the order or preset must be edited.
+ *
+ * @param {Object}   data         Order or preset to check.
+ * @param {Object[]} orderOptions Domain's current order options.
+ *
+ * @return {{key: string, message: string, fixLabel: string|null, fix: function|null}[]} Issues found (empty if order or preset is valid; fix returns the fixed order or preset).
+ */
+export const validateOrderData = (data, orderOptions) => {
+  let issues = [];
+  for (let orderOption of orderOptions) {
+    if (!orderOption.dynamic) {
+      const issue = validateValue(orderOption, data[orderOption.key]);
+      if (issue) {
+        issues.push(issue);
+      }
+    }
+  }
+  const optionKeys = orderOptions.map((option) => option.key);
+  for (let key of Object.keys(data)) {
+    if (!optionKeys.includes(key) && !RESERVED_KEYS.includes(key)) {
+      const value = data[key];
+      const hasValue = !!value && value.length > 0;
+      const message = hasValue ? `${quote(value)} is no longer offered` : `"${key}" is no longer a category`;
+      issues.push({
+        key,
+        message,
+        fixLabel: hasValue ? `Remove ${quote(value)}` : `Remove "${key}"`,
+        fix: (unfixed) => {
+          let fixed = { ...unfixed };
+          delete fixed[key];
+          return fixed;
+        }
+      });
+    }
+  }
+  return issues;
+};
+
+/**
+ * Applies every available fix to an order or preset.
+ *
+ * @param {Object}   data   Order or preset to fix.
+ * @param {Object[]} issues Issues found by validateOrderData.
+ *
+ * @return {Object} Fixed order or preset (issues without fixes are left as is).
+ */
+export const applyFixes = (data, issues) => issues.reduce((fixed, issue) => issue.fix ? issue.fix(fixed) : fixed, data);
+
+/**
+ * Determines whether any issues have fixes.
+ * @param {Object[]} issues Issues found by validateOrderData.
+ * @return {boolean} Whether at least one issue may be fixed automatically.
+ */
+export const hasFixes = (issues) => issues.some((issue) => !!issue.fix);
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * @file Manages the transactions that place, change, and cancel orders (run by Cloud Functions; see functions/).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import moment from "moment";
+import { toReadable } from "./Date";
+import { LedgerTypes, getOrderPrice } from "./Pricing";
+import { countOrder, getOversoldOptions, soldOutError } from "./Inventory";
+import { getOrderConflicts, dietaryConflictError } from "./Dietary";
+import { parseOrderOptions } from "./OrderOptions";
+import { getStoredOrderableDates } from "./OrderDates";
+
+// Error code for an order change that may no longer be made (ex: a change whose cutoff has passed)
+export const MUTATION_CONFLICT = "mutation-conflict";
+// Error code for an order change made by someone other than the order's user (same as Firestore's)
+const PERMISSION_DENIED = "permission-denied";
+
+// Docs used by the transactions (same paths as constants/Repositories.js); db is the Firestore object running the
+// transaction (the Firebase Admin SDK's in Cloud Functions, or the memory backend's)
+const domainDoc = (db, domain) => db.collection("domains").doc(domain);
+const orderDoc = (db, key, domain) => domainDoc(db, domain).collection("orders").doc(key);
+const appDataDoc = (db, name, domain) => domainDoc(db, domain).collection("appData").doc(name);
+const countsDoc = (db, isoDate, domain) => domainDoc(db, domain).collection("inventoryCounts").doc(isoDate);
+const userDataDoc = (db, uid, domain) => domainDoc(db, domain).collection("userData").doc(uid);
+const ordersOnDate = (db, uid, isoDate, domain) => (
+  domainDoc(db, domain).collection("orders").where("uid", "==", uid).where("date", "==", isoDate)
+);
+
+/**
+ * Creates an error with a code (so that it is handled like errors from Firebase).
+ * @param {string} code    Error code.
+ * @param {string} message Error message (displayed to user).
+ * @return {Error} Error object.
+ */
+const orderError = (code, message) => {
+  let error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Creates an error for an order change that may no longer be made.
+ * @param {string} message Message describing conflict (see getOrderConflict).
+ * @return {Error} Error with MUTATION_CONFLICT code.
+ */
+export const mutationConflictError = (message) => orderError(MUTATION_CONFLICT, message);
+
+/**
+ * Checks whether an order may still be changed (or placed for a given date).
+ *
+ * An order may not be placed for (or moved to) a date that is not available
+ * (not a school day, or past its cutoff), and an order may not be changed or
+ * cancelled once its own date has passed cutoff. Checked against the order as
+ * it is stored whenever it is changed (since the order may have been changed
+ * on another device, or its cutoff may have passed since a change was queued
+ * offline).
+ *
+ * @param {Object|undefined} existingOrder  Order as currently stored (undefined if it doesn't exist).
+ * @param {string|null}      isoDate        Date the order is being placed for (null if it is being cancelled).
+ * @param {string[]}         orderableDates Dates on which an order may currently be placed (ISO format).
+ *
+ * @return {string|null} Message describing conflict (null if there is no conflict).
+ */
+export const getOrderConflict = (existingOrder, isoDate, orderableDates) => {
+  if (existingOrder && !orderableDates.includes(existingOrder.date)) {
+    return `Your order for ${toReadable(existingOrder.date)} can no longer be changed because the order cutoff has ` +
+      "passed.";
+  }
+  if (isoDate && !orderableDates.includes(isoDate)) {
+    return `Your order for ${toReadable(isoDate)} could not be placed because that date is no longer available.`;
+  }
+  return null;
+};
+
+/**
+ * Gets the dates on which an order may currently be placed in a domain, within a transaction.
+ * @param {Firestore}   db          Firestore object running transaction.
+ * @param {Transaction} transaction Transaction to read domain's cutoff rules and schedule in.
+ * @param {string}      domain      Domain key for user's domain.
+ * @return {Promise<string[]>} Promise for dates (ISO format; see getStoredOrderableDates).
+ */
+const readOrderableDates = async (db, transaction, domain) => {
+  const [cutoffDoc, scheduleDoc] = await Promise.all([
+    transaction.get(appDataDoc(db, "cutoffTime", domain)),
+    transaction.get(appDataDoc(db, "schedule", domain))
+  ]);
+  return getStoredOrderableDates(cutoffDoc.data(), scheduleDoc.data());
+};
+
+/**
+ * Adds a ledger entry to a transaction or write batch.
+ *
+ * Entries are never edited, so a user's balance is always the sum of their
+ * entries; nothing is written if the amount is 0.
+ *
+ * @param {Transaction|WriteBatch} writer      Transaction or batch to add entry to.
+ * @param {CollectionReference}    ledger      User's ledger collection.
+ * @param {number}                 amount      Amount in cents (negative for charges).
+ * @param {string}                 type        Type of entry (see LedgerTypes).
+ * @param {string}                 description Description displayed to user.
+ * @param {Object}                 [extraData] Other data to store with entry (ex: ID of order).
+ */
+export const addLedgerEntry = (writer, ledger, amount, type, description, extraData = {}) => {
+  if (amount === 0) {
+    return;
+  }
+  writer.set(ledger.doc(), {
+    ...extraData,
+    amount,
+    type,
+    description,
+    createdAt: moment().toISOString()
+  });
+};
+
+/**
+ * Creates or overwrites an order, updating inventory counts and charging its user.
+ *
+ * Runs as a transaction so that two orders placed at once can't oversell
+ * an option; rejects with a SOLD_OUT error if the order would exceed a cap,
+ * with a DIETARY_CONFLICT error if the domain blocks orders that conflict
+ * with their user's dietary restrictions and this one does, with a
+ * MUTATION_CONFLICT error if the order may no longer be changed (see
+ * getOrderConflict) or its user already has another order on its date, or
+ * with a PERMISSION_DENIED error if the order belongs to another user. Order is priced from the domain's
+ * current order options (any price in data is ignored) and stored with its
+ * price and the version of order options it was placed with; the user's
+ * ledger is charged (or refunded) the difference from the order's previous
+ * price.
+ *
+ * @param {Firestore} db        Firestore object to run transaction with.
+ * @param {string}    key       ID of order.
+ * @param {Object}    data      Order data to push to Firebase.
+ * @param {string}    data.date Order date in ISO format.
+ * @param {string}    data.uid  ID of user placing order.
+ * @param {string}    domain    Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for transaction.
+ */
+export const setOrderTransaction = (db, key, data, domain) => (
+  db.runTransaction(async (transaction) => {
+    const orderRef = orderDoc(db, key, domain);
+    const [capsDoc, orderOptionsDoc, dietaryDoc, oldOrderDoc, sameDateOrders, orderableDates] = await Promise.all([
+      transaction.get(appDataDoc(db, "inventory", domain)),
+      transaction.get(appDataDoc(db, "orderOptions", domain)),
+      transaction.get(appDataDoc(db, "dietary", domain)),
+      transaction.get(orderRef),
+      transaction.get(ordersOnDate(db, data.uid, data.date, domain)),
+      readOrderableDates(db, transaction, domain)
+    ]);
+    const caps = capsDoc.data() || {};
+    const oldOrder = oldOrderDoc.data();
+    if (oldOrder && oldOrder.uid !== data.uid) {
+      throw orderError(PERMISSION_DENIED, "You may only change your own orders.");
+    }
+    const conflict = getOrderConflict(oldOrder, data.date, orderableDates);
+    if (conflict) {
+      throw mutationConflictError(conflict);
+    }
+    if (sameDateOrders.docs.some((doc) => doc.id !== key)) {
+      throw mutationConflictError(
+        `Your order for ${toReadable(data.date)} could not be placed because you already have an order for that date.`
+      );
+    }
+    const { orderOptions, basePrice, version } = parseOrderOptions(orderOptionsDoc.data());
+    if (dietaryDoc.data()?.blockConflicts) {
+      const userDoc = await transaction.get(userDataDoc(db, data.uid, domain));
+      const conflicts = getOrderConflicts(data, orderOptions, userDoc.data()?.dietaryRestrictions);
+      if (conflicts.length > 0) {
+        throw dietaryConflictError(conflicts);
+      }
+    }
+    const order = { ...data, price: getOrderPrice(data, orderOptions, basePrice), optionsVersion: version };
+    const chargeUser = () => addLedgerEntry(
+      transaction,
+      userDataDoc(db, data.uid, domain).collection("ledger"),
+      (oldOrder?.price || 0) - order.price,
+      oldOrder ? LedgerTypes.ORDER_CHANGE : LedgerTypes.ORDER,
+      `${oldOrder ? "Changed order" : "Order"} for ${toReadable(data.date)}`,
+      { order: key }
+    );
+    const dates = [...new Set([data.date, oldOrder?.date].filter((isoDate) => isoDate))];
+    const countsDocs = await Promise.all(dates.map((isoDate) => transaction.get(countsDoc(db, isoDate, domain))));
+    let oldCounts = {};
+    dates.forEach((isoDate, i) => oldCounts[isoDate] = countsDocs[i].data() || {});
+    let newCounts = { ...oldCounts };
+    if (oldOrder) {
+      newCounts[oldOrder.date] = countOrder(newCounts[oldOrder.date], oldOrder, -1, orderOptions);
+    }
+    newCounts[data.date] = countOrder(newCounts[data.date], data, 1, orderOptions);
+    const oversold = getOversoldOptions(caps, oldCounts[data.date], newCounts[data.date]);
+    if (oversold.length > 0) {
+      throw soldOutError(oversold);
+    }
+    transaction.set(orderRef, order);
+    chargeUser();
+    dates.forEach((isoDate) => transaction.set(countsDoc(db, isoDate, domain), newCounts[isoDate]));
+  })
+);
+
+/**
+ * Deletes an order, updating inventory counts and refunding its price to its user.
+ *
+ * Rejects with a MUTATION_CONFLICT error if the order may no longer be
+ * cancelled (see getOrderConflict), or with a PERMISSION_DENIED error if the
+ * order belongs to another user.
+ *
+ * @param {Firestore} db     Firestore object to run transaction with.
+ * @param {string}    key    ID of order.
+ * @param {string}    uid    ID of user cancelling order.
+ * @param {string}    domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for transaction.
+ */
+export const deleteOrderTransaction = (db, key, uid, domain) => (
+  db.runTransaction(async (transaction) => {
+    const orderRef = orderDoc(db, key, domain);
+    const [orderOptionsDoc, orderDocSnapshot, orderableDates] = await Promise.all([
+      transaction.get(appDataDoc(db, "orderOptions", domain)),
+      transaction.get(orderRef),
+      readOrderableDates(db, transaction, domain)
+    ]);
+    const order = orderDocSnapshot.data();
+    if (order && order.uid !== uid) {
+      throw orderError(PERMISSION_DENIED, "You may only cancel your own orders.");
+    }
+    const conflict = getOrderConflict(order, null, orderableDates);
+    if (conflict) {
+      throw mutationConflictError(conflict);
+    }
+    if (order) {
+      const countsRef = countsDoc(db, order.date, domain);
+      const counts = await transaction.get(countsRef);
+      const { orderOptions } = parseOrderOptions(orderOptionsDoc.data());
+      transaction.set(countsRef, countOrder(counts.data() || {}, order, -1, orderOptions));
+      addLedgerEntry(
+        transaction,
+        userDataDoc(db, uid, domain).collection("ledger"),
+        order.price || 0,
+        LedgerTypes.REFUND,
+        `Cancelled order for ${toReadable(order.date)}`,
+        { order: key }
+      );
+    }
+    transaction.delete(orderRef);
+  })
+);
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * @file Manages the outbox (order and preset changes made while offline, to be synced when back online).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import moment from "moment";
+import { ISO_FORMAT, toReadable } from "./Date";
+import reportToSentry from "./Sentry";
+
+const STORAGE_KEY = "@outbox";
+
+// Types of changes that may be queued in the outbox
+export const MutationTypes = {
+  SET_ORDER: "SET_ORDER",
+  DELETE_ORDER: "DELETE_ORDER",
+  SET_PRESET: "SET_PRESET",
+  DELETE_PRESET: "DELETE_PRESET"
+};
+
+/**
+ * Creates a mutation (a single change to Firestore that may be queued in the outbox).
+ *
+ * @param {string} type   Type of mutation (see MutationTypes).
+ * @param {string} key    ID of the doc being changed.
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
+ * @param {Object} [data] Data to push to doc (for set mutations only).
+ *
+ * @return {Object} Mutation object.
+ */
+export const makeMutation = (type, key, uid, domain, data = null) => ({
+  id: `${type}_${key}_${Date.now()}`,
+  type,
+  key,
+  uid,
+  domain,
+  data
+});
+
+/**
+ * Stores outbox in device storage (so that it survives the app being closed).
+ *
+ * @param {Object[]} outbox Queued mutations.
+ * @return {Promise<void>} Promise for function.
+ */
+export const storeOutbox = async (outbox) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(outbox));
+  } catch (e) {
+    reportToSentry(e);
+  }
+};
+
+/**
+ * Fetches outbox from device storage.
+ * @return {Promise<Object[]>} Mutations queued in previous sessions.
+ */
+export const getOutbox = async () => {
+  try {
+    const stringifiedOutbox = await AsyncStorage.getItem(STORAGE_KEY);
+    return stringifiedOutbox ? JSON.parse(stringifiedOutbox) : [];
+  } catch (e) {
+    reportToSentry(e);
+    return [];
+  }
+};
+
+/**
+ * Applies queued order mutations to user's orders.
+ *
+ * Orders created or edited while offline are marked as pending; orders
+ * deleted while offline are removed.
+ *
+ * @param {Object<string, Object>} orders Object containing all of user's orders (from Firebase).
+ * @param {Object[]}               outbox Queued mutations.
+ * @param {string}                 uid    ID unique to authenticated user (generated by Firebase Auth).
+ *
+ * @return {Object<string, Object>} Orders including offline changes.
+ */
+export const applyOrderMutations = (orders, outbox, uid) => {
+  let newOrders = { ...orders };
+  for (let mutation of outbox.filter((mutation) => mutation.uid === uid)) {
+    if (mutation.type === MutationTypes.SET_ORDER) {
+      let order = { ...mutation.data, date: moment(mutation.data.date), key: mutation.key, pending: true };
+      delete order.uid;
+      newOrders[mutation.key] = order;
+    } else if (mutation.type === MutationTypes.DELETE_ORDER) {
+      delete newOrders[mutation.key];
+    }
+  }
+  return newOrders;
+};
+
+/**
+ * Applies queued preset mutations to user's presets.
+ *
+ * @param {Object<string, Object>} orderPresets Object containing all of user's presets (from Firebase).
+ * @param {Object[]}               outbox       Queued mutations.
+ * @param {string}                 uid          ID unique to authenticated user (generated by Firebase Auth).
+ *
+ * @return {Object<string, Object>} Presets including offline changes.
+ */
+export const applyPresetMutations = (orderPresets, outbox, uid) => {
+  let newPresets = { ...orderPresets };
+  for (let mutation of outbox.filter((mutation) => mutation.uid === uid)) {
+    if (mutation.type === MutationTypes.SET_PRESET) {
+      newPresets[mutation.key] = { ...mutation.data, key: mutation.key, pending: true };
+    } else if (mutation.type === MutationTypes.DELETE_PRESET) {
+      delete newPresets[mutation.key];
+    }
+  }
+  return newPresets;
+};
+
+/**
+ * Gets user's orders (including offline changes) from app state.
+ * @param {Object} state App state.
+ * @return {Object<string, Object>} Orders including offline changes.
+ */
+export const selectOrders = ({ orders, outbox, user }) => applyOrderMutations(orders, outbox, user?.uid);
+
+/**
+ * Gets user's presets (including offline changes) from app state.
+ * @param {Object} state App state.
+ * @return {Object<string, Object>} Presets including offline changes.
+ */
+export const selectOrderPresets = ({ orderPresets, outbox, user }) => applyPresetMutations(orderPresets, outbox, user?.uid);
+
+/**
+ * Checks whether a queued mutation conflicts with the user's other orders.
+ *
+ * An order may not be placed for (or moved to) a date that already has
+ * another order. Whether the order may still be changed at all (i.e. its
+ * date hasn't passed cutoff) is checked against the order as it is stored
+ * when the mutation is pushed (see getOrderConflict in constants/OrderWrites.js).
+ *
+ * @param {Object}                 mutation Queued mutation.
+ * @param {Object<string, Object>} orders   Object containing all of user's orders (from Firebase).
+ *
+ * @return {string|null} Message describing conflict (null if there is no conflict).
+ */
+export const getMutationConflict = (mutation, orders) => {
+  if (mutation.type !== MutationTypes.SET_ORDER) {
+    return null;
+  }
+  const { date } = mutation.data;
+  const otherOrderOnDate = Object.keys(orders)
+    .some((id) => id !== mutation.key && orders[id].date.format(ISO_FORMAT) === date);
+  if (otherOrderOnDate) {
+    return `Your order for ${toReadable(date)} could not be placed because you already have an order for that date.`;
+  }
+  return null;
+};
\ No newline at end of file
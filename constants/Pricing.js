@@ -0,0 +1,78 @@
+/**
+ * @file Manages order prices and each user's ledger of charges and payments.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+
+// Regular expression to detect if a given string is a valid price (ex: "1", "1.5", or "$1.50")
+const PRICE_REGEX = /^\$?(\d+)(\.(\d{1,2}))?$/;
+
+// Types of ledger entries
+export const LedgerTypes = {
+  ORDER: "ORDER",
+  ORDER_CHANGE: "ORDER_CHANGE",
+  REFUND: "REFUND",
+  TOP_UP: "TOP_UP"
+};
+
+/**
+ * Formats a price for display.
+ * @param {number} cents Price in cents (negative for charges).
+ * @return {string} Formatted price (ex: "$1.50" or "-$1.50").
+ */
+export const formatPrice = (cents) => `${cents < 0 ? "-" : ""}$${(Math.abs(cents) / 100).toFixed(2)}`;
+
+/**
+ * Parses a price entered by a user.
+ * @param {string} text Price in dollars (ex: "1.50" or "$1.50").
+ * @return {number} Price in cents (NaN if text is not a valid price).
+ */
+export const parsePrice = (text) => {
+  const match = PRICE_REGEX.exec(text.trim());
+  if (!match) {
+    return NaN;
+  }
+  return parseInt(match[1], 10) * 100 + parseInt((match[3] || "0").padEnd(2, "0"), 10);
+};
+
+/**
+ * Whether the domain charges for orders.
+ *
+ * @param {Object[]} orderOptions  Fields for ordering.
+ * @param {number}   [basePrice=0] Price of every order before options (in cents).
+ *
+ * @return {boolean} Whether any order would have a price.
+ */
+export const hasPrices = (orderOptions, basePrice = 0) => (
+  basePrice > 0 || orderOptions.some(({ prices }) => prices && Object.keys(prices).length > 0)
+);
+
+/**
+ * Gets the price of an order.
+ *
+ * Price is the base price plus the price of every selected option; options
+ * without a price are free.
+ *
+ * @param {Object}   order         Order (or preset) to price.
+ * @param {Object[]} orderOptions  Fields for ordering.
+ * @param {number}   [basePrice=0] Price of every order before options (in cents).
+ *
+ * @return {number} Price of order in cents.
+ */
+export const getOrderPrice = (order, orderOptions, basePrice = 0) => {
+  let price = basePrice;
+  for (let { key, prices } of orderOptions) {
+    if (!prices) {
+      continue;
+    }
+    const values = Array.isArray(order[key]) ? order[key] : [order[key]];
+    values.forEach((value) => price += prices[value] || 0);
+  }
+  return price;
+};
+
+/**
+ * Gets a user's balance from their ledger.
+ * @param {Object<string, Object>} ledger Object containing user's ledger entries.
+ * @return {number} Balance in cents (negative if user owes money).
+ */
+export const getBalance = (ledger) => Object.values(ledger).reduce((total, { amount }) => total + amount, 0);
\ No newline at end of file
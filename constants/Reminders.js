@@ -0,0 +1,91 @@
+/**
+ * @file Manages local notifications reminding users to order before the cutoff.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import * as Notifications from "expo-notifications";
+import moment from "moment";
+import { fromISO, toISO } from "./Date";
+import { getDateOptions } from "./DataActions";
+import { getCutoff } from "./OrderDates";
+import Layout from "./Layout";
+
+// Number of hours before a date's cutoff that its reminder is sent
+const HOURS_BEFORE_CUTOFF = 2;
+// Format of the cutoff time displayed in reminders
+const CUTOFF_FORMAT = "h:mm A";
+
+/**
+ * Gets the reminders to schedule for the user's upcoming school days.
+ *
+ * A reminder is sent a few hours before the cutoff of each date that may
+ * still be ordered for (see getDateOptions) but has no order; reminders that
+ * would be sent in the past are left out.
+ *
+ * @param {Object<string, Object>} orders        Object containing all of user's orders.
+ * @param {Object}                 cutoffTime    Order cutoff rules for user's domain.
+ * @param {Object}                 schedule      School schedule for user's domain.
+ * @param {moment.Moment}          [currentTime] Time to compare to (defaults to now).
+ *
+ * @return {{date: string, cutoff: moment.Moment, time: moment.Moment}[]} Readable date, cutoff, and time to send each reminder.
+ */
+export const getReminders = (orders, cutoffTime, schedule, currentTime = moment()) => (
+  getDateOptions(orders, null, cutoffTime, schedule)
+    .map((date) => {
+      const cutoff = getCutoff(fromISO(toISO(date, cutoffTime.timezone), cutoffTime.timezone), cutoffTime);
+      return { date, cutoff, time: cutoff.clone().subtract(HOURS_BEFORE_CUTOFF, "hours") };
+    })
+    .filter(({ time }) => time.isAfter(currentTime))
+);
+
+/**
+ * Asks user for permission to send notifications (if they haven't already given it).
+ * @return {Promise<boolean>} Promise for whether notifications are allowed.
+ */
+export const requestReminderPermission = async () => {
+  if (Layout.web) {
+    return false;
+  }
+  const { granted } = await Notifications.getPermissionsAsync();
+  if (granted) {
+    return true;
+  }
+  return (await Notifications.requestPermissionsAsync()).granted;
+};
+
+/**
+ * Cancels all of the user's scheduled reminders.
+ * @return {Promise<void>} Promise for function.
+ */
+export const cancelReminders = async () => {
+  if (!Layout.web) {
+    await Notifications.cancelAllScheduledNotificationsAsync();
+  }
+};
+
+/**
+ * Replaces the user's scheduled reminders with reminders for their upcoming school days.
+ *
+ * Does nothing (other than cancelling existing reminders) if the user hasn't
+ * allowed notifications.
+ *
+ * @param {Object<string, Object>} orders     Object containing all of user's orders.
+ * @param {Object}                 cutoffTime Order cutoff rules for user's domain.
+ * @param {Object}                 schedule   School schedule for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const scheduleReminders = async (orders, cutoffTime, schedule) => {
+  await cancelReminders();
+  if (Layout.web || !(await Notifications.getPermissionsAsync()).granted) {
+    return;
+  }
+  for (let { date, cutoff, time } of getReminders(orders, cutoffTime, schedule)) {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: "Don't forget to order!",
+        body: `You haven't ordered a sandwich for ${date} yet. Orders for that day close at ${cutoff.format(CUTOFF_FORMAT)}.`
+      },
+      trigger: time.toDate()
+    });
+  }
+};
\ No newline at end of file
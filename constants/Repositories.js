@@ -0,0 +1,213 @@
+/**
+ * @file Manages where each kind of app data is stored, on top of the selected backend (Firestore or in-memory).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import Constants from "expo-constants";
+import FirestoreBackend from "./FirestoreBackend";
+import createMemoryBackend from "./MemoryBackend";
+import demoData from "../demo-data.json";
+import { ISO_FORMAT, now } from "./Date";
+
+// Backend that stores data; set "backend" to "memory" in the "extra" field of app.json to run without Firebase
+const backend = Constants.manifest?.extra?.backend === "memory" ? createMemoryBackend(demoData) : FirestoreBackend;
+const { db } = backend;
+
+/**
+ * Gets collection containing every domain (for looking up domains by code).
+ * @return {CollectionReference} Reference to collection containing domains.
+ */
+export const allDomains = () => db.collection("domains");
+
+/**
+ * Gets doc containing a domain's name, code, and admins.
+ * @param {string} domain Domain key for user's domain.
+ * @return {DocumentReference<T>} Reference to domain's doc.
+ */
+export const myDomain = (domain) => allDomains().doc(domain);
+
+/**
+ * Gets doc containing the key of a user's domain.
+ * @param {string} uid Unique identifier for user.
+ * @return {DocumentReference<T>} Reference to doc containing user's domain.
+ */
+export const myUserDomain = (uid) => db.collection("userDomains").doc(uid);
+
+/**
+ * Collection containing all orders (for pushing orders).
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing user's orders.
+ */
+export const allOrders = (domain) => myDomain(domain).collection("orders");
+
+/**
+ * Collection containing user's orders (for pulling orders).
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing user's orders.
+ */
+export const myOrders = (uid, domain) => allOrders(domain).where("uid", "==", uid);
+
+/**
+ * Query for user's orders in the active booking window (for listening to orders).
+ *
+ * Orders before today are past their cutoff, so they are left out (and
+ * fetched a page at a time by getOrderHistory instead).
+ *
+ * @param {string}      uid      Unique identifier for currently authenticated user.
+ * @param {string}      domain   Domain key for user's domain.
+ * @param {string|null} timezone IANA timezone name that the domain's dates are in (null for device's timezone).
+ *
+ * @return {Query<T>} Query for user's orders from today onward.
+ */
+export const myActiveOrders = (uid, domain, timezone) => myOrders(uid, domain).where("date", ">=", now(timezone).format(ISO_FORMAT));
+
+/**
+ * Gets collection containing the profile of every user in a domain.
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing profiles.
+ */
+export const allUserData = (domain) => myDomain(domain).collection("userData");
+
+/**
+ * Gets doc containing user's profile information.
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ * @return {DocumentReference<T>} Reference to document containing user's profile information.
+ */
+export const myUserData = (uid, domain) => allUserData(domain).doc(uid);
+
+/**
+ * Gets collection containing user's order presets.
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing user's order presets.
+ */
+export const myPresets = (uid, domain) => myUserData(uid, domain).collection("myPresets");
+
+/**
+ * Gets collection containing user's standing (recurring) orders.
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing user's standing orders.
+ */
+export const myStandingOrders = (uid, domain) => myUserData(uid, domain).collection("standingOrders");
+
+/**
+ * Gets collection containing user's ledger entries (charges, refunds, and payments).
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing user's ledger.
+ */
+export const myLedger = (uid, domain) => myUserData(uid, domain).collection("ledger");
+
+/**
+ * Gets collection containing presets shared with the whole domain or sent to specific users.
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing shared presets.
+ */
+export const sharedPresets = (domain) => myDomain(domain).collection("sharedPresets");
+
+/**
+ * Gets collection containing the domain's menu specials (see constants/Specials.js).
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing specials.
+ */
+export const mySpecials = (domain) => myDomain(domain).collection("specials");
+
+/**
+ * Collection for app state constants
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection.
+ */
+export const myAppData = (domain) => myDomain(domain).collection("appData");
+
+/**
+ * Collection containing each replaced version of the domain's order options (version numbers as IDs).
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing order option history.
+ */
+export const orderOptionHistory = (domain) => myDomain(domain).collection("orderOptionHistory");
+
+/**
+ * Collection containing the number of each capped option ordered for each date (ISO dates as IDs).
+ * @param {string} domain Domain key for user's domain.
+ * @return {CollectionReference} Reference to collection containing inventory counts.
+ */
+export const myInventoryCounts = (domain) => myDomain(domain).collection("inventoryCounts");
+
+/**
+ * Runs a function as a transaction (reads and writes succeed or fail together).
+ * @param {function(Transaction): Promise<*>} updateFunction Function to run.
+ * @return {Promise<*>} Promise for value returned by updateFunction.
+ */
+export const runTransaction = (updateFunction) => db.runTransaction(updateFunction);
+
+/**
+ * Creates a batch of writes (committed all at once).
+ * @return {WriteBatch} Write batch.
+ */
+export const writeBatch = () => db.batch();
+
+/**
+ * Creates or overwrites an order, updating inventory counts and charging its user (see setOrderTransaction).
+ *
+ * Orders are only written by Cloud Functions (or by the memory backend), so
+ * that users can't set their own prices or inventory counts, or change
+ * orders past cutoff.
+ *
+ * @param {string} key    ID of order.
+ * @param {Object} data   Order data to push to Firebase.
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for write.
+ */
+export const saveOrder = (key, data, domain) => backend.saveOrder(key, data, domain);
+
+/**
+ * Deletes an order, updating inventory counts and refunding its user (see deleteOrderTransaction).
+ *
+ * @param {string} key    ID of order.
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for write.
+ */
+export const removeOrder = (key, uid, domain) => backend.removeOrder(key, uid, domain);
+
+/**
+ * Deletes a user's data and account (see deleteAccountData).
+ *
+ * Runs in a Cloud Function (or in the memory backend), since users may not
+ * delete their own orders or ledger entries.
+ *
+ * @param {string} uid    Unique identifier for currently authenticated user.
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const removeAccount = (uid, domain) => backend.removeAccount(uid, domain);
+
+// Auth object (Firebase Auth or in-memory stand-in)
+export const auth = backend.auth;
+
+/**
+ * Gets a credential for re-authenticating a user with their email and password.
+ * @param {string} email    User's email address.
+ * @param {string} password User's password.
+ * @return {AuthCredential} Credential for user.
+ */
+export const emailCredential = (email, password) => backend.emailCredential(email, password);
+
+/**
+ * Gets a credential for signing a user in with their Google account.
+ * @param {string} idToken Google ID token (from Google's OAuth flow).
+ * @return {AuthCredential} Credential for user.
+ */
+export const googleCredential = (idToken) => backend.googleCredential(idToken);
+
+/**
+ * Deletes a user whose account could not be set up.
+ * @param {string} uid Unique identifier for user.
+ * @return {Promise<*>} Promise for function.
+ */
+export const deleteFailedUser = (uid) => backend.deleteFailedUser(uid);
\ No newline at end of file
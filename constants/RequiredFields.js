@@ -38,6 +38,28 @@ export const DateField = {
   dynamic: true
 };
 
+// Checkboxes to select which weekdays a standing order repeats on
+export const RepeatField = {
+  key: "days",
+  title: "Repeat on",
+  type: InputTypes.CHECKBOX,
+  options: DynamicOrderOptions.WEEKDAY_OPTIONS,
+  defaultValue: [],
+  required: true,
+  dynamic: true
+};
+
+// Checkboxes to limit a menu special to specific dates
+export const SpecialDatesField = {
+  key: "dates",
+  title: "Only available on (optional)",
+  type: InputTypes.CHECKBOX,
+  options: DynamicOrderOptions.SPECIAL_DATE_OPTIONS,
+  defaultValue: [],
+  required: false,
+  dynamic: true
+};
+
 export const EmailField = {
   key: "email",
   title: "Email",
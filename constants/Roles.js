@@ -0,0 +1,78 @@
+/**
+ * @file Manages user roles (student, staff, kitchen, and admin) and which parts of the app each role may use.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+
+// Roles a user may have in their domain (stored in "role" of their profile doc; users without one are students)
+export const Roles = {
+  STUDENT: "student",
+  STAFF: "staff",
+  KITCHEN: "kitchen",
+  ADMIN: "admin"
+};
+
+// Readable names for each role (displayed to admins)
+export const RoleNames = {
+  [Roles.STUDENT]: "Student",
+  [Roles.STAFF]: "Staff",
+  [Roles.KITCHEN]: "Kitchen",
+  [Roles.ADMIN]: "Admin"
+};
+
+// Parts of the app only available to some roles
+export const Features = {
+  KITCHEN_REPORT: "KITCHEN_REPORT", // kitchen report screen
+  PAYMENTS: "PAYMENTS", // recording payments made by users
+  MENU: "MENU", // order options and menu specials
+  USER_MANAGEMENT: "USER_MANAGEMENT" // changing users' roles
+};
+
+// Roles that may use each feature (must match firestore.rules)
+const FeatureRoles = {
+  [Features.KITCHEN_REPORT]: [Roles.STAFF, Roles.KITCHEN, Roles.ADMIN],
+  [Features.PAYMENTS]: [Roles.KITCHEN, Roles.ADMIN],
+  [Features.MENU]: [Roles.ADMIN],
+  [Features.USER_MANAGEMENT]: [Roles.ADMIN]
+};
+
+/**
+ * Whether a user is an owner of their domain (i.e. listed in the domain's admins).
+ *
+ * Owners are always admins, and their role may not be changed from the app
+ * (so that every domain keeps at least one admin).
+ *
+ * @param {Object|null} user   User (with uid).
+ * @param {Object|null} domain User's domain.
+ *
+ * @return {boolean} Whether user is an owner.
+ */
+export const isOwner = (user, domain) => !!(user?.uid && domain?.admins?.includes(user.uid));
+
+/**
+ * Gets a user's role in their domain.
+ * @param {Object|null} user   User (with uid and role).
+ * @param {Object|null} domain User's domain.
+ * @return {string} User's role (see Roles).
+ */
+export const getRole = (user, domain) => (
+  isOwner(user, domain) ? Roles.ADMIN : Object.values(Roles).includes(user?.role) ? user.role : Roles.STUDENT
+);
+
+/**
+ * Whether a role allows users to use a feature.
+ * @param {string|null} role    Role to check (see Roles; null if not signed in).
+ * @param {string}      feature Feature to check (see Features).
+ * @return {boolean} Whether role may use feature.
+ */
+export const roleCanUse = (role, feature) => FeatureRoles[feature].includes(role);
+
+/**
+ * Whether a user's role allows them to use a feature.
+ *
+ * @param {Object|null} user    Currently authenticated user.
+ * @param {Object|null} domain  User's domain.
+ * @param {string}      feature Feature to check (see Features).
+ *
+ * @return {boolean} Whether user may use feature.
+ */
+export const canUse = (user, domain, feature) => !!user && roleCanUse(getRole(user, domain), feature);
\ No newline at end of file
@@ -1,9 +1,13 @@
 // Schedule length MUST be a multiple of 7
 const WEEK_SCHEDULE = [false, false, true, true, true, true, false];
 
+// Default schedule (used by any domain without its own schedule in appData)
 const Schedule = {
   values: WEEK_SCHEDULE,
-  startDate: "2021-01-31" // When schedule should start (determines where you are now in the schedule)
+  startDate: "2021-01-31", // When schedule should start (determines where you are now in the schedule)
+  closedDates: [], // Dates (ISO format) on which there is no school, such as holidays
+  closedRanges: [], // Inclusive date ranges ({ start, end } in ISO format) with no school, such as breaks
+  openDates: [] // Dates (ISO format) that are school days regardless of schedule values, such as make-up days
 }
 
 export default Schedule;
\ No newline at end of file
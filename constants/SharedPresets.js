@@ -0,0 +1,63 @@
+/**
+ * @file Manages copying presets shared by other users in the domain.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { InputTypes } from "./Inputs";
+
+/**
+ * Fits a shared preset's values to the domain's current order options.
+ *
+ * Options may have changed since the preset was shared, so values for
+ * removed categories are dropped, and selections that are no longer
+ * options are replaced with the category's default value.
+ *
+ * @param {Object}   preset       Shared preset (title and order option values).
+ * @param {Object[]} orderOptions Domain's order options.
+ *
+ * @return {{data: Object, changed: string[], missing: string[]}} Fitted preset, names of categories whose selections were changed, and names of required categories left without a value.
+ */
+export const fitToOrderOptions = (preset, orderOptions) => {
+  let data = { title: preset.title };
+  let changed = [];
+  let missing = [];
+  for (let { key, title, type, options, defaultValue, required } of orderOptions) {
+    const value = preset[key];
+    let fitted;
+    switch (type) {
+      case InputTypes.PICKER:
+        fitted = options.includes(value) ? value : required ? defaultValue : "";
+        break;
+      case InputTypes.CHECKBOX:
+        fitted = Array.isArray(value) ? value.filter((option) => options.includes(option)) : defaultValue;
+        break;
+      default:
+        fitted = typeof value === "string" ? value : defaultValue;
+        break;
+    }
+    if (value !== undefined && JSON.stringify(fitted) !== JSON.stringify(value)) {
+      changed.push(title);
+    }
+    if (required && (type === InputTypes.PICKER ? !options.includes(fitted) : fitted.length === 0)) {
+      missing.push(title);
+    }
+    data[key] = fitted;
+  }
+  return { data, changed, missing };
+};
+
+/**
+ * Gets a title for a copied preset that none of the user's presets have.
+ *
+ * @param {string}              title        Title of shared preset.
+ * @param {Object<key, Object>} orderPresets Object containing all of the user's order presets.
+ *
+ * @return {string} Unique title (ex: "The usual (2)" if "The usual" is taken).
+ */
+export const getUniqueTitle = (title, orderPresets) => {
+  const titles = Object.values(orderPresets).map((preset) => preset.title);
+  let uniqueTitle = title;
+  for (let i = 2; titles.includes(uniqueTitle); i++) {
+    uniqueTitle = `${title} (${i})`;
+  }
+  return uniqueTitle;
+};
\ No newline at end of file
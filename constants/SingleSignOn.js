@@ -0,0 +1,29 @@
+/**
+ * @file Manages signing in with school Google accounts (single sign-on) and matching new users to their domain.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import Constants from "expo-constants";
+
+// OAuth client IDs for Google sign-in (expoClientId, iosClientId, androidClientId, webClientId); set
+// "googleClientIds" in the "extra" field of app.json to turn on Google sign-in
+export const GoogleClientIds = Constants.manifest?.extra?.googleClientIds || {};
+// Whether Google sign-in is set up (button is hidden otherwise)
+export const hasGoogleSignIn = Object.values(GoogleClientIds).some((clientId) => !!clientId);
+// Firebase Auth provider ID for Google accounts
+const GOOGLE_PROVIDER_ID = "google.com";
+
+/**
+ * Gets the domain of an email address.
+ * @param {string} [email=""] Email address.
+ * @return {string} Lowercase domain of email address (ex: "lwhs.org").
+ */
+export const getEmailDomain = (email = "") => email.slice(email.lastIndexOf("@") + 1).trim().toLowerCase();
+
+/**
+ * Determines whether a user signed in with a Google account.
+ * @param {Object|null} user Firebase Auth user.
+ * @return {boolean} Whether user signed in with Google.
+ */
+export const isSingleSignOnUser = (user) => (
+  !!user?.providerData?.some(({ providerId }) => providerId === GOOGLE_PROVIDER_ID)
+);
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * @file Manages menu specials (presets published by admins that any user in the domain may order).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { toISO, toReadable } from "./Date";
+
+// Added to the title of each special in the preset picker (so specials stand out from personal presets)
+export const SPECIAL_PREFIX = "Special: ";
+
+/**
+ * Determines whether a special may be ordered on a date.
+ *
+ * @param {Object}      special         Special to check.
+ * @param {string[]}    [special.dates] ISO dates the special is limited to (empty for every school day).
+ * @param {string|null} isoDate         Date of order in ISO format (null if order has no date, like standing orders).
+ *
+ * @return {boolean} Whether special may be ordered on date (only specials without dates may be ordered without one).
+ */
+export const isSpecialAvailable = ({ dates = [] }, isoDate) => dates.length === 0 || dates.includes(isoDate);
+
+/**
+ * Gets the presets that may be picked for an order, by the name displayed in the preset picker.
+ *
+ * Includes the user's presets (by title) and the domain's specials that are
+ * available on the order's date (by title with SPECIAL_PREFIX). Specials are
+ * filled in with the name displayed in the picker as their title, so orders
+ * placed from them can be edited from the preset order screen.
+ *
+ * @param {Object<string, Object>} orderPresets Object containing all of the user's order presets.
+ * @param {Object<string, Object>} specials     Object containing the domain's specials.
+ * @param {string|null}            isoDate      Date of order in ISO format (null if order has no date).
+ *
+ * @return {Object<string, Object>} Preset data (names displayed in picker as keys).
+ */
+export const getPresetChoices = (orderPresets, specials, isoDate) => {
+  let choices = {};
+  Object.values(specials)
+    .filter((special) => isSpecialAvailable(special, isoDate))
+    .forEach((special) => {
+      const title = SPECIAL_PREFIX + special.title;
+      let data = { ...special, title };
+      delete data.key;
+      delete data.dates;
+      choices[title] = data;
+    });
+  Object.values(orderPresets).forEach((preset) => choices[preset.title] = preset);
+  return choices;
+};
+
+/**
+ * Converts values from the special editor to a special to push to Firebase.
+ * @param {Object} data Values from special editor (dates in readable format).
+ * @return {Object} Special to push to Firebase (dates in ISO format).
+ */
+export const toSpecial = (data) => {
+  let special = { ...data, dates: (data.dates || []).map(toISO).sort() };
+  delete special.key;
+  return special;
+};
+
+/**
+ * Converts a special to values for the special editor.
+ * @param {Object} special Special from Firebase (dates in ISO format).
+ * @return {Object} Values for special editor (dates in readable format).
+ */
+export const toSpecialFields = (special) => ({ ...special, dates: (special.dates || []).map(toReadable) });
\ No newline at end of file
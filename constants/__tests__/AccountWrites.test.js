@@ -0,0 +1,79 @@
+/**
+ * @file Tests deleting a user's account and data against the memory backend.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import createMemoryBackend from "../MemoryBackend";
+import { setOrderTransaction } from "../OrderWrites";
+import { deleteAccountData } from "../AccountWrites";
+import demoData from "../../demo-data.json";
+
+const DOMAIN = "demo";
+const UID = "demoUser";
+// Wednesday of the week after NOW (school day within the booking horizon)
+const DATE = "2021-03-10";
+// Friday before NOW (past cutoff)
+const PAST_DATE = "2021-03-05";
+const NOW = "2021-03-08T12:00:00+09:00";
+
+const ORDER = { uid: UID, date: DATE, bread: "Sourdough", meat: "Turkey", cheese: [], comments: "" };
+
+let backend;
+
+const domainDoc = () => backend.db.collection("domains").doc(DOMAIN);
+const userDataDoc = () => domainDoc().collection("userData").doc(UID);
+
+beforeEach(async () => {
+  jest.spyOn(Date, "now").mockReturnValue(Date.parse(NOW));
+  backend = createMemoryBackend({
+    ...demoData,
+    docs: {
+      ...demoData.docs,
+      [`domains/${DOMAIN}/appData/inventory`]: { meat: { Turkey: 5 } },
+      [`domains/${DOMAIN}/orders/pastOrder`]: { ...ORDER, date: PAST_DATE, price: 500 },
+      [`domains/${DOMAIN}/userData/${UID}/myPresets/preset`]: { name: "Usual", bread: "Sourdough" },
+      [`domains/${DOMAIN}/userData/${UID}/standingOrders/standingOrder`]: { days: [3], paused: false },
+      [`domains/${DOMAIN}/sharedPresets/sharedPreset`]: { name: "Usual", sharedBy: UID }
+    }
+  });
+  await setOrderTransaction(backend.db, "order", ORDER, DOMAIN);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("deleteAccountData", () => {
+  it("deletes the user's data, account, and userDomains doc", async () => {
+    const deleteUser = jest.fn(async () => {});
+    await deleteAccountData(backend.db, UID, DOMAIN, deleteUser);
+    const snapshots = await Promise.all([
+      domainDoc().collection("orders").where("uid", "==", UID).get(),
+      userDataDoc().collection("myPresets").get(),
+      userDataDoc().collection("standingOrders").get(),
+      userDataDoc().collection("ledger").get(),
+      domainDoc().collection("sharedPresets").get()
+    ]);
+    expect(snapshots.map(({ size }) => size)).toEqual([0, 0, 0, 0, 0]);
+    expect((await userDataDoc().get()).exists).toBe(false);
+    expect((await backend.db.collection("userDomains").doc(UID).get()).exists).toBe(false);
+    expect(deleteUser).toHaveBeenCalledWith(UID);
+  });
+
+  it("releases the inventory of orders that haven't passed cutoff", async () => {
+    await deleteAccountData(backend.db, UID, DOMAIN, async () => {});
+    expect((await domainDoc().collection("inventoryCounts").doc(DATE).get()).data().meat).toEqual({ Turkey: 0 });
+  });
+
+  it("keeps the userDomains doc if the account couldn't be deleted (so the user can try again)", async () => {
+    const error = new Error("Account could not be deleted");
+    await expect(deleteAccountData(backend.db, UID, DOMAIN, async () => { throw error; })).rejects.toBe(error);
+    expect((await backend.db.collection("userDomains").doc(UID).get()).exists).toBe(true);
+  });
+
+  it("deletes the memory backend's account for the user", async () => {
+    await backend.auth.signInWithEmailAndPassword("demo@simplesubs.app", "password");
+    expect(Date.parse(backend.auth.currentUser.metadata.lastSignInTime)).toBe(Date.parse(NOW));
+    await backend.removeAccount(UID, DOMAIN);
+    expect(backend.auth.currentUser).toBeNull();
+    await expect(backend.auth.signInWithEmailAndPassword("demo@simplesubs.app", "password"))
+      .rejects.toMatchObject({ code: "auth/user-not-found" });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * @file Tests converting dates and times in a domain's timezone (including across DST changes).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { ISO_FORMAT, now, fromISO, toISO } from "../Date";
+
+const TIMEZONE = "America/New_York";
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("fromISO", () => {
+  it("gets a time on a date in the given timezone", () => {
+    expect(fromISO("2021-01-04", TIMEZONE, 9, 30).toISOString()).toBe("2021-01-04T14:30:00.000Z");
+    expect(fromISO("2021-07-05", TIMEZONE, 9, 30).toISOString()).toBe("2021-07-05T13:30:00.000Z");
+  });
+
+  it("moves times skipped when clocks spring forward to after the skip", () => {
+    // Clocks go from 2:00 to 3:00 on March 14, 2021, so 2:30 doesn't exist
+    expect(fromISO("2021-03-14", TIMEZONE, 2, 30).toISOString()).toBe("2021-03-14T07:30:00.000Z");
+  });
+
+  it("uses the first of two times repeated when clocks fall back", () => {
+    // Clocks go from 2:00 back to 1:00 on November 7, 2021, so 1:30 happens twice (first in EDT)
+    expect(fromISO("2021-11-07", TIMEZONE, 1, 30).toISOString()).toBe("2021-11-07T05:30:00.000Z");
+  });
+
+  it("gets midnight by default", () => {
+    expect(fromISO("2021-03-14", TIMEZONE).toISOString()).toBe("2021-03-14T05:00:00.000Z");
+    expect(fromISO("2021-11-07", TIMEZONE).toISOString()).toBe("2021-11-07T04:00:00.000Z");
+  });
+});
+
+describe("now", () => {
+  it("gets the date in the given timezone rather than the device's", () => {
+    // 1:00 on March 2 in UTC is still March 1 in New York
+    jest.spyOn(Date, "now").mockReturnValue(Date.parse("2021-03-02T01:00:00Z"));
+    expect(now(TIMEZONE).format(ISO_FORMAT)).toBe("2021-03-01");
+    expect(now("Asia/Tokyo").format(ISO_FORMAT)).toBe("2021-03-02");
+  });
+});
+
+describe("toISO", () => {
+  it("picks the year nearest today in the given timezone rather than the device's", () => {
+    // 3:00 on January 1, 2021 in Tokyo (the device's timezone in tests) is still December 31, 2020 in New York
+    jest.spyOn(Date, "now").mockReturnValue(Date.parse("2020-12-31T18:00:00Z"));
+    expect(toISO("Thursday, December 31st", TIMEZONE)).toBe("2020-12-31");
+    expect(toISO("Friday, January 1st", TIMEZONE)).toBe("2021-01-01");
+    expect(toISO("Thursday, December 31st")).toBe("2020-12-31");
+  });
+
+  it("picks the year whose weekday matches", () => {
+    jest.spyOn(Date, "now").mockReturnValue(Date.parse("2021-06-15T12:00:00Z"));
+    expect(toISO("Friday, January 1st", TIMEZONE)).toBe("2021-01-01");
+    expect(toISO("Saturday, January 1st", TIMEZONE)).toBe("2022-01-01");
+    expect(toISO("Monday, January 1st", TIMEZONE)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * @file Tests order cutoffs and orderable dates in a domain's timezone (including across DST changes).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import moment from "moment-timezone";
+import { getCutoff, isPastCutoff, getOrderableDates } from "../OrderDates";
+import { ISO_FORMAT, fromISO } from "../Date";
+import Cutoff from "../Cutoff";
+
+// School every weekday (starting on a Sunday)
+const SCHEDULE = {
+  values: [false, true, true, true, true, true, false],
+  startDate: "2021-01-03",
+  closedDates: [],
+  closedRanges: [],
+  openDates: []
+};
+
+/**
+ * Creates cutoff rules in a timezone.
+ * @param {string} timezone  IANA timezone name.
+ * @param {Object} [changes] Fields to change from the default cutoff.
+ * @return {Object} Cutoff rules.
+ */
+const makeCutoff = (timezone, changes = {}) => ({ ...Cutoff, hours: 9, minutes: 0, timezone, ...changes });
+
+/**
+ * Sets the current time.
+ * @param {string} time Time in ISO 8601 format (ex: 2021-03-14T12:00:00Z).
+ */
+const setNow = (time) => jest.spyOn(Date, "now").mockReturnValue(Date.parse(time));
+
+const toISODates = (dates) => dates.map((date) => date.format(ISO_FORMAT));
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("getCutoff", () => {
+  const cutoffTime = makeCutoff("America/New_York", { daysInAdvance: 1 });
+
+  it("uses the cutoff time in the domain's timezone on the day clocks spring forward", () => {
+    // Cutoff for Monday, March 15 is 9:00 on Sunday, March 14 (already EDT)
+    const cutoff = getCutoff(fromISO("2021-03-15", cutoffTime.timezone), cutoffTime);
+    expect(cutoff.toISOString()).toBe("2021-03-14T13:00:00.000Z");
+  });
+
+  it("uses the cutoff time in the domain's timezone on the day clocks fall back", () => {
+    // Cutoff for Monday, November 8 is 9:00 on Sunday, November 7 (back to EST)
+    const cutoff = getCutoff(fromISO("2021-11-08", cutoffTime.timezone), cutoffTime);
+    expect(cutoff.toISOString()).toBe("2021-11-07T14:00:00.000Z");
+  });
+
+  it("moves a cutoff skipped when clocks spring forward to after the skip", () => {
+    const earlyCutoff = makeCutoff("America/New_York", { hours: 2, minutes: 30 });
+    const cutoff = getCutoff(fromISO("2021-03-14", earlyCutoff.timezone), earlyCutoff);
+    expect(cutoff.toISOString()).toBe("2021-03-14T07:30:00.000Z");
+  });
+
+  it("uses the first of two cutoffs repeated when clocks fall back", () => {
+    const earlyCutoff = makeCutoff("America/New_York", { hours: 1, minutes: 30 });
+    const cutoff = getCutoff(fromISO("2021-11-07", earlyCutoff.timezone), earlyCutoff);
+    expect(cutoff.toISOString()).toBe("2021-11-07T05:30:00.000Z");
+  });
+});
+
+describe("isPastCutoff", () => {
+  const cutoffTime = makeCutoff("America/New_York", { daysInAdvance: 1 });
+  const springForward = fromISO("2021-03-15", cutoffTime.timezone);
+  const fallBack = fromISO("2021-11-08", cutoffTime.timezone);
+
+  it("switches at the cutoff on the day clocks spring forward", () => {
+    expect(isPastCutoff(springForward, cutoffTime, moment.utc("2021-03-14T12:59:00Z"))).toBe(false);
+    expect(isPastCutoff(springForward, cutoffTime, moment.utc("2021-03-14T13:01:00Z"))).toBe(true);
+  });
+
+  it("switches at the cutoff on the day clocks fall back", () => {
+    expect(isPastCutoff(fallBack, cutoffTime, moment.utc("2021-11-07T13:59:00Z"))).toBe(false);
+    expect(isPastCutoff(fallBack, cutoffTime, moment.utc("2021-11-07T14:01:00Z"))).toBe(true);
+  });
+});
+
+describe("getOrderableDates", () => {
+  it("lists each school day once across the day clocks spring forward", () => {
+    // Friday, March 12 at 10:00 EST (past Friday's cutoff)
+    setNow("2021-03-12T15:00:00Z");
+    const dates = getOrderableDates(makeCutoff("America/New_York", { horizon: 7 }), SCHEDULE);
+    expect(toISODates(dates)).toEqual(["2021-03-15", "2021-03-16", "2021-03-17", "2021-03-18"]);
+  });
+
+  it("lists each school day once across the day clocks fall back", () => {
+    // Friday, November 5 at 8:00 EDT (before Friday's cutoff)
+    setNow("2021-11-05T12:00:00Z");
+    const dates = getOrderableDates(makeCutoff("America/New_York", { horizon: 7 }), SCHEDULE);
+    expect(toISODates(dates)).toEqual(["2021-11-05", "2021-11-08", "2021-11-09", "2021-11-10", "2021-11-11"]);
+  });
+
+  it("uses the domain's timezone rather than the device's", () => {
+    // Device is in Tokyo (already Tuesday, March 2 at 2:00; see jest.setup.js), but domain is in Los Angeles (Monday,
+    // March 1 at 9:00)
+    setNow("2021-03-01T17:00:00Z");
+    const cutoffTime = makeCutoff("America/Los_Angeles", { hours: 10, horizon: 2 });
+    expect(toISODates(getOrderableDates(cutoffTime, SCHEDULE))).toEqual(["2021-03-01", "2021-03-02"]);
+    // Cutoff for Monday is 10:00 in Los Angeles (18:00 UTC), not 10:00 in Tokyo
+    expect(getCutoff(fromISO("2021-03-01", cutoffTime.timezone), cutoffTime).toISOString())
+      .toBe("2021-03-01T18:00:00.000Z");
+    expect(isPastCutoff(fromISO("2021-03-01", cutoffTime.timezone), cutoffTime)).toBe(false);
+  });
+});
\ No newline at end of file
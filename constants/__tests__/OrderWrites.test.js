@@ -0,0 +1,122 @@
+/**
+ * @file Tests placing, changing, and cancelling orders against the memory backend.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import createMemoryBackend from "../MemoryBackend";
+import { setOrderTransaction, deleteOrderTransaction, MUTATION_CONFLICT } from "../OrderWrites";
+import { SOLD_OUT } from "../Inventory";
+import { LedgerTypes } from "../Pricing";
+import demoData from "../../demo-data.json";
+
+const DOMAIN = "demo";
+const UID = "demoUser";
+// Wednesday and Thursday of the week after NOW (school days within the booking horizon)
+const DATE = "2021-03-10";
+const OTHER_DATE = "2021-03-11";
+// Friday before NOW (past cutoff)
+const PAST_DATE = "2021-03-05";
+const NOW = "2021-03-08T12:00:00+09:00";
+
+const ORDER = { uid: UID, date: DATE, bread: "Dutch crunch", meat: "Turkey", cheese: ["Swiss"], comments: "" };
+
+let db;
+
+/**
+ * Creates a memory backend seeded with the demo data and other docs.
+ * @param {Object<string, Object>} [docs={}] Other docs to seed (paths as keys).
+ */
+const seed = (docs = {}) => {
+  db = createMemoryBackend({ ...demoData, docs: { ...demoData.docs, ...docs } }).db;
+};
+
+const domainDoc = () => db.collection("domains").doc(DOMAIN);
+const getOrder = async (key) => (await domainDoc().collection("orders").doc(key).get()).data();
+const getCounts = async (isoDate) => (await domainDoc().collection("inventoryCounts").doc(isoDate).get()).data();
+const getLedger = async () => (
+  (await domainDoc().collection("userData").doc(UID).collection("ledger").get()).docs.map((doc) => doc.data())
+);
+
+beforeEach(() => {
+  jest.spyOn(Date, "now").mockReturnValue(Date.parse(NOW));
+  seed();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe("setOrderTransaction", () => {
+  it("prices orders from the domain's order options and charges their user", async () => {
+    await setOrderTransaction(db, "order", { ...ORDER, price: 0 }, DOMAIN);
+    expect(await getOrder("order")).toMatchObject({ ...ORDER, price: 550 });
+    expect(await getLedger()).toEqual([
+      expect.objectContaining({ amount: -550, type: LedgerTypes.ORDER, order: "order" })
+    ]);
+  });
+
+  it("charges the difference when an order is changed", async () => {
+    await setOrderTransaction(db, "order", ORDER, DOMAIN);
+    await setOrderTransaction(db, "order", { ...ORDER, bread: "Sourdough" }, DOMAIN);
+    expect((await getLedger()).map(({ amount }) => amount).sort((a, b) => a - b)).toEqual([-550, 50]);
+  });
+
+  it("rejects orders for dates that aren't available", async () => {
+    await expect(setOrderTransaction(db, "order", { ...ORDER, date: PAST_DATE }, DOMAIN))
+      .rejects.toMatchObject({ code: MUTATION_CONFLICT });
+    expect(await getOrder("order")).toBeUndefined();
+  });
+
+  it("rejects a second order for the same date", async () => {
+    await setOrderTransaction(db, "order", ORDER, DOMAIN);
+    await expect(setOrderTransaction(db, "otherOrder", ORDER, DOMAIN))
+      .rejects.toMatchObject({ code: MUTATION_CONFLICT });
+    await setOrderTransaction(db, "otherOrder", { ...ORDER, date: OTHER_DATE }, DOMAIN);
+  });
+
+  it("rejects changes to orders past cutoff", async () => {
+    seed({ [`domains/${DOMAIN}/orders/pastOrder`]: { ...ORDER, date: PAST_DATE, price: 550 } });
+    await expect(setOrderTransaction(db, "pastOrder", ORDER, DOMAIN))
+      .rejects.toMatchObject({ code: MUTATION_CONFLICT });
+    expect((await getOrder("pastOrder")).date).toBe(PAST_DATE);
+  });
+
+  it("counts capped options and rejects orders that would exceed a cap", async () => {
+    seed({ [`domains/${DOMAIN}/appData/inventory`]: { meat: { Turkey: 1 } } });
+    await setOrderTransaction(db, "order", ORDER, DOMAIN);
+    expect((await getCounts(DATE)).meat).toEqual({ Turkey: 1 });
+    await expect(setOrderTransaction(db, "otherOrder", { ...ORDER, uid: "otherUser" }, DOMAIN))
+      .rejects.toMatchObject({ code: SOLD_OUT });
+  });
+
+  it("counts orders placed before a cap was set", async () => {
+    await setOrderTransaction(db, "order", ORDER, DOMAIN);
+    await domainDoc().collection("appData").doc("inventory").set({ meat: { Turkey: 1 } });
+    await expect(setOrderTransaction(db, "otherOrder", { ...ORDER, uid: "otherUser" }, DOMAIN))
+      .rejects.toMatchObject({ code: SOLD_OUT });
+    await deleteOrderTransaction(db, "order", UID, DOMAIN);
+    await setOrderTransaction(db, "otherOrder", { ...ORDER, uid: "otherUser" }, DOMAIN);
+    expect((await getCounts(DATE)).meat).toEqual({ Turkey: 1 });
+  });
+});
+
+describe("deleteOrderTransaction", () => {
+  it("deletes orders, releases their inventory, and refunds their price", async () => {
+    seed({ [`domains/${DOMAIN}/appData/inventory`]: { meat: { Turkey: 1 } } });
+    await setOrderTransaction(db, "order", ORDER, DOMAIN);
+    await deleteOrderTransaction(db, "order", UID, DOMAIN);
+    expect(await getOrder("order")).toBeUndefined();
+    expect((await getCounts(DATE)).meat).toEqual({ Turkey: 0 });
+    expect((await getLedger()).map(({ amount }) => amount).sort((a, b) => a - b)).toEqual([-550, 550]);
+  });
+
+  it("rejects cancelling orders past cutoff", async () => {
+    seed({ [`domains/${DOMAIN}/orders/pastOrder`]: { ...ORDER, date: PAST_DATE, price: 550 } });
+    await expect(deleteOrderTransaction(db, "pastOrder", UID, DOMAIN))
+      .rejects.toMatchObject({ code: MUTATION_CONFLICT });
+    expect(await getOrder("pastOrder")).toBeDefined();
+  });
+
+  it("doesn't let users cancel other users' orders", async () => {
+    await setOrderTransaction(db, "order", ORDER, DOMAIN);
+    await expect(deleteOrderTransaction(db, "order", "otherUser", DOMAIN))
+      .rejects.toMatchObject({ code: "permission-denied" });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * @file Tests which parts of the app each role may use.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import { Roles, Features, getRole, canUse, roleCanUse } from "../Roles";
+
+const DOMAIN = { admins: ["owner"] };
+
+// Features each role may use (must match firestore.rules)
+const EXPECTED_FEATURES = {
+  [Roles.STUDENT]: [],
+  [Roles.STAFF]: [Features.KITCHEN_REPORT],
+  [Roles.KITCHEN]: [Features.KITCHEN_REPORT, Features.PAYMENTS],
+  [Roles.ADMIN]: [Features.KITCHEN_REPORT, Features.PAYMENTS, Features.MENU, Features.USER_MANAGEMENT]
+};
+
+const featuresOf = (user) => Object.values(Features).filter((feature) => canUse(user, DOMAIN, feature));
+
+describe("canUse", () => {
+  it.each(Object.values(Roles))("only lets %s users use their role's features", (role) => {
+    expect(featuresOf({ uid: "user", role })).toEqual(EXPECTED_FEATURES[role]);
+  });
+
+  it("lets owners use every feature, whatever their role", () => {
+    expect(featuresOf({ uid: "owner", role: Roles.STUDENT })).toEqual(Object.values(Features));
+  });
+
+  it("doesn't let signed out users use any feature", () => {
+    expect(featuresOf(null)).toEqual([]);
+  });
+});
+
+describe("getRole", () => {
+  it("treats users without a known role as students", () => {
+    expect(getRole({ uid: "user" }, DOMAIN)).toBe(Roles.STUDENT);
+    expect(getRole({ uid: "user", role: "superuser" }, DOMAIN)).toBe(Roles.STUDENT);
+  });
+});
+
+describe("roleCanUse", () => {
+  it("doesn't let signed out users (without a role) use any feature", () => {
+    expect(Object.values(Features).filter((feature) => roleCanUse(null, feature))).toEqual([]);
+  });
+});
\ No newline at end of file
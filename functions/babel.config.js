@@ -0,0 +1,8 @@
+// Cloud Functions share order logic with the app (see constants/OrderWrites.js), so the app's constants are built into
+// lib/constants alongside the functions, and imports of them are pointed there
+module.exports = {
+  presets: [["@babel/preset-env", { targets: { node: "12" } }]],
+  plugins: [
+    ["module-resolver", { resolvePath: (sourcePath) => sourcePath.replace(/^\.\.\/\.\.\/constants\//, "./constants/") }]
+  ]
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * @file Cloud Functions that write data users may not write themselves (orders, which set prices, ledger entries, and inventory counts) or delete accounts.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import * as functions from "firebase-functions";
+import * as admin from "firebase-admin";
+import { MUTATION_CONFLICT, setOrderTransaction, deleteOrderTransaction } from "../../constants/OrderWrites";
+import { SOLD_OUT } from "../../constants/Inventory";
+import { DIETARY_CONFLICT } from "../../constants/Dietary";
+import { getOrderingRestriction } from "../../constants/EmailVerification";
+import { RECENT_SIGN_IN, deleteAccountData } from "../../constants/AccountWrites";
+
+admin.initializeApp();
+const db = admin.firestore();
+
+// Error codes from constants/ that are passed on to the app (in the error's details, since callable functions only
+// allow their own codes)
+const APP_ERROR_CODES = [SOLD_OUT, DIETARY_CONFLICT, MUTATION_CONFLICT];
+
+/**
+ * Converts an error thrown by an order transaction to one the app can handle (see executeFunction in constants/Firebase.js).
+ * @param {Error} error Error thrown by transaction.
+ * @return {functions.https.HttpsError} Error to throw from function.
+ */
+const toHttpsError = (error) => {
+  if (error instanceof functions.https.HttpsError) {
+    return error;
+  }
+  if (APP_ERROR_CODES.includes(error.code)) {
+    return new functions.https.HttpsError("failed-precondition", error.message, { code: error.code });
+  }
+  if (error.code === "permission-denied") {
+    return new functions.https.HttpsError("permission-denied", error.message);
+  }
+  console.error(error);
+  return new functions.https.HttpsError("internal", "Something went wrong. Please try again later.");
+};
+
+/**
+ * Checks that the caller is signed in as a user and belongs to a domain.
+ *
+ * @param {Object} context Context of function call.
+ * @param {string} uid     User the call is made for.
+ * @param {string} domain  Domain key the call is made for.
+ *
+ * @return {Promise<Object>} Promise for domain data of user's domain.
+ */
+const checkMember = async (context, uid, domain) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "You must be signed in.");
+  }
+  if (typeof domain !== "string" || uid !== context.auth.uid) {
+    throw new functions.https.HttpsError("permission-denied", "You may only change your own data.");
+  }
+  const [userDomainDoc, domainDoc] = await Promise.all([
+    db.collection("userDomains").doc(uid).get(),
+    db.collection("domains").doc(domain).get()
+  ]);
+  if (userDomainDoc.data()?.domain !== domain || !domainDoc.exists) {
+    throw new functions.https.HttpsError("permission-denied", "You don't belong to this organization.");
+  }
+  return domainDoc.data();
+};
+
+/**
+ * Creates or overwrites one of the caller's orders (see setOrderTransaction).
+ *
+ * Rejects if the caller's domain doesn't allow them to order (see
+ * constants/EmailVerification.js); the order's price is always computed here.
+ */
+export const setOrder = functions.https.onCall(async ({ key, data, domain }, context) => {
+  if (typeof key !== "string" || !data || typeof data.date !== "string") {
+    throw new functions.https.HttpsError("invalid-argument", "Order is missing its ID or date.");
+  }
+  const domainData = await checkMember(context, data.uid, domain);
+  const { email, email_verified: emailVerified } = context.auth.token;
+  const restriction = getOrderingRestriction({ email, emailVerified }, domainData);
+  if (restriction) {
+    throw new functions.https.HttpsError("permission-denied", restriction);
+  }
+  try {
+    await setOrderTransaction(db, key, data, domain);
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * Deletes one of the caller's orders (see deleteOrderTransaction).
+ */
+export const deleteOrder = functions.https.onCall(async ({ key, uid, domain }, context) => {
+  if (typeof key !== "string") {
+    throw new functions.https.HttpsError("invalid-argument", "Order is missing its ID.");
+  }
+  await checkMember(context, uid, domain);
+  try {
+    await deleteOrderTransaction(db, key, uid, domain);
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
+
+/**
+ * Deletes the caller's Firebase Auth account if it could not be set up (i.e. it never joined a domain).
+ */
+export const deleteFailedUser = functions.https.onCall(async ({ uid }, context) => {
+  if (!context.auth || uid !== context.auth.uid) {
+    throw new functions.https.HttpsError("permission-denied", "You may only delete your own account.");
+  }
+  if ((await db.collection("userDomains").doc(uid).get()).exists) {
+    throw new functions.https.HttpsError("failed-precondition", "This account has already been set up.");
+  }
+  await admin.auth().deleteUser(uid);
+});
+
+/**
+ * Deletes the caller's data and account (see deleteAccountData).
+ *
+ * Rejects unless the caller signed in (or re-authenticated) within the last
+ * RECENT_SIGN_IN ms, as Firebase Auth does when deleting an account.
+ */
+export const deleteAccount = functions.https.onCall(async ({ uid, domain }, context) => {
+  await checkMember(context, uid, domain);
+  if (Date.now() - context.auth.token.auth_time * 1000 > RECENT_SIGN_IN) {
+    throw new functions.https.HttpsError(
+      "failed-precondition",
+      "Please sign in again before deleting your account.",
+      { code: "auth/requires-recent-login" }
+    );
+  }
+  try {
+    await deleteAccountData(db, uid, domain, (uid) => admin.auth().deleteUser(uid));
+  } catch (error) {
+    throw toHttpsError(error);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,5 @@
+// Runs once before all tests. Tests run as if the device were in Tokyo, far from the timezones of the domains being
+// tested, so that any date logic using the device's timezone instead of the domain's fails.
+module.exports = async () => {
+  process.env.TZ = "Asia/Tokyo";
+};
\ No newline at end of file
@@ -12,14 +12,28 @@ import LoginScreen from "../screens/main/unauthenticated/LoginScreen";
 import RegisterScreen from "../screens/main/unauthenticated/register/RegisterScreen";
 import DomainScreen from "../screens/main/unauthenticated/register/DomainScreen";
 import UpdateUserScreen from "../screens/main/authenticated/UpdateUserScreen";
+import VerifyEmailScreen from "../screens/main/authenticated/VerifyEmailScreen";
 import HomeScreen from "../screens/main/authenticated/HomeScreen";
 import SettingsScreen from "../screens/main/authenticated/SettingsScreen";
 import UserSettingsScreen from "../screens/main/authenticated/UserSettingsScreen";
+import DietaryRestrictionsScreen from "../screens/main/authenticated/DietaryRestrictionsScreen";
 import OrderSettingsScreen from "../screens/main/authenticated/OrderSettingsScreen";
+import OrderOptionsScreen from "../screens/main/authenticated/OrderOptionsScreen";
+import KitchenReportScreen from "../screens/main/authenticated/KitchenReportScreen";
+import HistoryScreen from "../screens/main/authenticated/HistoryScreen";
+import SharedPresetsScreen from "../screens/main/authenticated/SharedPresetsScreen";
+import BalanceScreen from "../screens/main/authenticated/BalanceScreen";
+import PaymentsScreen from "../screens/main/authenticated/PaymentsScreen";
+import SpecialsScreen from "../screens/main/authenticated/SpecialsScreen";
+import UsersScreen from "../screens/main/authenticated/UsersScreen";
 import PreOrderScreen from "../screens/order/PreOrderScreen";
 import OrderScreen from "../screens/order/OrderScreen";
 import PresetOrderScreen from "../screens/order/PresetOrderScreen";
+import StandingOrderScreen from "../screens/order/StandingOrderScreen";
 import PresetScreen from "../screens/PresetScreen";
+import OrderOptionScreen from "../screens/OrderOptionScreen";
+import SpecialScreen from "../screens/SpecialScreen";
+import { Features, getRole, roleCanUse } from "../constants/Roles";
 
 // Primary stack to display (home screen, login screen, etc.)
 const MainStack = createStackNavigator();
@@ -34,14 +48,16 @@ const RootStack = createStackNavigator();
  * Renders screens for main stack.
  *
  * Returns screens based on whether user is authenticated; login/register
- * if not, home/settings/etc. if so.
+ * if not, home/settings/etc. if so (plus the parts of the admin console that
+ * user's role may use).
  *
- * @param {boolean} isSignedIn Whether user is authenticated.
+ * @param {boolean}     isSignedIn Whether user is authenticated.
+ * @param {string|null} role       User's role in their domain (see constants/Roles.js; null if not signed in).
  *
  * @return {React.ReactElement} Stack screens.
  * @constructor
  */
-const MainStackScreen = ({ isSignedIn }) => (
+const MainStackScreen = ({ isSignedIn, role }) => (
   <MainStack.Navigator headerMode={"none"}>
     <MainStack.Screen name={"Loading"} component={LoadingScreen} options={{ gestureEnabled: false }} />
     {!isSignedIn ? (
@@ -50,11 +66,27 @@ const MainStackScreen = ({ isSignedIn }) => (
       </>
     ) : (
       <>
+        <MainStack.Screen name={"Verify Email"} component={VerifyEmailScreen} />
         <MainStack.Screen name={"Update User"} component={UpdateUserScreen} />
         <MainStack.Screen name={"Home"} component={HomeScreen} />
         <MainStack.Screen name={"Settings"} component={SettingsScreen} />
         <MainStack.Screen name={"User Settings"} component={UserSettingsScreen} />
+        <MainStack.Screen name={"Dietary Restrictions"} component={DietaryRestrictionsScreen} />
         <MainStack.Screen name={"Order Settings"} component={OrderSettingsScreen} />
+        <MainStack.Screen name={"Shared Presets"} component={SharedPresetsScreen} />
+        <MainStack.Screen name={"History"} component={HistoryScreen} />
+        <MainStack.Screen name={"Balance"} component={BalanceScreen} />
+        {roleCanUse(role, Features.MENU) && (
+          <>
+            <MainStack.Screen name={"Order Options"} component={OrderOptionsScreen} />
+            <MainStack.Screen name={"Specials"} component={SpecialsScreen} />
+          </>
+        )}
+        {roleCanUse(role, Features.KITCHEN_REPORT) && (
+          <MainStack.Screen name={"Kitchen Report"} component={KitchenReportScreen} />
+        )}
+        {roleCanUse(role, Features.PAYMENTS) && <MainStack.Screen name={"Payments"} component={PaymentsScreen} />}
+        {roleCanUse(role, Features.USER_MANAGEMENT) && <MainStack.Screen name={"Users"} component={UsersScreen} />}
       </>
     )}
   </MainStack.Navigator>
@@ -64,7 +96,7 @@ const MainStackScreen = ({ isSignedIn }) => (
  * Renders screens for order stack.
  *
  * Renders pre-order screen (i.e. screen that comes before order screens),
- * plus options for order screens.
+ * plus options for order screens (including standing orders).
  *
  * @return {React.ReactElement} Stack screens.
  * @constructor
@@ -74,6 +106,7 @@ const OrderStackScreen = () => (
     <MainStack.Screen name={"Preorder"} component={PreOrderScreen} />
     <MainStack.Screen name={"Custom Order"} component={OrderScreen} />
     <MainStack.Screen name={"Preset Order"} component={PresetOrderScreen} />
+    <MainStack.Screen name={"Standing Order"} component={StandingOrderScreen} />
   </OrderStack.Navigator>
 );
 
@@ -87,40 +120,45 @@ const RegisterStackScreen = () => (
 /**
  * Renders screens for root stack and main app navigator.
  *
- * Renders main stack, order stack, and preset screen.
- * Sub-stacks animate as standard screens, while the root
- * stack animates as fullscreen modals.
+ * Renders main stack, order stack, and preset screen (plus order option
+ * and special screens for roles that may edit the menu). Sub-stacks animate
+ * as standard screens, while the root stack animates as fullscreen modals.
  *
  * @param {React.ElementRef} containerRef Element ref to assign navigation container to.
  * @param {Object} initialState Initial navigation state.
  * @param {boolean} isSignedIn Whether user is authenticated.
+ * @param {string|null} role User's role in their domain (see constants/Roles.js; null if not signed in).
  * @param {function()} watchAuthState Listener for changes in user authentication.
  *
  * @return {React.ReactElement} Navigation container with root stack.
  * @constructor
  */
-const StackNavigator = ({ containerRef, initialState, isSignedIn, watchAuthState }) => {
+const StackNavigator = ({ containerRef, initialState, isSignedIn, role, watchAuthState }) => {
   useEffect(watchAuthState, []);
   return (
     <NavigationContainer ref={containerRef} initialState={initialState}>
       <RootStack.Navigator headerMode={"none"} mode={"modal"}>
         <RootStack.Screen name={"Main"}>
-          {() => <MainStackScreen isSignedIn={isSignedIn} />}
+          {() => <MainStackScreen isSignedIn={isSignedIn} role={role} />}
         </RootStack.Screen>
         <RootStack.Screen name={"Register"} component={RegisterStackScreen} />
         <RootStack.Screen name={"Order"} component={OrderStackScreen} />
         <RootStack.Screen name={"Preset"} component={PresetScreen} />
+        {roleCanUse(role, Features.MENU) && <RootStack.Screen name={"Order Option"} component={OrderOptionScreen} />}
+        {roleCanUse(role, Features.MENU) && <RootStack.Screen name={"Special"} component={SpecialScreen} />}
       </RootStack.Navigator>
     </NavigationContainer>
   );
 }
 
-const mapStateToProps = ({ user }) => ({
-  isSignedIn: !!user
+const mapStateToProps = ({ user, domain }) => ({
+  isSignedIn: !!user,
+  // Role rather than the features it may use, so that state updates don't create a new array (re-rendering navigator)
+  role: user ? getRole(user, domain) : null
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  watchAuthState: () => watchAuthState(dispatch)
+  watchAuthState: () => dispatch(watchAuthState())
 })
 
 export default connect(mapStateToProps, mapDispatchToProps)(StackNavigator);
\ No newline at end of file
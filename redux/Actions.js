@@ -4,9 +4,57 @@
  */
 import "react-native-get-random-values";
 import Alert from "../constants/Alert";
-import { firestore, auth, authErrorMessage, firestoreErrorMessage, deleteFailedUser } from "../constants/Firebase";
+import reportToSentry from "../constants/Sentry";
+import { authErrorMessage, firestoreErrorMessage } from "../constants/Firebase";
+import {
+  allDomains,
+  myDomain,
+  myUserDomain,
+  allOrders,
+  myOrders,
+  myActiveOrders,
+  allUserData,
+  myUserData,
+  myPresets,
+  myStandingOrders,
+  myLedger,
+  myAppData,
+  orderOptionHistory,
+  myInventoryCounts,
+  sharedPresets,
+  mySpecials,
+  runTransaction,
+  writeBatch,
+  saveOrder,
+  removeOrder,
+  removeAccount,
+  auth,
+  emailCredential,
+  googleCredential,
+  deleteFailedUser
+} from "../constants/Repositories";
 import moment from "moment";
-import { toISO } from "../constants/Date";
+import { ISO_FORMAT, toISO, toReadable, now } from "../constants/Date";
+import { getStandingOrderDates } from "../constants/DataActions";
+import { getOrderableDates, isPastCutoff } from "../constants/OrderDates";
+import Schedule from "../constants/Schedule";
+import Cutoff from "../constants/Cutoff";
+import { MutationTypes, makeMutation, getMutationConflict } from "../constants/Outbox";
+import { MUTATION_CONFLICT, mutationConflictError, addLedgerEntry } from "../constants/OrderWrites";
+import NetInfo from "@react-native-community/netinfo";
+import { validateOrderOptions, parseOrderOptions } from "../constants/OrderOptions";
+import { NO_ERROR } from "../constants/Inputs";
+import { SOLD_OUT } from "../constants/Inventory";
+import { DIETARY_CONFLICT } from "../constants/Dietary";
+import { LedgerTypes } from "../constants/Pricing";
+import { OperationStatus, getMutationOperationKey, makeOperation } from "../constants/Operations";
+import { fitToOrderOptions, getUniqueTitle } from "../constants/SharedPresets";
+import { getEmailDomain, isSingleSignOnUser } from "../constants/SingleSignOn";
+import { getOrderingRestriction } from "../constants/EmailVerification";
+import { RECENT_SIGN_IN } from "../constants/AccountWrites";
+
+// Number of past orders fetched at a time for order history
+const HISTORY_PAGE_SIZE = 20;
 
 // All possible actions to edit state
 const Actions = {
@@ -14,60 +62,28 @@ const Actions = {
   UPDATE_USER_DATA: "UPDATE_USER_DATA",
   UPDATE_CONSTANTS: "UPDATE_CONSTANTS",
   UPDATE_PRESETS: "UPDATE_PRESETS",
+  UPDATE_STANDING_ORDERS: "UPDATE_STANDING_ORDERS",
   FOCUS_ORDER: "FOCUS_ORDER",
   FOCUS_PRESET: "FOCUS_PRESET",
+  FOCUS_STANDING_ORDER: "FOCUS_STANDING_ORDER",
+  FOCUS_ORDER_OPTION: "FOCUS_ORDER_OPTION",
+  FOCUS_SPECIAL: "FOCUS_SPECIAL",
   SET_MODAL_PROPS: "SET_MODAL_PROPS",
   SET_INFO_MESSAGE: "SET_INFO_MESSAGE",
   SET_LOADING: "SET_LOADING",
-  SET_DOMAIN: "SET_DOMAIN"
+  SET_DOMAIN: "SET_DOMAIN",
+  QUEUE_MUTATION: "QUEUE_MUTATION",
+  REMOVE_MUTATION: "REMOVE_MUTATION",
+  LOAD_OUTBOX: "LOAD_OUTBOX",
+  UPDATE_INVENTORY_COUNTS: "UPDATE_INVENTORY_COUNTS",
+  UPDATE_LEDGER: "UPDATE_LEDGER",
+  PREFILL_ORDER: "PREFILL_ORDER",
+  SET_OPERATION: "SET_OPERATION",
+  UPDATE_ORDER_OPTION_VERSIONS: "UPDATE_ORDER_OPTION_VERSIONS"
 };
 
 export default Actions;
 
-const myDomain = (domain) => firestore.collection("domains").doc(domain);
-
-/**
- * Firebase collection containing all orders (for pushing orders).
- * @param {string} domain Domain key for user's domain.
- * @return {CollectionReference} Reference to collection containing user's orders.
- */
-const allOrders = (domain) => myDomain(domain).collection("orders");
-
-/**
- * Firebase collection containing user's orders (for pulling orders).
- * @param {string} uid    Unique identifier for currently authenticated user.
- * @param {string} domain Domain key for user's domain.
- * @return {CollectionReference} Reference to collection containing user's orders.
- */
-const myOrders = (uid, domain) => allOrders(domain).where("uid", "==", uid);
-
-/**
- * Gets Firestore document containing user's profile information.
- * @param {string} uid    Unique identifier for currently authenticated user.
- * @param {string} domain Domain key for user's domain.
- * @return {DocumentReference<T>} Reference to document containing user's profile information.
- */
-const myUserData = (uid, domain) => myDomain(domain).collection("userData").doc(uid);
-
-/**
- * Gets Firebase collection containing user's order presets.
- * @param {string} uid    Unique identifier for currently authenticated user.
- * @param {string} domain Domain key for user's domain.
- * @return {CollectionReference} Reference to collection containing user's order presets.
- */
-const myPresets = (uid, domain) => (
-  myDomain(domain).collection("userData")
-    .doc(uid)
-    .collection("myPresets")
-);
-
-/**
- * Firebase collection for app state constants
- * @param {string} domain Domain key for user's domain.
- * @return {firebase.firestore.CollectionReference<firebase.firestore.DocumentData>} Reference to collection.
- */
-const myAppData = (domain) => myDomain(domain).collection("appData");
-
 /**
  * Opens an alert for an error provided by Firebase Auth.
  * @param {function} dispatch Dispatch function passed from Redux.
@@ -106,195 +122,1196 @@ const successAction = (message, dispatch) => {
   dispatch(setInfoMessage(message));
 };
 
+/**
+ * Replaces the domain's order options doc with a new version (admin only).
+ *
+ * Runs as a transaction that copies the current version to the domain's
+ * order option history (so that orders placed with it can still be
+ * displayed as they were placed) before writing the new version.
+ *
+ * @param {string}                   domain Domain key for user's domain.
+ * @param {function(Object): Object} update Function returning changed fields (orderOptions and/or basePrice) from current ones.
+ *
+ * @return {Promise<void>} Promise for transaction.
+ */
+const writeOrderOptionsVersion = (domain, update) => (
+  runTransaction(async (transaction) => {
+    const orderOptionsRef = myAppData(domain).doc("orderOptions");
+    const current = parseOrderOptions((await transaction.get(orderOptionsRef)).data());
+    const { orderOptions, basePrice } = { ...current, ...update(current) };
+    let dataToPush = {};
+    orderOptions.forEach((orderOption, i) => dataToPush[i] = orderOption);
+    transaction.set(orderOptionHistory(domain).doc(current.version.toString()), {
+      orderOptions: current.orderOptions,
+      basePrice: current.basePrice,
+      replacedAt: moment().toISOString()
+    });
+    transaction.set(orderOptionsRef, { ...dataToPush, basePrice, version: current.version + 1 });
+  })
+);
+
+/**
+ * Pushes a mutation to Firestore.
+ *
+ * Orders are written by Cloud Functions (see functions/), which price them,
+ * charge their user, update inventory counts, and check the order as it is
+ * stored before it is changed (see getOrderConflict in constants/OrderWrites.js).
+ *
+ * @param {Object} mutation Mutation to push (see constants/Outbox.js).
+ *
+ * @return {Promise<void>} Promise for write.
+ */
+const performMutation = ({ type, key, uid, domain, data }) => {
+  switch (type) {
+    case MutationTypes.SET_ORDER:
+      return saveOrder(key, data, domain);
+    case MutationTypes.DELETE_ORDER:
+      return removeOrder(key, uid, domain);
+    case MutationTypes.SET_PRESET:
+      return myPresets(uid, domain).doc(key).set(data);
+    case MutationTypes.DELETE_PRESET:
+      return myPresets(uid, domain).doc(key).delete();
+    default:
+      return Promise.reject(new Error(`Unknown mutation type: ${type}`));
+  }
+};
+
+/**
+ * Queues a mutation in the outbox, to be pushed once device is back online.
+ *
+ * Clears the mutation's operation, since queued changes are marked as
+ * pending by the outbox instead.
+ *
+ * @param {function} dispatch Dispatch function passed from Redux.
+ * @param {Object}   mutation Mutation to queue.
+ */
+const queueOffline = (dispatch, mutation) => {
+  dispatch(queueMutation(mutation));
+  dispatch(clearOperation(getMutationOperationKey(mutation)));
+  dispatch(setInfoMessage("You're offline; your changes will be saved when you reconnect"));
+};
+
+/**
+ * Pushes a mutation to Firestore, or queues it if device is offline.
+ *
+ * Tracks the status of the push as an operation on the order or preset
+ * being changed (see constants/Operations.js), so that screens can show
+ * its progress and errors inline instead of blocking the whole app.
+ * Mutations are also queued if Firestore cannot be reached even though
+ * device appears to be online (e.g. Wi-Fi that requires sign in).
+ *
+ * @param {Object}  mutation       Mutation to push (see constants/Outbox.js).
+ * @param {string}  successMessage Message to display once mutation is pushed.
+ * @param {boolean} [isNew=false]  Whether the mutation creates a new order or preset.
+ *
+ * @return {function(function): Promise<void>} Thunk that pushes mutation.
+ */
+const submitMutation = (mutation, successMessage, isNew = false) => async (dispatch) => {
+  const key = getMutationOperationKey(mutation);
+  dispatch(setOperation(key, makeOperation(OperationStatus.PENDING, mutation, isNew)));
+  const { isConnected } = await NetInfo.fetch();
+  if (isConnected === false) {
+    queueOffline(dispatch, mutation);
+    return;
+  }
+  try {
+    await performMutation(mutation);
+    dispatch(setOperation(key, makeOperation(OperationStatus.SUCCEEDED, mutation, isNew)));
+    dispatch(setInfoMessage(successMessage));
+  } catch (error) {
+    if (error.code === "unavailable") {
+      queueOffline(dispatch, mutation);
+    } else {
+      console.error(error);
+      dispatch(setOperation(key, makeOperation(OperationStatus.FAILED, mutation, isNew, firestoreErrorMessage(error))));
+    }
+  }
+};
+
+/**
+ * Sets the status of an operation on an order or preset.
+ *
+ * @param {string}      key       Operation key (see constants/Operations.js).
+ * @param {Object|null} operation Operation object (null to clear operation).
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+const setOperation = (key, operation) => ({
+  type: Actions.SET_OPERATION,
+  key,
+  operation
+});
+
+/**
+ * Clears an operation (e.g. once the user has dismissed its error).
+ * @param {string} key Operation key (see constants/Operations.js).
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const clearOperation = (key) => setOperation(key, null);
+
+/**
+ * Alerts user if their domain doesn't allow them to place orders (see constants/EmailVerification.js).
+ * @param {Object} state Current app state.
+ * @return {boolean} Whether user may place orders.
+ */
+const checkMayOrder = ({ user, domain }) => {
+  const restriction = getOrderingRestriction(user, domain);
+  if (restriction) {
+    Alert("Can't place order", restriction);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Converts an order's date to ISO format (in the timezone of user's domain; see toISO).
+ * @param {string} readableDate Order date in readable format.
+ * @param {Object} state        Current state.
+ * @return {string|null} Order date in ISO format.
+ */
+const toOrderDate = (readableDate, { stateConstants }) => toISO(readableDate, stateConstants.cutoffTime?.timezone);
+
 /**
  * Creates a new sandwich order.
  *
- * Converts date to ISO format and pushes order data to Firebase.
+ * Converts date to ISO format and pushes order data to Firebase (or queues
+ * it if device is offline). Nothing is pushed if the user's domain doesn't
+ * allow them to order (ex: if their email address isn't verified).
+ *
+ * @param {Object} data      Order data to push to Firebase.
+ * @param {string} data.date Order date in readable format.
+ * @param {string} uid       ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain    Domain key for user's domain.
+ */
+export const createOrder = (data, uid, domain) => (dispatch, getState) => {
+  if (!checkMayOrder(getState())) {
+    return Promise.resolve();
+  }
+  let dataToPush = { ...data, date: toOrderDate(data.date, getState()), uid };
+  const id = allOrders(domain).doc().id;
+  return dispatch(submitMutation(
+    makeMutation(MutationTypes.SET_ORDER, id, uid, domain, dataToPush),
+    "Order created successfully",
+    true
+  ));
+};
+
+/**
+ * Edits an existing sandwich order.
+ *
+ * Converts date to ISO format and pushes order to Firebase (or queues
+ * it if device is offline).
+ *
+ * @param {Object} data      Order data to push to Firebase.
+ * @param {string} data.date Order date in readable format.
+ * @param {string} id        ID of order being edited (generated by Firebase).
+ * @param {string} uid       ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain    Domain key for user's domain.
+ */
+export const editOrder = (data, id, uid, domain) => (dispatch, getState) => {
+  let dataToPush = { ...data, date: toOrderDate(data.date, getState()), uid };
+  delete dataToPush.pending;
+  delete dataToPush.price;
+  return dispatch(submitMutation(
+    makeMutation(MutationTypes.SET_ORDER, id, uid, domain, dataToPush),
+    "Order updated successfully"
+  ));
+};
+
+/**
+ * Deletes an existing sandwich order.
+ *
+ * Deletes doc corresponding to order from Firestore (or queues deletion
+ * if device is offline).
+ *
+ * @param {string} id     ID of order being edited generated by Firebase).
+ * @param {string} domain Domain key for user's domain.
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ */
+export const deleteOrder = (id, domain, uid) => {
+  return submitMutation(
+    makeMutation(MutationTypes.DELETE_ORDER, id, uid, domain),
+    "Order deleted successfully"
+  );
+};
+
+/**
+ * Creates a new order preset.
+ *
+ * Pushes preset to Firebase (or queues it if device is offline).
+ *
+ * @param {Object} data             Order data to push to Firebase.
+ * @param {string} uid              ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain           Domain key for user's domain.
+ * @param {string} [successMessage] Message to display once preset is saved.
+ */
+export const createPreset = (data, uid, domain, successMessage = "Preset created successfully") => {
+  const id = myPresets(uid, domain).doc().id;
+  return submitMutation(
+    makeMutation(MutationTypes.SET_PRESET, id, uid, domain, data),
+    successMessage,
+    true
+  );
+};
+
+/**
+ * Edits an existing order preset.
+ *
+ * Pushes preset to Firebase (or queues it if device is offline).
+ *
+ * @param {Object} data       Preset data to push to Firebase.
+ * @param {string} data.title Title of order preset.
+ * @param {string} id         ID of order being edited (original title of preset).
+ * @param {string} uid        ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain     Domain key for user's domain.
+ */
+export const editPreset = (data, id, uid, domain) => {
+  let dataToPush = { ...data };
+  delete dataToPush.key;
+  delete dataToPush.pending;
+  return submitMutation(
+    makeMutation(MutationTypes.SET_PRESET, id, uid, domain, dataToPush),
+    "Preset updated successfully"
+  );
+};
+
+/**
+ * Deletes an existing order preset.
+ *
+ * Deletes doc corresponding to preset from Firestore (or queues deletion
+ * if device is offline).
  *
- * @param {function} dispatch  Dispatch function passed from Redux.
- * @param {Object}   data      Order data to push to Firebase.
- * @param {string}   data.date Order date in readable format.
+ * @param {string} id     ID of preset being edited (title of preset).
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
+ */
+export const deletePreset = (id, uid, domain) => {
+  return submitMutation(
+    makeMutation(MutationTypes.DELETE_PRESET, id, uid, domain),
+    "Preset deleted successfully"
+  );
+};
+
+/**
+ * Shares one of the user's presets with everyone in their domain, or sends it to a specific user.
+ *
+ * @param {Object}      preset       Preset to share.
+ * @param {string|null} recipient    Email of user to send preset to (null to share with everyone in domain).
+ * @param {string}      sharedByName Name of user sharing preset (displayed to other users).
+ * @param {string}      uid          ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}      domain       Domain key for user's domain.
+ */
+export const sharePreset = (preset, recipient, sharedByName, uid, domain) => (dispatch) => {
+  dispatch(startLoading());
+  let data = { ...preset };
+  delete data.key;
+  delete data.pending;
+  return sharedPresets(domain).add({
+    preset: data,
+    recipient: recipient ? recipient.trim().toLowerCase() : null,
+    sharedBy: uid,
+    sharedByName: sharedByName || "",
+    sharedAt: moment().toISOString()
+  })
+    .then(() => successAction(recipient ? `Preset sent to ${recipient.trim()}` : "Preset shared successfully", dispatch))
+    .catch((error) => alertFirestoreError(dispatch, error));
+};
+
+/**
+ * Stops sharing a preset (the user's copies of it are kept).
+ *
+ * @param {string} id     ID of shared preset (generated by Firebase).
+ * @param {string} domain Domain key for user's domain.
+ */
+export const unsharePreset = (id, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return sharedPresets(domain).doc(id).delete()
+    .then(() => successAction("Preset is no longer shared", dispatch))
+    .catch((error) => alertFirestoreError(dispatch, error));
+};
+
+/**
+ * Fetches presets shared with everyone in the domain or sent to the current user (newest first).
+ *
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<Object[]>} Promise for shared presets (with IDs as key).
+ */
+export const getSharedPresets = (domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const snapshots = await Promise.all([
+      sharedPresets(domain).where("recipient", "==", null).get(),
+      sharedPresets(domain).where("recipient", "==", auth.currentUser.email.toLowerCase()).get()
+    ]);
+    const presets = [].concat(...snapshots.map((snapshot) => snapshot.docs.map((doc) => ({ ...doc.data(), key: doc.id }))))
+      .sort((presetA, presetB) => presetB.sharedAt.localeCompare(presetA.sharedAt));
+    dispatch(stopLoading());
+    return presets;
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+    throw new Error(error);
+  }
+};
+
+/**
+ * Copies a shared preset into the user's presets.
+ *
+ * The copy is re-validated against the domain's current order options (see
+ * fitToOrderOptions) and given a unique title. Presets missing a required
+ * selection are not copied.
+ *
+ * @param {Object}              sharedPreset Shared preset to copy.
+ * @param {Object[]}            orderOptions Domain's order options.
+ * @param {Object<key, Object>} orderPresets Object containing all of the user's order presets.
+ * @param {string}              uid          ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}              domain       Domain key for user's domain.
+ */
+export const copySharedPreset = (sharedPreset, orderOptions, orderPresets, uid, domain) => (dispatch) => {
+  const { data, changed, missing } = fitToOrderOptions(sharedPreset.preset, orderOptions);
+  if (missing.length > 0) {
+    Alert(
+      "Unable to copy preset",
+      `The menu has changed since this preset was shared. It needs a new selection for: ${missing.join(", ")}.`
+    );
+    return Promise.resolve();
+  }
+  const successMessage = changed.length > 0
+    ? `Preset copied; the menu has changed, so please check: ${changed.join(", ")}`
+    : "Preset copied successfully";
+  return dispatch(createPreset({ ...data, title: getUniqueTitle(data.title, orderPresets) }, uid, domain, successMessage));
+};
+
+/**
+ * Pushes all of user's queued mutations to Firestore, in the order they were made.
+ *
+ * Mutations that conflict with the user's orders (see getMutationConflict
+ * and getOrderConflict) are discarded and the user is alerted; each order is
+ * checked as it is stored when its mutation is pushed, since it may have
+ * changed on another device. Stops early if Firestore cannot be reached,
+ * leaving remaining mutations queued.
+ *
+ * @param {Object[]} outbox Queued mutations.
+ * @param {string}   uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}   domain Domain key for user's domain.
+ *
+ * @return {Promise<boolean>} Promise for whether Firestore could be reached (false if mutations are still queued).
+ */
+export const syncOutbox = (outbox, uid, domain) => async (dispatch, getState) => {
+  const mutations = outbox.filter((mutation) => mutation.uid === uid && mutation.domain === domain);
+  let synced = 0;
+  let reachable = true;
+  for (let mutation of mutations) {
+    try {
+      const conflict = getMutationConflict(mutation, getState().orders);
+      if (conflict) {
+        throw mutationConflictError(conflict);
+      }
+      await performMutation(mutation);
+      dispatch(removeMutation(mutation.id));
+      synced++;
+    } catch (error) {
+      if (error.code === "unavailable") {
+        reachable = false;
+        break;
+      }
+      dispatch(removeMutation(mutation.id));
+      if (error.code === MUTATION_CONFLICT) {
+        Alert("Offline change not saved", error.message);
+      } else {
+        alertFirestoreError(dispatch, error);
+      }
+    }
+  }
+  if (synced > 0) {
+    dispatch(setInfoMessage("Offline changes saved successfully"));
+  }
+  return reachable;
+};
+
+/**
+ * Adds a mutation to the end of the outbox.
+ *
+ * @param {Object} mutation Mutation to queue.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const queueMutation = (mutation) => ({
+  type: Actions.QUEUE_MUTATION,
+  mutation
+});
+
+/**
+ * Removes a mutation from the outbox (once it has been pushed or discarded).
+ *
+ * @param {string} id ID of mutation to remove.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const removeMutation = (id) => ({
+  type: Actions.REMOVE_MUTATION,
+  id
+});
+
+/**
+ * Adds mutations queued in previous sessions (loaded from device storage) to the outbox.
+ *
+ * @param {Object[]} outbox Mutations loaded from device storage.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const loadOutbox = (outbox) => ({
+  type: Actions.LOAD_OUTBOX,
+  outbox
+});
+
+/**
+ * Gets ID for the order created by a standing order on a given date.
+ *
+ * IDs are deterministic so that creating the same order twice (e.g. from two
+ * devices at once) overwrites the first order rather than duplicating it.
+ *
+ * @param {string} id      ID of standing order (generated by Firebase).
+ * @param {string} isoDate Date of order in ISO format.
+ *
+ * @return {string} ID of order doc.
+ */
+const standingOrderDocId = (id, isoDate) => `${id}_${isoDate}`;
+
+/**
+ * Gets dates that a standing order's createdDates should keep.
+ *
+ * Drops dates that have already passed in the domain's timezone (they can no
+ * longer be ordered, so there is no need to remember them) along with any
+ * provided dates.
+ *
+ * @param {Object}   cutoffTime      Order cutoff rules for user's domain.
+ * @param {string[]} createdDates    ISO dates for which the standing order has created orders.
+ * @param {string[]} [removedDates=] ISO dates to remove.
+ *
+ * @return {string[]} ISO dates to keep.
+ */
+const pruneCreatedDates = (cutoffTime, createdDates = [], removedDates = []) => {
+  const today = now(cutoffTime.timezone).format(ISO_FORMAT);
+  return createdDates.filter((isoDate) => isoDate >= today && !removedDates.includes(isoDate));
+};
+
+/**
+ * Gets a standing order's upcoming orders.
+ *
+ * Only includes orders that may still be edited (i.e. orders whose date is
+ * still a date option); orders past cutoff are kept as they are.
+ *
+ * @param {string}                 id         ID of standing order.
+ * @param {Object<string, Object>} orders     Object containing all of user's orders.
+ * @param {Object}                 cutoffTime Order cutoff rules for user's domain.
+ * @param {Object}                 schedule   School schedule for user's domain.
+ *
+ * @return {string[]} IDs of upcoming orders.
+ */
+const getUpcomingOrders = (id, orders, cutoffTime, schedule) => {
+  const orderableDates = getOrderableDates(cutoffTime, schedule).map((date) => date.format(ISO_FORMAT));
+  return Object.keys(orders)
+    .filter((key) => orders[key].standingOrder === id && orderableDates.includes(orders[key].date.format(ISO_FORMAT)));
+};
+
+/**
+ * Cancels orders one at a time (each cancellation updates inventory counts and refunds the order's price).
+ *
+ * @param {string[]} keys   IDs of orders to cancel.
+ * @param {string}   uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}   domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for cancellations.
+ */
+const removeOrders = async (keys, uid, domain) => {
+  for (let key of keys) {
+    await removeOrder(key, uid, domain);
+  }
+};
+
+/**
+ * Creates a new standing order.
+ *
+ * Pushes a copy of the selected preset along with the weekdays it repeats on;
+ * orders are created from it by materializeStandingOrders.
+ *
+ * @param {Object}   data      Standing order data to push to Firebase.
+ * @param {string[]} data.days Weekdays on which the standing order repeats.
  * @param {string}   uid       ID unique to authenticated user (generated by Firebase Auth).
  * @param {string}   domain    Domain key for user's domain.
  */
-export const createOrder = (dispatch, data, uid, domain) => {
+export const createStandingOrder = (data, uid, domain) => (dispatch, getState) => {
+  if (!checkMayOrder(getState())) {
+    return Promise.resolve();
+  }
   dispatch(startLoading());
-  let dataToPush = { ...data, date: toISO(data.date), uid };
+  let dataToPush = { ...data, paused: false, createdDates: [] };
+  delete dataToPush.key;
   return (
-    allOrders(domain)
+    myStandingOrders(uid, domain)
       .add(dataToPush)
-      .then(() => successAction("Order created successfully", dispatch))
+      .then(() => successAction("Standing order created successfully", dispatch))
       .catch((error) => alertFirestoreError(dispatch, error))
   );
 };
 
 /**
- * Edits an existing sandwich order.
+ * Edits an existing standing order.
  *
- * Converts date to ISO format and pushes order to Firebase; edits
- * doc if date is the same, otherwise deletes old doc and creates
- * new with updated date.
+ * Cancels the standing order's upcoming orders and re-creates them with the
+ * new data; orders the user has deleted by hand stay deleted. The standing
+ * order is saved before its orders are cancelled, so if a cancellation fails
+ * the edit can simply be made again.
  *
- * @param {function} dispatch  Dispatch function passed from Redux.
- * @param {Object}   data      Order data to push to Firebase.
- * @param {string}   data.date Order date in readable format.
- * @param {string}   id        ID of order being edited (generated by Firebase).
- * @param {string}   uid       ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain    Domain key for user's domain.
+ * @param {Object}                 data          Standing order data to push to Firebase.
+ * @param {Object}                 standingOrder Standing order being edited.
+ * @param {Object<string, Object>} orders        Object containing all of user's orders.
+ * @param {Object}                 cutoffTime    Order cutoff rules for user's domain.
+ * @param {Object}                 schedule      School schedule for user's domain.
+ * @param {string}                 uid           ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}                 domain        Domain key for user's domain.
+ */
+export const editStandingOrder = (data, standingOrder, orders, cutoffTime, schedule, uid, domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const upcomingOrders = getUpcomingOrders(standingOrder.key, orders, cutoffTime, schedule);
+    const upcomingDates = upcomingOrders.map((key) => orders[key].date.format(ISO_FORMAT));
+    let dataToPush = {
+      ...data,
+      paused: !!standingOrder.paused,
+      createdDates: pruneCreatedDates(cutoffTime, standingOrder.createdDates, upcomingDates)
+    };
+    delete dataToPush.key;
+    await myStandingOrders(uid, domain).doc(standingOrder.key).set(dataToPush);
+    await removeOrders(upcomingOrders, uid, domain);
+    let remainingOrders = { ...orders };
+    upcomingOrders.forEach((key) => delete remainingOrders[key]);
+    await dispatch(materializeStandingOrders(
+      { [standingOrder.key]: { ...dataToPush, key: standingOrder.key } },
+      remainingOrders,
+      cutoffTime,
+      schedule,
+      uid,
+      domain
+    ));
+    successAction("Standing order updated successfully", dispatch);
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+  }
+};
+
+/**
+ * Pauses or resumes an existing standing order.
+ *
+ * Pausing cancels the standing order's upcoming orders (after saving the
+ * standing order, so that it can be paused again if a cancellation fails);
+ * resuming lets materializeStandingOrders create them again.
+ *
+ * @param {Object}                 standingOrder Standing order to pause or resume.
+ * @param {boolean}                paused        Whether standing order should be paused.
+ * @param {Object<string, Object>} orders        Object containing all of user's orders.
+ * @param {Object}                 cutoffTime    Order cutoff rules for user's domain.
+ * @param {Object}                 schedule      School schedule for user's domain.
+ * @param {string}                 uid           ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}                 domain        Domain key for user's domain.
+ */
+export const setStandingOrderPaused = (standingOrder, paused, orders, cutoffTime, schedule, uid, domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const upcomingOrders = paused ? getUpcomingOrders(standingOrder.key, orders, cutoffTime, schedule) : [];
+    const upcomingDates = upcomingOrders.map((key) => orders[key].date.format(ISO_FORMAT));
+    await myStandingOrders(uid, domain).doc(standingOrder.key).update({
+      paused,
+      createdDates: pruneCreatedDates(cutoffTime, standingOrder.createdDates, upcomingDates)
+    });
+    await removeOrders(upcomingOrders, uid, domain);
+    successAction(paused ? "Standing order paused" : "Standing order resumed", dispatch);
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+  }
+};
+
+/**
+ * Cancels (deletes) an existing standing order.
+ *
+ * Deletes doc corresponding to standing order, then cancels its upcoming
+ * orders (any left behind by a failed cancellation are kept as regular orders).
+ *
+ * @param {Object}                 standingOrder Standing order to cancel.
+ * @param {Object<string, Object>} orders        Object containing all of user's orders.
+ * @param {Object}                 cutoffTime    Order cutoff rules for user's domain.
+ * @param {Object}                 schedule      School schedule for user's domain.
+ * @param {string}                 uid           ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}                 domain        Domain key for user's domain.
  */
-export const editOrder = (dispatch, data, id, uid, domain) => {
+export const deleteStandingOrder = (standingOrder, orders, cutoffTime, schedule, uid, domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const upcomingOrders = getUpcomingOrders(standingOrder.key, orders, cutoffTime, schedule);
+    await myStandingOrders(uid, domain).doc(standingOrder.key).delete();
+    await removeOrders(upcomingOrders, uid, domain);
+    successAction("Standing order cancelled successfully", dispatch);
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+  }
+};
+
+/**
+ * Creates orders for all of the user's standing orders.
+ *
+ * Creates an order (copied from the standing order) for each date returned by
+ * getStandingOrderDates and records those dates on the standing order, so that
+ * an order the user deletes is not created again. Dates on which the order
+ * would exceed an inventory cap (or conflict with the user's dietary
+ * restrictions, if the domain blocks such orders) are skipped (and also
+ * recorded), and the user is alerted. Nothing is created if the user's
+ * domain doesn't allow them to order (see constants/EmailVerification.js).
+ *
+ * @param {Object<string, Object>} standingOrders Object containing all of user's standing orders.
+ * @param {Object<string, Object>} orders         Object containing all of user's orders.
+ * @param {Object}                 cutoffTime     Order cutoff rules for user's domain.
+ * @param {Object}                 schedule       School schedule for user's domain.
+ * @param {string}                 uid            ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}                 domain         Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const materializeStandingOrders = (standingOrders, orders, cutoffTime, schedule, uid, domain) => async (dispatch, getState) => {
+  const hasNewDates = Object.keys(standingOrders)
+    .some((id) => getStandingOrderDates(standingOrders[id], orders, cutoffTime, schedule).length > 0);
+  if (!hasNewDates || !checkMayOrder(getState())) {
+    return;
+  }
+  let skippedDates = [];
+  try {
+    for (let id of Object.keys(standingOrders)) {
+      const { days, paused, createdDates, key, ...orderData } = standingOrders[id];
+      const newDates = getStandingOrderDates(standingOrders[id], orders, cutoffTime, schedule);
+      if (newDates.length === 0) {
+        continue;
+      }
+      for (let isoDate of newDates) {
+        try {
+          await saveOrder(standingOrderDocId(id, isoDate), { ...orderData, date: isoDate, uid, standingOrder: id }, domain);
+        } catch (error) {
+          if (error.code !== SOLD_OUT && error.code !== DIETARY_CONFLICT) {
+            throw error;
+          }
+          skippedDates.push(isoDate);
+        }
+      }
+      await myStandingOrders(uid, domain).doc(id).update({
+        createdDates: [...pruneCreatedDates(cutoffTime, createdDates), ...newDates]
+      });
+    }
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+  }
+  if (skippedDates.length > 0) {
+    Alert(
+      "Standing order skipped",
+      "Some of your standing orders could not be placed because an ingredient is sold out (or conflicts " +
+      `with your dietary restrictions) on ${skippedDates.map(toReadable).join(", ")}. ` +
+      "Please place an order for those days by hand."
+    );
+  }
+};
+
+/**
+ * Replaces the domain's order options (admin only).
+ *
+ * Validates order options before pushing them to Firebase as a new version,
+ * then reloads state constants so that the new order options are used right
+ * away (the domain's base price is kept as is).
+ *
+ * @param {function} dispatch       Dispatch function passed from Redux.
+ * @param {Object[]} orderOptions   New order options.
+ * @param {string}   domain         Domain key for user's domain.
+ * @param {string}   successMessage Message to display once order options are pushed.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+const setOrderOptions = (dispatch, orderOptions, domain, successMessage) => {
+  const error = validateOrderOptions(orderOptions);
+  if (error !== NO_ERROR) {
+    Alert("Invalid order options", error);
+    return Promise.resolve();
+  }
   dispatch(startLoading());
-  let dataToPush = { ...data, date: toISO(data.date), uid };
   return (
-    allOrders(domain)
-      .doc(id)
-      .set(dataToPush)
-      .then(() => successAction("Order updated successfully", dispatch))
+    writeOrderOptionsVersion(domain, () => ({ orderOptions }))
+      .then(() => getStateConstants(domain))
+      .then((stateConstants) => {
+        dispatch(updateConstants(stateConstants));
+        successAction(successMessage, dispatch);
+      })
       .catch((error) => alertFirestoreError(dispatch, error))
   );
 };
 
 /**
- * Deletes an existing sandwich order.
+ * Adds an order option to the end of the domain's order options (admin only).
  *
- * Deletes doc corresponding to order from Firestore.
+ * @param {Object}   orderOption  Order option to add.
+ * @param {Object[]} orderOptions Current order options.
+ * @param {string}   domain       Domain key for user's domain.
  *
- * @param {function} dispatch Dispatch function passes from Redux.
- * @param {string}   id       ID of order being edited generated by Firebase).
- * @param {string}   domain   Domain key for user's domain.
+ * @return {Promise<void>} Promise for function.
+ */
+export const createOrderOption = (orderOption, orderOptions, domain) => (dispatch) => (
+  setOrderOptions(dispatch, [...orderOptions, orderOption], domain, "Category created successfully")
+);
+
+/**
+ * Edits one of the domain's order options (admin only).
+ *
+ * @param {Object}   orderOption  Edited order option.
+ * @param {string}   key          Key of order option being edited.
+ * @param {Object[]} orderOptions Current order options.
+ * @param {string}   domain       Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
  */
-export const deleteOrder = (dispatch, id, domain) => {
+export const editOrderOption = (orderOption, key, orderOptions, domain) => (dispatch) => (
+  setOrderOptions(
+    dispatch,
+    orderOptions.map((option) => option.key === key ? orderOption : option),
+    domain,
+    "Category updated successfully"
+  )
+);
+
+/**
+ * Removes one of the domain's order options (admin only).
+ *
+ * @param {string}   key          Key of order option to remove.
+ * @param {Object[]} orderOptions Current order options.
+ * @param {string}   domain       Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const deleteOrderOption = (key, orderOptions, domain) => (dispatch) => (
+  setOrderOptions(
+    dispatch,
+    orderOptions.filter((option) => option.key !== key),
+    domain,
+    "Category deleted successfully"
+  )
+);
+
+/**
+ * Moves one of the domain's order options up or down (admin only).
+ *
+ * @param {string}   key          Key of order option to move.
+ * @param {number}   offset       Number of places to move order option (negative to move up).
+ * @param {Object[]} orderOptions Current order options.
+ * @param {string}   domain       Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const moveOrderOption = (key, offset, orderOptions, domain) => (dispatch) => {
+  const index = orderOptions.findIndex((option) => option.key === key);
+  const newIndex = index + offset;
+  if (index < 0 || newIndex < 0 || newIndex >= orderOptions.length) {
+    return Promise.resolve();
+  }
+  let newOrderOptions = [...orderOptions];
+  newOrderOptions.splice(newIndex, 0, ...newOrderOptions.splice(index, 1));
+  return setOrderOptions(dispatch, newOrderOptions, domain, "Categories reordered successfully");
+};
+
+/**
+ * Sets the price of every order before options are added (admin only).
+ *
+ * @param {number} basePrice New base price (in cents).
+ * @param {string} domain    Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const setBasePrice = (basePrice, domain) => (dispatch) => {
   dispatch(startLoading());
   return (
-    allOrders(domain).doc(id)
-      .delete()
-      .then(() => successAction("Order deleted successfully", dispatch))
+    writeOrderOptionsVersion(domain, () => ({ basePrice }))
+      .then(() => getStateConstants(domain))
+      .then((stateConstants) => {
+        dispatch(updateConstants(stateConstants));
+        successAction("Base price updated successfully", dispatch);
+      })
       .catch((error) => alertFirestoreError(dispatch, error))
   );
 };
 
 /**
- * Creates a new order preset.
+ * Sets whether the domain blocks orders that conflict with their user's dietary restrictions (admin only).
+ *
+ * If not, such orders are allowed after the user is warned.
  *
- * Pushes preset to Firebase with order title as unique identifying key.
+ * @param {boolean} block  Whether to block conflicting orders.
+ * @param {string}  domain Domain key for user's domain.
  *
- * @param {function} dispatch   Dispatch function passed from Redux.
- * @param {Object}   data       Order data to push to Firebase.
- * @param {string}   uid        ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain     Domain key for user's domain.
+ * @return {Promise<void>} Promise for function.
  */
-export const createPreset = (dispatch, data, uid, domain) => {
+export const setBlockDietaryConflicts = (block, domain) => (dispatch) => {
   dispatch(startLoading());
   return (
-    myPresets(uid, domain)
-      .add(data)
-      .then(() => successAction("Preset created successfully", dispatch))
+    myAppData(domain).doc("dietary").set({ blockConflicts: block })
+      .then(() => getStateConstants(domain))
+      .then((stateConstants) => {
+        dispatch(updateConstants(stateConstants));
+        successAction(block ? "Conflicting orders will be blocked" : "Conflicting orders will be allowed", dispatch);
+      })
       .catch((error) => alertFirestoreError(dispatch, error))
   );
 };
 
 /**
- * Edits an existing order preset.
+ * Pushes a change to the domain's specials, then refreshes state constants (admin only).
  *
- * Edits doc if title is the same, otherwise deletes old doc and creates
- * new with updated title.
+ * @param {function}      dispatch       Dispatch function passed from Redux.
+ * @param {Promise<void>} write          Promise for write to specials collection.
+ * @param {string}        domain         Domain key for user's domain.
+ * @param {string}        successMessage Message to display once specials are updated.
  *
- * @param {function} dispatch   Dispatch function passed from Redux.
- * @param {Object}   data       Preset data to push to Firebase.
- * @param {string}   data.title Title of order preset.
- * @param {string}   id         ID of order being edited (original title of preset).
- * @param {string}   uid        ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain     Domain key for user's domain.
+ * @return {Promise<void>} Promise for function.
  */
-export const editPreset = (dispatch, data, id, uid, domain) => {
-  dispatch(startLoading());
-  let dataToPush = { ...data };
-  delete dataToPush.key;
-  return myPresets(uid, domain).doc(id)
-    .set(dataToPush)
-    .then(() => successAction("Preset updated successfully", dispatch))
+const updateSpecials = (dispatch, write, domain, successMessage) => (
+  write
+    .then(() => getStateConstants(domain))
+    .then((stateConstants) => {
+      dispatch(updateConstants(stateConstants));
+      successAction(successMessage, dispatch);
+    })
     .catch((error) => alertFirestoreError(dispatch, error))
+);
+
+/**
+ * Publishes a menu special that any user in the domain may order (admin only).
+ *
+ * @param {Object} special Special to publish (see toSpecial).
+ * @param {string} domain  Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const createSpecial = (special, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return updateSpecials(dispatch, mySpecials(domain).add(special), domain, "Special published successfully");
+};
+
+/**
+ * Edits one of the domain's menu specials (admin only).
+ *
+ * Orders already placed from the special are not changed.
+ *
+ * @param {Object} special Edited special (see toSpecial).
+ * @param {string} id      ID of special being edited (generated by Firebase).
+ * @param {string} domain  Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const editSpecial = (special, id, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return updateSpecials(dispatch, mySpecials(domain).doc(id).set(special), domain, "Special updated successfully");
+};
+
+/**
+ * Removes one of the domain's menu specials (admin only).
+ *
+ * @param {string} id     ID of special being removed (generated by Firebase).
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const deleteSpecial = (id, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return updateSpecials(dispatch, mySpecials(domain).doc(id).delete(), domain, "Special removed successfully");
+};
+
+/**
+ * Records a payment made by a user, adding it to their ledger (kitchen and admin only).
+ *
+ * Payments are made outside of the app (ex: cash or check) and recorded by
+ * hand; negative amounts may be used to correct mistakes. Amounts that aren't
+ * a nonzero number of cents are rejected (nothing would be recorded).
+ *
+ * @param {string} uid    ID of user who paid.
+ * @param {number} amount Amount paid (in cents; NaN if it couldn't be parsed).
+ * @param {string} note   Note to display with payment (ex: "Cash").
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const recordTopUp = (uid, amount, note, domain) => (dispatch) => {
+  if (!Number.isInteger(amount) || amount === 0) {
+    Alert("Invalid amount", "Please enter an amount other than $0.00 (ex: 10.00).");
+    return Promise.resolve();
+  }
+  dispatch(startLoading());
+  const batch = writeBatch();
+  addLedgerEntry(batch, myLedger(uid, domain), amount, LedgerTypes.TOP_UP, note || "Payment", {
+    recordedBy: auth.currentUser.uid
+  });
+  return (
+    batch.commit()
+      .then(() => successAction("Payment recorded successfully", dispatch))
+      .catch((error) => alertFirestoreError(dispatch, error))
+  );
 };
 
 /**
- * Deletes an existing order preset.
+ * Fetches the profile of every user in the domain (kitchen and admin only).
+ *
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<Object<string, Object>>} Promise for profiles (uids as keys).
+ */
+export const getDomainUsers = (domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const snapshot = await allUserData(domain).get();
+    let users = {};
+    snapshot.forEach((doc) => users[doc.id] = doc.data());
+    dispatch(stopLoading());
+    return users;
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+    throw new Error(error);
+  }
+};
+
+/**
+ * Sets the role of a user in the domain (admin only).
+ *
+ * Role is stored in user's profile doc, which users may not change
+ * themselves (see firestore.rules).
+ *
+ * @param {string} uid    ID of user whose role is being set.
+ * @param {string} role   User's new role (see Roles in constants/Roles.js).
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<boolean>} Promise for whether role was set.
+ */
+export const setUserRole = (uid, role, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return (
+    myUserData(uid, domain)
+      .update({ role })
+      .then(() => {
+        successAction("Role updated successfully", dispatch);
+        return true;
+      })
+      .catch((error) => {
+        alertFirestoreError(dispatch, error);
+        return false;
+      })
+  );
+};
+
+/**
+ * Fetches every order in the domain for a given date, along with the profile of each user who ordered (staff, kitchen, and admin only).
+ *
+ * @param {string} isoDate Date to fetch orders for (ISO format).
+ * @param {string} domain  Domain key for user's domain.
+ *
+ * @return {Promise<{orders: Object[], users: Object<string, Object>}>} Promise for orders (including uid) and profiles (uids as keys).
+ */
+export const getDailyOrders = (isoDate, domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const ordersSnapshot = await allOrders(domain).where("date", "==", isoDate).get();
+    const orders = ordersSnapshot.docs.map((doc) => ({ ...doc.data(), key: doc.id }));
+    const uids = [...new Set(orders.map(({ uid }) => uid))];
+    const userDocs = await Promise.all(uids.map((uid) => myUserData(uid, domain).get()));
+    let users = {};
+    userDocs.forEach((doc) => users[doc.id] = doc.data() || {});
+    dispatch(stopLoading());
+    return { orders, users };
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+    throw new Error(error);
+  }
+};
+
+/**
+ * Fetches a page of user's past orders (newest first).
+ *
+ * Orders are past once their cutoff has passed. Since cutoffs may fall days
+ * in advance, orders are fetched up to the last date that could be past
+ * cutoff, and orders still open for editing are left out.
+ *
+ * @param {Object}                   cutoffTime    Order cutoff rules for user's domain.
+ * @param {string}                   uid           ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}                   domain        Domain key for user's domain.
+ * @param {DocumentSnapshot<T>|null} [cursor=null] Last doc of previous page (null for first page).
+ *
+ * @return {Promise<{orders: Object[], cursor: DocumentSnapshot<T>|null}>} Promise for orders and cursor for next page (null if there are no more).
+ */
+export const getOrderHistory = (cutoffTime, uid, domain, cursor = null) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const lastDate = now(cutoffTime.timezone).add(cutoffTime.daysInAdvance, "days").format(ISO_FORMAT);
+    let query = myOrders(uid, domain).where("date", "<=", lastDate).orderBy("date", "desc");
+    if (cursor) {
+      query = query.startAfter(cursor);
+    }
+    const snapshot = await query.limit(HISTORY_PAGE_SIZE).get();
+    const orders = snapshot.docs
+      .map((doc) => ({ ...doc.data(), date: moment(doc.data().date), key: doc.id }))
+      .filter(({ date }) => isPastCutoff(date, cutoffTime));
+    dispatch(stopLoading());
+    return {
+      orders,
+      cursor: snapshot.docs.length === HISTORY_PAGE_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null
+    };
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+    throw new Error(error);
+  }
+};
+
+/**
+ * Sets loading state of app to true.
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const startLoading = () => ({
+  type: Actions.SET_LOADING,
+  loading: true
+})
+
+/**
+ * Sets loading state of app to false.
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const stopLoading = () => ({
+  type: Actions.SET_LOADING,
+  loading: false
+})
+
+/**
+ * Sets focused order in app state to given ID.
+ *
+ * @param {string} id Unique order ID (date in ISO format).
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const focusOrder = (id) => ({
+  type: Actions.FOCUS_ORDER,
+  id
+});
+
+/**
+ * Sets focused order in app state to null.
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const unfocusOrder = () => ({
+  type: Actions.FOCUS_ORDER,
+  id: null
+});
+
+/**
+ * Sets values to fill in when user starts a new order (ex: to order a past order again).
+ *
+ * @param {Object} data Order option values to fill in.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const prefillOrder = (data) => ({
+  type: Actions.PREFILL_ORDER,
+  data
+});
+
+/**
+ * Clears values to fill in when user starts a new order.
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const clearPrefilledOrder = () => ({
+  type: Actions.PREFILL_ORDER,
+  data: null
+});
+
+/**
+ * Sets focused preset in app state to given ID.
+ *
+ * @param {string} id Unique preset ID (title of preset).
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const focusPreset = (id) => ({
+  type: Actions.FOCUS_PRESET,
+  id
+});
+
+/**
+ * Sets focused preset in app state to null.
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const unfocusPreset = () => ({
+  type: Actions.FOCUS_PRESET,
+  id: null
+})
+
+/**
+ * Sets focused standing order in app state to given ID.
  *
- * Deletes doc corresponding to preset from Firestore.
+ * @param {string} id Unique standing order ID (generated by Firebase).
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   id       ID of preset being edited (title of preset).
- * @param {string}   uid      ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain   Domain key for user's domain.
- */
-export const deletePreset = (dispatch, id, uid, domain) => {
-  dispatch(startLoading());
-  return (
-    myPresets(uid, domain).doc(id)
-      .delete()
-      .then(() => successAction("Preset deleted successfully", dispatch))
-      .catch((error) => alertFirestoreError(dispatch, error))
-  );
-};
-
-/**
- * Sets loading state of app to true.
  * @return {Object} Object to pass to dispatch function.
  */
-export const startLoading = () => ({
-  type: Actions.SET_LOADING,
-  loading: true
-})
+export const focusStandingOrder = (id) => ({
+  type: Actions.FOCUS_STANDING_ORDER,
+  id
+});
 
 /**
- * Sets loading state of app to false.
+ * Sets focused standing order in app state to null.
  * @return {Object} Object to pass to dispatch function.
  */
-export const stopLoading = () => ({
-  type: Actions.SET_LOADING,
-  loading: false
-})
+export const unfocusStandingOrder = () => ({
+  type: Actions.FOCUS_STANDING_ORDER,
+  id: null
+});
 
 /**
- * Sets focused order in app state to given ID.
+ * Sets focused order option in app state to given key.
  *
- * @param {string} id Unique order ID (date in ISO format).
+ * @param {string} key Key of order option.
  *
  * @return {Object} Object to pass to dispatch function.
  */
-export const focusOrder = (id) => ({
-  type: Actions.FOCUS_ORDER,
-  id
+export const focusOrderOption = (key) => ({
+  type: Actions.FOCUS_ORDER_OPTION,
+  key
 });
 
 /**
- * Sets focused order in app state to null.
+ * Sets focused order option in app state to null.
  * @return {Object} Object to pass to dispatch function.
  */
-export const unfocusOrder = () => ({
-  type: Actions.FOCUS_ORDER,
-  id: null
+export const unfocusOrderOption = () => ({
+  type: Actions.FOCUS_ORDER_OPTION,
+  key: null
 });
 
 /**
- * Sets focused preset in app state to given ID.
+ * Sets focused special in app state to given ID.
  *
- * @param {string} id Unique preset ID (title of preset).
+ * @param {string} id ID of special (generated by Firebase).
  *
  * @return {Object} Object to pass to dispatch function.
  */
-export const focusPreset = (id) => ({
-  type: Actions.FOCUS_PRESET,
+export const focusSpecial = (id) => ({
+  type: Actions.FOCUS_SPECIAL,
   id
 });
 
 /**
- * Sets focused preset in app state to null.
+ * Sets focused special in app state to null.
  * @return {Object} Object to pass to dispatch function.
  */
-export const unfocusPreset = () => ({
-  type: Actions.FOCUS_PRESET,
+export const unfocusSpecial = () => ({
+  type: Actions.FOCUS_SPECIAL,
   id: null
-})
+});
 
 /**
  * Logs user in using provided auth credentials.
@@ -302,24 +1319,37 @@ export const unfocusPreset = () => ({
  * Uses Firebase Auth's standard email/password account management
  * to authenticate user with given email address and password.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   email    User's email address.
- * @param {string}   password Password for user's account.
+ * @param {string} email    User's email address.
+ * @param {string} password Password for user's account.
  */
-export const logIn = (dispatch, email, password) => {
+export const logIn = (email, password) => (dispatch) => {
   dispatch(startLoading());
-  auth().signInWithEmailAndPassword(email, password)
+  auth.signInWithEmailAndPassword(email, password)
+    .then(() => dispatch(stopLoading()))
+    .catch((error) => alertAuthError(dispatch, error));
+};
+
+/**
+ * Logs user in with their school Google account.
+ *
+ * Users signing in for the first time are attached to the domain that
+ * allows their email domain once their data is fetched (see getUserDomain).
+ *
+ * @param {string} idToken Google ID token (from Google's OAuth flow).
+ */
+export const logInWithGoogle = (idToken) => (dispatch) => {
+  dispatch(startLoading());
+  auth.signInWithCredential(googleCredential(idToken))
     .then(() => dispatch(stopLoading()))
     .catch((error) => alertAuthError(dispatch, error));
 };
 
 /**
  * Logs user out using Firebase Auth.
- * @param {function} dispatch Dispatch function passed from Redux.
  */
-export const logOut = (dispatch) => {
+export const logOut = () => (dispatch) => {
   dispatch(startLoading());
-  auth().signOut()
+  auth.signOut()
     .then(() => dispatch(stopLoading()))
     .catch((error) => alertAuthError(dispatch, error))
 };
@@ -328,33 +1358,127 @@ export const logOut = (dispatch) => {
  * Edits user's profile data.
  *
  * Updates doc corresponding to currently authenticated user
- * (identified through user ID).
+ * (identified through user ID). Fields that users may not set themselves
+ * (role and email verification) are left as they are.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {Object}   data     Profile data to push to Firebase.
- * @param {string}   uid      ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain   Domain key for user's domain.
+ * @param {Object} data   Profile data to push to Firebase.
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
  */
-export const editUserData = (dispatch, data, uid, domain) => {
+export const editUserData = (data, uid, domain) => (dispatch) => {
   dispatch(startLoading());
   let newData = { ...data };
   delete newData.uid;
   delete newData.password;
   delete newData.email;
   delete newData.domain;
+  delete newData.emailVerified;
+  delete newData.singleSignOn;
+  delete newData.role;
   myUserData(uid, domain)
-    .set(newData)
+    .set(newData, { merge: true })
     .then(() => successAction("User data updated successfully", dispatch))
     .catch((error) => alertFirestoreError(dispatch, error));
 };
 
+/**
+ * Turns reminders to order before the cutoff on or off for the current user.
+ *
+ * Preference is stored in user's profile doc (so that it follows them across
+ * devices); reminders themselves are scheduled by ReminderSync.
+ *
+ * @param {boolean} enabled Whether user should be reminded.
+ * @param {string}  uid     ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}  domain  Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const setCutoffReminders = (enabled, uid, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return (
+    myUserData(uid, domain)
+      .update({ cutoffReminders: enabled })
+      .then(() => myUserData(uid, domain).get())
+      .then((doc) => {
+        dispatch(updateUserData(uid, doc));
+        successAction(enabled ? "Reminders turned on" : "Reminders turned off", dispatch);
+      })
+      .catch((error) => alertFirestoreError(dispatch, error))
+  );
+};
+
+/**
+ * Sets the current user's dietary restrictions.
+ *
+ * Restrictions are stored in user's profile doc; options whose tags conflict
+ * with them are flagged on the order screen (see constants/Dietary.js).
+ *
+ * @param {string[]} restrictions User's dietary restrictions (keys of Restrictions).
+ * @param {string}   uid          ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}   domain       Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const setDietaryRestrictions = (restrictions, uid, domain) => (dispatch) => {
+  dispatch(startLoading());
+  return (
+    myUserData(uid, domain)
+      .update({ dietaryRestrictions: restrictions })
+      .then(() => myUserData(uid, domain).get())
+      .then((doc) => {
+        dispatch(updateUserData(uid, doc));
+        successAction("Dietary restrictions updated successfully", dispatch);
+      })
+      .catch((error) => alertFirestoreError(dispatch, error))
+  );
+};
+
+/**
+ * Sends the current user another email to verify their email address.
+ * @return {Promise<void>} Promise for function.
+ */
+export const sendVerificationEmail = () => (dispatch) => {
+  dispatch(startLoading());
+  return (
+    auth.currentUser.sendEmailVerification()
+      .then(() => successAction(`Verification email sent to ${auth.currentUser.email}`, dispatch))
+      .catch((error) => alertAuthError(dispatch, error))
+  );
+};
+
+/**
+ * Checks whether the current user has verified their email address since signing in.
+ *
+ * Reloads user from Firebase Auth and refreshes their ID token (so that
+ * Firestore sees that they're verified), then updates profile data in app
+ * state.
+ *
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<boolean>} Promise for whether user's email address is verified.
+ */
+export const refreshEmailVerified = (domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    await auth.currentUser.reload();
+    await auth.currentUser.getIdToken(true);
+    const uid = auth.currentUser.uid;
+    dispatch(updateUserData(uid, await myUserData(uid, domain).get()));
+    dispatch(stopLoading());
+    return auth.currentUser.emailVerified;
+  } catch (error) {
+    alertAuthError(dispatch, error);
+    return false;
+  }
+};
+
 const createUserDomain = async (domain, uid, dispatch) => {
   try {
-    await firestore.collection("userDomains").doc(uid).set({ domain });
+    await myUserDomain(uid).set({ domain });
   } catch (e) {
     await deleteFailedUser(uid);
     alertFirestoreError(dispatch, e);
-    logOut(dispatch);
+    dispatch(logOut());
   }
 }
 
@@ -362,24 +1486,25 @@ const createUserDomain = async (domain, uid, dispatch) => {
  * Creates a new user.
  *
  * Creates user using Firebase Auth's email/password account management
- * and pushes profile information to Firestore.
+ * and pushes profile information to Firestore. Sends the user an email to
+ * verify their email address.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   email    User's email address.
- * @param {string}   password Password for user's account.
- * @param {Object}   data     Profile information to push to Firebase.
- * @param {string}   domain   Domain key for user's domain.
+ * @param {string} email    User's email address.
+ * @param {string} password Password for user's account.
+ * @param {Object} data     Profile information to push to Firebase.
+ * @param {string} domain   Domain key for user's domain.
  */
-export const createUser = (dispatch, email, password, data, domain) => {
+export const createUser = (email, password, data, domain) => (dispatch) => {
   dispatch(startLoading());
-  auth().createUserWithEmailAndPassword(email, password)
+  auth.createUserWithEmailAndPassword(email, password)
     .then((userCredential) => {
+      userCredential.user.sendEmailVerification().catch(reportToSentry);
       createUserDomain(domain, userCredential.user.uid, dispatch)
-        .then(() => editUserData(dispatch, data, userCredential.user.uid, domain))
+        .then(() => dispatch(editUserData(data, userCredential.user.uid, domain)))
         .catch((error) => alertFirestoreError(dispatch, error))
     }).catch((error) => {
       alertAuthError(dispatch, error);
-      logOut(dispatch);
+      dispatch(logOut());
       dispatch(stopLoading());
     });
 }
@@ -480,6 +1605,30 @@ export const updatePresets = (querySnapshot) => {
   }
 }
 
+/**
+ * Updates standing order state from data pulled from Firebase.
+ *
+ * Reads each doc from snapshot of standing orders collection and adds
+ * to standing order state.
+ *
+ * @param {QuerySnapshot<T>} querySnapshot Collection snapshot from standing orders collection listener.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const updateStandingOrders = (querySnapshot) => {
+  let standingOrders = {};
+  querySnapshot.forEach((doc) => {
+    standingOrders[doc.id] = {
+      ...doc.data(),
+      key: doc.id
+    }
+  });
+  return {
+    type: Actions.UPDATE_STANDING_ORDERS,
+    standingOrders
+  }
+};
+
 /**
  * Logs in user in app state (sets user object to empty object).
  * @return {Object} Object to pass to dispatch function.
@@ -499,7 +1648,13 @@ export const logInAction = () => ({
  */
 export const updateUserData = (uid, doc) => ({
   type: Actions.UPDATE_USER_DATA,
-  data: { uid, email: auth().currentUser.email, ...(doc.data() || {}) }
+  data: {
+    uid,
+    email: auth.currentUser.email,
+    emailVerified: auth.currentUser.emailVerified,
+    singleSignOn: isSingleSignOnUser(auth.currentUser),
+    ...(doc.data() || {})
+  }
 });
 
 /**
@@ -514,12 +1669,11 @@ export const logOutAction = () => ({
 /**
  * Sets a password reset email to given email address.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   email    Email address to send password reset email to.
+ * @param {string} email Email address to send password reset email to.
  */
-export const resetPassword = (dispatch, email) => {
+export const resetPassword = (email) => (dispatch) => {
   dispatch(startLoading());
-  auth().sendPasswordResetEmail(email)
+  auth.sendPasswordResetEmail(email)
     .then(() => successAction("Email sent successfully", dispatch))
     .catch((error) => alertAuthError(dispatch, error));
 };
@@ -527,14 +1681,13 @@ export const resetPassword = (dispatch, email) => {
 /**
  * Re-authenticates user and changes user's account password.
  *
- * @param {function} dispatch        Dispatch function passed from Redux.
- * @param {string}   currentPassword User's current account password.
- * @param {string}   newPassword     User's new account password.
+ * @param {string} currentPassword User's current account password.
+ * @param {string} newPassword     User's new account password.
  */
-export const changePassword = (dispatch, currentPassword, newPassword) => {
+export const changePassword = (currentPassword, newPassword) => (dispatch) => {
   dispatch(startLoading());
-  const user = auth().currentUser;
-  const credential = auth.EmailAuthProvider.credential(user.email, currentPassword);
+  const user = auth.currentUser;
+  const credential = emailCredential(user.email, currentPassword);
   user.reauthenticateWithCredential(credential).then(() => (
     user.updatePassword(newPassword)
       .then(() => successAction("Password set successfully", dispatch))
@@ -542,35 +1695,218 @@ export const changePassword = (dispatch, currentPassword, newPassword) => {
   )).catch((error) => alertAuthError(dispatch, error));
 }
 
+/**
+ * Fetches the docs in each collection of a user's data (for exporting it).
+ *
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<Object<string, DocumentSnapshot[]>>} Promise for docs (collection names as keys).
+ */
+const getAccountDocs = async (uid, domain) => {
+  const snapshots = await Promise.all([
+    myOrders(uid, domain).get(),
+    myPresets(uid, domain).get(),
+    myStandingOrders(uid, domain).get(),
+    myLedger(uid, domain).get(),
+    sharedPresets(domain).where("sharedBy", "==", uid).get()
+  ]);
+  const [orders, presets, standingOrders, ledger, shared] = snapshots.map((snapshot) => snapshot.docs);
+  return { orders, presets, standingOrders, ledger, sharedPresets: shared };
+};
+
+/**
+ * Fetches a copy of all of the current user's data (to export as a JSON file).
+ *
+ * Includes user's account, profile, orders (past and upcoming), presets,
+ * standing orders, ledger, and the presets they have shared.
+ *
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {Promise<Object|null>} Promise for user's data (null if it couldn't be fetched).
+ */
+export const getAccountData = (uid, domain) => async (dispatch) => {
+  dispatch(startLoading());
+  try {
+    const [profileDoc, accountDocs] = await Promise.all([myUserData(uid, domain).get(), getAccountDocs(uid, domain)]);
+    let data = {
+      exportedAt: moment().toISOString(),
+      account: { uid, email: auth.currentUser.email, domain },
+      profile: profileDoc.data() || {}
+    };
+    Object.keys(accountDocs).forEach((collection) => (
+      data[collection] = accountDocs[collection].map((doc) => ({ ...doc.data(), key: doc.id }))
+    ));
+    dispatch(stopLoading());
+    return data;
+  } catch (error) {
+    alertFirestoreError(dispatch, error);
+    return null;
+  }
+};
+
+/**
+ * Re-authenticates user, then deletes their account and data.
+ *
+ * The deleteAccount Cloud Function cancels user's upcoming orders (so that
+ * inventory is released), deletes their orders, presets, standing orders,
+ * ledger, shared presets, and profile, and then their Firebase Auth account
+ * and userDomains doc (see deleteAccountData); user is then signed out. If
+ * it fails, user's account is kept, so they can try again. Users who signed
+ * in with Google have no password, so they must have signed in recently
+ * instead.
+ *
+ * @param {string|null} password User's current password (null for users who signed in with Google).
+ * @param {string}      uid      ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string}      domain   Domain key for user's domain.
+ *
+ * @return {Promise<void>} Promise for function.
+ */
+export const deleteAccount = (password, uid, domain) => async (dispatch) => {
+  dispatch(startLoading());
+  const user = auth.currentUser;
+  try {
+    if (password !== null) {
+      await user.reauthenticateWithCredential(emailCredential(user.email, password));
+    } else {
+      const signedInAt = Date.parse(user.metadata?.lastSignInTime);
+      if (isNaN(signedInAt) || Date.now() - signedInAt > RECENT_SIGN_IN) {
+        alertAuthError(dispatch, { code: "auth/requires-recent-login" });
+        return;
+      }
+    }
+  } catch (error) {
+    alertAuthError(dispatch, error);
+    return;
+  }
+  try {
+    await removeAccount(uid, domain);
+  } catch (error) {
+    (error.code?.startsWith("auth/") ? alertAuthError : alertFirestoreError)(dispatch, error);
+    return;
+  }
+  await auth.signOut();
+  successAction("Your account has been deleted", dispatch);
+};
+
+/**
+ * Adds previous versions of order options pulled from Firebase to state.
+ *
+ * @param {Object<number, Object[]|null>} versions Order options of each version (null if version is not in history).
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+const updateOrderOptionVersions = (versions) => ({
+  type: Actions.UPDATE_ORDER_OPTION_VERSIONS,
+  versions
+});
+
+/**
+ * Fetches previous versions of the domain's order options (to display orders as they were placed).
+ *
+ * Versions that couldn't be fetched are recorded as null (so orders placed
+ * with them are displayed with the current order options), so that screens
+ * don't fetch them again every time orders change; they are fetched again
+ * once the domain changes (i.e. the next time the user signs in).
+ *
+ * @param {number[]} versions Versions to fetch (see getMissingVersions).
+ * @param {string}   domain   Domain key for user's domain.
+ *
+ * @return {Promise<Object<number, Object[]|null>>} Promise for fetched versions (null for versions that couldn't be fetched).
+ */
+export const getOrderOptionVersions = (versions, domain) => async (dispatch) => {
+  let orderOptionVersions = {};
+  try {
+    const docs = await Promise.all(versions.map((version) => orderOptionHistory(domain).doc(version.toString()).get()));
+    docs.forEach((doc, i) => orderOptionVersions[versions[i]] = doc.exists ? doc.data().orderOptions : null);
+  } catch (error) {
+    reportToSentry(error);
+    versions.forEach((version) => orderOptionVersions[version] = null);
+  }
+  dispatch(updateOrderOptionVersions(orderOptionVersions));
+  return orderOptionVersions;
+};
+
+/**
+ * Updates inventory counts for a date from data pulled from Firebase.
+ *
+ * @param {string}              isoDate Date of counts (ISO format).
+ * @param {DocumentSnapshot<T>} doc     Doc containing inventory counts.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const updateInventoryCounts = (isoDate, doc) => ({
+  type: Actions.UPDATE_INVENTORY_COUNTS,
+  isoDate,
+  counts: doc.data() || {}
+});
+
+/**
+ * Updates ledger state from data pulled from Firebase.
+ *
+ * @param {QuerySnapshot<T>} querySnapshot Collection snapshot from ledger collection listener.
+ *
+ * @return {Object} Object to pass to dispatch function.
+ */
+export const updateLedger = (querySnapshot) => {
+  let ledger = {};
+  querySnapshot.forEach((doc) => {
+    ledger[doc.id] = {
+      ...doc.data(),
+      key: doc.id
+    }
+  });
+  return {
+    type: Actions.UPDATE_LEDGER,
+    ledger
+  };
+};
+
 /**
  * Updates state constants with provided data.
  *
- * @param {Object[]}                         userFields   Profile fields.
- * @param {Object[]}                         orderOptions Fields for ordering.
- * @param {{hours: number, minutes: number}} cutoffTime   Cutoff time for placing new orders.
+ * Schedule and cutoff fields that the domain doesn't define fall back to the
+ * defaults (see constants/Schedule.js and constants/Cutoff.js).
+ *
+ * @param {Object[]} userFields              Profile fields.
+ * @param {Object[]} orderOptions            Fields for ordering.
+ * @param {number}   [basePrice]             Price of every order before options (in cents).
+ * @param {number}   [orderOptionsVersion]   Version of order options (see constants/OrderOptionVersions.js).
+ * @param {Object}   [cutoffTime]            Order cutoff rules (times, days in advance, and horizon).
+ * @param {Object}   [schedule]              School schedule (repeating values plus closures).
+ * @param {Object}   [inventory]             Daily cap for each option (see constants/Inventory.js).
+ * @param {boolean}  [blockDietaryConflicts] Whether orders that conflict with their user's dietary restrictions are blocked.
+ * @param {Object}   [specials]              Menu specials (IDs as keys; see constants/Specials.js).
  *
  * @return {Object} Object to pass to dispatch function.
  */
-export const updateConstants = ({ userFields, orderOptions, cutoffTime }) => ({
+export const updateConstants = ({ userFields, orderOptions, basePrice, orderOptionsVersion, cutoffTime, schedule, inventory, blockDietaryConflicts, specials }) => ({
   type: Actions.UPDATE_CONSTANTS,
   data: {
     userFields: userFields || [],
     orderOptions: orderOptions || [],
-    cutoffTime: moment(cutoffTime || { hours: 0, minutes: 0 })
+    basePrice: basePrice || 0,
+    orderOptionsVersion: orderOptionsVersion || 0,
+    cutoffTime: { ...Cutoff, ...(cutoffTime || {}) },
+    schedule: { ...Schedule, ...(schedule || {}) },
+    inventory: inventory || {},
+    blockDietaryConflicts: !!blockDietaryConflicts,
+    specials: specials || {}
   }
 });
 
 /**
- * Creates listener for user's orders collection.
+ * Creates listener for user's orders in the active booking window (today onward).
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   uid      ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain   Domain key for user's domain.
+ * @param {Object} cutoffTime Order cutoff rules for user's domain.
+ * @param {string} uid        ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain     Domain key for user's domain.
  *
  * @return {function} Function to unsubscribe listener.
  */
-export const watchOrders = (dispatch, uid, domain) => (
-  myOrders(uid, domain).onSnapshot(
+export const watchOrders = (cutoffTime, uid, domain) => (dispatch) => (
+  myActiveOrders(uid, domain, cutoffTime.timezone).onSnapshot(
     (querySnapshot) => dispatch(updateOrders(querySnapshot)),
     (error) => alertFirestoreError(dispatch, error)
   )
@@ -579,13 +1915,12 @@ export const watchOrders = (dispatch, uid, domain) => (
 /**
  * Creates listener for user profile data.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   uid      ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain   Domain key for user's domain.
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
  *
  * @return {function} Function to unsubscribe listener.
  */
-export const watchUserData = (dispatch, uid, domain) => (
+export const watchUserData = (uid, domain) => (dispatch) => (
   myUserData(uid, domain).onSnapshot(
     (doc) => dispatch(updateUserData(uid, doc)),
     (error) => alertFirestoreError(dispatch, error)
@@ -595,43 +1930,121 @@ export const watchUserData = (dispatch, uid, domain) => (
 /**
  * Creates listener for user's presets collection.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
- * @param {string}   uid      ID unique to authenticated user (generated by Firebase Auth).
- * @param {string}   domain   Domain key for user's domain.
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
  *
  * @return {function} Function to unsubscribe listener.
  */
-export const watchPresets = (dispatch, uid, domain) => (
+export const watchPresets = (uid, domain) => (dispatch) => (
   myPresets(uid, domain).onSnapshot(
     (querySnapshot) => dispatch(updatePresets(querySnapshot)),
     (error) => alertFirestoreError(dispatch, error)
   )
 );
 
+/**
+ * Creates listener for user's standing orders collection.
+ *
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {function} Function to unsubscribe listener.
+ */
+export const watchStandingOrders = (uid, domain) => (dispatch) => (
+  myStandingOrders(uid, domain).onSnapshot(
+    (querySnapshot) => dispatch(updateStandingOrders(querySnapshot)),
+    (error) => alertFirestoreError(dispatch, error)
+  )
+);
+
+/**
+ * Creates listener for user's ledger collection.
+ *
+ * @param {string} uid    ID unique to authenticated user (generated by Firebase Auth).
+ * @param {string} domain Domain key for user's domain.
+ *
+ * @return {function} Function to unsubscribe listener.
+ */
+export const watchLedger = (uid, domain) => (dispatch) => (
+  myLedger(uid, domain).onSnapshot(
+    (querySnapshot) => dispatch(updateLedger(querySnapshot)),
+    (error) => alertFirestoreError(dispatch, error)
+  )
+);
+
+/**
+ * Creates listener for the number of each option ordered for a date.
+ *
+ * @param {string} isoDate Date to watch (ISO format).
+ * @param {string} domain  Domain key for user's domain.
+ *
+ * @return {function} Function to unsubscribe listener.
+ */
+export const watchInventoryCounts = (isoDate, domain) => (dispatch) => (
+  myInventoryCounts(domain).doc(isoDate).onSnapshot(
+    (doc) => dispatch(updateInventoryCounts(isoDate, doc)),
+    (error) => alertFirestoreError(dispatch, error)
+  )
+);
+
 const setDomain = (domain) => ({
   type: Actions.SET_DOMAIN,
   domain
 })
 
-export const getUserDomain = async (uid, dispatch) => {
+/**
+ * Attaches a user signing in with Google for the first time to their domain.
+ *
+ * Finds the domain whose emailDomains include the domain of the user's
+ * (verified) email address and writes the user's userDomains doc, as
+ * createUser does for users who enter their domain's code. Alerts the user
+ * if no domain allows their email address.
+ *
+ * @param {string} uid  ID unique to authenticated user (generated by Firebase Auth).
+ * @param {Object} user Firebase Auth user.
+ *
+ * @return {Promise<string|null>} Promise for domain key of user's domain (null if no domain allows user).
+ */
+const attachSingleSignOnUser = async (uid, user) => {
+  const emailDomain = getEmailDomain(user.email);
+  const snapshot = user.emailVerified
+    ? await allDomains().where("emailDomains", "array-contains", emailDomain).limit(1).get()
+    : null;
+  if (!snapshot || snapshot.empty) {
+    Alert(
+      "Organization not found",
+      `No organization using SimpleSubs allows sign-in with ${emailDomain} accounts. Please sign in with your ` +
+      "school account, or create an account with your organization's code."
+    );
+    return null;
+  }
+  const domainId = snapshot.docs[0].id;
+  await myUserDomain(uid).set({ domain: domainId });
+  return domainId;
+};
+
+export const getUserDomain = (uid) => async (dispatch) => {
   dispatch(startLoading());
-  let myDomainDoc = await firestore.collection("userDomains").doc(uid).get();
-  if (!myDomainDoc.exists || !myDomainDoc.data().domain) {
+  let myDomainDoc = await myUserDomain(uid).get();
+  let domainId = myDomainDoc.exists ? myDomainDoc.data().domain : null;
+  if (!domainId && isSingleSignOnUser(auth.currentUser)) {
+    domainId = await attachSingleSignOnUser(uid, auth.currentUser);
+  }
+  if (!domainId) {
     await deleteFailedUser(uid);
-    logOut(dispatch);
+    dispatch(logOut());
     throw new Error("User did not have a domain");
   }
-  let domainId = myDomainDoc.data().domain;
-  let domainDoc = await firestore.collection("domains").doc(domainId).get();
+  let domainDoc = await myDomain(domainId).get();
   dispatch(setDomain({ id: domainId, ...domainDoc.data() }));
   dispatch(stopLoading());
   return domainId;
 }
 
-export const getDomainByCode = async (dispatch, code) => {
+export const getDomainByCode = (code) => async (dispatch) => {
   try {
     let fixedCode = code.trim().toUpperCase();
-    let snapshot = await firestore.collection("domains")
+    let snapshot = await allDomains()
       .where("code", "==", fixedCode)
       .limit(1)
       .get();
@@ -652,12 +2065,11 @@ export const getDomainByCode = async (dispatch, code) => {
 /**
  * Creates listener for user authentication state (logged in or out).
  *
- * @param {function} dispatch Dispatch function passed from Redux.
  *
  * @return {firebase.Unsubscribe} Function to unsubscribe listener.
  */
-export const watchAuthState = (dispatch) => (
-  auth().onAuthStateChanged((user) => {
+export const watchAuthState = () => (dispatch) => (
+  auth.onAuthStateChanged((user) => {
     if (user) {
       dispatch(logInAction());
     } else {
@@ -669,14 +2081,13 @@ export const watchAuthState = (dispatch) => (
 /**
  * Fetches data for app constants when user is not authenticated.
  *
- * @param {function} dispatch  Dispatch function passed from Redux.
- * @param {string}   code      6-digit code identifying organization.
+ * @param {string} code 6-digit code identifying organization.
  *
  * @return {Promise<boolean>} Promise for function.
  */
-export const getUnauthData = async (dispatch, code) => {
+export const getUnauthData = (code) => async (dispatch) => {
   dispatch(startLoading());
-  let domainId = await getDomainByCode(dispatch, code);
+  let domainId = await dispatch(getDomainByCode(code));
   let success = false;
   if (!domainId) {
     dispatch(stopLoading());
@@ -703,41 +2114,57 @@ const getStateConstants = async (domain) => {
   let results = await Promise.all([
     myAppData(domain).doc("userFields").get(),
     myAppData(domain).doc("orderOptions").get(),
-    myAppData(domain).doc("cutoffTime").get()
+    myAppData(domain).doc("cutoffTime").get(),
+    myAppData(domain).doc("schedule").get(),
+    myAppData(domain).doc("inventory").get(),
+    myAppData(domain).doc("dietary").get()
   ]);
-  const [userFieldsRaw, orderOptionsRaw, cutoffTime] = results.map((doc) => doc.data());
+  const [userFieldsRaw, orderOptionsRaw, cutoffTime, schedule, inventory, dietary] = results.map((doc) => doc.data());
+  const { orderOptions, basePrice, version } = parseOrderOptions(orderOptionsRaw);
+  let specials = {};
+  (await mySpecials(domain).get()).forEach((doc) => specials[doc.id] = { ...doc.data(), key: doc.id });
   return {
     userFields: Object.values(userFieldsRaw),
-    orderOptions: Object.values(orderOptionsRaw),
-    cutoffTime
+    orderOptions,
+    basePrice,
+    orderOptionsVersion: version,
+    cutoffTime,
+    schedule,
+    inventory,
+    blockDietaryConflicts: dietary?.blockConflicts,
+    specials
   }
 }
 
 /**
  * Fetches data for app constants when user is authenticated.
  *
- * @param {function} dispatch Dispatch function passed from Redux.
  *
  * @return {Promise<Object>} Promise for data that was just fetched.
  */
-export const getAuthData = async (dispatch) => {
-  const uid = auth().currentUser.uid;
+export const getAuthData = () => async (dispatch) => {
+  const uid = auth.currentUser.uid;
   try {
-    let domainId = await getUserDomain(uid, dispatch);
+    let domainId = await dispatch(getUserDomain(uid));
+    // Active orders start at today in the domain's timezone, so they're fetched once constants arrive
+    const stateConstantsPromise = getStateConstants(domainId);
     let results = await Promise.all([
-      myOrders(uid, domainId).get(),
+      stateConstantsPromise.then(({ cutoffTime }) => myActiveOrders(uid, domainId, cutoffTime?.timezone).get()),
       myUserData(uid, domainId).get(),
-      getStateConstants(domainId),
-      myPresets(uid, domainId).get()
+      stateConstantsPromise,
+      myPresets(uid, domainId).get(),
+      myStandingOrders(uid, domainId).get()
     ]);
-    const [ordersSnapshot, userData, stateConstants, presetsSnapshot] = results;
+    const [ordersSnapshot, userData, stateConstants, presetsSnapshot, standingOrdersSnapshot] = results;
     dispatch(updateOrders(ordersSnapshot));
     dispatch(updateUserData(uid, userData));
     dispatch(updateConstants(stateConstants));
     dispatch(updatePresets(presetsSnapshot));
+    dispatch(updateStandingOrders(standingOrdersSnapshot));
     return {
       user: userData.data(),
-      userFields: stateConstants.userFields
+      userFields: stateConstants.userFields,
+      emailVerified: auth.currentUser.emailVerified
     };
   } catch (e) {
     alertFirestoreError(dispatch, e);
@@ -34,6 +34,20 @@ const focusedOrder = (state = null, action) => (
     : state
 );
 
+/**
+ * Gets values to fill in when user starts a new order.
+ *
+ * @param {Object|null} [state=null] Current prefilled order state.
+ * @param {Object}      action       Action object passed through dispatch.
+ *
+ * @return {Object|null} New prefilled order state.
+ */
+const prefilledOrder = (state = null, action) => (
+  action.type === Actions.PREFILL_ORDER
+    ? action.data
+    : state
+);
+
 /**
  * Gets user's profile state.
  *
@@ -102,6 +116,39 @@ const domain = (state = null, action) => (
     : state
 );
 
+/**
+ * Gets app's inventory count state (number of each option ordered, by date).
+ *
+ * @param {Object} [state={}] Current inventory count state.
+ * @param {Object} action     Action object passed through dispatch.
+ *
+ * @return {Object} New inventory count state.
+ */
+const inventoryCounts = (state = {}, action) => (
+  action.type === Actions.UPDATE_INVENTORY_COUNTS
+    ? { ...state, [action.isoDate]: action.counts }
+    : state
+);
+
+/**
+ * Gets previous versions of the domain's order options that have been fetched (cleared when domain changes).
+ *
+ * @param {Object} [state={}] Current order option versions state.
+ * @param {Object} action     Action object passed through dispatch.
+ *
+ * @return {Object} New order option versions state.
+ */
+const orderOptionVersions = (state = {}, action) => {
+  switch (action.type) {
+    case Actions.SET_DOMAIN:
+      return {};
+    case Actions.UPDATE_ORDER_OPTION_VERSIONS:
+      return { ...state, ...action.versions };
+    default:
+      return state;
+  }
+};
+
 /**
  * Gets app loading state.
  *
@@ -144,19 +191,141 @@ const focusedPreset = (state = null, action) => (
     : state
 )
 
+/**
+ * Gets user's standing (recurring) orders.
+ *
+ * @param {Object} [state={}] Current standing orders state.
+ * @param {Object} action     Action object passed through dispatch.
+ *
+ * @return {Object} New standing orders state.
+ */
+const standingOrders = (state = {}, action) => (
+  action.type === Actions.UPDATE_STANDING_ORDERS
+    ? action.standingOrders
+    : state
+);
+
+/**
+ * Gets user's ledger entries (charges, refunds, and payments).
+ *
+ * @param {Object} [state={}] Current ledger state.
+ * @param {Object} action     Action object passed through dispatch.
+ *
+ * @return {Object} New ledger state.
+ */
+const ledger = (state = {}, action) => (
+  action.type === Actions.UPDATE_LEDGER
+    ? action.ledger
+    : state
+);
+
+/**
+ * Gets app's focused standing order state.
+ *
+ * @param {string|null} [state=null] Current focused standing order state.
+ * @param {Object}      action       Action object passed through dispatch.
+ *
+ * @return {string|null} New focused standing order state.
+ */
+const focusedStandingOrder = (state = null, action) => (
+  action.type === Actions.FOCUS_STANDING_ORDER
+    ? action.id
+    : state
+);
+
+/**
+ * Gets app's focused order option state (admin console).
+ *
+ * @param {string|null} [state=null] Key of currently focused order option.
+ * @param {Object}      action       Action object passed through dispatch.
+ *
+ * @return {string|null} New focused order option state.
+ */
+const focusedOrderOption = (state = null, action) => (
+  action.type === Actions.FOCUS_ORDER_OPTION
+    ? action.key
+    : state
+);
+
+/**
+ * Gets app's focused special state (admin console).
+ *
+ * @param {string|null} [state=null] ID of currently focused special.
+ * @param {Object}      action       Action object passed through dispatch.
+ *
+ * @return {string|null} New focused special state.
+ */
+const focusedSpecial = (state = null, action) => (
+  action.type === Actions.FOCUS_SPECIAL
+    ? action.id
+    : state
+);
+
+/**
+ * Gets order and preset changes waiting to be pushed to Firebase.
+ *
+ * @param {Object[]} [state=[]] Current outbox state.
+ * @param {Object}   action     Action object passed through dispatch.
+ *
+ * @return {Object[]} New outbox state.
+ */
+const outbox = (state = [], action) => {
+  switch (action.type) {
+    case Actions.QUEUE_MUTATION:
+      return [...state, action.mutation];
+    case Actions.REMOVE_MUTATION:
+      return state.filter((mutation) => mutation.id !== action.id);
+    case Actions.LOAD_OUTBOX:
+      return [...action.outbox, ...state];
+    default:
+      return state;
+  }
+};
+
+/**
+ * Gets status of each save to an order or preset (see constants/Operations.js).
+ *
+ * @param {Object<string, Object>} [state={}] Current operations state.
+ * @param {Object}                 action     Action object passed through dispatch.
+ *
+ * @return {Object<string, Object>} New operations state.
+ */
+const operations = (state = {}, action) => {
+  if (action.type !== Actions.SET_OPERATION) {
+    return state;
+  }
+  let newState = { ...state };
+  if (action.operation) {
+    newState[action.key] = action.operation;
+  } else {
+    delete newState[action.key];
+  }
+  return newState;
+};
+
 /**
  * Complete app state (derived from above sub-states).
  */
 const sandwichApp = combineReducers({
   orders,
   focusedOrder,
+  prefilledOrder,
   focusedPreset,
+  focusedStandingOrder,
+  focusedOrderOption,
+  focusedSpecial,
   user,
   hasAuthenticated,
   orderPresets,
+  standingOrders,
+  ledger,
+  outbox,
+  operations,
   modal,
   infoMessage,
   stateConstants,
+  inventoryCounts,
+  orderOptionVersions,
   domain,
   loading
 })
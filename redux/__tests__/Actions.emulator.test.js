@@ -0,0 +1,379 @@
+/**
+ * @file Tests Redux actions against the Firebase emulators (Auth, Firestore, and Cloud Functions; run with `yarn test:emulators`).
+ * @author Emily Sturman <emily@sturman.org>
+ * @jest-environment node
+ */
+import fetch from "node-fetch";
+import { createStore, applyMiddleware } from "redux";
+import thunk from "redux-thunk";
+import { initializeAdminApp, clearFirestoreData } from "@firebase/rules-unit-testing";
+import sandwichApp from "../Reducers";
+import {
+  createOrder,
+  editOrder,
+  deleteOrder,
+  createPreset,
+  editPreset,
+  deletePreset,
+  createStandingOrder,
+  materializeStandingOrders,
+  deleteStandingOrder,
+  recordTopUp,
+  createUser,
+  getDomainByCode,
+  getAuthData,
+  deleteAccount,
+  watchOrders,
+  watchPresets,
+  watchLedger
+} from "../Actions";
+import { auth, saveOrder, removeOrder } from "../../constants/Repositories";
+import { getOrderableDates } from "../../constants/OrderDates";
+import { ISO_FORMAT, toReadable, fromISO } from "../../constants/Date";
+import { OperationStatus } from "../../constants/Operations";
+import Alert from "../../constants/Alert";
+import firebaseConfig from "../../firebase-config.json";
+import demoData from "../../demo-data.json";
+
+jest.mock("react-native-get-random-values", () => ({}));
+jest.mock("@react-native-community/netinfo", () => ({ fetch: () => Promise.resolve({ isConnected: true }) }));
+jest.mock("../../constants/Alert", () => ({ __esModule: true, default: jest.fn(), confirmAlert: jest.fn() }));
+jest.mock("../../constants/Sentry", () => jest.fn());
+
+// Cloud Functions are called with fetch (see executeFunction in constants/Firebase.js)
+global.fetch = fetch;
+
+const PROJECT_ID = firebaseConfig.projectId;
+const DOMAIN = "demo";
+const PASSWORD = "password";
+// Order in the demo domain's order options (Dutch crunch costs 50 cents more than the 500 cent base price)
+const ORDER = { bread: "Dutch crunch", meat: "Ham", cheese: [], comments: "" };
+const ORDER_PRICE = 550;
+
+jest.setTimeout(30000);
+
+const admin = initializeAdminApp({ projectId: PROJECT_ID });
+const db = admin.firestore();
+
+/**
+ * Waits until a condition is true (ex: for a listener or a Cloud Function to finish).
+ * @param {function(): boolean|Promise<boolean>} condition Condition to wait for.
+ * @return {Promise<void>} Promise that resolves once condition is true.
+ */
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100; i++) {
+    if (await condition()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error("Timed out waiting for condition");
+};
+
+/**
+ * Writes the demo domain (without its demo user) to the Firestore emulator.
+ * @return {Promise<void>} Promise for writes.
+ */
+const seedDomain = () => Promise.all(
+  Object.keys(demoData.docs)
+    .filter((path) => !path.includes("demoUser"))
+    .map((path) => db.doc(path).set(path === `domains/${DOMAIN}` ? { ...demoData.docs[path], admins: [] } : demoData.docs[path]))
+);
+
+/**
+ * Creates an account in the Auth emulator that has joined the demo domain, and signs in as it.
+ * @param {string} name   Name of user (also used for their email address).
+ * @param {string} [role] User's role (see constants/Roles.js).
+ * @return {Promise<string>} Promise for ID of user.
+ */
+const signUp = async (name, role = "student") => {
+  const { user } = await auth.createUserWithEmailAndPassword(`${name}@simplesubs.app`, PASSWORD);
+  await db.doc(`userDomains/${user.uid}`).set({ domain: DOMAIN });
+  await db.doc(`domains/${DOMAIN}/userData/${user.uid}`).set({ name, grade: "9", role });
+  return user.uid;
+};
+
+const getDocs = async (collection) => (await db.collection(collection).get()).docs.map((doc) => ({ ...doc.data(), id: doc.id }));
+
+const getOrders = () => getDocs(`domains/${DOMAIN}/orders`);
+
+const getLedger = (uid) => getDocs(`domains/${DOMAIN}/userData/${uid}/ledger`);
+
+let store;
+
+/**
+ * Gets the first date an order may currently be placed for in the demo domain.
+ * @return {string} Date in ISO format.
+ */
+const firstOrderableDate = () => {
+  const { cutoffTime, schedule } = store.getState().stateConstants;
+  return getOrderableDates(cutoffTime, schedule)[0].format(ISO_FORMAT);
+};
+
+beforeEach(async () => {
+  store = createStore(sandwichApp, applyMiddleware(thunk));
+  await seedDomain();
+});
+
+afterEach(async () => {
+  jest.clearAllMocks();
+  await auth.signOut();
+  await clearFirestoreData({ projectId: PROJECT_ID });
+  await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, {
+    method: "DELETE"
+  });
+});
+
+afterAll(() => admin.delete());
+
+describe("getDomainByCode", () => {
+  it("finds a domain by its code, ignoring case and whitespace", async () => {
+    expect(await store.dispatch(getDomainByCode(" demo01 "))).toBe(DOMAIN);
+    expect(store.getState().domain).toEqual(expect.objectContaining({ id: DOMAIN, name: "Demo School" }));
+  });
+
+  it("clears the domain if no domain has the code", async () => {
+    expect(await store.dispatch(getDomainByCode("NOPE00"))).toBeNull();
+    expect(store.getState().domain).toBeNull();
+  });
+});
+
+describe("createUser", () => {
+  it("creates the user's account, userDomains doc, and profile", async () => {
+    store.dispatch(createUser("new@simplesubs.app", PASSWORD, { name: "New User", grade: "10" }, DOMAIN));
+    await waitFor(() => auth.currentUser);
+    const uid = auth.currentUser.uid;
+    await waitFor(async () => (await db.doc(`domains/${DOMAIN}/userData/${uid}`).get()).exists);
+    expect((await db.doc(`userDomains/${uid}`).get()).data()).toEqual({ domain: DOMAIN });
+    expect((await db.doc(`domains/${DOMAIN}/userData/${uid}`).get()).data()).toEqual(
+      expect.objectContaining({ name: "New User", grade: "10" })
+    );
+  });
+
+  it("deletes the account if the user can't join the domain", async () => {
+    store.dispatch(createUser("lost@simplesubs.app", PASSWORD, { name: "Lost User", grade: "10" }, "missing"));
+    await waitFor(() => Alert.mock.calls.length > 0);
+    await waitFor(() => !auth.currentUser);
+    await expect(auth.signInWithEmailAndPassword("lost@simplesubs.app", PASSWORD))
+      .rejects.toEqual(expect.objectContaining({ code: "auth/user-not-found" }));
+  });
+});
+
+describe("getAuthData", () => {
+  it("loads the user's domain, profile, and the domain's constants", async () => {
+    const uid = await signUp("student");
+    const { user, userFields } = await store.dispatch(getAuthData());
+    expect(user).toEqual(expect.objectContaining({ name: "student" }));
+    expect(userFields.map(({ key }) => key)).toEqual(["name", "grade"]);
+    const state = store.getState();
+    expect(state.domain.id).toBe(DOMAIN);
+    expect(state.user).toEqual(expect.objectContaining({ uid, name: "student" }));
+    expect(state.stateConstants.basePrice).toBe(500);
+    expect(state.stateConstants.orderOptions.map(({ key }) => key)).toEqual(["bread", "meat", "cheese", "comments"]);
+  });
+});
+
+describe("orders", () => {
+  let uid;
+
+  beforeEach(async () => {
+    uid = await signUp("student");
+    await store.dispatch(getAuthData());
+  });
+
+  it("prices new orders on the server and charges the user", async () => {
+    const isoDate = firstOrderableDate();
+    await store.dispatch(createOrder({ ...ORDER, date: toReadable(isoDate), price: 1 }, uid, DOMAIN));
+    const [order] = await getOrders();
+    expect(order).toEqual(expect.objectContaining({ ...ORDER, date: isoDate, uid, price: ORDER_PRICE }));
+    expect(await getLedger(uid)).toEqual([expect.objectContaining({ amount: -ORDER_PRICE, type: "ORDER", order: order.id })]);
+  });
+
+  it("charges or refunds the difference when an order is edited", async () => {
+    const date = toReadable(firstOrderableDate());
+    await store.dispatch(createOrder({ ...ORDER, date }, uid, DOMAIN));
+    const [{ id }] = await getOrders();
+    await store.dispatch(editOrder({ ...ORDER, bread: "Sourdough", date }, id, uid, DOMAIN));
+    expect((await getOrders())[0]).toEqual(expect.objectContaining({ bread: "Sourdough", price: 500 }));
+    expect(await getLedger(uid)).toContainEqual(expect.objectContaining({ amount: 50, type: "ORDER_CHANGE", order: id }));
+  });
+
+  it("refunds deleted orders", async () => {
+    await store.dispatch(createOrder({ ...ORDER, date: toReadable(firstOrderableDate()) }, uid, DOMAIN));
+    const [{ id }] = await getOrders();
+    await store.dispatch(deleteOrder(id, DOMAIN, uid));
+    expect(await getOrders()).toEqual([]);
+    expect(await getLedger(uid)).toContainEqual(expect.objectContaining({ amount: ORDER_PRICE, type: "REFUND", order: id }));
+  });
+
+  it("rejects orders for sold out options", async () => {
+    await db.doc(`domains/${DOMAIN}/appData/inventory`).set({ bread: { "Dutch crunch": 0 } });
+    await store.dispatch(createOrder({ ...ORDER, date: toReadable(firstOrderableDate()) }, uid, DOMAIN));
+    expect(await getOrders()).toEqual([]);
+    expect(Object.values(store.getState().operations)).toEqual([
+      expect.objectContaining({ status: OperationStatus.FAILED, error: expect.objectContaining({ title: "Sold Out" }) })
+    ]);
+  });
+
+  it("doesn't let orders past cutoff be changed or cancelled, even by calling the functions directly", async () => {
+    await db.doc(`domains/${DOMAIN}/orders/pastOrder`).set({ ...ORDER, uid, date: "2021-01-04", price: ORDER_PRICE });
+    await expect(removeOrder("pastOrder", uid, DOMAIN)).rejects.toEqual(expect.objectContaining({ code: "mutation-conflict" }));
+    await expect(saveOrder("pastOrder", { ...ORDER, uid, date: firstOrderableDate() }, DOMAIN))
+      .rejects.toEqual(expect.objectContaining({ code: "mutation-conflict" }));
+    await expect(saveOrder("newOrder", { ...ORDER, uid, date: "2021-01-04" }, DOMAIN))
+      .rejects.toEqual(expect.objectContaining({ code: "mutation-conflict" }));
+    expect(await getOrders()).toEqual([expect.objectContaining({ id: "pastOrder", date: "2021-01-04" })]);
+    expect(await getLedger(uid)).toEqual([]);
+  });
+
+  it("doesn't let users place two orders on the same date, even by calling the functions directly", async () => {
+    const isoDate = firstOrderableDate();
+    await saveOrder("firstOrder", { ...ORDER, uid, date: isoDate }, DOMAIN);
+    await expect(saveOrder("secondOrder", { ...ORDER, uid, date: isoDate }, DOMAIN))
+      .rejects.toEqual(expect.objectContaining({ code: "mutation-conflict" }));
+    expect((await getOrders()).map(({ id }) => id)).toEqual(["firstOrder"]);
+  });
+
+  it("keeps orders in state up to date while watched", async () => {
+    const unsubscribe = store.dispatch(watchOrders(store.getState().stateConstants.cutoffTime, uid, DOMAIN));
+    await store.dispatch(createOrder({ ...ORDER, date: toReadable(firstOrderableDate()) }, uid, DOMAIN));
+    await waitFor(() => Object.keys(store.getState().orders).length === 1);
+    expect(Object.values(store.getState().orders)[0]).toEqual(expect.objectContaining({ price: ORDER_PRICE }));
+    unsubscribe();
+  });
+});
+
+describe("presets", () => {
+  let uid;
+
+  beforeEach(async () => {
+    uid = await signUp("student");
+    await store.dispatch(getAuthData());
+  });
+
+  it("creates, edits, and deletes presets", async () => {
+    const unsubscribe = store.dispatch(watchPresets(uid, DOMAIN));
+    const presets = () => Object.values(store.getState().orderPresets);
+    await store.dispatch(createPreset({ ...ORDER, title: "Usual" }, uid, DOMAIN));
+    await waitFor(() => presets().length === 1);
+    const { key } = presets()[0];
+    await store.dispatch(editPreset({ ...ORDER, title: "Usual", meat: "Turkey", key }, key, uid, DOMAIN));
+    await waitFor(() => presets()[0].meat === "Turkey");
+    await store.dispatch(deletePreset(key, uid, DOMAIN));
+    await waitFor(() => presets().length === 0);
+    unsubscribe();
+  });
+});
+
+describe("standing orders", () => {
+  let uid;
+
+  beforeEach(async () => {
+    uid = await signUp("student");
+    await store.dispatch(getAuthData());
+  });
+
+  it("creates orders for standing orders and cancels them with the standing order", async () => {
+    const isoDate = firstOrderableDate();
+    await store.dispatch(createStandingOrder({ ...ORDER, title: "Usual", days: [fromISO(isoDate).format("dddd")] }, uid, DOMAIN));
+    const [standingOrder] = await getDocs(`domains/${DOMAIN}/userData/${uid}/standingOrders`);
+    const { cutoffTime, schedule } = store.getState().stateConstants;
+    await store.dispatch(materializeStandingOrders(
+      { [standingOrder.id]: { ...standingOrder, key: standingOrder.id } },
+      {},
+      cutoffTime,
+      schedule,
+      uid,
+      DOMAIN
+    ));
+    expect(await getOrders()).toContainEqual(expect.objectContaining({
+      id: `${standingOrder.id}_${isoDate}`,
+      standingOrder: standingOrder.id,
+      price: ORDER_PRICE
+    }));
+
+    await store.dispatch(getAuthData());
+    await store.dispatch(deleteStandingOrder(
+      { ...standingOrder, key: standingOrder.id },
+      store.getState().orders,
+      cutoffTime,
+      schedule,
+      uid,
+      DOMAIN
+    ));
+    expect(await getOrders()).toEqual([]);
+    expect(await getDocs(`domains/${DOMAIN}/userData/${uid}/standingOrders`)).toEqual([]);
+    expect(await getLedger(uid)).toContainEqual(expect.objectContaining({ amount: ORDER_PRICE, type: "REFUND" }));
+  });
+});
+
+describe("ledger", () => {
+  it("lets kitchen staff record payments", async () => {
+    const studentUid = await signUp("student");
+    await auth.signOut();
+    await signUp("kitchen", "kitchen");
+    await store.dispatch(getAuthData());
+    await store.dispatch(recordTopUp(studentUid, 1000, "Cash", DOMAIN));
+    expect(await getLedger(studentUid)).toEqual([
+      expect.objectContaining({ amount: 1000, type: "TOP_UP", recordedBy: auth.currentUser.uid })
+    ]);
+  });
+
+  it("doesn't record payments of $0.00", async () => {
+    const studentUid = await signUp("student");
+    await auth.signOut();
+    await signUp("kitchen", "kitchen");
+    await store.dispatch(getAuthData());
+    await store.dispatch(recordTopUp(studentUid, 0, "Cash", DOMAIN));
+    expect(await getLedger(studentUid)).toEqual([]);
+    expect(Alert).toHaveBeenCalledWith("Invalid amount", expect.any(String));
+  });
+
+  it("doesn't let students record payments", async () => {
+    const uid = await signUp("student");
+    await store.dispatch(getAuthData());
+    await store.dispatch(recordTopUp(uid, 1000, "Cash", DOMAIN));
+    expect(await getLedger(uid)).toEqual([]);
+    expect(Alert).toHaveBeenCalledWith("Permission Denied", expect.any(String));
+  });
+
+  it("keeps the ledger in state up to date while watched", async () => {
+    const uid = await signUp("student");
+    await store.dispatch(getAuthData());
+    const unsubscribe = store.dispatch(watchLedger(uid, DOMAIN));
+    await store.dispatch(createOrder({ ...ORDER, date: toReadable(firstOrderableDate()) }, uid, DOMAIN));
+    await waitFor(() => Object.keys(store.getState().ledger).length === 1);
+    expect(Object.values(store.getState().ledger)[0]).toEqual(expect.objectContaining({ amount: -ORDER_PRICE }));
+    unsubscribe();
+  });
+});
+
+describe("deleteAccount", () => {
+  it("deletes the user's data (including their ledger) and account, releasing their upcoming orders", async () => {
+    const uid = await signUp("student");
+    await store.dispatch(getAuthData());
+    await db.doc(`domains/${DOMAIN}/appData/inventory`).set({ bread: { "Dutch crunch": 1 } });
+    const isoDate = firstOrderableDate();
+    await store.dispatch(createOrder({ ...ORDER, date: toReadable(isoDate) }, uid, DOMAIN));
+    await store.dispatch(createPreset({ ...ORDER, title: "Usual" }, uid, DOMAIN));
+    expect(await getDocs(`domains/${DOMAIN}/userData/${uid}/myPresets`)).toHaveLength(1);
+    await store.dispatch(deleteAccount(PASSWORD, uid, DOMAIN));
+    expect(auth.currentUser).toBe(null);
+    expect(await getOrders()).toEqual([]);
+    expect(await getLedger(uid)).toEqual([]);
+    expect(await getDocs(`domains/${DOMAIN}/userData/${uid}/myPresets`)).toEqual([]);
+    expect((await db.doc(`domains/${DOMAIN}/userData/${uid}`).get()).exists).toBe(false);
+    expect((await db.doc(`userDomains/${uid}`).get()).exists).toBe(false);
+    expect((await db.doc(`domains/${DOMAIN}/inventoryCounts/${isoDate}`).get()).data().bread).toEqual({ "Dutch crunch": 0 });
+    await expect(auth.signInWithEmailAndPassword("student@simplesubs.app", PASSWORD))
+      .rejects.toEqual(expect.objectContaining({ code: "auth/user-not-found" }));
+  });
+
+  it("keeps the user's data and account if their password is wrong", async () => {
+    const uid = await signUp("student");
+    await store.dispatch(getAuthData());
+    await store.dispatch(deleteAccount("wrong", uid, DOMAIN));
+    expect(auth.currentUser?.uid).toBe(uid);
+    expect((await db.doc(`userDomains/${uid}`).get()).exists).toBe(true);
+  });
+});
\ No newline at end of file
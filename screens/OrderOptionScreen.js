@@ -0,0 +1,79 @@
+/**
+ * @file Manages admin screen for creating and editing an order option.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import { connect } from "react-redux";
+import OrderInputsList from "../components/orders/OrderInputsList";
+import {
+  createOrderOption,
+  editOrderOption,
+  deleteOrderOption,
+  unfocusOrderOption
+} from "../redux/Actions";
+import {
+  OrderOptionFields,
+  makeOrderOptionKey,
+  toOrderOption,
+  toOrderOptionFields
+} from "../constants/OrderOptions";
+
+/**
+ * Renders admin screen for creating and editing an order option.
+ *
+ * Uses OrderInputsList (same as order screens) with fields describing the
+ * order option; changes are validated before they are pushed to Firebase.
+ *
+ * @param {Object|null} focusedOrderOption Editor values for order option being edited (null if creating new order option).
+ * @param {Object[]}    orderOptions       Domain's current order options.
+ * @param {function()}  unfocusOrderOption Sets state-wide focusedOrderOption to null.
+ * @param {function}    createOrderOption  Adds a new order option.
+ * @param {function}    editOrderOption    Pushes edits to an existing order option.
+ * @param {function}    deleteOrderOption  Removes an existing order option.
+ * @param {Object}      navigation         Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to render.
+ * @constructor
+ */
+const OrderOptionScreen = ({ focusedOrderOption, orderOptions, unfocusOrderOption, createOrderOption, editOrderOption, deleteOrderOption, navigation }) => {
+  const cancelOrderOption = () => {
+    unfocusOrderOption();
+    navigation.navigate("Order Options");
+  };
+  return (
+    <OrderInputsList
+      title={focusedOrderOption ? "Edit Category" : "Add Category"}
+      focusedData={focusedOrderOption}
+      orderOptions={OrderOptionFields}
+      cancel={cancelOrderOption}
+      createNew={(data, uid, domain) => (
+        createOrderOption(toOrderOption(data, makeOrderOptionKey(data.label, orderOptions)), orderOptions, domain)
+      )}
+      editExisting={(data, key, uid, domain) => {
+        const existing = orderOptions.find((orderOption) => orderOption.key === key);
+        editOrderOption(toOrderOption(data, key, existing), key, orderOptions, domain);
+      }}
+      deleteExisting={(key, domain) => deleteOrderOption(key, orderOptions, domain)}
+      deleteMessage={"Delete Category"}
+    />
+  );
+};
+
+const mapStateToProps = ({ focusedOrderOption, stateConstants }) => {
+  const orderOption = stateConstants.orderOptions.find(({ key }) => key === focusedOrderOption);
+  return {
+    focusedOrderOption: orderOption ? toOrderOptionFields(orderOption) : null,
+    orderOptions: stateConstants.orderOptions
+  };
+};
+
+const mapDispatchToProps = (dispatch) => ({
+  unfocusOrderOption: () => dispatch(unfocusOrderOption()),
+  createOrderOption: (orderOption, orderOptions, domain) => dispatch(createOrderOption(orderOption, orderOptions, domain)),
+  editOrderOption: (orderOption, key, orderOptions, domain) => (
+    dispatch(editOrderOption(orderOption, key, orderOptions, domain))
+  ),
+  deleteOrderOption: (key, orderOptions, domain) => dispatch(deleteOrderOption(key, orderOptions, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(OrderOptionScreen);
\ No newline at end of file
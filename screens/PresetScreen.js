@@ -7,6 +7,7 @@ import { createPreset, editPreset, deletePreset, unfocusPreset } from "../redux/
 import { connect } from "react-redux";
 import OrderInputsList from "../components/orders/OrderInputsList";
 import { TitleField } from "../constants/RequiredFields";
+import { selectOrderPresets } from "../constants/Outbox";
 
 /**
  * Renders screen for creating and editing user presets.
@@ -40,24 +41,30 @@ const PresetScreen = ({ focusedPreset, orderOptions, unfocusPreset, createPreset
       editExisting={editPreset}
       deleteExisting={deletePreset}
       deleteMessage={"Delete Preset"}
+      showTotal
+      checkDietary
     />
   );
 };
 
-const mapStateToProps = ({ focusedPreset, orderPresets, stateConstants }) => ({
-  focusedPreset: focusedPreset ? orderPresets[focusedPreset] : null,
-  orderPresets,
-  orderOptions: [
-    TitleField,
-    ...stateConstants.orderOptions
-  ]
-});
+const mapStateToProps = (state) => {
+  const { focusedPreset, stateConstants } = state;
+  const orderPresets = selectOrderPresets(state);
+  return {
+    focusedPreset: focusedPreset ? orderPresets[focusedPreset] : null,
+    orderPresets,
+    orderOptions: [
+      TitleField,
+      ...stateConstants.orderOptions
+    ]
+  };
+};
 
 const mapDispatchToProps = (dispatch) => ({
   unfocusPreset: () => dispatch(unfocusPreset()),
-  createPreset: (data, uid, domain) => createPreset(dispatch, data, uid, domain),
-  editPreset: (data, id, uid, domain) => editPreset(dispatch, data, id, uid, domain),
-  deletePreset: (id, domain, uid) => deletePreset(dispatch, id, uid, domain)
+  createPreset: (data, uid, domain) => dispatch(createPreset(data, uid, domain)),
+  editPreset: (data, id, uid, domain) => dispatch(editPreset(data, id, uid, domain)),
+  deletePreset: (id, domain, uid) => dispatch(deletePreset(id, uid, domain))
 })
 
 export default connect(mapStateToProps, mapDispatchToProps)(PresetScreen);
\ No newline at end of file
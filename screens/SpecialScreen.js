@@ -0,0 +1,76 @@
+/**
+ * @file Manages admin screen for creating and editing a menu special.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import { connect } from "react-redux";
+import OrderInputsList from "../components/orders/OrderInputsList";
+import {
+  createSpecial,
+  editSpecial,
+  deleteSpecial,
+  unfocusSpecial
+} from "../redux/Actions";
+import { TitleField, SpecialDatesField } from "../constants/RequiredFields";
+import { toSpecial, toSpecialFields } from "../constants/Specials";
+
+/**
+ * Renders admin screen for creating and editing a menu special.
+ *
+ * Uses OrderInputsList (same as preset screen) with the domain's order
+ * options, plus the dates the special is limited to (none for every school
+ * day). Specials must have a unique title.
+ *
+ * @param {Object|null}            focusedSpecial Editor values for special being edited (null if creating new special).
+ * @param {Object[]}               orderOptions   Domain's order options, with title and dates fields.
+ * @param {Object<string, Object>} specials       Domain's current specials.
+ * @param {function()}             unfocusSpecial Sets state-wide focusedSpecial to null.
+ * @param {function}               createSpecial  Publishes a new special.
+ * @param {function}               editSpecial    Pushes edits to an existing special.
+ * @param {function}               deleteSpecial  Removes an existing special.
+ * @param {Object}                 navigation     Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to render.
+ * @constructor
+ */
+const SpecialScreen = ({ focusedSpecial, orderOptions, specials, unfocusSpecial, createSpecial, editSpecial, deleteSpecial, navigation }) => {
+  const cancelSpecial = () => {
+    unfocusSpecial();
+    navigation.navigate("Specials");
+  };
+  return (
+    <OrderInputsList
+      title={focusedSpecial ? "Edit Special" : "Add Special"}
+      focusedData={focusedSpecial}
+      orderOptions={orderOptions}
+      titledData={specials}
+      cancel={cancelSpecial}
+      createNew={(data, uid, domain) => createSpecial(toSpecial(data), domain)}
+      editExisting={(data, id, uid, domain) => editSpecial(toSpecial(data), id, domain)}
+      deleteExisting={(id, domain) => deleteSpecial(id, domain)}
+      deleteMessage={"Delete Special"}
+      showTotal
+    />
+  );
+};
+
+const mapStateToProps = ({ focusedSpecial, stateConstants }) => ({
+  focusedSpecial: focusedSpecial && stateConstants.specials[focusedSpecial]
+    ? toSpecialFields(stateConstants.specials[focusedSpecial])
+    : null,
+  orderOptions: [
+    TitleField,
+    ...stateConstants.orderOptions,
+    SpecialDatesField
+  ],
+  specials: stateConstants.specials
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  unfocusSpecial: () => dispatch(unfocusSpecial()),
+  createSpecial: (special, domain) => dispatch(createSpecial(special, domain)),
+  editSpecial: (special, id, domain) => dispatch(editSpecial(special, id, domain)),
+  deleteSpecial: (id, domain) => dispatch(deleteSpecial(id, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(SpecialScreen);
\ No newline at end of file
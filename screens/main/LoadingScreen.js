@@ -17,7 +17,8 @@ import { allValid } from "../../constants/Inputs";
  * Renders app loading screen.
  *
  * Renders an activity indicator (loading symbol) and fetches app data based
- * on whether user is authorized (signed in).
+ * on whether user is authorized (signed in). Signed-in users who haven't
+ * verified their email address are asked to before continuing.
  *
  * @param {bool}       isLoggedIn       Whether user is logged in.
  * @param {bool}       hasAuthenticated Whether app has gotten initial auth state.
@@ -36,8 +37,10 @@ const LoadingScreen = ({ isLoggedIn, hasAuthenticated, getAuthData, logOut, navi
     if (!hasAuthenticated) return;
     const prevAuthState = prevAuthRef.current;
     if (isLoggedIn && !prevAuthState) {
-      getAuthData().then(({ user, userFields }) => {
-        if (!allValid(user, userFields)) {
+      getAuthData().then(({ user, userFields, emailVerified }) => {
+        if (!emailVerified) {
+          navigation.navigate("Main", { screen: "Verify Email" });
+        } else if (!allValid(user, userFields)) {
           navigation.navigate("Main", { screen: "Update User" });
         } else {
           navigation.navigate("Main", { screen: "Home" });
@@ -67,8 +70,8 @@ const mapStateToProps = ({ user, hasAuthenticated, stateConstants, domain }) =>
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  getAuthData: async () => await getAuthData(dispatch),
-  logOut: () => logOut(dispatch)
+  getAuthData: async () => await dispatch(getAuthData()),
+  logOut: () => dispatch(logOut())
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(LoadingScreen);
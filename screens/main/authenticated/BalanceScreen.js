@@ -0,0 +1,157 @@
+/**
+ * @file Manages screen displaying the user's balance and ledger (charges, refunds, and payments).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import moment from "moment";
+import Header from "../../../components/Header";
+import { watchLedger } from "../../../redux/Actions";
+import { formatPrice, getBalance } from "../../../constants/Pricing";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+// Format of the date displayed with each ledger entry
+const ENTRY_DATE_FORMAT = "MMM D, h:mm A";
+
+/**
+ * Renders a row displaying a ledger entry.
+ *
+ * @param {number} amount      Amount of entry in cents (negative for charges).
+ * @param {string} description Description of entry.
+ * @param {string} createdAt   When entry was created (ISO format).
+ *
+ * @return {React.ReactElement} Row displaying ledger entry.
+ * @constructor
+ */
+const LedgerRow = ({ amount, description, createdAt }) => (
+  <View style={styles.row}>
+    <View style={styles.rowTextContainer}>
+      <Text style={styles.rowTitle}>{description}</Text>
+      <Text style={styles.rowDescription}>{moment(createdAt).format(ENTRY_DATE_FORMAT)}</Text>
+    </View>
+    <Text style={[styles.rowTitle, amount > 0 && styles.credit]}>{formatPrice(amount)}</Text>
+  </View>
+);
+
+/**
+ * Renders screen displaying the user's balance followed by their ledger (newest first).
+ *
+ * @param {Object[]}                 ledger      User's ledger entries (newest first).
+ * @param {number}                   balance     User's balance in cents (negative if user owes money).
+ * @param {string}                   uid         Unique user ID (generated by Firebase Auth).
+ * @param {string}                   domain      Domain key for user's domain.
+ * @param {function(string, string)} watchLedger Function to trigger and unsubscribe listener for ledger collection.
+ * @param {Object}                   navigation  Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const BalanceScreen = ({ ledger, balance, uid, domain, watchLedger, navigation }) => {
+  // Creates listener for user's ledger.
+  useEffect(() => watchLedger(uid, domain), []);
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Balance"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <FlatList
+        ListHeaderComponent={() => (
+          <View style={styles.balanceContainer}>
+            <Text style={styles.balanceLabel}>{balance < 0 ? "You owe" : "Your balance"}</Text>
+            <Text style={[styles.balance, balance < 0 && styles.owed]}>{formatPrice(Math.abs(balance))}</Text>
+          </View>
+        )}
+        ListEmptyComponent={() => (
+          <Text style={styles.emptyText}>Charges for your orders and payments you make will show up here.</Text>
+        )}
+        data={ledger}
+        keyExtractor={(item) => item.key}
+        renderItem={({ item }) => <LedgerRow {...item} />}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ ledger, user, domain }) => ({
+  ledger: Object.values(ledger).sort((entryA, entryB) => entryB.createdAt.localeCompare(entryA.createdAt)),
+  balance: getBalance(ledger),
+  uid: user.uid,
+  domain: domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  watchLedger: (uid, domain) => dispatch(watchLedger(uid, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(BalanceScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  balanceContainer: {
+    backgroundColor: Colors.cardColor,
+    alignItems: "center",
+    padding: 30,
+    marginBottom: 20,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  balanceLabel: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.title,
+    color: Colors.secondaryText,
+    marginBottom: 10
+  },
+  balance: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.header,
+    color: Colors.primaryText
+  },
+  owed: {
+    color: Colors.errorText
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingVertical: 15,
+    paddingHorizontal: 30,
+    flexDirection: "row",
+    alignItems: "center",
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTextContainer: {
+    flex: 1,
+    marginRight: 15
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    marginBottom: 5,
+    color: Colors.primaryText
+  },
+  rowDescription: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText
+  },
+  credit: {
+    color: Colors.accentColor
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * @file Manages screen for choosing the user's dietary restrictions.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import Checkboxes from "../../../components/orders/Checkboxes";
+import { setDietaryRestrictions } from "../../../redux/Actions";
+import { Restrictions } from "../../../constants/Dietary";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+/**
+ * Renders screen for choosing the user's dietary restrictions.
+ *
+ * Restrictions are saved with the checkmark button; options that conflict
+ * with them are flagged when ordering (see constants/Dietary.js).
+ *
+ * @param {string[]}                           dietaryRestrictions    User's current dietary restrictions.
+ * @param {string}                             uid                    Unique user ID (generated by Firebase Auth).
+ * @param {string}                             domain                 Domain key for user's domain.
+ * @param {function(string[], string, string)} setDietaryRestrictions Pushes restrictions to Firebase.
+ * @param {Object}                             navigation             Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const DietaryRestrictionsScreen = ({ dietaryRestrictions, uid, domain, setDietaryRestrictions, navigation }) => {
+  const [restrictions, setRestrictions] = useState(dietaryRestrictions);
+
+  const saveRestrictions = () => {
+    setDietaryRestrictions(restrictions, uid, domain);
+    navigation.pop();
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        title={"Dietary Restrictions"}
+        leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }}
+        rightButton={{ name: "md-checkmark", onPress: saveRestrictions }}
+      />
+      <ScrollView contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}>
+        <Text style={styles.description}>
+          Ingredients that conflict with your restrictions will be flagged when you order.
+        </Text>
+        <Checkboxes selectedItems={restrictions} itemsArr={Object.keys(Restrictions)} setItems={setRestrictions} />
+      </ScrollView>
+    </View>
+  );
+};
+
+const mapStateToProps = ({ user, domain }) => ({
+  dietaryRestrictions: user.dietaryRestrictions || [],
+  uid: user.uid,
+  domain: domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  setDietaryRestrictions: (restrictions, uid, domain) => dispatch(setDietaryRestrictions(restrictions, uid, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(DietaryRestrictionsScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.backgroundColor,
+    flex: 1
+  },
+  description: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText,
+    margin: 20
+  }
+});
\ No newline at end of file
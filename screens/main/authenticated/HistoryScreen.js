@@ -0,0 +1,345 @@
+/**
+ * @file Manages screen displaying the user's past orders.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import inputModalProps from "../../../components/modals/InputModal";
+import { getIngredientStr } from "../../../components/orders/Card";
+import {
+  getOrderHistory,
+  getOrderOptionVersions,
+  prefillOrder,
+  createPreset,
+  openModal,
+  closeModal,
+  setModalProps
+} from "../../../redux/Actions";
+import { READABLE_FORMAT } from "../../../constants/Date";
+import { InputTypes, TextTypes } from "../../../constants/Inputs";
+import { selectOrderPresets } from "../../../constants/Outbox";
+import { getSchema, getMissingVersions } from "../../../constants/OrderOptionVersions";
+import reportToSentry from "../../../constants/Sentry";
+import Alert from "../../../constants/Alert";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+// Format of the month that orders are grouped by; ex: July 2020
+const MONTH_FORMAT = "MMMM YYYY";
+
+// Field for naming a preset (rendered by input modal)
+const PRESET_TITLE_FIELD = {
+  key: "title",
+  placeholder: "Name your sandwich",
+  inputType: InputTypes.TEXT_INPUT,
+  textType: TextTypes.PLAIN,
+  required: true
+};
+
+/**
+ * Gets an order's values for the domain's current order options.
+ *
+ * Leaves out the order's date, title, and any values for order options that
+ * have since been removed.
+ *
+ * @param {Object}   order        Past order.
+ * @param {Object[]} orderOptions Fields for ordering.
+ *
+ * @return {Object<string, string|string[]>} Order option values.
+ */
+const getOptionValues = (order, orderOptions) => {
+  let values = {};
+  orderOptions
+    .filter(({ key }) => order[key] !== undefined)
+    .forEach(({ key }) => values[key] = order[key]);
+  return values;
+};
+
+/**
+ * Groups past orders by month (newest first), keeping only orders that match a search.
+ *
+ * Searches order titles and ingredients (case insensitive).
+ *
+ * @param {Object[]}                   orders   Past orders (newest first).
+ * @param {function(Object): Object[]} schemaOf Gets the order options an order was placed with.
+ * @param {string}                     search   Text to search for (empty string to keep all orders).
+ *
+ * @return {{title: string, data: Object[]}[]} Sections of orders.
+ */
+const getSections = (orders, schemaOf, search) => {
+  const query = search.trim().toLowerCase();
+  let sections = [];
+  for (let order of orders) {
+    const text = `${order.title || ""} ${getIngredientStr(order, schemaOf(order))}`.toLowerCase();
+    if (!text.includes(query)) {
+      continue;
+    }
+    const month = order.date.format(MONTH_FORMAT);
+    if (sections.length === 0 || sections[sections.length - 1].title !== month) {
+      sections.push({ title: month, data: [] });
+    }
+    sections[sections.length - 1].data.push(order);
+  }
+  return sections;
+};
+
+/**
+ * Renders a row displaying a past order, with buttons to order it again or save it as a preset.
+ *
+ * @param {Object}     order        Past order to display.
+ * @param {Object[]}   schema       Order options order was placed with.
+ * @param {function()} onReorder    Function to order again.
+ * @param {function()} onSavePreset Function to save as a preset.
+ *
+ * @return {React.ReactElement} Row displaying past order.
+ * @constructor
+ */
+const HistoryRow = ({ order, schema, onReorder, onSavePreset }) => (
+  <View style={styles.row}>
+    <Text style={styles.rowTitle}>{order.date.format(READABLE_FORMAT)}</Text>
+    {!!order.title && <Text style={styles.rowSubtitle}>{order.title}</Text>}
+    <Text style={styles.rowDescription}>{getIngredientStr(order, schema)}</Text>
+    <View style={styles.rowButtons}>
+      <TouchableOpacity style={styles.rowButton} onPress={onReorder}>
+        <Text style={styles.rowButtonText}>Order this again</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.rowButton} onPress={onSavePreset}>
+        <Text style={styles.rowButtonText}>Save as preset</Text>
+      </TouchableOpacity>
+    </View>
+  </View>
+);
+
+/**
+ * Renders screen displaying user's past orders by month (newest first).
+ *
+ * Orders are fetched a page at a time; more are fetched when the user scrolls
+ * to the bottom. Orders may be searched by title or ingredient (only orders
+ * that have been fetched are searched). Orders are displayed with the
+ * version of order options they were placed with, but are copied into new
+ * orders and presets with the current order options.
+ *
+ * @param {Object[]}                      orderOptions           Fields for ordering.
+ * @param {number}                        orderOptionsVersion    Version of current order options.
+ * @param {Object<number, Object[]|null>} orderOptionVersions    Previous versions of order options that have been fetched.
+ * @param {Object<key, Object>}           orderPresets           Object containing all of the user's order presets.
+ * @param {Object}                        cutoffTime             Order cutoff rules for user's domain.
+ * @param {string}                        uid                    Unique user ID (generated by Firebase Auth).
+ * @param {string}                        domain                 Domain key for user's domain.
+ * @param {function}                      getOrderHistory        Fetches a page of user's past orders.
+ * @param {function(number[], string)}    getOrderOptionVersions Fetches previous versions of order options.
+ * @param {function(Object)}              prefillOrder           Sets values to fill in for a new order.
+ * @param {function}                      createPreset           Pushes a new preset to Firebase.
+ * @param {function(Object)}              openModal              Opens top-level modal with provided props.
+ * @param {function()}                    closeModal             Closes top-level modal.
+ * @param {function(Object)}              setModalProps          Sets props for top-level modal.
+ * @param {Object}                        navigation             Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const HistoryScreen = ({ orderOptions, orderOptionsVersion, orderOptionVersions, orderPresets, cutoffTime, uid, domain, getOrderHistory, getOrderOptionVersions, prefillOrder, createPreset, openModal, closeModal, setModalProps, navigation }) => {
+  const [orders, setOrders] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [fetching, setFetching] = useState(false);
+  const [search, setSearch] = useState("");
+
+  // Fetches next page of past orders (if there is one).
+  const fetchMore = () => {
+    if (!hasMore || fetching) {
+      return;
+    }
+    setFetching(true);
+    getOrderHistory(cutoffTime, uid, domain, cursor)
+      .then((page) => {
+        setOrders((prevOrders) => [...prevOrders, ...page.orders]);
+        setCursor(page.cursor);
+        setHasMore(!!page.cursor);
+      })
+      .catch(reportToSentry)
+      .finally(() => setFetching(false));
+  };
+
+  // Fetches first page of past orders.
+  useEffect(fetchMore, []);
+
+  // Fetches the versions of order options that fetched orders were placed with
+  useEffect(() => {
+    const missingVersions = getMissingVersions(orders, orderOptionsVersion, orderOptionVersions);
+    if (missingVersions.length > 0) {
+      getOrderOptionVersions(missingVersions, domain);
+    }
+  }, [orders]);
+
+  const schemaOf = (order) => getSchema(order, orderOptions, orderOptionsVersion, orderOptionVersions);
+
+  // Opens custom order screen filled in with past order's options.
+  const reorder = (order) => {
+    prefillOrder(getOptionValues(order, orderOptions));
+    navigation.navigate("Order", { screen: "Custom Order" });
+  };
+
+  // Opens modal to name a preset copied from past order.
+  const openSavePresetModal = (order) => openModal(inputModalProps(
+    "Save as Preset",
+    [PRESET_TITLE_FIELD],
+    "Save",
+    ({ title }) => {
+      if (Object.values(orderPresets).some((preset) => preset.title === title)) {
+        Alert("Invalid title", "The current title is already in use. Please choose a unique title.");
+        return;
+      }
+      createPreset({ ...getOptionValues(order, orderOptions), title }, uid, domain);
+      closeModal();
+    },
+    setModalProps
+  ));
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Order History"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <TextInput
+        style={styles.searchInput}
+        placeholder={"Search by ingredient"}
+        placeholderTextColor={Colors.textInputText}
+        value={search}
+        onChangeText={setSearch}
+        autoCorrect={false}
+        clearButtonMode={"while-editing"}
+      />
+      <SectionList
+        ListEmptyComponent={() => (
+          <Text style={styles.emptyText}>
+            {fetching ? "Loading..." : search ? "No past orders match your search" : "You don't have any past orders yet"}
+          </Text>
+        )}
+        ListFooterComponent={orders.length > 0 && hasMore && (
+          <TouchableOpacity style={styles.loadMoreButton} disabled={fetching} onPress={fetchMore}>
+            <Text style={styles.rowButtonText}>{fetching ? "Loading..." : "Load older orders"}</Text>
+          </TouchableOpacity>
+        )}
+        sections={getSections(orders, schemaOf, search)}
+        keyExtractor={(item) => item.key}
+        renderSectionHeader={({ section }) => <Text style={styles.sectionHeader}>{section.title}</Text>}
+        renderItem={({ item }) => (
+          <HistoryRow
+            order={item}
+            schema={schemaOf(item)}
+            onReorder={() => reorder(item)}
+            onSavePreset={() => openSavePresetModal(item)}
+          />
+        )}
+        onEndReached={fetchMore}
+        onEndReachedThreshold={0.5}
+        keyboardDismissMode={"on-drag"}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = (state) => ({
+  orderOptions: state.stateConstants.orderOptions,
+  orderOptionsVersion: state.stateConstants.orderOptionsVersion,
+  orderOptionVersions: state.orderOptionVersions,
+  orderPresets: selectOrderPresets(state),
+  cutoffTime: state.stateConstants.cutoffTime,
+  uid: state.user.uid,
+  domain: state.domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getOrderHistory: (cutoffTime, uid, domain, cursor) => dispatch(getOrderHistory(cutoffTime, uid, domain, cursor)),
+  getOrderOptionVersions: (versions, domain) => dispatch(getOrderOptionVersions(versions, domain)),
+  prefillOrder: (data) => dispatch(prefillOrder(data)),
+  createPreset: (data, uid, domain) => dispatch(createPreset(data, uid, domain)),
+  openModal: (props) => dispatch(openModal(props)),
+  closeModal: () => dispatch(closeModal()),
+  setModalProps: (props) => dispatch(setModalProps(props))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(HistoryScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  searchInput: {
+    fontFamily: "josefin-sans",
+    backgroundColor: Colors.textInputColor,
+    margin: 15,
+    padding: 15,
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText,
+    borderRadius: 5
+  },
+  sectionHeader: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText,
+    backgroundColor: Colors.scrollViewBackground,
+    paddingHorizontal: 30,
+    paddingTop: 20,
+    paddingBottom: 10
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText,
+    marginBottom: 5
+  },
+  rowSubtitle: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText,
+    marginBottom: 5
+  },
+  rowDescription: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText
+  },
+  rowButtons: {
+    flexDirection: "row",
+    marginTop: 10
+  },
+  rowButton: {
+    marginRight: 20,
+    paddingVertical: 5
+  },
+  rowButtonText: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText
+  },
+  loadMoreButton: {
+    alignItems: "center",
+    padding: 20
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
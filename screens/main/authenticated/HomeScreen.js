@@ -2,77 +2,78 @@
  * @file Manages home screen (main screen once user is signed in).
  * @author Emily Sturman <emily@sturman.org>
  */
-import React, { useEffect, useState } from "react";
+import React, { useEffect } from "react";
 import {
   View,
   Text,
   StyleSheet,
   FlatList
 } from "react-native";
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useSafeAreaInsets } from "react-native-safe-area-context";
 import AnimatedTouchable from "../../../components/AnimatedTouchable";
 import Card from "../../../components/orders/Card";
+import StandingOrderCard from "../../../components/orders/StandingOrderCard";
+import OperationStatusLine from "../../../components/orders/OperationStatusLine";
 import Header from "../../../components/Header";
 import Layout from "../../../constants/Layout";
 import Colors from "../../../constants/Colors";
 import { READABLE_FORMAT } from "../../../constants/Date";
-import { deleteOrder, focusOrder, unfocusOrder, logOut, watchOrders } from "../../../redux/Actions";
+import { selectOrders, selectOrderPresets } from "../../../constants/Outbox";
+import { isPastCutoff } from "../../../constants/OrderDates";
+import { OperationTargets, operationKey, getNewOperations } from "../../../constants/Operations";
+import { validateOrderData, applyFixes } from "../../../constants/OrderValidation";
+import { getSchema, getMissingVersions } from "../../../constants/OrderOptionVersions";
+import {
+  editOrder,
+  deleteOrder,
+  focusOrder,
+  unfocusOrder,
+  logOut,
+  watchOrders,
+  watchStandingOrders,
+  materializeStandingOrders,
+  focusStandingOrder,
+  setStandingOrderPaused,
+  deleteStandingOrder,
+  clearOperation,
+  getOrderOptionVersions
+} from "../../../redux/Actions";
 import { connect } from "react-redux";
-import moment from "moment";
-import Alert from "../../../constants/Alert";
-import reportToSentry from "../../../constants/Sentry";
-
-const STORAGE_KEY = "@order_options";
-
-/**
- * Stores current order presets (to reference when app is next opened).
- *
- * @param {Object[]} orderOptions Current order options (from Firebase).
- * @return {Promise<void>} Promise for function.
- */
-const storeData = async (orderOptions) => {
-  try {
-    const stringifiedOptions = JSON.stringify(orderOptions);
-    await AsyncStorage.setItem(STORAGE_KEY, stringifiedOptions);
-  } catch (e) {
-    reportToSentry(e);
-  }
-};
-
-/**
- * Fetches order options from previous session.
- * @return {Promise<Object[]>} Previous order options.
- */
-const getData = async () => {
-  try {
-    const stringifiedOptions = await AsyncStorage.getItem(STORAGE_KEY);
-    return stringifiedOptions ? JSON.parse(stringifiedOptions) : null;
-  } catch(e) {
-    reportToSentry(e);
-  }
-}
 
 /**
  * Renders app home screen.
  *
- * @param {Object[]}                 [orders=[]]       Array of user's upcoming orders sorted in chronological order (soonest to farthest).
- * @param {Object}                   [orderPresets={}] Object containing user's order presets.
- * @param {Object[]}                 orderOptions      Array of order options.
- * @param {string}                   uid               Unique user ID (generated by Firebase Auth).
- * @param {string}                   domain            Domain key for user's domain.
- * @param {function()}               logOut            Function to log user out.
- * @param {function(string)}         focusOrder        Function to focus a specific order in state.
- * @param {function()}               unfocusOrder      Function to unfocus all orders in state.
- * @param {function(string, string)} deleteOrder       Function to delete an order.
- * @param {function(string)}         watchOrders       Function to create listener in user's orders collection.
- * @param {Object}                   navigation        Navigation object (passed by React Navigation).
+ * @param {Object[]}                   [orders=[]]               Array of user's upcoming orders sorted in chronological order (soonest to farthest).
+ * @param {Object<string, Object>}     ordersById                Object containing all of user's orders (unformatted).
+ * @param {Object}                     [orderPresets={}]         Object containing user's order presets.
+ * @param {Object<string, Object>}     [standingOrders={}]       Object containing user's standing orders.
+ * @param {Object<string, Object>}     operations                Status of each save to an order (see constants/Operations.js).
+ * @param {Object[]}                   orderOptions              Array of order options.
+ * @param {number}                     orderOptionsVersion       Version of current order options.
+ * @param {Object<number, Object[]>}   orderOptionVersions       Previous versions of order options that have been fetched (see constants/OrderOptionVersions.js).
+ * @param {Object}                     cutoffTime                Order cutoff rules for user's domain.
+ * @param {Object}                     schedule                  School schedule for user's domain.
+ * @param {string}                     uid                       Unique user ID (generated by Firebase Auth).
+ * @param {string}                     domain                    Domain key for user's domain.
+ * @param {function()}                 logOut                    Function to log user out.
+ * @param {function(string)}           focusOrder                Function to focus a specific order in state.
+ * @param {function()}                 unfocusOrder              Function to unfocus all orders in state.
+ * @param {function}                   editOrder                 Function to push edits to an order (used to fix orders after order options change).
+ * @param {function(string, string)}   deleteOrder               Function to delete an order.
+ * @param {function}                   watchOrders               Function to create listener for user's orders in the active booking window.
+ * @param {function(string, string)}   watchStandingOrders       Function to create listener in user's standing orders collection.
+ * @param {function}                   materializeStandingOrders Function to create orders for user's standing orders.
+ * @param {function(string)}           focusStandingOrder        Function to focus a specific standing order in state.
+ * @param {function}                   setStandingOrderPaused    Function to pause/resume a standing order.
+ * @param {function}                   deleteStandingOrder       Function to cancel a standing order.
+ * @param {function(string)}           clearOperation            Function to dismiss a failed save.
+ * @param {function(number[], string)} getOrderOptionVersions    Function to fetch previous versions of order options.
+ * @param {Object}                     navigation                Navigation object (passed by React Navigation).
  *
  * @return {React.ReactElement} Element to render.
  * @constructor
  */
-const HomeScreen = ({ orders = [], orderPresets = {}, orderOptions, uid, logOut, focusOrder, unfocusOrder, deleteOrder, watchOrders, domain, navigation }) => {
-  const [loadedData, setLoadedData] = useState(false);
+const HomeScreen = ({ orders = [], ordersById, orderPresets = {}, standingOrders = {}, operations, orderOptions, orderOptionsVersion, orderOptionVersions, cutoffTime, schedule, uid, logOut, focusOrder, unfocusOrder, editOrder, deleteOrder, watchOrders, watchStandingOrders, materializeStandingOrders, focusStandingOrder, setStandingOrderPaused, deleteStandingOrder, clearOperation, getOrderOptionVersions, domain, navigation }) => {
   const editUser = () => navigation.navigate("Settings");
 
   // Opens the order screen for a new order.
@@ -94,45 +95,50 @@ const HomeScreen = ({ orders = [], orderPresets = {}, orderOptions, uid, logOut,
     }
   };
 
-  // Creates listeners for user's orders collection, popping screen (for log out), and focusing screen (for unfocusing an order).
+  // Opens the standing order screen to edit a standing order.
+  const focusStandingOrderNavigate = (id) => {
+    focusStandingOrder(id);
+    navigation.navigate("Order", { screen: "Standing Order" });
+  };
+
+  // Creates listeners for user's orders and standing orders collections, popping screen (for log out), and focusing screen (for unfocusing an order).
   useEffect(() => {
-    const unsubscribeFromWatchOrders = watchOrders(uid, domain);
+    const unsubscribeFromWatchOrders = watchOrders(cutoffTime, uid, domain);
+    const unsubscribeFromWatchStandingOrders = watchStandingOrders(uid, domain);
     const unsubscribeFromListener = navigation.addListener("beforeRemove", (e) => {
       if (e.data.action.type === "POP") {
         unsubscribeFromWatchOrders();
+        unsubscribeFromWatchStandingOrders();
         logOut();
       }
     });
     return () => {
       unsubscribeFromWatchOrders();
+      unsubscribeFromWatchStandingOrders();
       unsubscribeFromListener();
     }
   }, [navigation]);
 
+  // Creates any orders that standing orders still need to place (only when standing orders change, since creating orders changes orders)
+  useEffect(() => {
+    materializeStandingOrders(standingOrders, ordersById, cutoffTime, schedule, uid, domain);
+  }, [standingOrders]);
+
   // Unfocuses orders when page loads
   useEffect(() => navigation.addListener("focus", () => unfocusOrder()), [navigation]);
 
-  // Handles storing/comparing data from current & previous sessions
+  // Fetches the versions of order options that orders were placed with (to display them as they were placed); keyed by
+  // the missing versions, since orders is a new array on every store update
+  const missingVersions = getMissingVersions(orders, orderOptionsVersion, orderOptionVersions).sort();
+  const missingVersionsKey = missingVersions.join(",");
   useEffect(() => {
-    // If page has just loaded, compare current data with last session's data
-    if (!loadedData) {
-      getData().then((prevOptions) => {
-        setLoadedData(true);
-        if (prevOptions) {
-          const prevOptionsStr = JSON.stringify(prevOptions);
-          const currentOptionsStr = JSON.stringify(orderOptions);
-          if (prevOptionsStr !== currentOptionsStr) {
-            Alert(
-              "Order Fields Changed",
-              "Order fields have changed since your last session. Please edit your orders, or they may be invalid."
-            );
-          }
-        }
-      });
+    if (missingVersions.length > 0) {
+      getOrderOptionVersions(missingVersions, domain);
     }
-    // Store order options for future sessions
-    storeData(orderOptions);
-  }, [orderPresets]);
+  }, [missingVersionsKey]);
+
+  const issuesById = getIssuesById(orders, orderOptions);
+  const invalidCount = Object.keys(issuesById).length;
 
   return (
     <View style={styles.container}>
@@ -147,6 +153,36 @@ const HomeScreen = ({ orders = [], orderPresets = {}, orderOptions, uid, logOut,
         </AnimatedTouchable>
       </Header>
       <FlatList
+        ListHeaderComponent={() => (
+          <>
+            {invalidCount > 0 && (
+              <Text style={styles.invalidText}>
+                {`The menu has changed, so ${invalidCount === 1 ? "1 order needs" : `${invalidCount} orders need`} attention.`}
+              </Text>
+            )}
+            {getNewOperations(operations, OperationTargets.ORDER, ordersById).map((operation) => (
+              <OperationStatusLine
+                key={operation.key}
+                operation={operation}
+                noun={"new order"}
+                onDismiss={() => clearOperation(operation.key)}
+                style={styles.newOperation}
+              />
+            ))}
+            {Object.values(standingOrders).map((standingOrder) => (
+              <StandingOrderCard
+                key={standingOrder.key}
+                onPress={() => focusStandingOrderNavigate(standingOrder.key)}
+                onDelete={() => deleteStandingOrder(standingOrder, ordersById, cutoffTime, schedule, uid, domain)}
+                onTogglePaused={() => (
+                  setStandingOrderPaused(standingOrder, !standingOrder.paused, ordersById, cutoffTime, schedule, uid, domain)
+                )}
+                schedule={schedule}
+                {...standingOrder}
+              />
+            ))}
+          </>
+        )}
         ListEmptyComponent={() => <Text style={styles.emptyText}>No orders to display</Text>}
         data={orders}
         keyExtractor={(item, index) => index.toString()}
@@ -155,7 +191,12 @@ const HomeScreen = ({ orders = [], orderPresets = {}, orderOptions, uid, logOut,
             title={item.title}
             date={item.date}
             onPress={() => focusOrderNavigate(item.key, !!item.title)}
-            onDelete={() => deleteOrder(item.key, domain)}
+            onDelete={() => deleteOrder(item.key, domain, uid)}
+            operation={operations[operationKey(OperationTargets.ORDER, item.key)]}
+            onDismiss={() => clearOperation(operationKey(OperationTargets.ORDER, item.key))}
+            schema={getSchema(item, orderOptions, orderOptionsVersion, orderOptionVersions)}
+            issues={issuesById[item.key]}
+            onFix={() => editOrder(applyFixes(item, issuesById[item.key]), item.key, uid, domain)}
             {...item}
           />
         }
@@ -167,44 +208,81 @@ const HomeScreen = ({ orders = [], orderPresets = {}, orderOptions, uid, logOut,
 };
 
 /**
- * Gets array of user's future orders sorted chronologically.
+ * Checks each upcoming order against the current order options.
+ *
+ * @param {Object[]} orders       Array of user's upcoming orders.
+ * @param {Object[]} orderOptions Array of order options.
+ *
+ * @return {Object<string, Object[]>} Issues with each invalid order (see constants/OrderValidation.js), by order ID.
+ */
+const getIssuesById = (orders, orderOptions) => {
+  let issuesById = {};
+  for (let order of orders) {
+    const issues = validateOrderData(order, orderOptions);
+    if (issues.length > 0) {
+      issuesById[order.key] = issues;
+    }
+  }
+  return issuesById;
+};
+
+/**
+ * Gets array of user's upcoming orders sorted chronologically.
  *
- * Converts order object to array, then filters out past orders and
- * sorts by date (soonest to farthest).
+ * Converts order object to array, then filters out orders whose cutoff has
+ * passed (they can no longer be edited) and sorts by date (soonest to farthest).
  *
  * @param {Object} orders Object containing all of user's orders.
- * @param {moment.Moment} cutoffTime Time after which new orders may not be placed for today.
+ * @param {Object}        cutoffTime Order cutoff rules for user's domain.
  *
  * @return {Object[]} Array of order objects to be displayed on Home Screen.
  */
 const getOrdersArr = (orders, cutoffTime) => (
   Object.values(orders)
-    .filter(({ date }) => {
-      // date will be at midnight; if it's not yet cutoff time, we want to include today's order, so set now to today at midnight
-      let now = moment();
-      if (now.isBefore(cutoffTime)) {
-        now.startOf("day");
-      }
-      return date.isSameOrAfter(now);
-    })
+    .filter(({ date }) => !isPastCutoff(date, cutoffTime))
     .sort((orderA, orderB) => orderA.date.diff(orderB.date))
     .map((order) => ({ ...order, date: order.date.format(READABLE_FORMAT) }))
 );
 
-const mapStateToProps = ({ orders, orderPresets, stateConstants, user, domain }) => ({
-  orders: getOrdersArr(orders, stateConstants.cutoffTime),
-  orderPresets,
-  orderOptions: stateConstants.orderOptions,
-  uid: user?.uid,
-  domain: domain.id
-});
+const mapStateToProps = (state) => {
+  const { standingOrders, operations, stateConstants, user, domain } = state;
+  const orders = selectOrders(state);
+  return {
+    orders: getOrdersArr(orders, stateConstants.cutoffTime),
+    ordersById: orders,
+    orderPresets: selectOrderPresets(state),
+    standingOrders,
+    operations,
+    orderOptions: stateConstants.orderOptions,
+    orderOptionsVersion: stateConstants.orderOptionsVersion,
+    orderOptionVersions: state.orderOptionVersions,
+    cutoffTime: stateConstants.cutoffTime,
+    schedule: stateConstants.schedule,
+    uid: user?.uid,
+    domain: domain.id
+  };
+};
 
 const mapDispatchToProps = (dispatch) => ({
-  logOut: () => logOut(dispatch),
+  logOut: () => dispatch(logOut()),
   focusOrder: (id) => dispatch(focusOrder(id)),
   unfocusOrder: () => dispatch(unfocusOrder()),
-  deleteOrder: (id, domain) => deleteOrder(dispatch, id, domain),
-  watchOrders: (uid, domain) => watchOrders(dispatch, uid, domain)
+  editOrder: (data, id, uid, domain) => dispatch(editOrder(data, id, uid, domain)),
+  deleteOrder: (id, domain, uid) => dispatch(deleteOrder(id, domain, uid)),
+  watchOrders: (cutoffTime, uid, domain) => dispatch(watchOrders(cutoffTime, uid, domain)),
+  watchStandingOrders: (uid, domain) => dispatch(watchStandingOrders(uid, domain)),
+  materializeStandingOrders: (standingOrders, orders, cutoffTime, schedule, uid, domain) => (
+    dispatch(materializeStandingOrders(standingOrders, orders, cutoffTime, schedule, uid, domain))
+  ),
+  focusStandingOrder: (id) => dispatch(focusStandingOrder(id)),
+  setStandingOrderPaused: (standingOrder, paused, orders, cutoffTime, schedule, uid, domain) => (
+    dispatch(setStandingOrderPaused(standingOrder, paused, orders, cutoffTime, schedule, uid, domain))
+  ),
+  deleteStandingOrder: (standingOrder, orders, cutoffTime, schedule, uid, domain) => (
+    dispatch(deleteStandingOrder(standingOrder, orders, cutoffTime, schedule, uid, domain))
+  ),
+  clearOperation: (key) => dispatch(clearOperation(key)),
+  getOrderOptionVersions: (versions, domain) => dispatch(getOrderOptionVersions(versions, domain))
 })
 
 export default connect(mapStateToProps, mapDispatchToProps)(HomeScreen);
@@ -257,5 +335,17 @@ const styles = StyleSheet.create({
     textAlign: "center",
     fontFamily: "josefin-sans",
     marginTop: 20
+  },
+  newOperation: {
+    marginHorizontal: 10,
+    marginTop: 10
+  },
+  invalidText: {
+    color: Colors.errorText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans-bold",
+    marginHorizontal: 10,
+    marginTop: 10
   }
 });
\ No newline at end of file
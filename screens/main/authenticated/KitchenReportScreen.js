@@ -0,0 +1,260 @@
+/**
+ * @file Manages admin screen displaying the kitchen's daily order report.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import { getDailyOrders, getOrderOptionVersions } from "../../../redux/Actions";
+import { buildKitchenReport, exportCSV, printReport } from "../../../constants/KitchenReport";
+import { getSchema, getMissingVersions, mergeSchemas } from "../../../constants/OrderOptionVersions";
+import { ISO_FORMAT, READABLE_FORMAT, now } from "../../../constants/Date";
+import reportToSentry from "../../../constants/Sentry";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+/**
+ * Renders buttons to change the report's date.
+ *
+ * @param {moment.Moment}    date       Currently selected date.
+ * @param {function(number)} changeDate Moves selected date by given number of days.
+ *
+ * @return {React.ReactElement} Date selector.
+ * @constructor
+ */
+const DateSelector = ({ date, changeDate }) => (
+  <View style={styles.dateSelector}>
+    <TouchableOpacity onPress={() => changeDate(-1)}>
+      <Ionicons name={"ios-arrow-back"} size={Layout.fonts.icon} color={Colors.primaryText} />
+    </TouchableOpacity>
+    <Text style={styles.dateText}>{date.format(READABLE_FORMAT)}</Text>
+    <TouchableOpacity onPress={() => changeDate(1)}>
+      <Ionicons name={"ios-arrow-forward"} size={Layout.fonts.icon} color={Colors.primaryText} />
+    </TouchableOpacity>
+  </View>
+);
+
+/**
+ * Renders a button to export the report.
+ *
+ * @param {string}     icon    Name of icon to render.
+ * @param {string}     title   Text to render.
+ * @param {function()} onPress Function to export report.
+ *
+ * @return {React.ReactElement} Export button.
+ * @constructor
+ */
+const ExportButton = ({ icon, title, onPress }) => (
+  <TouchableOpacity style={styles.exportButton} onPress={onPress}>
+    <Ionicons name={icon} size={Layout.fonts.title} color={Colors.primaryText} />
+    <Text style={styles.exportButtonText}>{title}</Text>
+  </TouchableOpacity>
+);
+
+/**
+ * Renders ingredient totals for report.
+ * @param {Object[]} totals Totals for each order option (see buildKitchenReport).
+ * @return {React.ReactElement} Ingredient totals.
+ * @constructor
+ */
+const Totals = ({ totals }) => (
+  <View style={styles.totalsContainer}>
+    {totals.map(({ key, title, counts }) => (
+      <Text key={key} style={styles.bodyText}>
+        <Text style={styles.boldText}>{title}: </Text>
+        {counts.map(({ option, count }) => `${option} (${count})`).join(", ")}
+      </Text>
+    ))}
+  </View>
+);
+
+/**
+ * Renders admin screen displaying every order in the domain for a chosen date.
+ *
+ * Displays ingredient totals (so kitchen knows how much of each ingredient to
+ * prep) followed by orders grouped and joined with their user's profile; report
+ * can be exported as CSV or printed. Orders placed with previous versions of
+ * the order options are reported with them (so categories that have since
+ * been removed are still listed).
+ *
+ * @param {Object[]}                      userFields             Profile fields.
+ * @param {Object[]}                      orderOptions           Fields for ordering.
+ * @param {number}                        orderOptionsVersion    Version of current order options.
+ * @param {Object<number, Object[]|null>} orderOptionVersions    Previous versions of order options that have been fetched.
+ * @param {Object}                        cutoffTime             Order cutoff rules for user's domain (for its timezone).
+ * @param {string}                        domain                 Domain key for user's domain.
+ * @param {function(string, string)}      getDailyOrders         Fetches orders and profiles for a date.
+ * @param {function(number[], string)}    getOrderOptionVersions Fetches previous versions of order options.
+ * @param {Object}                        navigation             Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const KitchenReportScreen = ({ userFields, orderOptions, orderOptionsVersion, orderOptionVersions, cutoffTime, domain, getDailyOrders, getOrderOptionVersions, navigation }) => {
+  const [date, setDate] = useState(now(cutoffTime.timezone).startOf("day"));
+  const [report, setReport] = useState(null);
+
+  // Fetches orders whenever selected date changes
+  useEffect(() => {
+    const isoDate = date.format(ISO_FORMAT);
+    setReport(null);
+    getDailyOrders(isoDate, domain)
+      .then(async ({ orders, users }) => {
+        const missingVersions = getMissingVersions(orders, orderOptionsVersion, orderOptionVersions);
+        const versions = { ...orderOptionVersions, ...(await getOrderOptionVersions(missingVersions, domain)) };
+        const schemas = orders.map((order) => getSchema(order, orderOptions, orderOptionsVersion, versions));
+        setReport(buildKitchenReport(isoDate, orders, users, userFields, mergeSchemas(orderOptions, schemas)));
+      })
+      .catch(reportToSentry);
+  }, [date]);
+
+  const exportReport = (exportFunction) => {
+    if (report) {
+      exportFunction(report).catch(reportToSentry);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Kitchen Report"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <DateSelector date={date} changeDate={(days) => setDate(date.clone().add(days, "days"))} />
+      <View style={styles.exportButtonsContainer}>
+        <ExportButton icon={"md-download"} title={"Export CSV"} onPress={() => exportReport(exportCSV)} />
+        <ExportButton icon={"md-print"} title={"Print"} onPress={() => exportReport(printReport)} />
+      </View>
+      <SectionList
+        ListHeaderComponent={report && (
+          <>
+            <Text style={styles.sectionHeader}>Totals ({report.orderCount} orders)</Text>
+            <Totals totals={report.totals} />
+          </>
+        )}
+        ListEmptyComponent={() => <Text style={styles.emptyText}>{report ? "No orders for this date" : "Loading..."}</Text>}
+        sections={report ? report.groups.map(({ title, rows }) => ({ title, data: rows })) : []}
+        keyExtractor={(item) => item.order.key}
+        renderSectionHeader={({ section }) => report.groupTitle ? (
+          <Text style={styles.sectionHeader}>
+            {report.groupTitle}: {section.title || "None"} ({section.data.length})
+          </Text>
+        ) : null}
+        renderItem={({ item }) => (
+          <View style={styles.row}>
+            <Text style={styles.boldText}>
+              {report.userColumns.map(({ key }) => item.user[key]).filter((value) => value).join(" · ")}
+            </Text>
+            <Text style={styles.bodyText}>
+              {report.orderColumns
+                .map(({ key }) => Array.isArray(item.order[key]) ? item.order[key].join(", ") : item.order[key])
+                .filter((value) => value)
+                .join(" · ")}
+            </Text>
+          </View>
+        )}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ stateConstants, orderOptionVersions, domain }) => ({
+  userFields: stateConstants.userFields,
+  orderOptions: stateConstants.orderOptions,
+  orderOptionsVersion: stateConstants.orderOptionsVersion,
+  orderOptionVersions,
+  cutoffTime: stateConstants.cutoffTime,
+  domain: domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getDailyOrders: (isoDate, domain) => dispatch(getDailyOrders(isoDate, domain)),
+  getOrderOptionVersions: (versions, domain) => dispatch(getOrderOptionVersions(versions, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(KitchenReportScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  dateSelector: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    backgroundColor: Colors.cardColor
+  },
+  dateText: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText
+  },
+  exportButtonsContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    paddingBottom: 15,
+    backgroundColor: Colors.cardColor,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  exportButton: {
+    flexDirection: "row",
+    alignItems: "center"
+  },
+  exportButtonText: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText,
+    marginLeft: 10
+  },
+  totalsContainer: {
+    backgroundColor: Colors.cardColor,
+    paddingHorizontal: 30,
+    paddingVertical: 15
+  },
+  sectionHeader: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText,
+    backgroundColor: Colors.scrollViewBackground,
+    paddingHorizontal: 30,
+    paddingTop: 20,
+    paddingBottom: 10
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  boldText: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText,
+    marginBottom: 5
+  },
+  bodyText: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText,
+    marginBottom: 5
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
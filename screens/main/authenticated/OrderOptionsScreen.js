@@ -0,0 +1,230 @@
+/**
+ * @file Manages admin screen for managing the domain's order options (categories on the order page).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  Switch,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { Ionicons } from "@expo/vector-icons";
+import Header from "../../../components/Header";
+import inputModalProps from "../../../components/modals/InputModal";
+import { connect } from "react-redux";
+import {
+  focusOrderOption,
+  moveOrderOption,
+  setBasePrice,
+  setBlockDietaryConflicts,
+  openModal,
+  closeModal,
+  setModalProps
+} from "../../../redux/Actions";
+import { TypeLabels } from "../../../constants/OrderOptions";
+import { InputTypes, TextTypes } from "../../../constants/Inputs";
+import { formatPrice, parsePrice } from "../../../constants/Pricing";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+/**
+ * Renders a row displaying an order option, with buttons to move it up or down.
+ *
+ * @param {Object}     orderOption Order option to display.
+ * @param {boolean}    isFirst     Whether order option is first (cannot move up).
+ * @param {boolean}    isLast      Whether order option is last (cannot move down).
+ * @param {function()} onPress     Function to execute when row is pressed (focuses order option).
+ * @param {function()} onMoveUp    Function to move order option up.
+ * @param {function()} onMoveDown  Function to move order option down.
+ *
+ * @return {React.ReactElement} Row displaying order option.
+ * @constructor
+ */
+const OrderOptionRow = ({ orderOption, isFirst, isLast, onPress, onMoveUp, onMoveDown }) => (
+  <TouchableOpacity activeOpacity={0.5} style={styles.row} onPress={onPress}>
+    <View style={styles.rowTextContainer}>
+      <Text style={styles.rowTitle}>{orderOption.title}{orderOption.required ? " *" : ""}</Text>
+      <Text style={styles.rowDescription} numberOfLines={1}>
+        {TypeLabels[orderOption.type]}
+        {orderOption.type !== InputTypes.TEXT_INPUT && `: ${orderOption.options.join(", ")}`}
+      </Text>
+    </View>
+    <TouchableOpacity disabled={isFirst} onPress={onMoveUp}>
+      <Ionicons name={"md-arrow-up"} size={Layout.fonts.icon} color={isFirst ? Colors.borderColor : Colors.primaryText} />
+    </TouchableOpacity>
+    <TouchableOpacity disabled={isLast} style={styles.moveDownButton} onPress={onMoveDown}>
+      <Ionicons name={"md-arrow-down"} size={Layout.fonts.icon} color={isLast ? Colors.borderColor : Colors.primaryText} />
+    </TouchableOpacity>
+  </TouchableOpacity>
+);
+
+// Field for editing the base price (rendered by input modal)
+const BASE_PRICE_FIELD = {
+  key: "basePrice",
+  placeholder: "Base price (ex: 5.00)",
+  inputType: InputTypes.TEXT_INPUT,
+  textType: TextTypes.PRICE,
+  required: true
+};
+
+/**
+ * Renders admin screen listing the domain's order options.
+ *
+ * Order options may be reordered with the arrow buttons, edited or removed by
+ * pressing them, or added with the '+' button. The base price (charged for
+ * every order before option prices) is edited by pressing the first row;
+ * the second row toggles whether orders that conflict with their user's
+ * dietary restrictions are blocked (otherwise users are only warned).
+ *
+ * @param {Object[]}                                   orderOptions             Domain's order options.
+ * @param {number}                                     basePrice                Price of every order before options (in cents).
+ * @param {boolean}                                    blockDietaryConflicts    Whether orders that conflict with dietary restrictions are blocked.
+ * @param {string}                                     domain                   Domain key for user's domain.
+ * @param {function(string)}                           focusOrderOption         Focuses an order option (to be edited).
+ * @param {function(string, number, Object[], string)} moveOrderOption          Moves an order option up or down.
+ * @param {function(number, string)}                   setBasePrice             Sets the domain's base price.
+ * @param {function(boolean, string)}                  setBlockDietaryConflicts Sets whether conflicting orders are blocked.
+ * @param {function(Object)}                           openModal                Opens top-level modal with provided props.
+ * @param {function()}                                 closeModal               Closes top-level modal.
+ * @param {function(Object)}                           setModalProps            Sets props for top-level modal.
+ * @param {Object}                                     navigation               Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const OrderOptionsScreen = ({ orderOptions, basePrice, blockDietaryConflicts, domain, focusOrderOption, moveOrderOption, setBasePrice, setBlockDietaryConflicts, openModal, closeModal, setModalProps, navigation }) => {
+  // Focuses an existing order option and navigates to order option screen.
+  const focusOrderOptionNavigate = (key) => {
+    focusOrderOption(key);
+    navigation.navigate("Order Option");
+  };
+
+  const openBasePriceModal = () => openModal(inputModalProps(
+    "Base Price",
+    [BASE_PRICE_FIELD],
+    "Save",
+    ({ basePrice }) => {
+      setBasePrice(parsePrice(basePrice), domain);
+      closeModal();
+    },
+    setModalProps
+  ));
+
+  return (
+    <View style={styles.container}>
+      <Header
+        title={"Order Options"}
+        leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }}
+        rightButton={{ name: "md-add", onPress: () => navigation.navigate("Order Option") }}
+      />
+      <FlatList
+        ListHeaderComponent={() => (
+          <>
+            <TouchableOpacity activeOpacity={0.5} style={styles.row} onPress={openBasePriceModal}>
+              <View style={styles.rowTextContainer}>
+                <Text style={styles.rowTitle}>Base price</Text>
+                <Text style={styles.rowDescription}>{formatPrice(basePrice)} per order, plus option prices</Text>
+              </View>
+            </TouchableOpacity>
+            <View style={styles.row}>
+              <View style={styles.rowTextContainer}>
+                <Text style={styles.rowTitle}>Block dietary conflicts</Text>
+                <Text style={styles.rowDescription}>
+                  {blockDietaryConflicts
+                    ? "Orders that conflict with a user's dietary restrictions are blocked"
+                    : "Users are warned about orders that conflict with their dietary restrictions"}
+                </Text>
+              </View>
+              <Switch
+                value={blockDietaryConflicts}
+                onValueChange={(block) => setBlockDietaryConflicts(block, domain)}
+              />
+            </View>
+          </>
+        )}
+        ListEmptyComponent={() => (
+          <Text style={styles.emptyText}>
+            There are no order options yet. Click the '+' button in the upper right corner to add one.
+          </Text>
+        )}
+        data={orderOptions}
+        keyExtractor={(item) => item.key}
+        renderItem={({ item, index }) => (
+          <OrderOptionRow
+            orderOption={item}
+            isFirst={index === 0}
+            isLast={index === orderOptions.length - 1}
+            onPress={() => focusOrderOptionNavigate(item.key)}
+            onMoveUp={() => moveOrderOption(item.key, -1, orderOptions, domain)}
+            onMoveDown={() => moveOrderOption(item.key, 1, orderOptions, domain)}
+          />
+        )}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ stateConstants, domain }) => ({
+  orderOptions: stateConstants.orderOptions,
+  basePrice: stateConstants.basePrice,
+  blockDietaryConflicts: !!stateConstants.blockDietaryConflicts,
+  domain: domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  focusOrderOption: (key) => dispatch(focusOrderOption(key)),
+  moveOrderOption: (key, offset, orderOptions, domain) => dispatch(moveOrderOption(key, offset, orderOptions, domain)),
+  setBasePrice: (basePrice, domain) => dispatch(setBasePrice(basePrice, domain)),
+  setBlockDietaryConflicts: (block, domain) => dispatch(setBlockDietaryConflicts(block, domain)),
+  openModal: (props) => dispatch(openModal(props)),
+  closeModal: () => dispatch(closeModal()),
+  setModalProps: (props) => dispatch(setModalProps(props))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(OrderOptionsScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingVertical: 20,
+    paddingHorizontal: 30,
+    flexDirection: "row",
+    alignItems: "center",
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTextContainer: {
+    flex: 1,
+    marginRight: 15
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    marginBottom: 5,
+    color: Colors.primaryText
+  },
+  rowDescription: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText
+  },
+  moveDownButton: {
+    marginLeft: 15
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
@@ -12,26 +12,35 @@ import {
 import { useSafeAreaInsets } from "react-native-safe-area-context";
 import Header from "../../../components/Header";
 import PresetCard from "../../../components/orders/PresetCard";
+import OperationStatusLine from "../../../components/orders/OperationStatusLine";
 import { connect } from "react-redux";
-import { watchPresets, deletePreset, focusPreset } from "../../../redux/Actions";
+import { watchPresets, editPreset, deletePreset, focusPreset, clearOperation } from "../../../redux/Actions";
+import { selectOrderPresets } from "../../../constants/Outbox";
+import { OperationTargets, operationKey, getNewOperations } from "../../../constants/Operations";
+import { validateOrderData, applyFixes } from "../../../constants/OrderValidation";
 import Colors from "../../../constants/Colors";
 import Layout from "../../../constants/Layout";
 
 /**
  * Renders order settings screen.
  *
- * @param {Object[]}                         orderPresets Array of order presets (in no particular order).
- * @param {string}                           uid          Unique user ID (generated by Firebase Auth).
- * @param {string}                           domain       Domain key for user's domain.
- * @param {function(string, string)}         watchPresets Function to trigger and unsubscribe listener for order presets collection.
- * @param {function(string, string, string)} deletePreset Function to delete an existing order preset.
- * @param {function(string)}                 focusPreset  Function to focus an existing order preset.
- * @param {Object}                           navigation   Navigation object passed by React Navigation
+ * @param {Object[]}                         orderPresets   Array of order presets (in no particular order).
+ * @param {Object<string, Object>}           presetsById    Object containing all of user's order presets.
+ * @param {Object<string, Object>}           operations     Status of each save to a preset (see constants/Operations.js).
+ * @param {Object[]}                         orderOptions   Array of order options (to check presets against).
+ * @param {string}                           uid            Unique user ID (generated by Firebase Auth).
+ * @param {string}                           domain         Domain key for user's domain.
+ * @param {function(string, string)}         watchPresets   Function to trigger and unsubscribe listener for order presets collection.
+ * @param {function}                         editPreset     Function to push edits to an order preset (used to fix presets after order options change).
+ * @param {function(string, string, string)} deletePreset   Function to delete an existing order preset.
+ * @param {function(string)}                 focusPreset    Function to focus an existing order preset.
+ * @param {function(string)}                 clearOperation Function to dismiss a failed save.
+ * @param {Object}                           navigation     Navigation object passed by React Navigation
  *
  * @return {React.ReactElement} Element to display
  * @constructor
  */
-const OrderSettingsScreen = ({ orderPresets, uid, domain, watchPresets, deletePreset, focusPreset, navigation }) => {
+const OrderSettingsScreen = ({ orderPresets, presetsById, operations, orderOptions, uid, domain, watchPresets, editPreset, deletePreset, focusPreset, clearOperation, navigation }) => {
   // Focuses an existing order preset and navigates to preset screen.
   const focusPresetNavigate = (id) => {
     focusPreset(id);
@@ -49,6 +58,15 @@ const OrderSettingsScreen = ({ orderPresets, uid, domain, watchPresets, deletePr
         rightButton={{ name: "md-add", onPress: () => navigation.navigate("Preset") }}
       />
       <FlatList
+        ListHeaderComponent={() => getNewOperations(operations, OperationTargets.PRESET, presetsById).map((operation) => (
+          <OperationStatusLine
+            key={operation.key}
+            operation={operation}
+            noun={"new preset"}
+            onDismiss={() => clearOperation(operation.key)}
+            style={styles.newOperation}
+          />
+        ))}
         ListEmptyComponent={() => (
           <Text style={styles.emptyText}>
             You haven't created any presets yet. Click the '+' button in the upper right corner to create one.
@@ -56,14 +74,21 @@ const OrderSettingsScreen = ({ orderPresets, uid, domain, watchPresets, deletePr
         )}
         data={orderPresets}
         keyExtractor={(item, index) => index.toString()}
-        renderItem={({ item }) => (
-          <PresetCard
-            title={item.title}
-            onPress={() => focusPresetNavigate(item.key)}
-            onDelete={() => deletePreset(item.key, uid, domain)}
-            {...item}
-          />
-        )}
+        renderItem={({ item }) => {
+          const issues = validateOrderData(item, orderOptions);
+          return (
+            <PresetCard
+              title={item.title}
+              onPress={() => focusPresetNavigate(item.key)}
+              onDelete={() => deletePreset(item.key, uid, domain)}
+              operation={operations[operationKey(OperationTargets.PRESET, item.key)]}
+              onDismiss={() => clearOperation(operationKey(OperationTargets.PRESET, item.key))}
+              issues={issues}
+              onFix={() => editPreset(applyFixes(item, issues), item.key, uid, domain)}
+              {...item}
+            />
+          );
+        }}
         contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
         style={styles.flatList}
       />
@@ -71,16 +96,24 @@ const OrderSettingsScreen = ({ orderPresets, uid, domain, watchPresets, deletePr
   )
 };
 
-const mapStateToProps = ({ user, orderPresets, domain }) => ({
-  uid: user.uid,
-  orderPresets: Object.values(orderPresets),
-  domain: domain.id
-});
+const mapStateToProps = (state) => {
+  const orderPresets = selectOrderPresets(state);
+  return {
+    uid: state.user.uid,
+    orderPresets: Object.values(orderPresets),
+    presetsById: orderPresets,
+    operations: state.operations,
+    orderOptions: state.stateConstants.orderOptions,
+    domain: state.domain.id
+  };
+};
 
 const mapDispatchToProps = (dispatch) => ({
-  watchPresets: (uid, domain) => watchPresets(dispatch, uid, domain),
-  deletePreset: (id, uid, domain) => deletePreset(dispatch, id, uid, domain),
-  focusPreset: (id) => dispatch(focusPreset(id))
+  watchPresets: (uid, domain) => dispatch(watchPresets(uid, domain)),
+  editPreset: (data, id, uid, domain) => dispatch(editPreset(data, id, uid, domain)),
+  deletePreset: (id, uid, domain) => dispatch(deletePreset(id, uid, domain)),
+  focusPreset: (id) => dispatch(focusPreset(id)),
+  clearOperation: (key) => dispatch(clearOperation(key))
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(OrderSettingsScreen);
@@ -96,5 +129,9 @@ const styles = StyleSheet.create({
     textAlign: "center",
     fontFamily: "josefin-sans",
     margin: 40
+  },
+  newOperation: {
+    marginHorizontal: 30,
+    marginTop: 15
   }
 });
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * @file Manages admin screen for recording payments (top-ups) made by the domain's users.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import inputModalProps from "../../../components/modals/InputModal";
+import {
+  getDomainUsers,
+  recordTopUp,
+  openModal,
+  closeModal,
+  setModalProps
+} from "../../../redux/Actions";
+import { InputTypes, TextTypes } from "../../../constants/Inputs";
+import { parsePrice } from "../../../constants/Pricing";
+import reportToSentry from "../../../constants/Sentry";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+// Fields for recording a payment (rendered by input modal)
+const PAYMENT_FIELDS = [
+  {
+    key: "amount",
+    placeholder: "Amount paid (ex: 20.00)",
+    inputType: InputTypes.TEXT_INPUT,
+    textType: TextTypes.PRICE,
+    required: true
+  },
+  {
+    key: "note",
+    placeholder: "Note (ex: Cash)",
+    inputType: InputTypes.TEXT_INPUT,
+    textType: TextTypes.PLAIN,
+    required: false
+  }
+];
+
+/**
+ * Renders admin screen listing the domain's users.
+ *
+ * Pressing a user opens a modal to record a payment they made (outside of the
+ * app), which is added to their ledger.
+ *
+ * @param {Object[]}                                 userFields     Profile fields.
+ * @param {string}                                   domain         Domain key for user's domain.
+ * @param {function(string)}                         getDomainUsers Fetches profile of every user in the domain.
+ * @param {function(string, number, string, string)} recordTopUp    Records a payment made by a user.
+ * @param {function(Object)}                         openModal      Opens top-level modal with provided props.
+ * @param {function()}                               closeModal     Closes top-level modal.
+ * @param {function(Object)}                         setModalProps  Sets props for top-level modal.
+ * @param {Object}                                   navigation     Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const PaymentsScreen = ({ userFields, domain, getDomainUsers, recordTopUp, openModal, closeModal, setModalProps, navigation }) => {
+  const [users, setUsers] = useState(null);
+
+  // Fetches users in domain.
+  useEffect(() => {
+    getDomainUsers(domain)
+      .then((users) => setUsers(Object.keys(users).map((uid) => ({ ...users[uid], uid }))))
+      .catch(reportToSentry);
+  }, []);
+
+  const getName = (user) => userFields.map(({ key }) => user[key]).filter((value) => value).join(" · ") || user.uid;
+
+  const openPaymentModal = (user) => openModal(inputModalProps(
+    `Payment from ${getName(user)}`,
+    PAYMENT_FIELDS,
+    "Record payment",
+    ({ amount, note }) => {
+      recordTopUp(user.uid, parsePrice(amount), note, domain);
+      closeModal();
+    },
+    setModalProps
+  ));
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Payments"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <FlatList
+        ListEmptyComponent={() => <Text style={styles.emptyText}>{users ? "There are no users yet." : "Loading..."}</Text>}
+        data={users || []}
+        keyExtractor={(item) => item.uid}
+        renderItem={({ item }) => (
+          <TouchableOpacity activeOpacity={0.5} style={styles.row} onPress={() => openPaymentModal(item)}>
+            <Text style={styles.rowTitle}>{getName(item)}</Text>
+          </TouchableOpacity>
+        )}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ stateConstants, domain }) => ({
+  userFields: stateConstants.userFields,
+  domain: domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getDomainUsers: (domain) => dispatch(getDomainUsers(domain)),
+  recordTopUp: (uid, amount, note, domain) => dispatch(recordTopUp(uid, amount, note, domain)),
+  openModal: (props) => dispatch(openModal(props)),
+  closeModal: () => dispatch(closeModal()),
+  setModalProps: (props) => dispatch(setModalProps(props))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(PaymentsScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingVertical: 20,
+    paddingHorizontal: 30,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
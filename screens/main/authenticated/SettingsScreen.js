@@ -5,35 +5,96 @@
 import React from "react";
 import {
   View,
+  Text,
+  Switch,
   StyleSheet
 } from "react-native";
+import { connect } from "react-redux";
 import Header from "../../../components/Header";
 import MultipleOptionsList from "../../../components/MultipleOptionsList";
+import { setCutoffReminders } from "../../../redux/Actions";
+import { Features, getRole, roleCanUse } from "../../../constants/Roles";
+import { requestReminderPermission } from "../../../constants/Reminders";
+import Alert from "../../../constants/Alert";
 import Colors from "../../../constants/Colors";
 import Layout from "../../../constants/Layout";
 
 // Data for each settings page (user settings and order/preset settings
 const SETTINGS_PAGES = [
   { key: "userSettings", title: "Profile Settings", page: "User Settings" },
-  { key: "orderSettings", title: "Order Settings", page: "Order Settings" }
+  { key: "dietaryRestrictions", title: "Dietary Restrictions", page: "Dietary Restrictions" },
+  { key: "orderSettings", title: "Order Settings", page: "Order Settings" },
+  { key: "sharedPresets", title: "Shared Presets", page: "Shared Presets" },
+  { key: "history", title: "Order History", page: "History" },
+  { key: "balance", title: "Balance", page: "Balance" }
+];
+// Data for settings pages only available to some roles (with the feature each page belongs to)
+const RESTRICTED_SETTINGS_PAGES = [
+  { key: "orderOptions", title: "Order Options", page: "Order Options", feature: Features.MENU },
+  { key: "specials", title: "Menu Specials", page: "Specials", feature: Features.MENU },
+  { key: "kitchenReport", title: "Kitchen Report", page: "Kitchen Report", feature: Features.KITCHEN_REPORT },
+  { key: "payments", title: "Payments", page: "Payments", feature: Features.PAYMENTS },
+  { key: "users", title: "Users", page: "Users", feature: Features.USER_MANAGEMENT }
 ];
 
 /**
  * Renders main settings screen to navigate to either sub-screen
  *
- * @param {Object} navigation Navigation object passed by React Navigation.
+ * Also renders a toggle for reminders to order before the cutoff (not
+ * available on web); turning reminders on asks for permission to send
+ * notifications.
+ *
+ * @param {string}                            role               User's role in their domain (see constants/Roles.js).
+ * @param {boolean}                           cutoffReminders    Whether user has turned on reminders.
+ * @param {string}                            uid                Unique user ID (generated by Firebase Auth).
+ * @param {string}                            domain             Domain key for user's domain.
+ * @param {function(boolean, string, string)} setCutoffReminders Turns reminders on or off.
+ * @param {Object}                            navigation         Navigation object passed by React Navigation.
  *
  * @return {React.ReactElement} Element to display.
  * @constructor
  */
-const SettingsScreen = ({ navigation }) => (
-  <View style={styles.container}>
-    <Header title={"Settings"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
-    <MultipleOptionsList pages={SETTINGS_PAGES} navigation={navigation} />
-  </View>
-);
+const SettingsScreen = ({ role, cutoffReminders, uid, domain, setCutoffReminders, navigation }) => {
+  const toggleReminders = async (enabled) => {
+    if (enabled && !(await requestReminderPermission())) {
+      Alert(
+        "Notifications are off",
+        "To get reminders, please allow SimpleSubs to send notifications in your device's settings."
+      );
+      return;
+    }
+    setCutoffReminders(enabled, uid, domain);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Settings"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <MultipleOptionsList
+        pages={[...SETTINGS_PAGES, ...RESTRICTED_SETTINGS_PAGES.filter(({ feature }) => roleCanUse(role, feature))]}
+        navigation={navigation}
+        ListFooterComponent={!Layout.web && (
+          <View style={styles.navigateTouchable}>
+            <Text style={styles.navigateTouchableText}>Remind me to order</Text>
+            <Switch value={cutoffReminders} onValueChange={toggleReminders} />
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ user, domain }) => ({
+  role: getRole(user, domain),
+  cutoffReminders: !!user?.cutoffReminders,
+  uid: user?.uid,
+  domain: domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  setCutoffReminders: (enabled, uid, domain) => dispatch(setCutoffReminders(enabled, uid, domain))
+});
 
-export default SettingsScreen;
+export default connect(mapStateToProps, mapDispatchToProps)(SettingsScreen);
 
 const styles = StyleSheet.create({
   container: {
@@ -0,0 +1,285 @@
+/**
+ * @file Manages screen for sharing presets with other users in the domain and copying their shared presets.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import inputModalProps from "../../../components/modals/InputModal";
+import { getIngredientStr } from "../../../components/orders/Card";
+import {
+  getSharedPresets,
+  sharePreset,
+  unsharePreset,
+  copySharedPreset,
+  openModal,
+  closeModal,
+  setModalProps
+} from "../../../redux/Actions";
+import { InputTypes, TextTypes } from "../../../constants/Inputs";
+import { selectOrderPresets } from "../../../constants/Outbox";
+import reportToSentry from "../../../constants/Sentry";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+// Field for email of user to send a preset to (rendered by input modal)
+const RECIPIENT_FIELD = {
+  key: "email",
+  placeholder: "Their email",
+  inputType: InputTypes.TEXT_INPUT,
+  textType: TextTypes.EMAIL,
+  required: true
+};
+
+/**
+ * Gets the ingredients of a preset (all of its fields other than title, key, and pending).
+ * @param {Object} preset Order preset.
+ * @return {Object<string, string|string[]>} Ingredients of preset.
+ */
+const getIngredients = (preset) => {
+  let ingredients = { ...preset };
+  delete ingredients.title;
+  delete ingredients.key;
+  delete ingredients.pending;
+  return ingredients;
+};
+
+/**
+ * Renders a row displaying a preset, with buttons for actions on the preset.
+ *
+ * @param {string}                                 title       Title of preset.
+ * @param {string}                                 [subtitle]  Text to display under title (ex: who shared preset).
+ * @param {Object<string, string|string[]>}        ingredients Ingredients of preset.
+ * @param {{title: string, onPress: function()}[]} buttons     Buttons to display under preset.
+ *
+ * @return {React.ReactElement} Row displaying preset.
+ * @constructor
+ */
+const PresetRow = ({ title, subtitle, ingredients, buttons }) => (
+  <View style={styles.row}>
+    <Text style={styles.rowTitle}>{title}</Text>
+    {!!subtitle && <Text style={styles.rowSubtitle}>{subtitle}</Text>}
+    <Text style={styles.rowDescription}>{getIngredientStr(ingredients)}</Text>
+    <View style={styles.rowButtons}>
+      {buttons.map((button) => (
+        <TouchableOpacity key={button.title} style={styles.rowButton} onPress={button.onPress}>
+          <Text style={styles.rowButtonText}>{button.title}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  </View>
+);
+
+/**
+ * Gets text describing who shared a preset.
+ * @param {Object} sharedPreset Shared preset.
+ * @param {string} uid          Unique user ID (generated by Firebase Auth).
+ * @return {string} Description of who shared preset.
+ */
+const getSharedByStr = ({ sharedBy, sharedByName, recipient }, uid) => {
+  if (sharedBy === uid) {
+    return "Shared by you";
+  }
+  const name = sharedByName || "someone in your school";
+  return recipient ? `Sent to you by ${name}` : `Shared by ${name}`;
+};
+
+/**
+ * Renders screen displaying presets shared with the user and the user's own presets (to share).
+ *
+ * Shared presets may be copied into the user's presets; the user's presets
+ * may be shared with everyone in the domain or sent to a specific user by
+ * email.
+ *
+ * @param {Object[]}            orderOptions     Fields for ordering.
+ * @param {Object<key, Object>} orderPresets     Object containing all of the user's order presets.
+ * @param {string}              name             Name of user (displayed to users they share presets with).
+ * @param {string}              uid              Unique user ID (generated by Firebase Auth).
+ * @param {string}              domain           Domain key for user's domain.
+ * @param {function}            getSharedPresets Fetches presets shared with user.
+ * @param {function}            sharePreset      Shares a preset with the domain or a specific user.
+ * @param {function}            unsharePreset    Stops sharing a preset.
+ * @param {function}            copySharedPreset Copies a shared preset into user's presets.
+ * @param {function(Object)}    openModal        Opens top-level modal with provided props.
+ * @param {function()}          closeModal       Closes top-level modal.
+ * @param {function(Object)}    setModalProps    Sets props for top-level modal.
+ * @param {Object}              navigation       Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const SharedPresetsScreen = ({ orderOptions, orderPresets, name, uid, domain, getSharedPresets, sharePreset, unsharePreset, copySharedPreset, openModal, closeModal, setModalProps, navigation }) => {
+  const [sharedPresets, setSharedPresets] = useState([]);
+  const [fetching, setFetching] = useState(true);
+
+  // Fetches presets shared with user.
+  const fetchSharedPresets = () => {
+    setFetching(true);
+    getSharedPresets(domain)
+      .then(setSharedPresets)
+      .catch(reportToSentry)
+      .finally(() => setFetching(false));
+  };
+
+  useEffect(fetchSharedPresets, []);
+
+  // Opens modal to send a preset to a specific user.
+  const openSendModal = (preset) => openModal(inputModalProps(
+    `Send "${preset.title}"`,
+    [RECIPIENT_FIELD],
+    "Send",
+    ({ email }) => {
+      sharePreset(preset, email, name, uid, domain);
+      closeModal();
+    },
+    setModalProps
+  ));
+
+  const sections = [
+    {
+      title: "Shared with you",
+      data: sharedPresets.map((sharedPreset) => ({
+        key: `shared_${sharedPreset.key}`,
+        title: sharedPreset.preset.title,
+        subtitle: getSharedByStr(sharedPreset, uid),
+        ingredients: getIngredients(sharedPreset.preset),
+        buttons: [
+          {
+            title: "Copy to my presets",
+            onPress: () => copySharedPreset(sharedPreset, orderOptions, orderPresets, uid, domain)
+          },
+          ...(sharedPreset.sharedBy === uid ? [{
+            title: "Stop sharing",
+            onPress: () => unsharePreset(sharedPreset.key, domain).then(fetchSharedPresets)
+          }] : [])
+        ]
+      })),
+      emptyText: fetching ? "Loading..." : "No one has shared a preset with you yet"
+    },
+    {
+      title: "Your presets",
+      data: Object.values(orderPresets).map((preset) => ({
+        key: `mine_${preset.key}`,
+        title: preset.title,
+        ingredients: getIngredients(preset),
+        buttons: [
+          {
+            title: "Share with everyone",
+            onPress: () => sharePreset(preset, null, name, uid, domain).then(fetchSharedPresets)
+          },
+          { title: "Send to someone", onPress: () => openSendModal(preset) }
+        ]
+      })),
+      emptyText: "You don't have any presets to share yet"
+    }
+  ];
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Shared Presets"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => item.key}
+        renderSectionHeader={({ section }) => <Text style={styles.sectionHeader}>{section.title}</Text>}
+        renderSectionFooter={({ section }) => (
+          section.data.length === 0 && <Text style={styles.emptyText}>{section.emptyText}</Text>
+        )}
+        renderItem={({ item }) => <PresetRow {...item} />}
+        stickySectionHeadersEnabled={false}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = (state) => ({
+  orderOptions: state.stateConstants.orderOptions,
+  orderPresets: selectOrderPresets(state),
+  name: state.user.name,
+  uid: state.user.uid,
+  domain: state.domain.id
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getSharedPresets: (domain) => dispatch(getSharedPresets(domain)),
+  sharePreset: (preset, recipient, sharedByName, uid, domain) => (
+    dispatch(sharePreset(preset, recipient, sharedByName, uid, domain))
+  ),
+  unsharePreset: (id, domain) => dispatch(unsharePreset(id, domain)),
+  copySharedPreset: (sharedPreset, orderOptions, orderPresets, uid, domain) => (
+    dispatch(copySharedPreset(sharedPreset, orderOptions, orderPresets, uid, domain))
+  ),
+  openModal: (props) => dispatch(openModal(props)),
+  closeModal: () => dispatch(closeModal()),
+  setModalProps: (props) => dispatch(setModalProps(props))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(SharedPresetsScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  sectionHeader: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText,
+    paddingHorizontal: 30,
+    paddingTop: 20,
+    paddingBottom: 10
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingHorizontal: 30,
+    paddingVertical: 15,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText,
+    marginBottom: 5
+  },
+  rowSubtitle: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText,
+    marginBottom: 5
+  },
+  rowDescription: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText
+  },
+  rowButtons: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 10
+  },
+  rowButton: {
+    marginRight: 20,
+    paddingVertical: 5
+  },
+  rowButtonText: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 20
+  }
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * @file Manages admin screen for managing the domain's menu specials.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import { getIngredientStr } from "../../../components/orders/Card";
+import { focusSpecial } from "../../../redux/Actions";
+import { toReadable } from "../../../constants/Date";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+/**
+ * Describes when a special may be ordered.
+ * @param {string[]} [dates=[]] ISO dates the special is limited to.
+ * @return {string} Readable description (ex: "Only on Friday, March 5th").
+ */
+const getDatesStr = (dates = []) => (
+  dates.length === 0 ? "Every school day" : "Only on " + dates.map(toReadable).join("; ")
+);
+
+/**
+ * Renders a row displaying a special.
+ *
+ * @param {Object}     special Special to display.
+ * @param {function()} onPress Function to execute when row is pressed (focuses special).
+ *
+ * @return {React.ReactElement} Row displaying special.
+ * @constructor
+ */
+const SpecialRow = ({ special, onPress }) => {
+  let ingredients = { ...special };
+  delete ingredients.title;
+  delete ingredients.dates;
+  delete ingredients.key;
+  return (
+    <TouchableOpacity activeOpacity={0.5} style={styles.row} onPress={onPress}>
+      <Text style={styles.rowTitle}>{special.title}</Text>
+      <Text style={styles.rowDescription}>{getDatesStr(special.dates)}</Text>
+      <Text style={styles.rowIngredients} numberOfLines={2}>{getIngredientStr(ingredients)}</Text>
+    </TouchableOpacity>
+  );
+};
+
+/**
+ * Renders admin screen listing the domain's menu specials.
+ *
+ * Specials are offered to every user in the domain on the preset order
+ * screen. They may be edited or removed by pressing them, or added with the
+ * '+' button.
+ *
+ * @param {Object[]}         specials     Domain's specials (sorted by title).
+ * @param {function(string)} focusSpecial Focuses a special (to be edited).
+ * @param {Object}           navigation   Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const SpecialsScreen = ({ specials, focusSpecial, navigation }) => {
+  // Focuses an existing special and navigates to special screen.
+  const focusSpecialNavigate = (id) => {
+    focusSpecial(id);
+    navigation.navigate("Special");
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header
+        title={"Menu Specials"}
+        leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }}
+        rightButton={{ name: "md-add", onPress: () => navigation.navigate("Special") }}
+      />
+      <FlatList
+        ListEmptyComponent={() => (
+          <Text style={styles.emptyText}>
+            There are no specials yet. Click the '+' button in the upper right corner to add one.
+          </Text>
+        )}
+        data={specials}
+        keyExtractor={(item) => item.key}
+        renderItem={({ item }) => <SpecialRow special={item} onPress={() => focusSpecialNavigate(item.key)} />}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ stateConstants }) => ({
+  specials: Object.values(stateConstants.specials).sort((specialA, specialB) => specialA.title.localeCompare(specialB.title))
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  focusSpecial: (id) => dispatch(focusSpecial(id))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(SpecialsScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingVertical: 20,
+    paddingHorizontal: 30,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.title,
+    marginBottom: 5,
+    color: Colors.primaryText
+  },
+  rowDescription: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    marginBottom: 5,
+    color: Colors.secondaryText
+  },
+  rowIngredients: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
@@ -77,8 +77,8 @@ const mapStateToProps = ({ user, stateConstants, domain }) => ({
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  editUserData: (data, uid, domain) => editUserData(dispatch, data, uid, domain),
-  logOut: () => logOut(dispatch)
+  editUserData: (data, uid, domain) => dispatch(editUserData(data, uid, domain)),
+  logOut: () => dispatch(logOut())
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(UpdateUserScreen);
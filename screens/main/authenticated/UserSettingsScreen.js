@@ -5,37 +5,93 @@
 import React, { useEffect, useState } from "react";
 import {
   View,
-  StyleSheet
+  Text,
+  StyleSheet,
+  TouchableOpacity
 } from "react-native";
 import InputsList from "../../../components/userFields/UserInputsList";
 import SubmitButton from "../../../components/userFields/SubmitButton";
 import Header from "../../../components/Header";
 import { connect } from "react-redux";
-import { watchUserData, editUserData } from "../../../redux/Actions";
+import {
+  watchUserData,
+  editUserData,
+  getAccountData,
+  deleteAccount,
+  openModal,
+  closeModal,
+  setModalProps
+} from "../../../redux/Actions";
 import { DomainNameField, EmailField, PasswordField } from "../../../constants/RequiredFields";
+import { openDeleteAccountModal } from "../../../constants/DataActions";
+import { confirmAlert } from "../../../constants/Alert";
+import { saveFile } from "../../../constants/Files";
+import { ISO_FORMAT, now } from "../../../constants/Date";
+import reportToSentry from "../../../constants/Sentry";
 import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
 
 /**
  * Renders user setting screen.
  *
  * Renders inputs list (FlatList of ValidatedInputs) displaying user fields and
- * containing user data.
+ * containing user data, followed by buttons to export user's data (as a JSON
+ * file) and to delete their account.
  *
- * @param {Object}                           user          Object containing user data.
- * @param {Object}                           domain        Domain data for user's domain.
- * @param {Object[]}                         userFields    Array containing input fields to contain data.
- * @param {function(string, string)}         watchUserData Listener for changes in user data.
- * @param {function(Object, string, string)} editUserData  Pushes edited data to Firebase.
- * @param {Object}                           navigation    Navigation prop passed by React Navigation.
+ * @param {Object}                                user           Object containing user data.
+ * @param {Object}                                domain         Domain data for user's domain.
+ * @param {Object[]}                              userFields     Array containing input fields to contain data.
+ * @param {function(string, string)}              watchUserData  Listener for changes in user data.
+ * @param {function(Object, string, string)}      editUserData   Pushes edited data to Firebase.
+ * @param {function(string, string)}              getAccountData Fetches a copy of all of user's data.
+ * @param {function(string|null, string, string)} deleteAccount  Deletes user's account and data.
+ * @param {function(Object)}                      openModal      Opens top-level modal with provided props.
+ * @param {function()}                            closeModal     Closes top-level modal.
+ * @param {function(Object)}                      setModalProps  Sets props for top-level modal.
+ * @param {Object}                                navigation     Navigation prop passed by React Navigation.
  *
  * @return {React.ReactElement} Element to display.
  * @constructor
  */
-const UserSettingsScreen = ({ user, domain, userFields, watchUserData, editUserData, navigation }) => {
+const UserSettingsScreen = ({ user, domain, userFields, watchUserData, editUserData, getAccountData, deleteAccount, openModal, closeModal, setModalProps, navigation }) => {
   const [state, setInputs] = useState({ ...user, domain: domain.name });
 
   const submitData = () => editUserData(state, user.uid, domain.id);
-  const UpdateButton = (props) => <SubmitButton {...props} title={"Update"} style={styles.updateButton} />
+
+  const exportData = () => getAccountData(user.uid, domain.id)
+    .then((data) => data && saveFile(
+      `simplesubs-data-${now().format(ISO_FORMAT)}.json`,
+      JSON.stringify(data, null, 2),
+      "application/json",
+      "public.json"
+    ))
+    .catch(reportToSentry);
+
+  // Users who signed in with Google have no password to confirm (see deleteAccount)
+  const confirmDelete = () => confirmAlert(
+    "Delete account?",
+    "Your account, profile, orders, and presets will be deleted, and your upcoming orders will be cancelled. This " +
+    "can't be undone.",
+    "Delete",
+    () => user.singleSignOn
+      ? deleteAccount(null, user.uid, domain.id)
+      : openDeleteAccountModal(openModal, setModalProps, ({ password }) => {
+        closeModal();
+        deleteAccount(password, user.uid, domain.id);
+      })
+  );
+
+  const FooterButtons = (props) => (
+    <View>
+      <SubmitButton {...props} title={"Update"} style={styles.updateButton} />
+      <TouchableOpacity style={styles.linkTouchable} onPress={exportData} activeOpacity={0.5}>
+        <Text style={styles.linkTouchableText}>Export my data</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.linkTouchable} onPress={confirmDelete} activeOpacity={0.5}>
+        <Text style={[styles.linkTouchableText, styles.deleteText]}>Delete my account</Text>
+      </TouchableOpacity>
+    </View>
+  );
 
   // Listens for changes in user data when on this page
   useEffect(() => watchUserData(user.uid, domain.id), []);
@@ -50,7 +106,7 @@ const UserSettingsScreen = ({ user, domain, userFields, watchUserData, editUserD
         setInputs={setInputs}
         onSubmit={submitData}
         editing
-        SubmitButton={UpdateButton}
+        SubmitButton={FooterButtons}
         contentContainerStyle={styles.contentContainer}
       />
     </View>
@@ -64,8 +120,13 @@ const mapStateToProps = ({ user, domain, stateConstants }) => ({
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  watchUserData: (uid, domain) => watchUserData(dispatch, uid, domain),
-  editUserData: (data, uid, domain) => editUserData(dispatch, data, uid, domain)
+  watchUserData: (uid, domain) => dispatch(watchUserData(uid, domain)),
+  editUserData: (data, uid, domain) => dispatch(editUserData(data, uid, domain)),
+  getAccountData: (uid, domain) => dispatch(getAccountData(uid, domain)),
+  deleteAccount: (password, uid, domain) => dispatch(deleteAccount(password, uid, domain)),
+  openModal: (props) => dispatch(openModal(props)),
+  closeModal: () => dispatch(closeModal()),
+  setModalProps: (props) => dispatch(setModalProps(props))
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(UserSettingsScreen);
@@ -81,5 +142,18 @@ const styles = StyleSheet.create({
   },
   updateButton: {
     marginHorizontal: 20
+  },
+  linkTouchable: {
+    marginTop: 20,
+    width: "100%"
+  },
+  linkTouchableText: {
+    color: Colors.linkText,
+    fontSize: Layout.fonts.body,
+    fontFamily: "josefin-sans",
+    textAlign: "center"
+  },
+  deleteText: {
+    color: Colors.errorText
   }
 });
\ No newline at end of file
@@ -0,0 +1,177 @@
+/**
+ * @file Manages admin screen for changing the roles of the domain's users.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import Header from "../../../components/Header";
+import { getDomainUsers, setUserRole } from "../../../redux/Actions";
+import { Roles, RoleNames, getRole, isOwner } from "../../../constants/Roles";
+import reportToSentry from "../../../constants/Sentry";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+/**
+ * Renders a user's name and a button for each role they may have.
+ *
+ * Owners of the domain and the current user can't change roles here (so that
+ * admins can't lock themselves out).
+ *
+ * @param {string}           name         Name to display for user.
+ * @param {string}           role         User's current role.
+ * @param {boolean}          locked       Whether user's role may not be changed.
+ * @param {function(string)} onChangeRole Sets user's role.
+ *
+ * @return {React.ReactElement} Row to display.
+ * @constructor
+ */
+const UserRow = ({ name, role, locked, onChangeRole }) => (
+  <View style={styles.row}>
+    <Text style={styles.rowTitle}>{name}</Text>
+    {locked ? (
+      <Text style={styles.lockedText}>{RoleNames[role]}</Text>
+    ) : (
+      <View style={styles.rolesContainer}>
+        {Object.values(Roles).map((option) => (
+          <TouchableOpacity
+            key={option}
+            activeOpacity={0.5}
+            style={[styles.roleButton, option === role && styles.selectedRoleButton]}
+            onPress={() => option !== role && onChangeRole(option)}
+          >
+            <Text style={styles.roleButtonText}>{RoleNames[option]}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    )}
+  </View>
+);
+
+/**
+ * Renders admin screen listing the domain's users and their roles.
+ *
+ * Pressing a role next to a user gives them that role, which controls the
+ * parts of the app they may use (see constants/Roles.js).
+ *
+ * @param {Object[]}                         userFields     Profile fields.
+ * @param {string}                           uid            Unique user ID of current user.
+ * @param {Object}                           domain         Domain data for user's domain.
+ * @param {function(string)}                 getDomainUsers Fetches profile of every user in the domain.
+ * @param {function(string, string, string)} setUserRole    Sets the role of a user in the domain.
+ * @param {Object}                           navigation     Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const UsersScreen = ({ userFields, uid, domain, getDomainUsers, setUserRole, navigation }) => {
+  const [users, setUsers] = useState(null);
+
+  // Fetches users in domain.
+  useEffect(() => {
+    getDomainUsers(domain.id)
+      .then((users) => setUsers(Object.keys(users).map((uid) => ({ ...users[uid], uid }))))
+      .catch(reportToSentry);
+  }, []);
+
+  const getName = (user) => userFields.map(({ key }) => user[key]).filter((value) => value).join(" · ") || user.uid;
+
+  const changeRole = async (user, role) => {
+    if (await setUserRole(user.uid, role, domain.id)) {
+      setUsers(users.map((other) => other.uid === user.uid ? { ...other, role } : other));
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title={"Users"} leftButton={{ name: "ios-arrow-back", onPress: () => navigation.pop() }} />
+      <FlatList
+        ListEmptyComponent={() => <Text style={styles.emptyText}>{users ? "There are no users yet." : "Loading..."}</Text>}
+        data={users || []}
+        keyExtractor={(item) => item.uid}
+        renderItem={({ item }) => (
+          <UserRow
+            name={getName(item)}
+            role={getRole(item, domain)}
+            locked={item.uid === uid || isOwner(item, domain)}
+            onChangeRole={(role) => changeRole(item, role)}
+          />
+        )}
+        contentContainerStyle={{ paddingBottom: useSafeAreaInsets().bottom }}
+      />
+    </View>
+  );
+};
+
+const mapStateToProps = ({ stateConstants, user, domain }) => ({
+  userFields: stateConstants.userFields,
+  uid: user.uid,
+  domain
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  getDomainUsers: (domain) => dispatch(getDomainUsers(domain)),
+  setUserRole: (uid, role, domain) => dispatch(setUserRole(uid, role, domain))
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(UsersScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.scrollViewBackground,
+    flex: 1
+  },
+  row: {
+    backgroundColor: Colors.cardColor,
+    paddingVertical: 20,
+    paddingHorizontal: 30,
+    borderBottomColor: Colors.borderColor,
+    borderBottomWidth: 0.5
+  },
+  rowTitle: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.title,
+    color: Colors.primaryText
+  },
+  lockedText: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.secondaryText,
+    marginTop: 10
+  },
+  rolesContainer: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 10
+  },
+  roleButton: {
+    backgroundColor: Colors.textInputColor,
+    borderRadius: 15,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginTop: 5
+  },
+  selectedRoleButton: {
+    backgroundColor: Colors.accentColor
+  },
+  roleButtonText: {
+    fontFamily: "josefin-sans",
+    fontSize: Layout.fonts.body,
+    color: Colors.primaryText
+  },
+  emptyText: {
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    textAlign: "center",
+    fontFamily: "josefin-sans",
+    margin: 40
+  }
+});
\ No newline at end of file
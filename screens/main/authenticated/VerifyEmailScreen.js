@@ -0,0 +1,136 @@
+/**
+ * @file Manages screen asking user to verify their email address (shown after loading, before home screen).
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React, { useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity
+} from "react-native";
+import { useSafeAreaInsets } from "react-native-safe-area-context";
+import { connect } from "react-redux";
+import SubmitButton from "../../../components/userFields/SubmitButton";
+import { refreshEmailVerified, sendVerificationEmail, logOut } from "../../../redux/Actions";
+import { allValid } from "../../../constants/Inputs";
+import Alert from "../../../constants/Alert";
+import Colors from "../../../constants/Colors";
+import Layout from "../../../constants/Layout";
+
+/**
+ * Renders screen asking user to verify their email address.
+ *
+ * Once user has opened the link in their verification email, they continue
+ * to the home screen (or the update user screen if their profile is
+ * incomplete). Users in domains that don't require verification may also
+ * continue without verifying.
+ *
+ * @param {string}           email                 User's email address.
+ * @param {string}           domain                Domain key for user's domain.
+ * @param {boolean}          requireVerifiedEmail  Whether user's domain requires a verified email address.
+ * @param {boolean}          profileValid          Whether user has filled out every user field.
+ * @param {function(string)} refreshEmailVerified  Checks whether user has verified their email address.
+ * @param {function()}       sendVerificationEmail Sends user another verification email.
+ * @param {function()}       logOut                Signs user out.
+ * @param {Object}           navigation            Navigation object passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to display.
+ * @constructor
+ */
+const VerifyEmailScreen = ({ email, domain, requireVerifiedEmail, profileValid, refreshEmailVerified, sendVerificationEmail, logOut, navigation }) => {
+  const inset = useSafeAreaInsets();
+
+  const continueToApp = () => navigation.replace(profileValid ? "Home" : "Update User");
+
+  const checkVerified = async () => {
+    if (await refreshEmailVerified(domain)) {
+      continueToApp();
+    } else {
+      Alert(
+        "Email not verified",
+        "Your email address hasn't been verified yet. Please open the link in your verification email and try again."
+      );
+    }
+  };
+
+  // Signs user out if they leave this screen without verifying
+  useEffect(() => navigation.addListener("beforeRemove", (e) => {
+    if (e.data.action.type === "POP") {
+      logOut();
+    }
+  }), []);
+
+  return (
+    <View style={[styles.container, { paddingTop: inset.top, paddingBottom: inset.bottom }]}>
+      <Text style={styles.title}>Verify your email</Text>
+      <Text style={styles.text}>
+        We sent a link to {email}. Open it to verify your email address, then come back here.
+      </Text>
+      <SubmitButton title={"I've verified my email"} style={styles.button} onPress={checkVerified} />
+      <TouchableOpacity style={styles.linkTouchable} onPress={sendVerificationEmail} activeOpacity={0.5}>
+        <Text style={styles.linkTouchableText}>Send another email</Text>
+      </TouchableOpacity>
+      {!requireVerifiedEmail && (
+        <TouchableOpacity style={styles.linkTouchable} onPress={continueToApp} activeOpacity={0.5}>
+          <Text style={styles.linkTouchableText}>Continue without verifying</Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity style={styles.linkTouchable} onPress={logOut} activeOpacity={0.5}>
+        <Text style={styles.linkTouchableText}>Log out</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const mapStateToProps = ({ user, domain, stateConstants }) => ({
+  email: user?.email,
+  domain: domain.id,
+  requireVerifiedEmail: !!domain.requireVerifiedEmail,
+  profileValid: !!user && allValid(user, stateConstants.userFields)
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  refreshEmailVerified: (domain) => dispatch(refreshEmailVerified(domain)),
+  sendVerificationEmail: () => dispatch(sendVerificationEmail()),
+  logOut: () => dispatch(logOut())
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(VerifyEmailScreen);
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: Colors.backgroundColor,
+    justifyContent: "center",
+    flex: 1
+  },
+  title: {
+    fontFamily: "josefin-sans-bold",
+    fontSize: Layout.fonts.mainTitle,
+    margin: 20,
+    textAlign: "center",
+    color: Colors.primaryText
+  },
+  text: {
+    fontFamily: "josefin-sans",
+    color: Colors.primaryText,
+    fontSize: Layout.fonts.body,
+    marginVertical: 5,
+    textAlign: "center",
+    marginHorizontal: 30
+  },
+  button: {
+    marginHorizontal: 30,
+    marginVertical: 30
+  },
+  linkTouchable: {
+    marginBottom: 20,
+    width: "100%"
+  },
+  linkTouchableText: {
+    color: Colors.linkText,
+    fontSize: Layout.fonts.body,
+    fontFamily: "josefin-sans",
+    textAlign: "center"
+  }
+});
\ No newline at end of file
@@ -14,9 +14,11 @@ import { useSafeAreaInsets } from "react-native-safe-area-context";
 import inputModalProps from "../../../components/modals/InputModal";
 import InputsList from "../../../components/userFields/UserInputsList";
 import SubmitButton from "../../../components/userFields/SubmitButton";
+import GoogleSignInButton from "../../../components/userFields/GoogleSignInButton";
 import Layout from "../../../constants/Layout";
 import Colors from "../../../constants/Colors";
 import { EmailField, PasswordField } from "../../../constants/RequiredFields";
+import { hasGoogleSignIn } from "../../../constants/SingleSignOn";
 import { logIn, openModal, closeModal, setModalProps, resetPassword } from "../../../redux/Actions";
 import { connect } from "react-redux";
 import Logo from "../../../assets/images/icon.svg";
@@ -27,6 +29,10 @@ const LOGIN_FIELDS = [EmailField, PasswordField];
 /**
  * Renders login screen.
  *
+ * Users may sign in with their email and password, or with their school
+ * Google account if Google sign-in is set up (users signing in with Google
+ * for the first time don't need to register).
+ *
  * @param {function(string, string)} logIn               Function that signs user into their account.
  * @param {function(Object)}         openModal           Function that opens top-level model with provided props.
  * @param {function()}               closeModal          Function that closes top-level modal.
@@ -87,6 +93,7 @@ const LoginScreen = ({ logIn, openModal, closeModal, setModalProps, resetPasswor
       )}
       ListFooterComponent={() => (
         <View style={styles.otherTouchables}>
+          {hasGoogleSignIn && <GoogleSignInButton style={styles.googleButton} />}
           <TouchableOpacity style={styles.linkTouchable} onPress={openForgotPasswordModal} activeOpacity={0.5}>
             <Text style={styles.linkTouchableText}>I forgot my password!</Text>
           </TouchableOpacity>
@@ -111,11 +118,11 @@ const LoginScreen = ({ logIn, openModal, closeModal, setModalProps, resetPasswor
 };
 
 const mapDispatchToProps = (dispatch) => ({
-  logIn: (email, password) => logIn(dispatch, email, password),
+  logIn: (email, password) => dispatch(logIn(email, password)),
   openModal: (props) => dispatch(openModal(props)),
   closeModal: () => dispatch(closeModal()),
   setModalProps: (props) => dispatch(setModalProps(props)),
-  resetPasswordAction: (email) => resetPassword(dispatch, email)
+  resetPasswordAction: (email) => dispatch(resetPassword(email))
 })
 
 export default connect(null, mapDispatchToProps)(LoginScreen);
@@ -158,5 +165,9 @@ const styles = StyleSheet.create({
   otherTouchables: {
     marginTop: 20,
     alignItems: "center"
+  },
+  googleButton: {
+    alignSelf: "stretch",
+    marginTop: 0
   }
 });
\ No newline at end of file
@@ -67,7 +67,7 @@ const DomainScreen = ({ getUnauthData, navigation }) => {
 };
 
 const mapDispatchToProps = (dispatch) => ({
-  getUnauthData: (code) => getUnauthData(dispatch, code)
+  getUnauthData: (code) => dispatch(getUnauthData(code))
 });
 
 export default connect(null, mapDispatchToProps)(DomainScreen);
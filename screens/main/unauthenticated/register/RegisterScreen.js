@@ -87,7 +87,7 @@ const mapStateToProps = ({ stateConstants, domain }) => ({
 });
 
 const mapDispatchToProps = (dispatch) => ({
-  createUser: (email, password, data, domain) => createUser(dispatch, email, password, data, domain)
+  createUser: (email, password, data, domain) => dispatch(createUser(email, password, data, domain))
 });
 
 export default connect(mapStateToProps, mapDispatchToProps)(RegisterScreen);
@@ -2,57 +2,74 @@
  * @file Manages main order screen (in between for custom/preset order screens)
  * @author Emily Sturman <emily@sturman.org>
  */
-import React from "react";
+import React, { useEffect } from "react";
 import OrderInputsList from "../../components/orders/OrderInputsList";
 import { DateField } from "../../constants/RequiredFields";
 import { READABLE_FORMAT } from "../../constants/Date";
-import { createOrder, deleteOrder, editOrder } from "../../redux/Actions";
+import { selectOrders } from "../../constants/Outbox";
+import { createOrder, deleteOrder, editOrder, clearPrefilledOrder } from "../../redux/Actions";
 import { connect } from "react-redux";
 
 /**
  * Renders main order screen to navigate to either sub-screen (custom or preset order).
  *
- * @param {Object|null}                    focusedOrder Currently focused order (null if new order is being created).
- * @param {Array}                          orderOptions Fields for order ingredients.
- * @param {function(Object,string)}        createOrder  Pushes new order to Firebase.
- * @param {function(Object,string,string)} editOrder    Pushes edits for existing order to Firebase.
- * @param {function(string)}               deleteOrder  Deletes existing order from Firebase.
- * @param {Object}                         navigation   Navigation prop passed by React Navigation.
+ * @param {Object|null}                    focusedOrder        Currently focused order (null if new order is being created).
+ * @param {Object|null}                    prefilledOrder      Values to fill in for a new order (ex: from order history).
+ * @param {Array}                          orderOptions        Fields for order ingredients.
+ * @param {function(Object,string)}        createOrder         Pushes new order to Firebase.
+ * @param {function(Object,string,string)} editOrder           Pushes edits for existing order to Firebase.
+ * @param {function(string)}               deleteOrder         Deletes existing order from Firebase.
+ * @param {function()}                     clearPrefilledOrder Clears values to fill in for a new order.
+ * @param {Object}                         navigation          Navigation prop passed by React Navigation.
  *
  * @return {React.ReactElement} Element to render.
  * @constructor
  */
-const OrderScreen = ({ focusedOrder, orderOptions, createOrder, editOrder, deleteOrder, navigation }) => {
+const OrderScreen = ({ focusedOrder, prefilledOrder, orderOptions, createOrder, editOrder, deleteOrder, clearPrefilledOrder, navigation }) => {
   const cancelOrder = () => navigation.navigate("Home");
+
+  // Clears prefilled values once screen closes (however it is closed)
+  useEffect(() => clearPrefilledOrder, []);
+
   return (
     <OrderInputsList
       title={"Custom Order"}
       focusedData={focusedOrder}
+      prefilledData={prefilledOrder}
       orderOptions={orderOptions}
       cancel={cancelOrder}
       createNew={createOrder}
       editExisting={editOrder}
       deleteExisting={deleteOrder}
       deleteMessage={"Delete Order"}
+      showTotal
+      checkDietary
+      isOrder
     />
   )
 };
 
-const mapStateToProps = ({ focusedOrder, orders, stateConstants }) => ({
-  focusedOrder: focusedOrder ? {
-    ...orders[focusedOrder],
-    date: orders[focusedOrder].date.format(READABLE_FORMAT)
-  } : null,
-  orderOptions: [
-    DateField,
-    ...stateConstants.orderOptions
-  ]
-});
+const mapStateToProps = (state) => {
+  const { focusedOrder, prefilledOrder, stateConstants } = state;
+  const orders = selectOrders(state);
+  return {
+    focusedOrder: focusedOrder ? {
+      ...orders[focusedOrder],
+      date: orders[focusedOrder].date.format(READABLE_FORMAT)
+    } : null,
+    prefilledOrder,
+    orderOptions: [
+      DateField,
+      ...stateConstants.orderOptions
+    ]
+  };
+};
 
 const mapDispatchToProps = (dispatch) => ({
-  createOrder: (data, uid, domain) => createOrder(dispatch, data, uid, domain),
-  editOrder: (data, id, uid, domain) => editOrder(dispatch, data, id, uid, domain),
-  deleteOrder: (id, domain) => deleteOrder(dispatch, id, domain),
+  createOrder: (data, uid, domain) => dispatch(createOrder(data, uid, domain)),
+  editOrder: (data, id, uid, domain) => dispatch(editOrder(data, id, uid, domain)),
+  deleteOrder: (id, domain, uid) => dispatch(deleteOrder(id, domain, uid)),
+  clearPrefilledOrder: () => dispatch(clearPrefilledOrder())
 })
 
 export default connect(mapStateToProps, mapDispatchToProps)(OrderScreen);
\ No newline at end of file
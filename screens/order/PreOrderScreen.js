@@ -13,7 +13,8 @@ import Colors from "../../constants/Colors";
 
 const ORDER_PAGES = [
   { key: "presetOrder", title: "Order with preset", page: "Preset Order" },
-  { key: "customOrder", title: "Order with custom settings", page: "Custom Order" }
+  { key: "customOrder", title: "Order with custom settings", page: "Custom Order" },
+  { key: "standingOrder", title: "Set up a standing order", page: "Standing Order" }
 ]
 
 const PreOrderScreen = ({ navigation }) => (
@@ -8,6 +8,7 @@ import { createOrder, deleteOrder, editOrder } from "../../redux/Actions";
 import { connect } from "react-redux";
 import { DateField, PresetField } from "../../constants/RequiredFields";
 import { READABLE_FORMAT } from "../../constants/Date";
+import { selectOrders } from "../../constants/Outbox";
 
 /**
  * Renders screen for placing orders from existing user presets.
@@ -36,23 +37,30 @@ const PresetOrderScreen = ({ focusedOrder, createOrder, editOrder, deleteOrder,
       editExisting={editOrder}
       deleteExisting={deleteOrder}
       deleteMessage={"Delete Order"}
+      showTotal
+      checkDietary
+      isOrder
     />
   )
 };
 
-const mapStateToProps = ({ focusedOrder, orders, user }) => ({
-  focusedOrder: focusedOrder ? {
-    key: focusedOrder,
-    preset: orders[focusedOrder].title,
-    date: orders[focusedOrder].date.format(READABLE_FORMAT)
-  } : null,
-  uid: user.uid
-});
+const mapStateToProps = (state) => {
+  const { focusedOrder, user } = state;
+  const orders = selectOrders(state);
+  return {
+    focusedOrder: focusedOrder ? {
+      key: focusedOrder,
+      preset: orders[focusedOrder].title,
+      date: orders[focusedOrder].date.format(READABLE_FORMAT)
+    } : null,
+    uid: user.uid
+  };
+};
 
 const mapDispatchToProps = (dispatch) => ({
-  createOrder: (data, uid, domain) => createOrder(dispatch, data, uid, domain),
-  editOrder: (data, id, uid, domain) => editOrder(dispatch, data, id, uid, domain),
-  deleteOrder: (id, domain) => deleteOrder(dispatch, id, domain),
+  createOrder: (data, uid, domain) => dispatch(createOrder(data, uid, domain)),
+  editOrder: (data, id, uid, domain) => dispatch(editOrder(data, id, uid, domain)),
+  deleteOrder: (id, domain, uid) => dispatch(deleteOrder(id, domain, uid)),
 })
 
 export default connect(mapStateToProps, mapDispatchToProps)(PresetOrderScreen);
\ No newline at end of file
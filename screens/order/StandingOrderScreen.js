@@ -0,0 +1,85 @@
+/**
+ * @file Manages screen for creating and editing standing (recurring) orders.
+ * @author Emily Sturman <emily@sturman.org>
+ */
+import React from "react";
+import OrderInputsList from "../../components/orders/OrderInputsList";
+import {
+  createStandingOrder,
+  editStandingOrder,
+  deleteStandingOrder,
+  unfocusStandingOrder
+} from "../../redux/Actions";
+import { connect } from "react-redux";
+import { PresetField, RepeatField } from "../../constants/RequiredFields";
+
+/**
+ * Renders screen for creating and editing standing orders.
+ *
+ * Renders order-formatted screen with only preset and repeat fields; orders
+ * are created from the selected preset on each selected weekday.
+ *
+ * @param {Object|null}                    focusedStandingOrder Standing order currently being edited (null if creating new standing order).
+ * @param {Object<string, Object>}         standingOrders       All of the user's standing orders.
+ * @param {Object<string, Object>}         orders               All of the user's orders.
+ * @param {Object}                         cutoffTime           Order cutoff rules for user's domain.
+ * @param {Object}                         schedule             School schedule for user's domain.
+ * @param {function()}                     unfocusStandingOrder Sets state-wide focusedStandingOrder to null.
+ * @param {function(Object,string,string)} createStandingOrder  Pushes new standing order to Firebase.
+ * @param {function}                       editStandingOrder    Pushes edits for existing standing order to Firebase.
+ * @param {function}                       deleteStandingOrder  Cancels existing standing order.
+ * @param {Object}                         navigation           Navigation prop passed by React Navigation.
+ *
+ * @return {React.ReactElement} Element to render.
+ * @constructor
+ */
+const StandingOrderScreen = ({ focusedStandingOrder, standingOrders, orders, cutoffTime, schedule, unfocusStandingOrder, createStandingOrder, editStandingOrder, deleteStandingOrder, navigation }) => {
+  const cancelStandingOrder = () => {
+    unfocusStandingOrder();
+    navigation.navigate("Home");
+  };
+  return (
+    <OrderInputsList
+      title={focusedStandingOrder ? "Edit Standing Order" : "Standing Order"}
+      focusedData={focusedStandingOrder}
+      orderOptions={[PresetField, RepeatField]}
+      cancel={cancelStandingOrder}
+      createNew={createStandingOrder}
+      editExisting={(data, id, uid, domain) => (
+        editStandingOrder(data, standingOrders[id], orders, cutoffTime, schedule, uid, domain)
+      )}
+      deleteExisting={(id, domain, uid) => (
+        deleteStandingOrder(standingOrders[id], orders, cutoffTime, schedule, uid, domain)
+      )}
+      deleteMessage={"Cancel Standing Order"}
+      showTotal
+      checkDietary
+      isOrder
+    />
+  );
+};
+
+const mapStateToProps = ({ focusedStandingOrder, standingOrders, orders, stateConstants }) => ({
+  focusedStandingOrder: focusedStandingOrder ? {
+    key: focusedStandingOrder,
+    preset: standingOrders[focusedStandingOrder].title,
+    days: standingOrders[focusedStandingOrder].days
+  } : null,
+  standingOrders,
+  orders,
+  cutoffTime: stateConstants.cutoffTime,
+  schedule: stateConstants.schedule
+});
+
+const mapDispatchToProps = (dispatch) => ({
+  unfocusStandingOrder: () => dispatch(unfocusStandingOrder()),
+  createStandingOrder: (data, uid, domain) => dispatch(createStandingOrder(data, uid, domain)),
+  editStandingOrder: (data, standingOrder, orders, cutoffTime, schedule, uid, domain) => (
+    dispatch(editStandingOrder(data, standingOrder, orders, cutoffTime, schedule, uid, domain))
+  ),
+  deleteStandingOrder: (standingOrder, orders, cutoffTime, schedule, uid, domain) => (
+    dispatch(deleteStandingOrder(standingOrder, orders, cutoffTime, schedule, uid, domain))
+  )
+});
+
+export default connect(mapStateToProps, mapDispatchToProps)(StandingOrderScreen);
\ No newline at end of file